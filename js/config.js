@@ -16,44 +16,265 @@ const CONFIG = {
         width: 800,
         depth: 800,
         maxHeight: 120,
+        baseHeight: -2, // Ground offset so water can go to zero
         segments: 128 // Resolution of the terrain mesh
     },
     
+    // Topographic contour overlay
+    contours: {
+        minorInterval: 25,   // Metres between contour lines
+        majorInterval: 100,  // Metres between index (labelled) contours
+        minorWidth: 1,       // Line width in pixels
+        majorWidth: 2.5,
+        minorColor: 0x5D4037,
+        majorColor: 0x3E2723,
+        lift: 0.4,           // Height above the ground to avoid z-fighting
+        labelSpacing: 250    // Minimum scene distance between labels on one contour
+    },
+    
     // Water properties
     water: {
         initialHeight: 40,
-        maxHeight: 90,
-        minHeight: 5
+        maxHeight: 90,       // Scene units at the dam crest (see UnitUtils for metres)
+        minHeight: 5,
+        minElevation: 475,   // m a.s.l. at the bottom of the slider
+        maxElevation: 722.5, // m a.s.l. at the top of the slider (dam crest)
+        floorElevation: 460, // m a.s.l. at the deepest point of the reservoir
+        storageStep: 2.5     // m between rows of the elevation–area–volume table
     },
     
     // Dam properties
     dam: {
-        height: 90,
+        height: 90,     // Scene units, 262 m from foundation to crest
         width: 150,
         thickness: 15,
+        z: -50,         // Position of the dam across the valley
         curvature: 0.3 // For arch shape
     },
     
     // Mountain properties (Mount Toc)
     mountain: {
-        height: 100,
-        width: 200,
-        depth: 150,
-        slideVolume: 270 // million cubic meters
+        height: 100,                  // Scene height of the peak
+        width: 200,                   // Scene extent across the valley
+        depth: 150,                   // Scene extent along the valley
+        centre: { x: -100, z: -175 },
+        slideVolume: 270, // million cubic meters
+        slideLength: 1500, // meters, measured down-dip along the failure plane
+        slideWidth: 1800 // meters, measured along the valley
+    },
+    
+    // Shape of the landslide mass in the scene; the dips of the chair are
+    // geology.clayLayerAngle (steep back) and landslide.seatAngle (flat seat)
+    slide: {
+        width: 450,          // m along the valley
+        length: 380,         // m in plan from the back scarp to the toe
+        thickness: 250,      // m, greatest depth of the failure surface below the slope
+        scarpDistance: 450,  // m in plan from the valley axis to the back scarp
+        rearFraction: 0.6,   // Share of the length taken by the steep back of the chair
+        axisX: 0,            // Scene x of the valley axis
+        centreZ: -175,       // Scene z of the middle of the slide
+        lift: 0.3            // Height above the terrain to avoid z-fighting
+    },
+    
+    // Layered geology of the slope
+    stratigraphy: {
+        dataUrl: 'assets/data/stratigraphy.json',
+        referencePermeability: 1e-5 // m/s of slide mass that gives groundwater.permeability 1
     },
     
-    // Geological properties
+    // Interactive cutting plane
+    section: {
+        columns: 200,           // Samples along the section line
+        rows: 160,              // Samples from the section floor to the highest point
+        depthBelow: 30,         // Scene units drawn below the lowest ground
+        refreshInterval: 1000,  // ms between redraws while the section is shown
+        waterColor: 0x1A5276,
+        saturatedColor: 0x1E4870,
+        saturatedTint: 0.55,    // How strongly saturated rock is tinted blue
+        defaultLine: { start: { x: -400, z: -180 }, end: { x: 400, z: -180 } } // Across the valley through the slide
+    },
+    
+    // Geological properties; the failure-plane and slide-mass values are
+    // replaced from the stratigraphy file when it loads
     geology: {
         clayLayerThickness: 3,
-        clayLayerAngle: 25 // degrees
+        clayLayerAngle: 25, // degrees
+        frictionAngle: 30, // degrees, along the clay plane
+        cohesion: 70, // kPa
+        rockUnitWeight: 24, // kN/m³
+        waterUnitWeight: 9.81, // kN/m³
+        failurePlaneToeElevation: 442 // m a.s.l. where the clay plane daylights into the valley
+    },
+    
+    // Groundwater response of the slope
+    groundwater: {
+        lagDays: 90,          // time for pore pressure to reach the back of the slide
+        permeability: 1.0,    // relative permeability (higher responds faster)
+        drainageRatio: 0.2,   // drawdown drains at this fraction of the filling rate
+        cells: 24,            // nodes along the failure plane
+        daysPerSecond: 20     // simulated days per second of real time
+    },
+    
+    // Creep of the landslide block before collapse
+    creep: {
+        referenceVelocity: 0.03,  // m/day at a factor of safety of 1
+        sensitivity: 0.015,       // FoS change that multiplies velocity by e
+        softening: 0.007,         // FoS lost per metre of accumulated displacement
+        failureVelocity: 5,       // m/day at which creep becomes runaway failure
+        forecastWindowDays: 30,   // inverse-velocity fit window
+        sampleIntervalDays: 1,
+        maxSamples: 2000,
+        displayExaggeration: 5    // visual scale of creep displacement in the scene
+    },
+    
+    // Runout of the released landslide
+    landslide: {
+        residualFrictionAngle: 12,  // degrees, after frictional heating of the clay
+        frictionDecayVelocity: 2,   // m/s over which friction falls towards residual
+        seatDistance: 150,          // m of travel down the steep back of the chair
+        seatAngle: 0,               // degrees, dip of the flat seat of the chair
+        wallDistance: 350,          // m of travel to the opposite valley wall
+        timeStep: 0.05,             // s
+        maxDuration: 120,           // s
+        playbackSpeed: 4,           // simulated seconds per second of animation
+        referenceSpeed: 27.5        // m/s, historical peak speed
+    },
+    
+    // Fragments the released block breaks into and their runout as debris
+    debris: {
+        columns: 8,             // Chunks across the slide, from the back scarp to the toe
+        rows: 9,                // Chunks along the valley
+        layerThickness: 70,     // m, chunks are stacked in layers about this thick
+        minThickness: 4,        // m, thinner parts of the slide make no fragment
+        jitter: 0.5,            // How far cuts stray from a regular grid (fraction of a cell)
+        rearFollow: 0.75,       // Share of the slide's speed taken up at the back scarp
+        frontFollow: 1.1,       // and at the toe
+        spread: 0.1,            // Random variation in how closely fragments follow the slide
+        coupling: 3,            // 1/s, rate at which fragments take up the speed of the slide
+        friction: 0.45,         // Coefficient of friction once the slide has stopped
+        restitution: 0.15,      // Bounce off the ground and other fragments
+        tumble: 0.35,           // Spin picked up from rolling and collisions
+        angularDamping: 0.8,    // 1/s
+        restSpeed: 0.5,         // m/s below which a fragment comes to rest
+        restTime: 0.5,          // s a fragment must stay slow before it is at rest
+        maxStep: 0.02,          // s, longest integration step
+        settleTime: 60,         // s simulated at most to bring the deposit to rest
+        settleStep: 0.1,        // s simulated at most per step of the clock while it settles
+        settleDuration: 3       // s of clock time a settle step takes when it gives no duration
+    },
+    
+    // The valley after the landslide
+    postEvent: {
+        depositClosing: 2,   // Terrain samples over which gaps between fragments are filled
+        minLakeArea: 0.01    // km², smaller ponds are left out of the lake list
+    },
+    
+    // Shallow-water solver for the impulse wave
+    tsunami: {
+        cellSize: 25,            // m, grid resolution (smaller is finer and slower)
+        courant: 0.35,           // fraction of the CFL time-step limit
+        manning: 0.03,           // bed roughness
+        weirCoefficient: 0.55,   // broad-crested weir discharge coefficient over the dam
+        frontRampWidth: 80,      // m over which the deposit front rises
+        duration: 90,            // s simulated after the slide stops
+        // Solver area in scene units, with the dam along maxZ
+        domain: {
+            minX: -200,
+            maxX: 200,
+            minZ: -400,
+            maxZ: -50,
+            slideStartX: -110,   // edge of the slide on the Mount Toc side
+            slideMinZ: -250,
+            slideMaxZ: -100
+        },
+        // Idealised valley used when no terrain heightfield is available
+        valley: {
+            axisX: 0,
+            halfWidth: 100,      // scene units from the axis to the rim
+            rimElevation: 850,   // m a.s.l.; the floor is CONFIG.water.floorElevation
+            shape: 1.3           // exponent of the cross-section profile
+        }
+    },
+    
+    // Empirical impulse-wave estimates
+    impulseWave: {
+        shoreAngle: 35,    // degrees, slope of the opposite valley side
+        damFaceAngle: 90,  // degrees, upstream face of the arch dam
+        // Observed on 9 October 1963
+        historical: {
+            runUp: 250,      // m above the lake on the opposite slope
+            overtopping: 100 // m above the dam crest
+        }
+    },
+    
+    // Historical reservoir playback
+    history: {
+        dataUrl: 'assets/data/reservoir_history.json',
+        daysPerSecond: 60 // simulated days per second of playback
+    },
+    
+    // Side-by-side comparison of ways of operating the reservoir
+    scenarios: {
+        daysPerSecond: 60,     // Simulated days per second on the shared clock
+        panelInterval: 250,    // ms between updates of the comparison panel
+        // Each follows the recorded levels, held below maxElevation (m a.s.l.; null for none)
+        definitions: [
+            { id: 'historical', name: 'Historical filling', maxElevation: null },
+            { id: 'below700', name: 'Reservoir kept below 700 m', maxElevation: 700 },
+            { id: 'below650', name: 'Reservoir kept below 650 m', maxElevation: 650 },
+            { id: 'below600', name: 'Reservoir kept below 600 m', maxElevation: 600 }
+        ],
+        left: 'historical',
+        right: 'below700'
     },
     
     // Animation timing (milliseconds)
     animation: {
         cameraTransition: 1000,
-        waterRiseTime: 5000,
-        landslideTime: 3000,
-        tsunamiTime: 4000
+        waterRiseTime: 5000
+    },
+    
+    // Simulation clock every animation runs on
+    clock: {
+        step: 1 / 60,         // s, the clock advances in steps of this length
+        maxFrame: 0.1,        // s, most real time taken from one frame, so a hidden tab does not jump ahead
+        maxSteps: 40,         // Most steps run in one frame; fast playback slows down rather than stalls
+        minRate: 0.1,         // Slowest playback rate
+        maxRate: 10,          // Fastest playback rate
+        seekBudget: 12,       // ms of each frame a seek may spend replaying steps
+        seed: 1963            // Seed of the random choices in the disaster sequence
+    },
+    
+    // Scripts the disaster sequence is played from
+    sequences: {
+        dataUrl: 'assets/data/sequences.json',
+        defaultId: 'vajont-1963',
+        fillRate: 20,         // Water levels (0-100) per second of clock time when a step gives no rate
+        captionDuration: 4,   // s a caption stays up when a step gives no duration
+        waitTimeout: 8        // s a wait for a condition lasts when a step gives no timeout
+    },
+    
+    // Guided tour of the history in chapters
+    story: {
+        dataUrl: 'assets/data/story.json',
+        chapterDuration: 12,  // s of clock time a chapter stays up in autoplay when it gives none
+        keyframeDuration: 3   // s a camera keyframe takes to reach when it gives no duration
+    },
+    
+    // Recorded camera paths played back along a Catmull-Rom spline
+    cameraPath: {
+        keyframeDuration: 3,   // s a recorded keyframe takes to reach from the one before
+        easing: 'linear',      // Easing along a segment when a keyframe gives none
+        samplesPerSegment: 24, // Points drawn along each segment of the preview
+        pathColor: 0xF5B041,   // Preview of the camera positions
+        targetColor: 0x5DADE2  // Preview of the points the camera looks at
+    },
+    
+    // Historical clock behind the disaster timeline; each script gives its own dates
+    timeline: {
+        timeZone: 'Europe/Rome',
+        floodDistance: 1800,  // m from the dam down the gorge to Longarone
+        floodSpeed: 25        // m/s, front of the flood leaving the gorge
     },
     
     // Camera positions for different views
@@ -76,14 +297,37 @@ const CONFIG = {
         }
     },
     
-    // Stability thresholds for UI indicator
+    // Factor-of-safety thresholds for UI indicator (status applies at or below each value)
     stability: {
-        critical: 80,  // Critical - Imminent Failure
-        veryLow: 65,   // Very Low - Dangerously Unstable
-        low: 50,       // Low - Significant Risk
-        moderate: 35,  // Moderate - Caution
-        good: 20       // Good - Minor Stress
-        // Below good: Excellent - Stable
+        critical: 1.0,  // Critical - Imminent Failure
+        veryLow: 1.05,  // Very Low - Dangerously Unstable
+        low: 1.12,      // Low - Significant Risk
+        moderate: 1.2,  // Moderate - Caution
+        good: 1.28      // Good - Minor Stress
+        // Above good: Excellent - Stable
+    },
+    
+    // Monte Carlo analysis of the factor of safety
+    monteCarlo: {
+        samples: 500,                 // Parameter sets drawn per run
+        maxSamples: 20000,
+        levelStep: 5,                 // Slider levels between points of the probability curve
+        seed: 1963,                   // Random seed, so a run can be repeated
+        tornadoPercentiles: [10, 90], // Low and high values each parameter is swung to
+        progressInterval: 50,         // Samples between progress reports from the worker
+        wallFrictionAngle: 39,        // degrees, rock either side of the clay, without a stratigraphy
+        asperityHeight: 2,            // m, roughness of the bedding; thinner clay lets the rock walls touch
+        // Distributions of the uncertain inputs, in the units of CONFIG.geology;
+        // a null mean or mode stands for the current value of the parameter.
+        // The pore-pressure ratio ru, from rainfall perched in the slide mass,
+        // is sampled here only and is zero in the deterministic analysis
+        distributions: {
+            frictionAngle: { type: 'normal', mean: null, sd: 3 },
+            cohesion: { type: 'lognormal', mean: null, sd: 30 },
+            clayLayerThickness: { type: 'uniform', min: 0.5, max: 6 },
+            clayLayerAngle: { type: 'normal', mean: null, sd: 2 },
+            poreRatio: { type: 'triangular', min: 0, mode: 0.05, max: 0.3 }
+        }
     }
 };
 
@@ -12,11 +12,17 @@ export default class CameraController {
      * Initialize the camera controller
      * @param {THREE.Camera} camera - The camera to control
      * @param {THREE.Renderer} renderer - The renderer (for orbit controls)
+     * @param {ClockModel} clock - Simulation clock the transitions run on
      */
-    constructor(camera, renderer) {
+    constructor(camera, renderer, clock) {
         this.camera = camera;
         this.controls = null;
         this.renderer = renderer;
+        this.clock = clock;
+        this.stopTransition = null;
+        this.activePath = null;   // Camera path being flown, if any
+        this.heightfield = null;
+        this.groundClearance = 5; // Minimum camera height above the ground
         this.cameraPositions = this._initializeCameraPositions();
         
         this._setupControls();
@@ -156,27 +162,31 @@ export default class CameraController {
     
     /**
      * Set camera to specific position
-     * @param {string} position - Position name
+     * The transition runs on the simulation clock; starting another one or
+     * rewinding the clock stops it where it is
+     * @param {string|Object} position - Position name, or an object with position and target vectors
      * @param {Function} callback - Optional callback after animation
+     * @param {number} duration - Length of the transition (ms)
      */
-    setCamera(position, callback) {
-        if (!this.camera || !this.controls || !this.cameraPositions[position]) return;
+    setCamera(position, callback, duration = CONFIG.animation.cameraTransition) {
+        const view = typeof position === 'string' ? this.cameraPositions[position] : position;
+        if (!this.camera || !this.controls || !view) return;
+        
+        this.cancelTransition();
         
         // Get target position and look-at point
-        const endPos = this.cameraPositions[position].position.clone();
-        const endTarget = this.cameraPositions[position].target.clone();
+        const endPos = view.position.clone();
+        const endTarget = view.target.clone();
         
         // Store current camera position and controls target
         const startPos = this.camera.position.clone();
         const startTarget = this.controls.target.clone();
         
         // Animate the transition
-        const duration = CONFIG.animation.cameraTransition;
-        const startTime = Date.now();
+        let elapsed = 0;
         
         const animateCamera = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
             
             // Ease function for smoother motion
             const eased = easeInOutCubic(progress);
@@ -188,40 +198,127 @@ export default class CameraController {
             this.controls.target.lerpVectors(startTarget, endTarget, eased);
             this.controls.update();
             
-            if (progress < 1) {
-                requestAnimationFrame(animateCamera);
-            } else if (callback) {
-                callback(); // Execute callback when animation completes
+            if (progress >= 1) {
+                this.cancelTransition();
+                if (callback) {
+                    callback(); // Execute callback when animation completes
+                }
             }
         };
         
-        animateCamera();
+        this.stopTransition = this.clock.subscribe(step => {
+            elapsed += step * 1000;
+            animateCamera();
+        }, () => this.cancelTransition());
+    }
+    
+    /**
+     * Move the camera through a path of keyframes, one transition after another
+     * Stopped like a single transition by starting another or rewinding the clock
+     * @param {Array<Object>} keyframes - Each with a view name, or position and target vectors, and a duration (ms)
+     * @param {Function} callback - Optional callback once the last keyframe is reached
+     */
+    followPath(keyframes, callback) {
+        const moveTo = (index) => {
+            if (index >= keyframes.length) {
+                if (callback) callback();
+                return;
+            }
+            
+            const keyframe = keyframes[index];
+            this.setCamera(keyframe.view || keyframe, () => moveTo(index + 1), keyframe.duration);
+        };
+        
+        moveTo(0);
+    }
+    
+    /**
+     * Fly the camera along a spline through the keyframes of a camera path
+     * The camera first flies to the start of the path, then position and
+     * target follow the path on the simulation clock, so pausing or stepping
+     * the clock pauses or steps the flight. Stopped like a single transition
+     * @param {CameraPathModel} path - Path to fly
+     * @param {Function} callback - Optional callback once the end of the path is reached
+     */
+    playPath(path, callback) {
+        if (!this.camera || !this.controls || path.keyframes.length === 0) return;
+        
+        const first = path.keyframes[0];
+        const duration = path.getDuration();
+        
+        this.setCamera(first, () => {
+            this.activePath = path;
+            let elapsed = 0;
+            
+            const moveCamera = () => {
+                path.sample(elapsed, this.camera.position, this.controls.target);
+                this.controls.update();
+                
+                if (elapsed >= duration) {
+                    this.cancelTransition();
+                    if (callback) {
+                        callback();
+                    }
+                }
+            };
+            
+            this.stopTransition = this.clock.subscribe(step => {
+                elapsed += step;
+                moveCamera();
+            }, () => this.cancelTransition());
+        }, first.duration * 1000);
+        this.activePath = path;
+    }
+    
+    /**
+     * Where the camera is and the point it looks at
+     * @returns {Object} Copies of the position and target vectors
+     */
+    getView() {
+        return {
+            position: this.camera.position.clone(),
+            target: this.controls.target.clone()
+        };
+    }
+    
+    /**
+     * Stop a camera transition where it is
+     */
+    cancelTransition() {
+        this.activePath = null;
+        if (this.stopTransition) {
+            this.stopTransition();
+            this.stopTransition = null;
+        }
     }
     
     /**
      * Setup keyboard shortcuts for camera control
      */
     setupKeyboardShortcuts() {
+        // Number keys pick a view, except while typing in a field
         document.addEventListener('keydown', (event) => {
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            
             switch (event.key) {
                 case '1':
                     // Aerial view
                     this.setActiveView('aerial');
                     this.setCamera('aerial');
                     break;
-                    
+                
                 case '2':
                     // Dam view
                     this.setActiveView('dam');
                     this.setCamera('dam');
                     break;
-                    
+                
                 case '3':
                     // Slope view
                     this.setActiveView('slope');
                     this.setCamera('slope');
                     break;
-                    
+                
                 case '4':
                     // Geology view
                     this.setActiveView('geology');
@@ -238,6 +335,54 @@ export default class CameraController {
         if (this.controls) {
             this.controls.update();
         }
+        
+        this._keepAboveGround();
+    }
+    
+    /**
+     * Set the ground surface used for collision and picking
+     * @param {HeightfieldModel} heightfield - Terrain heightfield
+     */
+    setHeightfield(heightfield) {
+        this.heightfield = heightfield;
+    }
+    
+    /**
+     * Find the point on the ground under a screen position
+     * @param {number} clientX - Pointer x in client pixels
+     * @param {number} clientY - Pointer y in client pixels
+     * @returns {THREE.Vector3|null} Ground point, or null if the ray misses
+     */
+    pickGround(clientX, clientY) {
+        if (!this.heightfield) return null;
+        
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const hit = this.heightfield.raycast(raycaster.ray.origin, raycaster.ray.direction);
+        return hit ? hit.point : null;
+    }
+    
+    /**
+     * Push the camera up if it has sunk into the terrain
+     * @private
+     */
+    _keepAboveGround() {
+        if (!this.heightfield) return;
+        
+        const position = this.camera.position;
+        const minimumY = this.heightfield.getHeightAt(position.x, position.z) + this.groundClearance;
+        
+        if (position.y < minimumY) {
+            position.y = minimumY;
+            this.camera.lookAt(this.controls.target);
+        }
     }
     
     /**
@@ -0,0 +1,310 @@
+import { downloadFile } from '../utils/FileUtils.js';
+import CameraPathModel from '../models/CameraPathModel.js';
+
+// Smallest camera move (scene units) recorded as a new keyframe while orbiting
+const MIN_RECORD_DISTANCE = 1;
+
+/**
+ * CameraPathController - Recording, editing and playback of camera paths
+ * Keyframes are added from the current view, by hand or each time an orbit
+ * ends while recording. Their timing and easing are edited in the panel, the
+ * path is previewed as a spline in the scene and flown on the simulation
+ * clock, and paths are saved and loaded as JSON
+ */
+export default class CameraPathController {
+    /**
+     * Initialize the camera path controller
+     * @param {THREE.Scene} scene - The scene the preview is drawn in
+     * @param {Object} models - Object containing model instances
+     * @param {Object} controllers - Object containing controller instances
+     * @param {CameraPathView} view - Panel the path is edited in
+     */
+    constructor(scene, models, controllers, view) {
+        this.models = models;
+        this.controllers = controllers;
+        this.view = view;
+        
+        this.visible = false;
+        this.recording = false;
+        this.playing = false;
+        this.previewVisible = true;
+        
+        this.models.cameraPath.createPreview(scene);
+        
+        this.view.setEasings(CameraPathModel.getEasings());
+        this.view.registerHandlers({
+            add: () => this.addKeyframe(),
+            record: () => this.setRecording(!this.recording),
+            play: () => (this.playing ? this.stop() : this.play()),
+            preview: () => this.setPreviewVisible(!this.previewVisible),
+            clear: () => this.clear(),
+            save: () => this.save(),
+            load: file => this.load(file),
+            duration: (index, seconds) => this.setDuration(index, seconds),
+            easing: (index, easing) => this.setEasing(index, easing),
+            view: index => this.showKeyframe(index),
+            remove: index => this.removeKeyframe(index)
+        });
+        this.view.setKeyframes(this.models.cameraPath.keyframes);
+        this.view.setPreviewVisible(this.previewVisible);
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.toggle = document.getElementById('toggle-camera-path');
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => {
+                this.setVisible(this.toggle.classList.toggle('on'));
+            });
+        }
+        
+        // While recording, each orbit adds the view it ends at
+        this.controllers.camera.controls.addEventListener('end', () => {
+            if (this.recording && !this.playing) {
+                this.addKeyframe(true);
+            }
+        });
+    }
+    
+    /**
+     * Show or hide the camera path panel and its preview
+     * Recording stops when the panel is closed
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.view.setVisible(visible);
+        if (this.toggle) this.toggle.classList.toggle('on', visible);
+        
+        if (!visible) {
+            this.setRecording(false);
+        }
+        this._updatePreview();
+    }
+    
+    /**
+     * Add the current view as a keyframe at the end of the path
+     * @param {boolean} skipUnmoved - Skip it if the camera has not moved from the last keyframe
+     */
+    addKeyframe(skipUnmoved = false) {
+        const path = this.models.cameraPath;
+        const view = this.controllers.camera.getView();
+        const last = path.keyframes[path.keyframes.length - 1];
+        
+        if (skipUnmoved && last &&
+            last.position.distanceTo(view.position) < MIN_RECORD_DISTANCE &&
+            last.target.distanceTo(view.target) < MIN_RECORD_DISTANCE) {
+            return;
+        }
+        
+        const index = path.add(view.position, view.target);
+        this.view.setKeyframes(path.keyframes);
+        this.view.showStatus(`Added keyframe ${index + 1}`);
+    }
+    
+    /**
+     * Turn recording of keyframes while orbiting on or off
+     * Turning it on adds the current view as the first keyframe of an empty path
+     * @param {boolean} recording - Whether each orbit adds a keyframe
+     */
+    setRecording(recording) {
+        if (recording === this.recording) return;
+        
+        this.recording = recording;
+        this.view.setRecording(recording);
+        
+        if (recording) {
+            if (this.playing) this.stop();
+            if (this.models.cameraPath.keyframes.length === 0) {
+                this.addKeyframe();
+            }
+            this.view.showStatus('Recording: orbit to each view in turn');
+        } else {
+            this.view.showStatus('');
+        }
+    }
+    
+    /**
+     * Fly the camera along the path
+     */
+    play() {
+        const path = this.models.cameraPath;
+        if (path.keyframes.length === 0) {
+            this.view.showStatus('Add keyframes before playing the path', true);
+            return;
+        }
+        
+        this.setRecording(false);
+        this.controllers.camera.setActiveView(null);
+        this.controllers.camera.playPath(path, () => this._setPlaying(false));
+        this._setPlaying(true);
+        this.view.showStatus(`Playing ${(path.keyframes[0].duration + path.getDuration()).toFixed(1)} s path`);
+    }
+    
+    /**
+     * Stop the camera where it is on the path
+     */
+    stop() {
+        if (!this.playing) return;
+        
+        this.controllers.camera.cancelTransition();
+        this._setPlaying(false);
+    }
+    
+    /**
+     * Notice a flight along the path that another camera move has cut short
+     * Called every frame
+     */
+    update() {
+        if (this.playing && this.controllers.camera.activePath !== this.models.cameraPath) {
+            this._setPlaying(false);
+        }
+    }
+    
+    /**
+     * Show or hide the path drawn in the scene
+     * @param {boolean} visible - Whether the preview is shown while the panel is open
+     */
+    setPreviewVisible(visible) {
+        this.previewVisible = visible;
+        this.view.setPreviewVisible(visible);
+        this._updatePreview();
+    }
+    
+    /**
+     * Move the camera to a keyframe
+     * @param {number} index - Keyframe to show
+     */
+    showKeyframe(index) {
+        const keyframe = this.models.cameraPath.keyframes[index];
+        if (!keyframe) return;
+        
+        this.stop();
+        this.controllers.camera.setActiveView(null);
+        this.controllers.camera.setCamera(keyframe);
+    }
+    
+    /**
+     * Remove a keyframe from the path
+     * @param {number} index - Keyframe to remove
+     */
+    removeKeyframe(index) {
+        this.stop();
+        this.models.cameraPath.remove(index);
+        this.view.setKeyframes(this.models.cameraPath.keyframes);
+        this.view.showStatus('');
+    }
+    
+    /**
+     * Remove every keyframe
+     */
+    clear() {
+        this.stop();
+        this.setRecording(false);
+        this.models.cameraPath.clear();
+        this.view.setKeyframes(this.models.cameraPath.keyframes);
+        this.view.showStatus('');
+    }
+    
+    /**
+     * Change the time a keyframe takes to reach
+     * @param {number} index - Keyframe to change
+     * @param {number} seconds - Time to reach it from the keyframe before (s)
+     */
+    setDuration(index, seconds) {
+        this._edit(index, 'duration', () => this.models.cameraPath.setDuration(index, seconds));
+    }
+    
+    /**
+     * Change how a keyframe is eased into
+     * @param {number} index - Keyframe to change
+     * @param {string} easing - Easing name
+     */
+    setEasing(index, easing) {
+        this._edit(index, 'easing', () => this.models.cameraPath.setEasing(index, easing));
+    }
+    
+    /**
+     * Save the path as JSON
+     */
+    save() {
+        const path = this.models.cameraPath;
+        if (path.keyframes.length === 0) {
+            this.view.showStatus('There are no keyframes to save', true);
+            return;
+        }
+        
+        const data = Object.assign({ created: new Date().toISOString() }, path.toJSON());
+        downloadFile('camera-path.json', JSON.stringify(data, null, 2), 'application/json');
+        this.view.showStatus('Saved camera-path.json');
+    }
+    
+    /**
+     * Read a camera path file chosen by the user
+     * @param {File} file - Selected JSON file
+     */
+    async load(file) {
+        this.stop();
+        this.setRecording(false);
+        
+        try {
+            this.models.cameraPath.setData(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Error reading camera path file:', error);
+            this.view.showStatus(error.message, true);
+            return;
+        }
+        
+        this.view.setKeyframes(this.models.cameraPath.keyframes);
+        this.view.showStatus(`Loaded ${this.models.cameraPath.keyframes.length} keyframes from ${file.name}`);
+    }
+    
+    /**
+     * Apply an edit to a keyframe and show whether it was accepted
+     * @param {number} index - Keyframe edited
+     * @param {string} field - 'duration' or 'easing'
+     * @param {Function} edit - Makes the edit; throws if the value is not valid
+     * @private
+     */
+    _edit(index, field, edit) {
+        try {
+            edit();
+        } catch (error) {
+            this.view.markInvalid(index, field, true);
+            this.view.showStatus(error.message, true);
+            return;
+        }
+        
+        // Durations change the times every later keyframe is reached
+        this.view.setKeyframes(this.models.cameraPath.keyframes);
+        this.view.showStatus('');
+    }
+    
+    /**
+     * Record whether the path is playing and show it
+     * The preview is hidden while the camera flies along it
+     * @param {boolean} playing - Whether the camera is flying the path
+     * @private
+     */
+    _setPlaying(playing) {
+        this.playing = playing;
+        this.view.setPlaying(playing);
+        this._updatePreview();
+        
+        if (!playing) {
+            this.view.showStatus('');
+        }
+    }
+    
+    /**
+     * Show the preview when the panel is open, it is turned on and the path is not playing
+     * @private
+     */
+    _updatePreview() {
+        this.models.cameraPath.setPreviewVisible(this.visible && this.previewVisible && !this.playing);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,207 @@
+import CONFIG from '../config.js';
+
+// How long a refused seek is reported in place of the time (ms)
+const NOTICE_DURATION = 3000;
+
+/**
+ * ClockController - Playback controls for the simulation clock
+ * Pauses and resumes the clock, sets the playback rate on a logarithmic
+ * slider, steps a single frame at a time and seeks through the part of a
+ * run that has been played
+ */
+export default class ClockController {
+    /**
+     * Initialize the clock controller
+     * @param {Object} models - Object containing model instances
+     */
+    constructor(models) {
+        this.models = models;
+        this.clock = models.clock;
+        this.dragging = false;
+        this.notice = null;   // Message shown in place of the time, and when it lapses
+        
+        this.setupEventListeners();
+        this.update();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.element = document.getElementById('clock-controls');
+        this.pauseButton = document.getElementById('clock-pause');
+        this.rateInput = document.getElementById('clock-rate');
+        this.rateDisplay = document.getElementById('clock-rate-value');
+        this.seekInput = document.getElementById('clock-seek');
+        this.timeDisplay = document.getElementById('clock-time');
+        
+        if (this.pauseButton) {
+            this.pauseButton.addEventListener('click', () => this.setPaused(!this.clock.paused));
+        }
+        
+        const stepButton = document.getElementById('clock-step');
+        if (stepButton) {
+            stepButton.addEventListener('click', () => this.stepFrame());
+        }
+        
+        // The slider runs over powers of ten so 1× sits in the middle
+        if (this.rateInput) {
+            this.rateInput.min = Math.log10(CONFIG.clock.minRate);
+            this.rateInput.max = Math.log10(CONFIG.clock.maxRate);
+            this.rateInput.value = Math.log10(this.clock.rate);
+            this.rateInput.addEventListener('input', () => {
+                this.setRate(Math.pow(10, Number(this.rateInput.value)));
+            });
+            this.rateInput.addEventListener('dblclick', () => this.setRate(1));
+        }
+        
+        // Replaying is done once the slider is let go
+        if (this.seekInput) {
+            this.seekInput.addEventListener('input', () => {
+                this.dragging = true;
+                this._showTime(Number(this.seekInput.value));
+            });
+            this.seekInput.addEventListener('change', () => {
+                this.dragging = false;
+                this.seek(Number(this.seekInput.value));
+            });
+        }
+        
+        // Keyboard shortcuts, except while typing in a field
+        document.addEventListener('keydown', (event) => {
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            
+            switch (event.key) {
+                case 'k':
+                case 'K':
+                    this.setPaused(!this.clock.paused);
+                    break;
+                
+                case '.':
+                    this.stepFrame();
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Pause or resume the clock
+     * @param {boolean} paused - Whether the clock stops
+     */
+    setPaused(paused) {
+        this.clock.setPaused(paused);
+        this.update();
+    }
+    
+    /**
+     * Set the playback rate
+     * @param {number} rate - Clock seconds per real second
+     */
+    setRate(rate) {
+        // Snap to real time close to the middle of the slider
+        const snapped = Math.abs(Math.log10(rate)) < 0.04 ? 1 : rate;
+        this.clock.setRate(snapped);
+        
+        if (this.rateInput) {
+            this.rateInput.value = Math.log10(this.clock.rate);
+        }
+        this.update();
+    }
+    
+    /**
+     * Pause the clock and take a single step
+     */
+    stepFrame() {
+        this.clock.setPaused(true);
+        this.clock.stepFrame();
+        this.update();
+    }
+    
+    /**
+     * Move the clock to a time in the current run
+     * A seek back outside a run is refused and reported in the clock bar
+     * @param {number} time - Clock time since the run started (s)
+     * @param {Function} callback - Optional, called once the clock reaches the time
+     */
+    seek(time, callback = null) {
+        this.notice = this.clock.seek(time, callback) ? null : {
+            text: 'Only the disaster sequence can be sought back through',
+            until: performance.now() + NOTICE_DURATION
+        };
+        this.update();
+    }
+    
+    /**
+     * Show the state of the clock
+     * Called every frame
+     */
+    update() {
+        const clock = this.clock;
+        
+        if (this.pauseButton) {
+            this.pauseButton.textContent = clock.paused ? 'Resume' : 'Pause';
+            this.pauseButton.classList.toggle('on', clock.paused);
+        }
+        
+        if (this.rateDisplay) {
+            this.rateDisplay.textContent = this._formatRate(clock.rate);
+        }
+        
+        // Only a run started from a known state can be sought through
+        if (this.seekInput) {
+            this.seekInput.disabled = !clock.rewindable;
+            if (!this.dragging) {
+                this.seekInput.max = clock.furthest;
+                this.seekInput.value = clock.time;
+            }
+        }
+        
+        // A long seek replays over several frames; show that it is under way
+        if (this.element) {
+            this.element.classList.toggle('seeking', clock.isSeeking());
+        }
+        
+        if (this.notice && performance.now() >= this.notice.until) {
+            this.notice = null;
+        }
+        if (this.timeDisplay) {
+            this.timeDisplay.classList.toggle('error', this.notice !== null);
+        }
+        
+        if (!this.dragging) {
+            this._showTime(clock.time);
+        }
+    }
+    
+    /**
+     * Show a clock time and how far the run has been played
+     * @param {number} time - Clock time (s)
+     * @private
+     */
+    _showTime(time) {
+        if (!this.timeDisplay) return;
+        
+        if (this.notice) {
+            this.timeDisplay.textContent = this.notice.text;
+            return;
+        }
+        if (this.clock.isSeeking()) {
+            this.timeDisplay.textContent = `Seeking… ${Math.floor(this.clock.getSeekProgress() * 100)}%`;
+            return;
+        }
+        
+        this.timeDisplay.textContent = this.clock.rewindable ?
+            `${time.toFixed(2)} / ${this.clock.furthest.toFixed(2)} s` :
+            `${time.toFixed(2)} s`;
+    }
+    
+    /**
+     * Format a playback rate
+     * @param {number} rate - Clock seconds per real second
+     * @returns {string} Rate such as 0.25× or 2.5×
+     * @private
+     */
+    _formatRate(rate) {
+        return `${rate < 1 ? rate.toFixed(2) : rate.toFixed(1)}×`;
+    }
+}
\ No newline at end of file
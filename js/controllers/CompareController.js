@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import { formatQuantity, onUnitSystemChange } from '../utils/UnitUtils.js';
+
+/**
+ * CompareController - Shows the valley before and after the landslide
+ * Once the disaster sequence has run the scene keeps the valley as it was
+ * left; a comparison slider splits the view so the part left of the divider
+ * is drawn as it was before the event
+ */
+export default class CompareController {
+    /**
+     * Initialize the compare controller
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.WebGLRenderer} renderer - The renderer
+     * @param {Object} models - Object containing model instances, including postEvent
+     * @param {Object} controllers - Object containing controller instances
+     */
+    constructor(scene, renderer, models, controllers) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.models = models;
+        this.controllers = controllers;
+        
+        this.aftermath = false;  // Whether the post-event valley exists
+        this.comparing = false;  // Whether the view is split
+        this.split = 0.5;        // Fraction of the width drawn before the event
+        this.dragging = false;
+        
+        this.setupEventListeners();
+        this._setToggleAvailable(false);
+        onUnitSystemChange(() => this._updateReadout());
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.toggle = document.getElementById('toggle-compare');
+        this.panel = document.getElementById('compare-panel');
+        this.slider = document.getElementById('compare-split');
+        this.divider = document.getElementById('compare-divider');
+        this.readout = document.getElementById('compare-readout');
+        
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.setComparing(!this.comparing));
+        }
+        
+        if (this.slider) {
+            this.slider.addEventListener('input', () => this._setSplit(parseFloat(this.slider.value) / 100));
+        }
+        
+        // Drag the divider across the view
+        if (this.divider) {
+            this.divider.addEventListener('pointerdown', event => {
+                this.dragging = true;
+                this.divider.setPointerCapture(event.pointerId);
+                event.preventDefault();
+            });
+            this.divider.addEventListener('pointermove', event => {
+                if (!this.dragging) return;
+                
+                const bounds = this.renderer.domElement.getBoundingClientRect();
+                this._setSplit((event.clientX - bounds.left) / bounds.width);
+            });
+            this.divider.addEventListener('pointerup', () => {
+                this.dragging = false;
+            });
+        }
+    }
+    
+    /**
+     * Build the valley as the landslide left it and show it
+     * Called when the disaster sequence has finished and the deposit is at rest
+     */
+    showAftermath() {
+        const { terrain, water, geology, debris, postEvent } = this.models;
+        
+        postEvent.build(this.scene, { terrain, water, geology, debris });
+        postEvent.shown = true;
+        this.aftermath = true;
+        
+        this._applyState('after');
+        this._setToggleAvailable(true);
+        this._updateReadout();
+        
+        if (this.controllers.section) {
+            this.controllers.section.refresh();
+        }
+    }
+    
+    /**
+     * Return the scene to the valley before the event
+     */
+    clear() {
+        if (!this.aftermath) return;
+        
+        this.setComparing(false);
+        this._applyState('before');
+        this.models.postEvent.clear(this.scene);
+        this.aftermath = false;
+        this._setToggleAvailable(false);
+    }
+    
+    /**
+     * Split the view into before and after, or show only after
+     * @param {boolean} comparing - Whether to split the view
+     */
+    setComparing(comparing) {
+        this.comparing = comparing && this.aftermath;
+        
+        if (this.toggle) this.toggle.classList.toggle('on', this.comparing);
+        if (this.panel) this.panel.classList.toggle('visible', this.comparing);
+        if (this.divider) this.divider.classList.toggle('visible', this.comparing);
+        
+        this._setSplit(this.split);
+    }
+    
+    /**
+     * Re-flood the post-event valley when the reservoir level changes
+     * Called every frame
+     */
+    update() {
+        if (!this.aftermath) return;
+        
+        const water = this.models.water;
+        if (water.waterMesh && this.models.postEvent.update(water.waterMesh.position.y)) {
+            this._updateReadout();
+        }
+    }
+    
+    /**
+     * Draw the two halves of the split view
+     * The part left of the divider shows the valley before the event
+     * @param {THREE.Camera} camera - Camera to render from
+     */
+    render(camera) {
+        const renderer = this.renderer;
+        const size = renderer.getSize(new THREE.Vector2());
+        const splitX = Math.round(size.x * this.split);
+        
+        renderer.setScissorTest(true);
+        
+        this._applyState('before');
+        renderer.setScissor(0, 0, splitX, size.y);
+        renderer.render(this.scene, camera);
+        
+        // The scene is left in its after state between frames
+        this._applyState('after');
+        renderer.setScissor(splitX, 0, size.x - splitX, size.y);
+        renderer.render(this.scene, camera);
+        
+        renderer.setScissorTest(false);
+    }
+    
+    /**
+     * Show the objects of the valley before or after the event
+     * After the event Mount Toc is part of the merged terrain and the
+     * landslide lies in the gorge as its fragments
+     * @param {string} state - 'before' or 'after'
+     * @private
+     */
+    _applyState(state) {
+        const { terrain, water, geology, debris, postEvent } = this.models;
+        const after = state === 'after';
+        
+        const setVisible = (object, visible) => {
+            if (object) object.visible = visible;
+        };
+        
+        setVisible(terrain.terrain, !after);
+        setVisible(water.waterMesh, !after && !water.waveSurface);
+        setVisible(geology.mountToc, !after);
+        setVisible(geology.landslideBlock, !after);
+        setVisible(debris.group, after);
+        setVisible(postEvent.terrain, after);
+        setVisible(postEvent.waterMesh, after);
+    }
+    
+    /**
+     * Move the divider
+     * @param {number} split - Fraction of the width drawn before the event
+     * @private
+     */
+    _setSplit(split) {
+        this.split = Math.min(Math.max(split, 0), 1);
+        
+        if (this.slider) this.slider.value = Math.round(this.split * 100);
+        if (this.divider) this.divider.style.left = `${this.split * 100}%`;
+    }
+    
+    /**
+     * Offer the before/after toggle only once there is an after
+     * @param {boolean} available - Whether the post-event valley exists
+     * @private
+     */
+    _setToggleAvailable(available) {
+        if (this.toggle) {
+            this.toggle.style.display = available ? '' : 'none';
+        }
+    }
+    
+    /**
+     * List the lakes the reservoir has split into
+     * @private
+     */
+    _updateReadout() {
+        if (!this.readout || !this.aftermath) return;
+        
+        const postEvent = this.models.postEvent;
+        const minArea = CONFIG.postEvent.minLakeArea * 1e6;
+        const lakes = postEvent.lakes.filter(lake => lake.area >= minArea);
+        
+        const upstreamCount = lakes.filter(lake => !lake.atDam).length;
+        let upstreamIndex = 0;
+        
+        const rows = lakes.map(lake => {
+            const name = lake.atDam ?
+                       'Lake at the dam' :
+                       `Upstream lake${upstreamCount > 1 ? ` ${++upstreamIndex}` : ''}`;
+            return `<div>${name}: ${formatQuantity('volume', lake.volume, 1)} · ${formatQuantity('area', lake.area, 2)}</div>`;
+        });
+        
+        const split = lakes.length > 1 ?
+                    `The deposit divides the reservoir into ${lakes.length} lakes` :
+                    'At this level the reservoir passes the deposit';
+        
+        this.readout.innerHTML = `
+            <div>${split}</div>
+            ${rows.join('')}
+            <div>Storage taken by the deposit: ${formatQuantity('volume', postEvent.getStorageLoss(), 1)}</div>
+        `;
+    }
+}
\ No newline at end of file
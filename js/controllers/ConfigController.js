@@ -0,0 +1,116 @@
+import { downloadFile } from '../utils/FileUtils.js';
+
+/**
+ * ConfigController - Live editing of the simulation settings
+ * Validates the edited values, hands accepted ones to the simulation to
+ * apply and rebuild what they affect, and saves or loads them as JSON
+ */
+export default class ConfigController {
+    /**
+     * Initialize the configuration controller
+     * @param {Object} models - Object containing model instances
+     * @param {ConfigPanelView} view - Panel the settings are edited in
+     * @param {Function} applyHandler - Applies valid values; returns the changed sections, throws if it cannot
+     */
+    constructor(models, view, applyHandler) {
+        this.models = models;
+        this.view = view;
+        this.applyHandler = applyHandler;
+        
+        this.view.setSections(this.models.config.getSections());
+        this.view.setValues(this.models.config.getValues());
+        this.view.registerHandlers({
+            apply: values => this.apply(values),
+            reset: () => this.apply(this.models.config.getDefaults()),
+            save: values => this.save(values),
+            load: file => this.load(file)
+        });
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const toggle = document.getElementById('toggle-config');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.setVisible(toggle.classList.toggle('on'));
+            });
+        }
+    }
+    
+    /**
+     * Show or hide the parameter panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        this.view.setVisible(visible);
+        
+        // Loading a stratigraphy or reshaping the slide changes the geology
+        if (visible) {
+            this.view.setValues(this.models.config.getValues());
+            this.view.showStatus('');
+        }
+    }
+    
+    /**
+     * Validate values and apply them
+     * @param {Object} values - Values keyed by section, then by field
+     * @returns {boolean} Whether the values were applied
+     */
+    apply(values) {
+        const errors = this.models.config.validate(values);
+        if (errors.length > 0) {
+            this.view.setValues(values);
+            this.view.showErrors(errors);
+            return false;
+        }
+        
+        try {
+            const changed = this.applyHandler(values);
+            this.view.setValues(this.models.config.getValues());
+            this.view.showStatus(changed.length > 0 ? `Applied ${changed.join(', ')}` : 'Nothing changed');
+            return true;
+        } catch (error) {
+            console.error('Error applying settings:', error);
+            this.view.showStatus(error.message, true);
+            return false;
+        }
+    }
+    
+    /**
+     * Save values as a JSON file
+     * @param {Object} values - Values keyed by section, then by field
+     */
+    save(values) {
+        const errors = this.models.config.validate(values);
+        if (errors.length > 0) {
+            this.view.showErrors(errors);
+            return;
+        }
+        
+        const data = Object.assign({ created: new Date().toISOString() }, this.models.config.toJSON(values));
+        downloadFile('vajont-config.json', JSON.stringify(data, null, 2), 'application/json');
+        this.view.showStatus('Saved vajont-config.json');
+    }
+    
+    /**
+     * Read a configuration file chosen by the user and apply it
+     * @param {File} file - Selected JSON file
+     */
+    async load(file) {
+        let values;
+        
+        try {
+            values = this.models.config.parse(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Error reading configuration file:', error);
+            this.view.showStatus(error.message, true);
+            return;
+        }
+        
+        this.apply(values);
+    }
+}
\ No newline at end of file
@@ -2,20 +2,25 @@ import * as THREE from 'three';
 import CONFIG from '../config.js';
 import {
     easeInOutQuad,
-    easeOutQuad,
-    easeOutCubic,
-    easeInOutBack,
-    delay,
-    createDebrisParticles,
-    updateDebrisParticles,
     updateSplashParticles,
     addCameraShake,
     cleanupAnimationObjects
 } from '../utils/AnimationUtils.js';
+import {
+    metresToScene,
+    sceneToMetres,
+    levelToElevation,
+    formatQuantity,
+    formatElevation
+} from '../utils/UnitUtils.js';
+import { createRandom } from '../utils/MathUtils.js';
 
 /**
  * DisasterController - Manages the disaster sequence animation
- * Handles the complete disaster animation sequence
+ * Plays a sequence script from SequenceModel: its steps are started in turn
+ * and stepped by the simulation clock, each holding the ones after it until
+ * it is done unless it runs in the background, so any moment of a run can
+ * be sought and replayed
  */
 export default class DisasterController {
     /**
@@ -32,6 +37,22 @@ export default class DisasterController {
         this.uiElements = uiElements;
         
         this.animating = false;
+        this.slideResult = null;
+        this.slideImpactPosition = null;
+        
+        this.selectedId = CONFIG.sequences.defaultId;
+        this.script = null;           // Script of the current run
+        this.sequence = null;         // Steps running and clock time of the current run
+        this.slide = null;            // Runout being played by a slide step
+        this.wave = null;             // Wave being played by a wave step
+        this.random = null;           // Seeded random choices of the current run
+        this.startView = null;        // Camera the run started from
+        this.stopSequence = null;
+        this.finishSequence = null;
+        this.summary = null;
+        this.timeline = null;         // When each event of the current run happens
+        this.disabledButtons = [];    // Buttons disabled for the run, to enable again after it
+        
         this.setupEventListeners();
     }
     
@@ -51,15 +72,37 @@ export default class DisasterController {
             resetButton.addEventListener('click', () => this.resetSimulation());
         }
         
-        // Keyboard shortcuts
+        // Sequence to play
+        this.sequenceSelect = document.getElementById('sequence-select');
+        if (this.sequenceSelect) {
+            this.sequenceSelect.addEventListener('change', () => {
+                this.selectedId = this.sequenceSelect.value;
+                const script = this.getSelectedSequence();
+                this._showStatus(script ? script.description : '');
+            });
+        }
+        
+        const sequenceFile = document.getElementById('sequence-file');
+        if (sequenceFile) {
+            sequenceFile.addEventListener('change', () => {
+                if (sequenceFile.files.length > 0) {
+                    this._onSequenceFile(sequenceFile.files[0]);
+                }
+                sequenceFile.value = ''; // allow the same file to be loaded again
+            });
+        }
+        
+        // Keyboard shortcuts, except while typing in a field
         document.addEventListener('keydown', (event) => {
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            
             switch (event.key) {
                 case 'r':
                 case 'R':
                     // Reset simulation
                     this.resetSimulation();
                     break;
-                    
+                
                 case 'p':
                 case 'P':
                 case ' ': // Space bar
@@ -70,77 +113,173 @@ export default class DisasterController {
         });
     }
     
+    /**
+     * Load the sequence scripts and list them to choose from
+     * A file that cannot be loaded is reported rather than thrown
+     * @returns {Promise} Promise that resolves once the scripts are listed
+     */
+    async loadSequences() {
+        try {
+            await this.models.sequences.load();
+            this._listSequences();
+        } catch (error) {
+            console.error('Error loading sequences:', error);
+            this._showStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Get the script chosen to play
+     * @returns {Object|null} Script from SequenceModel, or null if none is loaded
+     */
+    getSelectedSequence() {
+        return this.models.sequences.getSequence(this.selectedId);
+    }
+    
     /**
      * Play the complete disaster sequence
+     * Every run starts from the same state with the same random choices and
+     * is a function of clock time, so seeking the clock back replays it exactly
+     * @param {string} id - Id of the script to play; defaults to the one chosen
+     * @returns {Promise} Promise that resolves when the sequence finishes or is reset
      */
-    async playDisasterSequence() {
-        if (this.animating) return;
+    async playDisasterSequence(id = this.selectedId) {
+        if (this.animating || (this.controllers.history && this.controllers.history.playing)) return;
+        
+        const script = this.models.sequences.getSequence(id);
+        if (!script) {
+            this._showStatus(`No sequence "${id}" to play`, true);
+            return;
+        }
+        
+        // The sequence plays on the scene's own reservoir and slope
+        if (this.controllers.scenario) {
+            this.controllers.scenario.setActive(false);
+        }
+        
+        // Start from the reservoir at rest, clearing the deposit of a previous run
+        this.releaseSequence();
+        this.closeSummary();
+        this.script = script;
+        this._restoreStartState(script.startLevel);
+        this.timeline = this._planTimeline(script);
+        
         this.animating = true;
         
         // Disable UI controls during animation
         this._disableControls();
+        this._showTimeline();
         
-        // Show timeline
-        const timeline = document.getElementById('timeline');
-        const timelineProgress = document.getElementById('timeline-progress');
-        if (timeline) {
-            timeline.style.display = 'block';
-            timelineProgress.style.width = '0%';
+        // Remember the view the run starts from for replays
+        const camera = this.controllers.camera;
+        this.startView = {
+            position: camera.camera.position.clone(),
+            target: camera.controls.target.clone()
+        };
+        
+        const clock = this.models.clock;
+        clock.restart();
+        
+        await new Promise((resolve) => {
+            this.finishSequence = resolve;
+            this.stopSequence = clock.subscribe(
+                (step, time) => this._advanceSequence(time),
+                () => this._rewindSequence()
+            );
+            this._startSequence();
+        });
+    }
+    
+    /**
+     * Stop stepping the sequence; the clock can no longer seek back through it
+     * Whatever the sequence left in the scene stays until the simulation is reset
+     */
+    releaseSequence() {
+        if (this.stopSequence) {
+            this.stopSequence();
+            this.stopSequence = null;
+            this.models.clock.release();
         }
         
-        try {
-            // 1. Move to slope view
-            await this._animateCameraToMountToc();
-            
-            // 2. Gradually raise water level
-            await this._animateWaterLevel(30, 85, timelineProgress);
-            
-            // Wait a moment at critical level
-            await delay(1000);
-            if (!this.animating) return;
-            
-            // 3. Trigger landslide
-            await this._animateLandslide(timelineProgress);
-            
-            // 4. Create tsunami wave
-            await this._animateTsunami(timelineProgress);
-            
-            // 5. Show disaster summary after a delay
-            await delay(1000);
-            if (this.animating) {
-                this._showDisasterSummary();
-            }
-        } catch (error) {
-            console.error("Animation error:", error);
-        } finally {
-            if (!this.animating) {
-                // If animation was interrupted, reset
-                this.resetSimulation();
-            }
-            
-            // Re-enable UI controls
-            this._enableControls();
+        if (this.finishSequence) {
+            this.finishSequence();
+            this.finishSequence = null;
         }
+        
+        this.sequence = null;
+        this.timeline = null;
+    }
+    
+    /**
+     * Get when the events of the current run happen
+     * Times not yet reached may be estimates; they are corrected as the run plays
+     * @returns {Object|null} Duration of the run (s), clock time of release (s), the
+     *          script's historical clock and markers with id, label, description,
+     *          time (s) and whether it is estimated
+     */
+    getTimeline() {
+        return this.timeline;
     }
     
     /**
      * Reset the simulation to initial state
+     * @param {number} level - Water level (0-100) to rest at; defaults to the level the page opened with
      */
-    resetSimulation() {
+    resetSimulation(level = null) {
         // Stop any ongoing animation
         this.animating = false;
+        this.releaseSequence();
+        
+        // Back to the level the page opened with
+        const slider = this.uiElements.waterLevelSlider;
+        if (level === null) {
+            level = slider && slider.defaultValue ? Number(slider.defaultValue) : 30;
+        }
+        this._restoreStartState(level);
         
+        // Hide timeline
+        const timeline = document.getElementById('timeline');
+        if (timeline) {
+            timeline.style.display = 'none';
+        }
+        
+        // Reset camera to aerial view
+        this.controllers.camera.setActiveView('aerial');
+        this.controllers.camera.setCamera('aerial');
+        
+        // Re-enable controls
+        this._enableControls();
+    }
+    
+    /**
+     * Put the reservoir, slope and landslide back as they were before the event
+     * @param {number} level - Water level (0-100) the slope is at rest with
+     * @private
+     */
+    _restoreStartState(level) {
         // Reset water level slider
         if (this.uiElements.waterLevelSlider) {
-            this.uiElements.waterLevelSlider.value = 30;
-            this.models.water.updateWaterLevel(30);
-            this._updateStabilityStatus(30);
-            this.models.geology.updateSaturationZone(30);
+            this.uiElements.waterLevelSlider.value = level;
+            this.models.water.updateWaterLevel(level);
         }
         
-        // Reset landslide block position and rotation
+        // Let the slope drain back to equilibrium with the reset reservoir
+        this.models.groundwater.reset(this.models.stability.getWaterHead(level));
+        this.models.creep.reset();
+        this.slideResult = null;
+        this.slideImpactPosition = null;
+        this.slide = null;
+        this.wave = null;
+        this._hideCaption();
+        
+        // Remove the deposit and put the landslide block back in its position and rotation
+        if (this.controllers.compare) {
+            this.controllers.compare.clear();
+        }
+        this.models.debris.clear(this.scene);
         if (this.models.geology.landslideBlock) {
             this.models.geology.landslideBlock.visible = true;
+            this.models.geology.landslideBlock.userData.released = false;
             
             // Restore original position if saved
             if (this.models.geology.landslideBlock.userData.originalPosition) {
@@ -157,270 +296,700 @@ export default class DisasterController {
             }
         }
         
-        // Reset clay layer
-        if (this.models.geology.clayLayer) {
-            this.models.geology.updateClayLayer(30);
+        // Clean up animation objects
+        this.models.water.removeWaveSurface();
+        cleanupAnimationObjects(this.scene);
+    }
+    
+    /**
+     * Begin the sequence at clock time zero
+     * @private
+     */
+    _startSequence() {
+        this.random = createRandom(CONFIG.clock.seed);
+        this.sequence = {
+            time: 0,
+            index: 0,           // Next step to start
+            runs: [],           // Steps started and not yet done
+            marked: new Set(),  // Events that have happened in this pass
+            criticalLevel: this.models.stability.getCriticalWaterLevel(),
+            caption: null,      // Run of the caption on screen
+            finished: false
+        };
+        this._startSteps();
+    }
+    
+    /**
+     * Put the scene back as the run started, for the clock to replay it
+     * @private
+     */
+    _rewindSequence() {
+        this.closeSummary();
+        this._restoreStartState(this.script.startLevel);
+        
+        const camera = this.controllers.camera;
+        camera.camera.position.copy(this.startView.position);
+        camera.controls.target.copy(this.startView.target);
+        camera.controls.update();
+        
+        if (!this.animating) {
+            this.animating = true;
+            this._disableControls();
         }
+        this._showTimeline();
+        this._startSequence();
+    }
+    
+    /**
+     * Bring the sequence to a clock time
+     * Called for every step of the clock
+     * @param {number} time - Clock time since the run started (s)
+     * @private
+     */
+    _advanceSequence(time) {
+        const sequence = this.sequence;
+        if (!sequence || sequence.finished) return;
         
-        // Hide timeline
+        sequence.time = time;
+        
+        try {
+            sequence.runs = sequence.runs.filter(run => !this._advanceStep(run, time - run.start));
+            this._startSteps();
+        } catch (error) {
+            console.error("Animation error:", error);
+            this.resetSimulation();
+        }
+    }
+    
+    /**
+     * Start the next steps of the script while none is holding the sequence
+     * The sequence finishes once every step has run
+     * @private
+     */
+    _startSteps() {
+        const sequence = this.sequence;
+        const steps = this.script.steps;
+        
+        while (sequence.index < steps.length && !sequence.runs.some(run => !run.step.background)) {
+            const index = sequence.index++;
+            const run = { step: steps[index], start: sequence.time };
+            
+            this._markEvent(`step-${index}`);
+            if (!this._startStep(run)) {
+                sequence.runs.push(run);
+            }
+        }
+        
+        if (sequence.index >= steps.length && sequence.runs.length === 0) {
+            this._finishSequence();
+        }
+    }
+    
+    /**
+     * Start a step at the current clock time
+     * @param {Object} run - Step and the clock time it started
+     * @returns {boolean} Whether the step is already done
+     * @private
+     */
+    _startStep(run) {
+        const step = run.step;
+        
+        switch (step.type) {
+            case 'camera': {
+                const camera = this.controllers.camera;
+                if (step.view) {
+                    camera.setActiveView(step.view);
+                    camera.setCamera(step.view, null, step.duration * 1000);
+                } else {
+                    camera.setCamera({
+                        position: new THREE.Vector3(...step.position),
+                        target: new THREE.Vector3(...step.target)
+                    }, null, step.duration * 1000);
+                }
+                return step.duration <= 0;
+            }
+            
+            case 'waterLevel':
+                run.from = this.models.water.currentLevel;
+                run.to = this._resolveLevel(step);
+                run.duration = this._getLevelDuration(step, run.from, run.to);
+                return this._stepWaterLevel(run, 0);
+            
+            case 'slide':
+                return this._startLandslide(run);
+            
+            case 'wave':
+                this._startTsunami(run);
+                return false;
+            
+            case 'caption':
+                this._showCaption(step.text);
+                this.sequence.caption = run;
+                return false;
+            
+            case 'sound':
+                // Not while a seek replays the sequence
+                if (!this.models.clock.replaying) {
+                    this._playSound(step.src, step.volume);
+                }
+                return true;
+            
+            case 'settle':
+                run.debrisTime = 0;
+                return this._stepSettle(run, 0);
+            
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Bring a running step to a clock time
+     * @param {Object} run - Step and the clock time it started
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {boolean} Whether the step is done
+     * @private
+     */
+    _advanceStep(run, elapsed) {
+        const step = run.step;
+        
+        switch (step.type) {
+            case 'camera':
+                return elapsed >= step.duration;
+            
+            case 'waterLevel':
+                return this._stepWaterLevel(run, elapsed);
+            
+            case 'slide':
+                return this._stepLandslide(elapsed);
+            
+            case 'wave':
+                return this._stepTsunami(elapsed);
+            
+            case 'caption':
+                if (elapsed < step.duration) return false;
+                if (this.sequence.caption === run) {
+                    this._hideCaption();
+                    this.sequence.caption = null;
+                }
+                return true;
+            
+            case 'wait':
+                return this._stepWait(run, elapsed);
+            
+            case 'settle':
+                return this._stepSettle(run, elapsed);
+            
+            default:
+                return true;
+        }
+    }
+    
+    /**
+     * End the run once its last step is done
+     * @private
+     */
+    _finishSequence() {
+        this.sequence.finished = true;
+        
+        // A wave that stayed below the crest never reached the valley
+        this._dropOvertopping();
+        
+        if (this.script.summary) {
+            this._showDisasterSummary();
+        } else {
+            this.animating = false;
+        }
+        this._enableControls();
+        
+        if (this.finishSequence) {
+            this.finishSequence();
+            this.finishSequence = null;
+        }
+    }
+    
+    /**
+     * Show the timeline from its start
+     * @private
+     */
+    _showTimeline() {
         const timeline = document.getElementById('timeline');
+        const timelineDate = document.getElementById('timeline-date');
         if (timeline) {
-            timeline.style.display = 'none';
+            timeline.style.display = 'block';
         }
+        if (timelineDate) {
+            timelineDate.textContent = '';
+        }
+    }
+    
+    /**
+     * Move the water level towards the level of a step
+     * @param {Object} run - Water-level step with the levels it runs between
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {boolean} Whether the level has been reached
+     * @private
+     */
+    _stepWaterLevel(run, elapsed) {
+        const state = this._getRampLevel(run, elapsed);
         
-        // Reset camera to aerial view
-        this.controllers.camera.setActiveView('aerial');
-        this.controllers.camera.setCamera('aerial');
+        // Update water level
+        if (this.uiElements.waterLevelSlider) {
+            this.uiElements.waterLevelSlider.value = state.level;
+            this.models.water.updateWaterLevel(state.level);
+        }
         
-        // Clean up animation objects
-        cleanupAnimationObjects(this.scene);
+        const criticalLevel = this.sequence.criticalLevel;
+        if (criticalLevel !== null && run.to > run.from && state.level >= criticalLevel) {
+            this._markEvent('critical');
+        }
         
-        // Re-enable controls
-        this._enableControls();
+        return state.progress >= 1;
     }
     
     /**
-     * Animate camera to Mount Toc view
-     * @returns {Promise} Promise that resolves when animation completes
+     * Water level part way through a water-level step
+     * @param {Object} run - Levels the step runs between and its duration (s)
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {Object} Water level and share of the change done (0-1)
      * @private
      */
-    async _animateCameraToMountToc() {
-        return new Promise((resolve) => {
-            this.controllers.camera.setActiveView('slope');
-            this.controllers.camera.setCamera('slope', resolve);
-        });
+    _getRampLevel(run, elapsed) {
+        const progress = run.duration > 0 ? Math.min(elapsed / run.duration, 1) : 1;
+        
+        // Calculate current level with easing
+        const easedProgress = easeInOutQuad(progress);
+        
+        return {
+            level: run.from + (run.to - run.from) * easedProgress,
+            progress: progress
+        };
+    }
+    
+    /**
+     * Water level a water-level step goes to
+     * @param {Object} step - Water-level step
+     * @returns {number} Water level (0-100)
+     * @private
+     */
+    _resolveLevel(step) {
+        let level = step.level;
+        
+        if (level === 'failure') {
+            level = this._getFailureWaterLevel();
+        } else if (level === 'critical') {
+            // A slope that never fails has its critical level above the top
+            const criticalLevel = this.models.stability.getCriticalWaterLevel();
+            level = criticalLevel === null ? 100 : criticalLevel;
+        }
+        
+        return Math.min(Math.max(level + step.offset, 0), 100);
+    }
+    
+    /**
+     * Clock time a water-level step takes
+     * @param {Object} step - Water-level step
+     * @param {number} from - Water level (0-100) it starts from
+     * @param {number} to - Water level (0-100) it goes to
+     * @returns {number} Duration (s)
+     * @private
+     */
+    _getLevelDuration(step, from, to) {
+        return step.duration !== null ? step.duration : Math.abs(to - from) / step.rate;
     }
     
     /**
-     * Animate water level change
-     * @param {number} startLevel - Starting water level (0-100)
-     * @param {number} endLevel - Ending water level (0-100)
-     * @param {HTMLElement} timelineProgress - Timeline progress element
-     * @returns {Promise} Promise that resolves when animation completes
+     * Hold the sequence until a condition is met or the wait is over
+     * @param {Object} run - Wait step and the clock time it started
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {boolean} Whether the wait is over
      * @private
      */
-    async _animateWaterLevel(startLevel, endLevel, timelineProgress) {
-        return new Promise((resolve) => {
-            const duration = Math.abs(endLevel - startLevel) * 50; // 50ms per level unit
-            const startTime = Date.now();
+    _stepWait(run, elapsed) {
+        const step = run.step;
+        if (elapsed >= step.duration) return true;
+        
+        switch (step.until) {
+            case 'failure': {
+                // The transient factor of safety reaches failure
+                const stability = this.models.stability.calculate(
+                    this.models.water.currentLevel,
+                    this.models.groundwater
+                );
+                return stability.factorOfSafety <= CONFIG.stability.critical;
+            }
             
-            const updateWaterAnimation = () => {
-                if (!this.animating) {
-                    resolve();
-                    return;
-                }
-                
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Update timeline progress (first 40% of timeline)
-                if (timelineProgress) {
-                    timelineProgress.style.width = `${progress * 40}%`;
-                }
-                
-                // Calculate current level with easing
-                const easedProgress = easeInOutQuad(progress);
-                const currentLevel = Math.round(startLevel + (endLevel - startLevel) * easedProgress);
-                
-                // Update water level
-                if (this.uiElements.waterLevelSlider) {
-                    this.uiElements.waterLevelSlider.value = currentLevel;
-                    this.models.water.updateWaterLevel(currentLevel);
-                    this._updateStabilityStatus(currentLevel);
-                    this.models.geology.updateSaturationZone(currentLevel);
-                    this.models.geology.updateClayLayer(currentLevel);
-                }
-                
-                if (progress < 1) {
-                    requestAnimationFrame(updateWaterAnimation);
-                } else {
-                    resolve();
-                }
-            };
+            case 'impact':
+            case 'overtopping':
+                return this.sequence.marked.has(step.until);
             
-            updateWaterAnimation();
-        });
+            default:
+                return false;
+        }
     }
     
     /**
-     * Animate the landslide
-     * @param {HTMLElement} timelineProgress - Timeline progress element
-     * @returns {Promise} Promise that resolves when animation completes
+     * Release the landslide and break it into fragments
+     * @param {Object} run - Slide step and the clock time it started
+     * @returns {boolean} Whether the step is already done, as it is without a landslide
      * @private
      */
-    async _animateLandslide(timelineProgress) {
+    _startLandslide(run) {
+        const step = run.step;
         const landslideBlock = this.models.geology.landslideBlock;
-        if (!landslideBlock) return Promise.resolve();
-        
-        // Define landslide animation parameters
-        const startPos = landslideBlock.position.clone();
-        const endPos = new THREE.Vector3(
-            startPos.x + 30,     // Move slightly laterally
-            startPos.y - 40,     // Slide down
-            startPos.z + 40      // Move into reservoir
-        );
+        if (!landslideBlock) return true;
+        
+        // Stop creep from driving the block once it is released
+        landslideBlock.userData.released = true;
         
-        const startRotation = landslideBlock.rotation.clone();
-        const endRotation = new THREE.Euler(
-            startRotation.x + 0.2,  // Tilt forward
-            startRotation.y,
-            startRotation.z - 0.1   // Slight twist
+        // Integrate the runout from the stability state at release
+        const stability = this.models.stability.calculate(
+            this.models.water.currentLevel,
+            this.models.groundwater
         );
+        const landslide = this.models.landslide;
+        const result = this._simulateSlide(step, stability);
+        this.slideResult = result;
+        this.slideImpactPosition = null;
         
-        // Create debris particles
-        createDebrisParticles(this.scene, landslideBlock.position);
+        // Start the impulse-wave solution with the reservoir at rest
+        const solver = this.models.shallowWater;
+        solver.init(levelToElevation(this.models.water.currentLevel));
+        this.models.water.createWaveSurface(this.scene, solver);
+        
+        // Horizontal direction of travel into the reservoir
+        const slideDirection = this.models.geology.slideDirection;
+        
+        // Break the block into fragments that the slide carries along
+        if (step.fragments) {
+            this.models.debris.createFragments(this.scene, this.models.geology, this.random);
+        }
+        
+        // Play the trajectory back faster than real time
+        this.slide = {
+            result: result,
+            totalHorizontal: landslide.getOffset(result.travel).horizontal,
+            direction: new THREE.Vector3(slideDirection.x, 0, slideDirection.z).normalize(),
+            drive: new THREE.Vector3(),
+            debrisTime: 0,
+            duration: result.duration / step.playbackSpeed,
+            volume: step.volume,
+            fragments: step.fragments
+        };
         
         // Add camera shake
-        addCameraShake(this.controllers.camera.camera, 3, 500);
+        if (step.shake > 0) {
+            addCameraShake(this.models.clock, this.controllers.camera.camera, step.shake, 500, this.random);
+        }
         
-        // Try to play sound effect if available
-        this._playLandslideSound();
+        return false;
+    }
+    
+    /**
+     * Integrate the runout of a slide step
+     * @param {Object} step - Slide step
+     * @param {Object} stability - Stability result at release from StabilityModel.calculate
+     * @returns {Object} Runout result, stopped at the travel of the step if it has one
+     * @private
+     */
+    _simulateSlide(step, stability) {
+        const landslide = this.models.landslide;
+        const result = landslide.simulate(stability, step.frictionAngle);
         
-        // Animate the landslide
-        const slideDuration = CONFIG.animation.landslideTime;
-        const startTime = Date.now();
+        return step.travel !== null ? landslide.limitTravel(result, step.travel) : result;
+    }
+    
+    /**
+     * Move the slide, its fragments and the water it pushes aside
+     * @param {number} elapsed - Clock time since the slide was released (s)
+     * @returns {boolean} Whether the slide has come to rest
+     * @private
+     */
+    _stepLandslide(elapsed) {
+        const slide = this.slide;
+        const result = slide.result;
+        const landslide = this.models.landslide;
+        const debris = this.models.debris;
+        const solver = this.models.shallowWater;
+        const progress = slide.duration > 0 ? Math.min(elapsed / slide.duration, 1) : 1;
         
-        return new Promise((resolve) => {
-            const animateLandslideStep = () => {
-                if (!this.animating) {
-                    resolve();
-                    return;
-                }
-                
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / slideDuration, 1);
-                
-                // Update timeline (40-70% of timeline)
-                if (timelineProgress) {
-                    timelineProgress.style.width = `${40 + progress * 30}%`;
-                }
-                
-                // Use non-linear easing for more dramatic effect
-                const eased = easeInOutBack(progress);
-                
-                // Update landslide position and rotation
-                landslideBlock.position.lerpVectors(startPos, endPos, eased);
-                
-                // Update rotation
-                landslideBlock.rotation.x = THREE.MathUtils.lerp(
-                    startRotation.x,
-                    endRotation.x,
-                    eased
-                );
-                
-                landslideBlock.rotation.z = THREE.MathUtils.lerp(
-                    startRotation.z,
-                    endRotation.z,
-                    eased
-                );
-                
-                // Update debris particles
-                updateDebrisParticles(this.scene, progress);
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animateLandslideStep);
-                } else {
-                    resolve();
-                }
-            };
-            
-            animateLandslideStep();
-        });
+        const time = progress * result.duration;
+        const state = landslide.getStateAt(result, time);
+        const offset = landslide.getOffset(state.distance);
+        
+        if (slide.fragments) {
+            // Carry the fragments at the horizontal speed of the slide
+            const horizontalSpeed = state.speed * Math.cos(landslide.getPathAngle(state.distance));
+            slide.drive.copy(slide.direction).multiplyScalar(metresToScene(horizontalSpeed));
+            debris.step(time - slide.debrisTime, progress < 1 ? slide.drive : null);
+            slide.debrisTime = time;
+        } else {
+            // The block moves as one along the failure surface
+            this.models.geology.updateRunoutOffset(offset);
+        }
+        
+        // Push the water aside with the advancing deposit
+        solver.setSlideProgress(offset.horizontal, slide.totalHorizontal, slide.volume);
+        solver.advance(time - solver.time);
+        this.models.water.updateWaveSurface(solver);
+        
+        // The surge can reach over the crest before the slide comes to rest
+        if (solver.maxOvertopping > 0) {
+            this._markEvent('overtopping');
+        }
+        
+        // Remember where the front of the debris plunges into the reservoir
+        if (!this.slideImpactPosition && state.distance >= CONFIG.landslide.seatDistance) {
+            this.slideImpactPosition = slide.fragments ?
+                                     debris.getExtent().front :
+                                     this.models.geology.landslideBlock.position.clone();
+            this._markEvent('impact');
+        }
+        
+        this._updateSlideReadout(state, result, progress >= 1);
+        
+        return progress >= 1;
     }
     
     /**
-     * Animate tsunami wave
-     * @param {HTMLElement} timelineProgress - Timeline progress element
-     * @returns {Promise} Promise that resolves when animation completes
+     * Show the slide speed and travel on the timeline
+     * @param {Object} state - Current distance and speed
+     * @param {Object} result - Runout result from LandslideModel.simulate
+     * @param {boolean} finished - Whether the slide has come to rest
      * @private
      */
-    async _animateTsunami(timelineProgress) {
+    _updateSlideReadout(state, result, finished) {
+        const readout = document.getElementById('timeline-date');
+        if (!readout) return;
+        
+        if (!finished) {
+            readout.textContent = `Slide speed ${formatQuantity('speed', state.speed, 1)} · ` +
+                                  `travel ${formatQuantity('length', state.distance)}`;
+            return;
+        }
+        
+        const stop = result.hitWall ?
+                   `struck the opposite wall at ${formatQuantity('speed', result.impactSpeed, 1)}` :
+                   'came to rest on the seat of the failure surface';
+        
+        readout.textContent = `Peak ${formatQuantity('speed', result.peakSpeed, 1)} · ` +
+                              `travel ${formatQuantity('length', result.travel)} in ${result.duration.toFixed(1)} s — ${stop}`;
+    }
+    
+    /**
+     * Send the splash and the impulse wave out from where the slide entered the reservoir
+     * @param {Object} run - Wave step and the clock time it started
+     * @private
+     */
+    _startTsunami(run) {
+        const step = run.step;
+        const solver = this.models.shallowWater;
+        
         // Get water level
-        const waterHeight = this.models.water.waterMesh ? 
-                          this.models.water.waterMesh.position.y : 
+        const waterHeight = this.models.water.waterMesh ?
+                          this.models.water.waterMesh.position.y :
                           CONFIG.water.maxHeight;
         
-        // Create impact position
-        const impactPosition = new THREE.Vector3(-100, waterHeight, -140);
+        // Without a slide the wave starts from a reservoir at rest
+        if (!this.slide) {
+            solver.init(levelToElevation(this.models.water.currentLevel));
+            this.models.water.createWaveSurface(this.scene, solver);
+        }
         
-        // Create tsunami wave
-        const wave = this.models.water.createTsunamiWave(
-            this.scene, 
-            impactPosition,
-            waterHeight
-        );
+        // The step's position, else where the slide entered, else the middle of the slide's reach
+        const domain = CONFIG.tsunami.domain;
+        let impactPosition;
+        if (step.position) {
+            impactPosition = new THREE.Vector3(step.position[0], waterHeight, step.position[1]);
+        } else if (this.slideImpactPosition) {
+            impactPosition = new THREE.Vector3(this.slideImpactPosition.x, waterHeight, this.slideImpactPosition.z);
+        } else {
+            impactPosition = new THREE.Vector3(domain.slideStartX, waterHeight, (domain.slideMinZ + domain.slideMaxZ) / 2);
+        }
         
         // Create splash particles
-        const splashParticles = this.models.water.createSplashParticles(
+        this.models.water.createSplashParticles(
             this.scene,
-            impactPosition
+            impactPosition,
+            this.random
         );
         
-        // Try to play tsunami sound
-        this._playTsunamiSound();
-        
         // Add camera shake
-        addCameraShake(this.controllers.camera.camera, 2, 2000);
+        if (step.shake > 0) {
+            addCameraShake(this.models.clock, this.controllers.camera.camera, step.shake, 2000, this.random);
+        }
         
-        // Animation parameters
-        const waveDuration = CONFIG.animation.tsunamiTime;
-        const waveStartTime = Date.now();
+        // Keep solving after the slide stops
+        this.wave = {
+            solverStartTime: solver.time,
+            simulated: step.duration,
+            duration: step.duration / step.playbackSpeed,
+            overtopping: false
+        };
+    }
+    
+    /**
+     * Advance the wave and let the debris settle
+     * @param {number} elapsed - Clock time since the wave started (s)
+     * @returns {boolean} Whether the wave step is done
+     * @private
+     */
+    _stepTsunami(elapsed) {
+        const wave = this.wave;
+        const solver = this.models.shallowWater;
+        const progress = wave.duration > 0 ? Math.min(elapsed / wave.duration, 1) : 1;
         
-        return new Promise((resolve) => {
-            const animateWaveStep = () => {
-                if (!this.animating) {
-                    resolve();
-                    return;
-                }
-                
-                const elapsed = Date.now() - waveStartTime;
-                const progress = Math.min(elapsed / waveDuration, 1);
-                
-                // Update timeline (70-100% of timeline)
-                if (timelineProgress) {
-                    timelineProgress.style.width = `${70 + progress * 30}%`;
-                }
-                
-                // Expand wave outward
-                const waveScale = easeOutCubic(progress) * 5;
-                wave.scale.set(waveScale, 1 + progress * 2, waveScale);
-                
-                // Move wave toward dam
-                wave.position.z = -140 + easeOutQuad(progress) * 180;
-                
-                // Update splash particles
-                updateSplashParticles(this.scene, progress);
-                
-                // Raise water level to simulate dam overtopping
-                if (progress > 0.7 && this.models.water.waterMesh) {
-                    const overflowHeight = THREE.MathUtils.lerp(
-                        waterHeight,
-                        CONFIG.dam.height + 10, // Above dam height
-                        (progress - 0.7) / 0.3
-                    );
-                    
-                    this.models.water.waterMesh.position.y = overflowHeight;
-                    
-                    // Create overtopping effect
-                    if (progress > 0.8 && progress < 0.85) {
-                        this.models.water.createWaterOvertopping(
-                            this.scene,
-                            new THREE.Vector3(0, 0, -50), // Dam position
-                            CONFIG.dam.width,
-                            CONFIG.dam.height
-                        );
-                    }
-                }
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animateWaveStep);
-                } else {
-                    resolve();
-                }
-            };
-            
-            animateWaveStep();
-        });
+        // Advance the wave and let the debris settle
+        const waveStep = wave.solverStartTime + progress * wave.simulated - solver.time;
+        solver.advance(waveStep);
+        this.models.debris.step(waveStep);
+        this.models.water.updateWaveSurface(solver);
+        
+        // Update splash particles
+        updateSplashParticles(this.scene, progress);
+        
+        // Create overtopping effect once the wave reaches over the crest
+        if (!wave.overtopping && solver.maxOvertopping > 0) {
+            wave.overtopping = true;
+            this._markEvent('overtopping');
+            this.models.water.createWaterOvertopping(
+                this.scene,
+                new THREE.Vector3(0, 0, CONFIG.dam.z), // Dam position
+                CONFIG.dam.width,
+                CONFIG.dam.height,
+                this.random
+            );
+        }
+        
+        this._updateWaveReadout(solver);
+        
+        return progress >= 1;
+    }
+    
+    /**
+     * Let the debris come to rest over the clock time of a settle step
+     * The step spreads up to CONFIG.debris.settleTime simulated seconds of the
+     * deposit over its duration, no more than CONFIG.debris.settleStep at a
+     * time. At its end the deposit is left at rest in the gorge and the valley
+     * is re-flooded around it
+     * @param {Object} run - Settle step and the simulated time the debris has run
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {boolean} Whether the step is done
+     * @private
+     */
+    _stepSettle(run, elapsed) {
+        const debris = this.models.debris;
+        const duration = run.step.duration;
+        const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+        
+        const seconds = Math.min(progress * CONFIG.debris.settleTime - run.debrisTime, CONFIG.debris.settleStep);
+        debris.step(seconds);
+        run.debrisTime += seconds;
+        
+        if (progress < 1) return false;
+        
+        debris.freeze();
+        this.models.water.removeWaveSurface();
+        if (debris.fragments.length && this.controllers.compare) {
+            this.controllers.compare.showAftermath();
+        }
+        return true;
+    }
+    
+    /**
+     * Show a caption over the scene
+     * @param {string} text - Caption text
+     * @private
+     */
+    _showCaption(text) {
+        const caption = document.getElementById('sequence-caption');
+        if (caption) {
+            caption.textContent = text;
+            caption.style.display = 'block';
+        }
+    }
+    
+    /**
+     * Take the caption off the scene
+     * @private
+     */
+    _hideCaption() {
+        const caption = document.getElementById('sequence-caption');
+        if (caption) {
+            caption.style.display = 'none';
+        }
+    }
+    
+    /**
+     * List the loaded scripts to choose from
+     * Keeps the script chosen if it is still there
+     * @private
+     */
+    _listSequences() {
+        const sequences = this.models.sequences.sequences;
+        if (!sequences.some(script => script.id === this.selectedId) && sequences.length > 0) {
+            this.selectedId = sequences[0].id;
+        }
+        
+        // Scripts can come from a file, so their text is never read as markup
+        if (this.sequenceSelect) {
+            this.sequenceSelect.innerHTML = '';
+            sequences.forEach(script => {
+                const option = document.createElement('option');
+                option.value = script.id;
+                option.textContent = script.title;
+                this.sequenceSelect.appendChild(option);
+            });
+            this.sequenceSelect.value = this.selectedId;
+        }
+        
+        const script = this.getSelectedSequence();
+        this._showStatus(script ? script.description : '');
+    }
+    
+    /**
+     * Read sequence scripts from a file chosen by the user and choose the first
+     * @param {File} file - Selected JSON file
+     * @private
+     */
+    async _onSequenceFile(file) {
+        try {
+            const added = this.models.sequences.add(JSON.parse(await file.text()));
+            this.selectedId = added[0].id;
+            this._listSequences();
+        } catch (error) {
+            console.error('Error reading sequence file:', error);
+            this._showStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Show a note under the sequence chooser
+     * @param {string} message - Text to show, empty to clear
+     * @param {boolean} error - Whether the message reports a problem
+     * @private
+     */
+    _showStatus(message, error = false) {
+        const status = document.getElementById('sequence-status');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', error);
+    }
+    
+    /**
+     * Show the wave height at the dam on the timeline
+     * @param {ShallowWaterModel} solver - Shallow-water solver
+     * @private
+     */
+    _updateWaveReadout(solver) {
+        const readout = document.getElementById('timeline-date');
+        if (!readout) return;
+        
+        const overtopping = Math.max(0, solver.maxOvertopping);
+        readout.textContent = `Wave at dam ${formatQuantity('length', solver.maxDamWaveHeight)} · ` +
+                              `${formatQuantity('length', overtopping)} over the crest · ` +
+                              `${formatQuantity('volume', solver.overtoppedVolume, 1)} overtopped`;
     }
     
     /**
@@ -432,11 +1001,14 @@ export default class DisasterController {
         
         // Create summary overlay
         const summaryDiv = document.createElement('div');
+        this.summary = summaryDiv;
         summaryDiv.className = 'disaster-summary';
         summaryDiv.innerHTML = `
             <h2>The Vajont Dam Disaster: October 9, 1963</h2>
-            <p>A massive landslide of approximately 270 million cubic meters of rock slid into the Vajont reservoir at around 110 km/h (68 mph).</p>
-            <p>The displaced water created a 250-meter high tsunami wave that overtopped the dam by 100 meters and rushed down the narrow valley.</p>
+            <p>A massive landslide of approximately ${formatQuantity('volume', CONFIG.mountain.slideVolume * 1e6)} of rock slid into the Vajont reservoir at around ${formatQuantity('speed', 110 / 3.6)}.${this._getSlideSummary()}</p>
+            ${this._getBasinSummary()}
+            <p>The displaced water surged up the opposite slope, overtopped the dam and rushed down the narrow valley.</p>
+            ${this._getWaveSummary()}
             <p>Nearly 2,000 people perished in the towns of Longarone, Pirago, Villanova, Rivalta, and Fae. The dam itself remained almost intact.</p>
             <p>This tragedy resulted from a failure to properly assess the geological instability of Mount Toc, despite warning signs in the years prior to the disaster.</p>
             <p>The Vajont disaster serves as a critical lesson in the importance of thorough geological studies for large infrastructure projects in mountainous regions.</p>
@@ -444,47 +1016,347 @@ export default class DisasterController {
         `;
         document.body.appendChild(summaryDiv);
         
-        // Add close handler
-        document.getElementById('close-summary').addEventListener('click', () => {
-            document.body.removeChild(summaryDiv);
-            this.resetSimulation();
-        });
+        // Add close handler; the deposit stays in the valley until the simulation is reset
+        document.getElementById('close-summary').addEventListener('click', () => this.closeSummary());
+    }
+    
+    /**
+     * Close the summary overlay if it is open
+     */
+    closeSummary() {
+        if (this.summary) {
+            this.summary.remove();
+            this.summary = null;
+        }
     }
     
     /**
-     * Update stability indicator based on water level
-     * @param {number} value - Water level (0-100)
+     * Compare the computed impulse wave with the observed one
+     * @returns {string} HTML table of computed and historical wave figures
      * @private
      */
-    _updateStabilityStatus(value) {
-        const stabilityIndicator = document.getElementById('stability-indicator');
-        if (!stabilityIndicator) return;
+    _getWaveSummary() {
+        const wave = this._calculateImpulseWave();
+        const historical = CONFIG.impulseWave.historical;
+        const solver = this.models.shallowWater;
+        const metres = value => formatQuantity('length', value);
         
-        let stabilityText, stabilityColor;
+        const solverRow = solver && solver.time > 0 ?
+                        `<tr><td>Overtopping (shallow-water solution)</td><td>${metres(Math.max(0, solver.maxOvertopping))}</td><td>${metres(historical.overtopping)}</td></tr>` :
+                        '';
         
-        if (value > CONFIG.stability.critical) {
-            stabilityText = "Critical - Imminent Failure";
-            stabilityColor = "#e53935"; // deep red
-        } else if (value > CONFIG.stability.veryLow) {
-            stabilityText = "Very Low - Dangerously Unstable";
-            stabilityColor = "#ff5252"; // red
-        } else if (value > CONFIG.stability.low) {
-            stabilityText = "Low - Significant Risk";
-            stabilityColor = "#ff9800"; // orange
-        } else if (value > CONFIG.stability.moderate) {
-            stabilityText = "Moderate - Caution";
-            stabilityColor = "#ffc107"; // amber
-        } else if (value > CONFIG.stability.good) {
-            stabilityText = "Good - Minor Stress";
-            stabilityColor = "#cddc39"; // lime
-        } else {
-            stabilityText = "Excellent - Stable";
-            stabilityColor = "#4caf50"; // green
+        return `
+            <table class="wave-comparison">
+                <tr><th></th><th>Computed</th><th>1963</th></tr>
+                <tr><td>Maximum wave amplitude (Heller &amp; Hager)</td><td>${metres(wave.hellerHager.amplitude)}</td><td>–</td></tr>
+                <tr><td>Maximum wave amplitude (Slingerland &amp; Voight)</td><td>${metres(wave.slingerlandVoight.amplitude)}</td><td>–</td></tr>
+                <tr><td>Run-up on the opposite slope</td><td>${metres(wave.runUp)}</td><td>${metres(historical.runUp)}</td></tr>
+                <tr><td>Overtopping above the dam crest</td><td>${metres(wave.overtopping)}</td><td>${metres(historical.overtopping)}</td></tr>
+                ${solverRow}
+            </table>
+        `;
+    }
+    
+    /**
+     * Run the empirical impulse-wave relations for the current slide and reservoir
+     * @returns {Object} Result from ImpulseWaveModel.calculate
+     * @private
+     */
+    _calculateImpulseWave() {
+        const block = this.models.stability.getBlockGeometry();
+        const velocity = this.slideResult ? this.slideResult.peakSpeed : CONFIG.landslide.referenceSpeed;
+        const impactZ = this.slideImpactPosition ? this.slideImpactPosition.z : null;
+        
+        return this.models.impulseWave.calculate(
+            this.models.impulseWave.getSlideInput(block, velocity, this.models.water.getElevation(), impactZ)
+        );
+    }
+    
+    /**
+     * Describe the simulated runout for the summary
+     * @returns {string} Sentence comparing the computed slide with the historical one
+     * @private
+     */
+    _getSlideSummary() {
+        const result = this.slideResult;
+        if (!result) return '';
+        
+        return ` The simulated slide peaked at ${formatQuantity('speed', result.peakSpeed, 1)} ` +
+               `and travelled ${formatQuantity('length', result.travel)} in ${result.duration.toFixed(1)} s.`;
+    }
+    
+    /**
+     * Compare the slide volume with the water stored in the basin
+     * @returns {string} Paragraph relating slide and reservoir volumes
+     * @private
+     */
+    _getBasinSummary() {
+        const water = this.models.water;
+        const stored = water.getVolume() / 1e6;
+        if (stored <= 0) return '';
+        
+        const slideVolume = this.slide ? this.slide.volume : CONFIG.mountain.slideVolume;
+        
+        return `<p>At ${formatElevation(water.getElevation())} the modelled basin held ` +
+               `${formatQuantity('volume', water.getVolume(), 1)} of water over ${formatQuantity('area', water.getArea(), 2)}. ` +
+               `The ${formatQuantity('volume', slideVolume * 1e6)} slide was ${(slideVolume / stored).toFixed(1)} times that volume, ` +
+               `so the basin could not absorb it: rock took the place of the water, which had nowhere to go ` +
+               `but up the slopes and over the dam.</p>`;
+    }
+    
+    /**
+     * Work out when each event of the run happens
+     * The steps of the script are stepped ahead on a copy of the pore-pressure
+     * field just as the clock will step them. The wave reaching the dam and
+     * the valley below is estimated from the shallow-water celerity until the
+     * solver shows it
+     * @param {Object} script - Script from SequenceModel
+     * @returns {Object} Timeline as returned by getTimeline
+     * @private
+     */
+    _planTimeline(script) {
+        const step = this.models.clock.step;
+        const stability = this.models.stability;
+        const steps = script.steps;
+        const markers = [];
+        
+        const plan = {
+            time: 0,
+            level: script.startLevel,
+            groundwater: this.models.groundwater.clone(),
+            criticalLevel: stability.getCriticalWaterLevel(),
+            critical: null,
+            release: null,
+            impact: null,
+            overtopping: null
+        };
+        
+        let index = 0;
+        let runs = [];
+        const startSteps = () => {
+            while (index < steps.length && !runs.some(run => !run.step.background)) {
+                const run = { step: steps[index], start: plan.time };
+                if (run.step.marker) {
+                    markers.push({ id: `step-${index}`, ...run.step.marker, time: plan.time });
+                }
+                index++;
+                
+                if (!this._planStartStep(plan, run)) {
+                    runs.push(run);
+                }
+            }
+        };
+        
+        startSteps();
+        for (let frame = 1; index < steps.length || runs.length > 0; frame++) {
+            plan.time = frame * step;
+            
+            // The slope takes each step before the sequence moves the reservoir
+            plan.groundwater.setReservoirHead(stability.getWaterHead(plan.level));
+            plan.groundwater.step(step * plan.groundwater.daysPerSecond);
+            
+            runs = runs.filter(run => !this._planAdvanceStep(plan, run, plan.time - run.start));
+            startSteps();
+        }
+        
+        const end = plan.time;
+        if (plan.critical !== null) {
+            markers.push({ id: 'critical', label: 'Critical level', description: 'The reservoir passes the level at which the slope fails', time: plan.critical });
+        }
+        if (plan.impact !== null) {
+            markers.push({ id: 'impact', label: 'Wave impact', description: 'The slide plunges into the reservoir', time: plan.impact });
+        }
+        
+        let flood = 0;
+        if (plan.overtopping !== null) {
+            flood = plan.overtopping + this._getFloodTravelTime();
+            markers.push(
+                { id: 'overtopping', label: 'Overtopping', description: 'The wave pours over the dam crest', time: plan.overtopping, estimated: true },
+                { id: 'flood', label: 'Downstream flood', description: 'The flood reaches Longarone', time: flood, estimated: true }
+            );
+        }
+        
+        return {
+            duration: Math.max(end, flood),
+            end: end,
+            release: plan.release !== null ? plan.release : end,
+            clock: script.clock,
+            markers: markers
+                .sort((a, b) => a.time - b.time)
+                .map(marker => Object.assign({ estimated: false }, marker))
+        };
+    }
+    
+    /**
+     * Start a step of the planned run, as _startStep will
+     * @param {Object} plan - State of the planned run
+     * @param {Object} run - Step and the clock time it starts
+     * @returns {boolean} Whether the step is already done
+     * @private
+     */
+    _planStartStep(plan, run) {
+        const step = run.step;
+        
+        switch (step.type) {
+            case 'camera':
+            case 'settle':
+                return step.duration <= 0;
+            
+            case 'waterLevel':
+                run.from = plan.level;
+                run.to = this._resolveLevel(step);
+                run.duration = this._getLevelDuration(step, run.from, run.to);
+                return this._planAdvanceStep(plan, run, 0);
+            
+            case 'slide': {
+                if (!this.models.geology.landslideBlock) return true;
+                
+                // Replay the runout the slide will play, to find where it enters the water
+                const result = this._simulateSlide(step, this.models.stability.calculate(plan.level, plan.groundwater));
+                run.duration = result.duration / step.playbackSpeed;
+                
+                const entry = result.samples.find(sample => sample.distance >= CONFIG.landslide.seatDistance);
+                if (plan.impact === null && entry) {
+                    plan.impact = plan.time + entry.time / step.playbackSpeed;
+                }
+                
+                // Long-wave celerity across the reservoir from the middle of the slide to the dam
+                if (plan.release === null) {
+                    plan.release = plan.time;
+                    
+                    const domain = CONFIG.tsunami.domain;
+                    const depth = Math.max(1, levelToElevation(plan.level) - CONFIG.water.floorElevation);
+                    const distance = sceneToMetres(Math.abs(CONFIG.dam.z - (domain.slideMinZ + domain.slideMaxZ) / 2));
+                    plan.overtopping = (plan.impact !== null ? plan.impact : plan.time) +
+                                       distance / Math.sqrt(9.81 * depth) / step.playbackSpeed;
+                }
+                return false;
+            }
+            
+            case 'wave':
+                run.duration = step.duration / step.playbackSpeed;
+                return false;
+            
+            case 'sound':
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Bring a step of the planned run to a clock time, as _advanceStep will
+     * @param {Object} plan - State of the planned run
+     * @param {Object} run - Step and the clock time it started
+     * @param {number} elapsed - Clock time since the step started (s)
+     * @returns {boolean} Whether the step is done
+     * @private
+     */
+    _planAdvanceStep(plan, run, elapsed) {
+        const step = run.step;
+        
+        switch (step.type) {
+            case 'waterLevel': {
+                const state = this._getRampLevel(run, elapsed);
+                plan.level = state.level;
+                
+                if (plan.critical === null && plan.criticalLevel !== null &&
+                    run.to > run.from && state.level >= plan.criticalLevel) {
+                    plan.critical = plan.time;
+                }
+                return state.progress >= 1;
+            }
+            
+            case 'slide':
+            case 'wave':
+                return run.duration <= 0 || elapsed / run.duration >= 1;
+            
+            case 'camera':
+            case 'caption':
+            case 'settle':
+                return elapsed >= step.duration;
+            
+            case 'wait':
+                if (elapsed >= step.duration) return true;
+                
+                switch (step.until) {
+                    case 'failure':
+                        return this.models.stability.calculate(plan.level, plan.groundwater).factorOfSafety <=
+                               CONFIG.stability.critical;
+                    case 'impact':
+                        return plan.impact !== null && plan.time >= plan.impact;
+                    case 'overtopping':
+                        return plan.overtopping !== null && plan.time >= plan.overtopping;
+                    default:
+                        return false;
+                }
+            
+            default:
+                return true;
         }
+    }
+    
+    /**
+     * Record that an event of the run has happened
+     * A marker of the timeline for it is moved to the clock time it happened
+     * at; the flood downstream is estimated again from the overtopping
+     * @param {string} id - Event id, or step-N for the start of the Nth step
+     * @private
+     */
+    _markEvent(id) {
+        const sequence = this.sequence;
+        if (sequence.marked.has(id)) return;
+        sequence.marked.add(id);
         
-        stabilityIndicator.textContent = "Stability: " + stabilityText;
-        stabilityIndicator.style.backgroundColor = stabilityColor;
-        stabilityIndicator.style.color = value > CONFIG.stability.moderate ? "#fff" : "#333";
+        const timeline = this.timeline;
+        const marker = timeline ? timeline.markers.find(item => item.id === id) : null;
+        if (!marker) return;
+        
+        marker.time = sequence.time;
+        marker.estimated = false;
+        
+        const flood = timeline.markers.find(item => item.id === 'flood');
+        if (id === 'overtopping' && flood) {
+            flood.time = marker.time + this._getFloodTravelTime();
+            timeline.duration = Math.max(timeline.end, flood.time);
+        }
+    }
+    
+    /**
+     * Take the overtopping and the flood off the timeline if the wave stayed below the crest
+     * @private
+     */
+    _dropOvertopping() {
+        const timeline = this.timeline;
+        if (!timeline || timeline.markers.some(marker => marker.id === 'overtopping' && !marker.estimated)) return;
+        
+        timeline.markers = timeline.markers.filter(marker => marker.id !== 'overtopping' && marker.id !== 'flood');
+        timeline.duration = timeline.end;
+    }
+    
+    /**
+     * Clock time the flood takes from the dam to Longarone
+     * @returns {number} Travel time at the slide playback speed (s)
+     * @private
+     */
+    _getFloodTravelTime() {
+        const settings = CONFIG.timeline;
+        return settings.floodDistance / settings.floodSpeed / CONFIG.landslide.playbackSpeed;
+    }
+    
+    /**
+     * Get the water level the sequence fills to before the slope fails
+     * @returns {number} Water level (0-100) just past the critical level
+     * @private
+     */
+    _getFailureWaterLevel() {
+        const criticalLevel = this.models.stability.getCriticalWaterLevel();
+        
+        // A slope that never fails is filled to the top
+        if (criticalLevel === null) return 100;
+        
+        return Math.min(100, Math.ceil(criticalLevel) + 2);
     }
     
     /**
@@ -492,15 +1364,24 @@ export default class DisasterController {
      * @private
      */
     _disableControls() {
-        // Disable buttons
+        // Disable buttons; the clock controls and timeline stay live to pause, slow and seek the
+        // sequence, the story to move on from it and the camera path to fly through it.
+        // Buttons already disabled are left for their owners to enable
         const buttons = document.querySelectorAll('button');
         buttons.forEach(button => {
-            if (button.id !== 'close-summary') {
+            if (!button.disabled && button.id !== 'close-summary' &&
+                !button.closest('#clock-controls, #timeline, #story-panel, #camera-path-panel')) {
                 button.disabled = true;
                 button.style.opacity = 0.5;
+                this.disabledButtons.push(button);
             }
         });
         
+        // Keep the script from being changed mid-run
+        document.querySelectorAll('#sequence-select, #sequence-file').forEach(input => {
+            input.disabled = true;
+        });
+        
         // Disable water slider
         if (this.uiElements.waterLevelSlider) {
             this.uiElements.waterLevelSlider.disabled = true;
@@ -516,12 +1397,16 @@ export default class DisasterController {
      * @private
      */
     _enableControls() {
-        // Enable buttons
-        const buttons = document.querySelectorAll('button');
-        buttons.forEach(button => {
+        // Enable the buttons the run disabled
+        this.disabledButtons.forEach(button => {
             button.disabled = false;
             button.style.opacity = 1;
         });
+        this.disabledButtons = [];
+        
+        document.querySelectorAll('#sequence-select, #sequence-file').forEach(input => {
+            input.disabled = false;
+        });
         
         // Enable water slider
         if (this.uiElements.waterLevelSlider) {
@@ -534,45 +1419,21 @@ export default class DisasterController {
     }
     
     /**
-     * Play landslide sound effect
-     * @private
-     */
-    _playLandslideSound() {
-        try {
-            // Create audio element
-            const audio = document.createElement('audio');
-            
-            // Try to load sound file
-            audio.src = './assets/sounds/landslide.mp3';
-            
-            // Adjust volume
-            audio.volume = 0.5;
-            
-            // Play sound
-            audio.play().catch(error => {
-                console.warn('Audio playback failed:', error);
-                // Silently ignore - sound is not essential
-            });
-        } catch (error) {
-            console.warn('Error playing sound:', error);
-            // Silently ignore - sound is not essential
-        }
-    }
-    
-    /**
-     * Play tsunami sound effect
+     * Play a sound effect
+     * @param {string} src - Path to the sound file
+     * @param {number} volume - Volume (0-1)
      * @private
      */
-    _playTsunamiSound() {
+    _playSound(src, volume) {
         try {
             // Create audio element
             const audio = document.createElement('audio');
             
             // Try to load sound file
-            audio.src = './assets/sounds/tsunami.mp3';
+            audio.src = src;
             
             // Adjust volume
-            audio.volume = 0.4;
+            audio.volume = volume;
             
             // Play sound
             audio.play().catch(error => {
@@ -0,0 +1,320 @@
+import CONFIG from '../config.js';
+import { loadJSON } from '../utils/LoadingUtils.js';
+import { formatElevation } from '../utils/UnitUtils.js';
+
+/**
+ * HistoryController - Replays the recorded reservoir levels from 1960 to 1963
+ * Drives the water level and pore pressure through the real filling and
+ * drawdown cycles so the slope's response to each filling can be compared
+ */
+export default class HistoryController {
+    /**
+     * Initialize the history controller
+     * @param {Object} models - Object containing model instances
+     * @param {Object} controllers - Object containing controller instances
+     * @param {Object} uiElements - Object containing UI elements
+     */
+    constructor(models, controllers, uiElements) {
+        this.models = models;
+        this.controllers = controllers;
+        this.uiElements = uiElements;
+        
+        this.records = null;
+        this.playing = false;
+        this.endPlayback = null;
+        this.disabledButtons = [];   // Buttons disabled for the playback, to enable again after it
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Historical playback button
+        const historyButton = document.getElementById('history-button');
+        if (historyButton) {
+            historyButton.addEventListener('click', () => this.playHistory());
+        }
+        
+        // Reset button stops the playback
+        const resetButton = document.getElementById('reset-button');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.stop());
+        }
+    }
+    
+    /**
+     * Load the dated reservoir records
+     * @returns {Promise<Array>} Records sorted by date
+     */
+    async loadRecords() {
+        if (this.records) return this.records;
+        
+        const data = await loadJSON(CONFIG.history.dataUrl);
+        
+        this.records = data.records
+            .map(record => ({
+                time: Date.parse(record.date),
+                elevation: record.elevation,
+                event: record.event || null
+            }))
+            .sort((a, b) => a.time - b.time);
+        
+        return this.records;
+    }
+    
+    /**
+     * Interpolate the reservoir elevation at a given date
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {number} Elevation in metres above sea level
+     */
+    getElevationAt(time) {
+        const records = this.records;
+        
+        if (time <= records[0].time) return records[0].elevation;
+        
+        for (let i = 1; i < records.length; i++) {
+            if (time <= records[i].time) {
+                const previous = records[i - 1];
+                const t = (time - previous.time) / (records[i].time - previous.time);
+                return previous.elevation + (records[i].elevation - previous.elevation) * t;
+            }
+        }
+        
+        return records[records.length - 1].elevation;
+    }
+    
+    /**
+     * Play back the historical reservoir levels
+     * @param {boolean} moveCamera - Whether to move the camera to the slope; the story moves it itself
+     */
+    async playHistory(moveCamera = true) {
+        if (this.playing || (this.controllers.disaster && this.controllers.disaster.animating)) return;
+        
+        try {
+            await this.loadRecords();
+        } catch (error) {
+            console.error('Error loading reservoir history:', error);
+            return;
+        }
+        
+        if (this.controllers.scenario) {
+            this.controllers.scenario.setActive(false);
+        }
+        
+        // The reservoir no longer follows a disaster sequence that could be replayed
+        if (this.controllers.disaster) {
+            this.controllers.disaster.releaseSequence();
+        }
+        
+        this.playing = true;
+        this._disableControls();
+        
+        const records = this.records;
+        const startTime = records[0].time;
+        const endTime = records[records.length - 1].time;
+        const daysPerSecond = CONFIG.history.daysPerSecond;
+        
+        // Start with the slope in equilibrium with the first recorded level
+        const groundwater = this.models.groundwater;
+        const stability = this.models.stability;
+        this._applyElevation(records[0].elevation);
+        groundwater.reset(stability.getWaterHead(this.models.water.currentLevel));
+        groundwater.daysPerSecond = daysPerSecond;
+        this.models.creep.reset(startTime);
+        
+        // Show timeline with date display
+        const timeline = document.getElementById('timeline');
+        const timelineProgress = document.getElementById('timeline-progress');
+        if (timeline) {
+            timeline.style.display = 'block';
+            timelineProgress.style.width = '0%';
+        }
+        
+        if (moveCamera) {
+            this.controllers.camera.setActiveView('slope');
+            this.controllers.camera.setCamera('slope');
+        }
+        
+        let currentEvent = null;
+        let nextRecord = 0;
+        let failure = null;
+        let elapsed = 0;
+        
+        // The playback runs on the simulation clock
+        await new Promise((resolve) => {
+            const playbackStep = () => {
+                const elapsedDays = elapsed * daysPerSecond;
+                const time = Math.min(startTime + elapsedDays * 86400000, endTime);
+                const progress = (time - startTime) / (endTime - startTime);
+                
+                // Update reservoir
+                const elevation = this.getElevationAt(time);
+                this._applyElevation(elevation);
+                
+                // Pick up events as their dates pass
+                while (nextRecord < records.length && records[nextRecord].time <= time) {
+                    if (records[nextRecord].event) {
+                        currentEvent = records[nextRecord].event;
+                    }
+                    nextRecord++;
+                }
+                
+                // Record when the slope first reaches failure
+                const result = stability.calculate(this.models.water.currentLevel, groundwater);
+                if (!failure && result.factorOfSafety <= CONFIG.stability.critical) {
+                    failure = { time: time, elevation: elevation };
+                }
+                
+                if (timelineProgress) {
+                    timelineProgress.style.width = `${progress * 100}%`;
+                }
+                
+                this._updateDateDisplay(time, elevation, currentEvent);
+                
+                if (progress >= 1) {
+                    this.endPlayback();
+                }
+            };
+            
+            const unsubscribe = this.models.clock.subscribe(step => {
+                elapsed += step;
+                playbackStep();
+            });
+            this.endPlayback = () => {
+                this.endPlayback = null;
+                unsubscribe();
+                resolve();
+            };
+            
+            playbackStep();
+        });
+        
+        if (this.playing) {
+            this._showFailureSummary(failure);
+        }
+        
+        this.playing = false;
+        groundwater.daysPerSecond = CONFIG.groundwater.daysPerSecond;
+        this._enableControls();
+    }
+    
+    /**
+     * Stop the playback
+     */
+    stop() {
+        if (!this.playing) return;
+        
+        this.playing = false;
+        this.models.groundwater.daysPerSecond = CONFIG.groundwater.daysPerSecond;
+        if (this.endPlayback) {
+            this.endPlayback();
+        }
+        
+        const dateDisplay = document.getElementById('timeline-date');
+        if (dateDisplay) {
+            dateDisplay.textContent = '';
+        }
+    }
+    
+    /**
+     * Apply a reservoir elevation to the water model and slider
+     * @param {number} elevation - Elevation in metres above sea level
+     * @private
+     */
+    _applyElevation(elevation) {
+        this.models.water.setWaterElevation(elevation);
+        
+        if (this.uiElements.waterLevelSlider) {
+            this.uiElements.waterLevelSlider.value = Math.round(this.models.water.currentLevel);
+        }
+    }
+    
+    /**
+     * Update the date display on the timeline
+     * @param {number} time - Timestamp in milliseconds
+     * @param {number} elevation - Reservoir elevation (m a.s.l.)
+     * @param {string|null} event - Most recent historical event
+     * @private
+     */
+    _updateDateDisplay(time, elevation, event) {
+        const dateDisplay = document.getElementById('timeline-date');
+        if (!dateDisplay) return;
+        
+        const text = `${this._formatDate(time)} · ${formatElevation(elevation)}`;
+        dateDisplay.textContent = event ? `${text} — ${event}` : text;
+    }
+    
+    /**
+     * Show when the computed factor of safety first reached failure
+     * @param {Object|null} failure - Date and elevation of first failure
+     * @private
+     */
+    _showFailureSummary(failure) {
+        const dateDisplay = document.getElementById('timeline-date');
+        if (!dateDisplay) return;
+        
+        if (failure) {
+            dateDisplay.textContent = `Computed FoS first fell below 1 on ${this._formatDate(failure.time)} ` +
+                `at ${formatElevation(failure.elevation)} — the slope collapsed on 9 Oct 1963`;
+        } else {
+            dateDisplay.textContent = 'Computed FoS stayed above 1 — the slope collapsed on 9 Oct 1963';
+        }
+    }
+    
+    /**
+     * Format a timestamp as a short date
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {string} Formatted date
+     * @private
+     */
+    _formatDate(time) {
+        return new Date(time).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+    
+    /**
+     * Disable UI controls during playback (reset stays available to stop it,
+     * and the camera path to fly through it); buttons already disabled are
+     * left for their owners to enable
+     * @private
+     */
+    _disableControls() {
+        const buttons = document.querySelectorAll('button');
+        buttons.forEach(button => {
+            if (!button.disabled && button.id !== 'reset-button' &&
+                !button.closest('#clock-controls, #story-panel, #camera-path-panel')) {
+                button.disabled = true;
+                button.style.opacity = 0.5;
+                this.disabledButtons.push(button);
+            }
+        });
+        
+        if (this.uiElements.waterLevelSlider) {
+            this.uiElements.waterLevelSlider.disabled = true;
+            this.uiElements.waterLevelSlider.style.opacity = 0.5;
+        }
+    }
+    
+    /**
+     * Re-enable UI controls after playback
+     * @private
+     */
+    _enableControls() {
+        this.disabledButtons.forEach(button => {
+            button.disabled = false;
+            button.style.opacity = 1;
+        });
+        this.disabledButtons = [];
+        
+        if (this.uiElements.waterLevelSlider) {
+            this.uiElements.waterLevelSlider.disabled = false;
+            this.uiElements.waterLevelSlider.style.opacity = 1;
+        }
+    }
+}
\ No newline at end of file
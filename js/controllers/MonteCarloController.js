@@ -0,0 +1,232 @@
+import CONFIG from '../config.js';
+import MonteCarloModel from '../models/MonteCarloModel.js';
+import { levelToElevation } from '../utils/UnitUtils.js';
+import { downloadFile } from '../utils/FileUtils.js';
+
+// CONFIG sections the stability engine reads, copied into the worker for each run
+const WORKER_CONFIG_SECTIONS = ['geology', 'mountain', 'water', 'stability', 'monteCarlo'];
+
+/**
+ * MonteCarloController - Runs the Monte Carlo stability analysis
+ * Sends the edited distributions to a Web Worker so the 3D view stays
+ * responsive, shows its progress and result, and exports the result
+ */
+export default class MonteCarloController {
+    /**
+     * Initialize the Monte Carlo controller
+     * @param {Object} models - Object containing model instances
+     * @param {MonteCarloView} view - Panel the analysis is set up and shown in
+     */
+    constructor(models, view) {
+        this.models = models;
+        this.view = view;
+        
+        // Used on the main thread only to resolve the distributions
+        this.model = new MonteCarloModel();
+        this.worker = null;
+        this.result = null;
+        this.visible = false;
+        
+        this.view.setSettings(CONFIG.monteCarlo.distributions, CONFIG.monteCarlo.samples);
+        this.view.registerHandlers({
+            run: settings => this.run(settings),
+            cancel: () => this.cancel(),
+            export: format => this.export(format)
+        });
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const toggle = document.getElementById('toggle-monte-carlo');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.setVisible(toggle.classList.toggle('on'));
+            });
+        }
+    }
+    
+    /**
+     * Show or hide the analysis panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.view.setVisible(visible);
+        
+        // The stratigraphy or slide shape may have changed the current values
+        if (visible) {
+            this.view.setBase(this._getBase());
+            this.update();
+        }
+    }
+    
+    /**
+     * Start a run, replacing any run in progress
+     * @param {Object} settings - Distributions and sample count from the panel
+     */
+    run(settings) {
+        this.cancel();
+        
+        const base = this._getBase();
+        const levels = [];
+        for (let level = 0; level <= 100; level += CONFIG.monteCarlo.levelStep) {
+            levels.push(level);
+        }
+        
+        const request = {
+            base: base,
+            distributions: this.model.resolveDistributions(settings.distributions, base),
+            samples: settings.samples,
+            levels: levels,
+            referenceLevel: this.models.water.currentLevel,
+            seed: CONFIG.monteCarlo.seed
+        };
+        
+        try {
+            Object.entries(request.distributions).forEach(([key, distribution]) => {
+                this.model.validateDistribution(key, distribution);
+            });
+            if (!(request.samples >= 1)) {
+                throw new Error('Number of samples must be at least 1');
+            }
+            
+            this.worker = new Worker(new URL('../workers/monteCarloWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            this.view.showError(error.message);
+            return;
+        }
+        
+        this.worker.addEventListener('message', event => this._onMessage(event.data));
+        this.worker.addEventListener('error', event => {
+            console.error('Monte Carlo worker error:', event.message);
+            this._finish();
+            this.view.showError('The analysis could not be run');
+        });
+        
+        const config = {};
+        WORKER_CONFIG_SECTIONS.forEach(section => {
+            config[section] = CONFIG[section];
+        });
+        
+        this.view.setRunning(true);
+        this.view.showProgress(0, Math.min(request.samples, CONFIG.monteCarlo.maxSamples));
+        this.worker.postMessage({ config, request });
+    }
+    
+    /**
+     * Stop the run in progress
+     */
+    cancel() {
+        if (!this.worker) return;
+        
+        this._finish();
+        this.view.setResult(this.result);
+    }
+    
+    /**
+     * Keep the current reservoir level marked on the probability curve
+     * Called every frame
+     */
+    update() {
+        if (!this.visible) return;
+        
+        const level = this.models.water.currentLevel;
+        this.view.setCurrentLevel(level, levelToElevation(level));
+    }
+    
+    /**
+     * Save the last result
+     * @param {string} format - 'csv' or 'json'
+     */
+    export(format) {
+        if (!this.result) return;
+        
+        if (format === 'json') {
+            const data = Object.assign({ created: new Date().toISOString() }, this.result);
+            downloadFile('vajont-monte-carlo.json', JSON.stringify(data, null, 2), 'application/json');
+        } else {
+            downloadFile('vajont-monte-carlo.csv', this._toCsv(this.result), 'text/csv');
+        }
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Progress, result or error
+     * @private
+     */
+    _onMessage(message) {
+        if (message.type === 'progress') {
+            this.view.showProgress(message.done, message.total);
+        } else if (message.type === 'result') {
+            this.result = message.result;
+            this._finish();
+            this.view.setResult(this.result);
+        } else if (message.type === 'error') {
+            this._finish();
+            this.view.showError(message.message);
+        }
+    }
+    
+    /**
+     * Stop the worker and re-enable the run button
+     * @private
+     */
+    _finish() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.view.setRunning(false);
+    }
+    
+    /**
+     * Current values of the inputs the distributions are centred on
+     * The sampling-only inputs are added to the geology: the wall friction
+     * of the stratigraphy and no rainfall pore pressure
+     * @returns {Object} Parameter values keyed as in CONFIG.geology
+     * @private
+     */
+    _getBase() {
+        const wallFrictionAngle = this.models.stratigraphy.getWallFrictionAngle();
+        
+        return Object.assign({}, CONFIG.geology, {
+            wallFrictionAngle: wallFrictionAngle !== null ? wallFrictionAngle : CONFIG.monteCarlo.wallFrictionAngle,
+            poreRatio: 0
+        });
+    }
+    
+    /**
+     * Write a result as CSV: the probability curve, then the tornado bars
+     * @param {Object} result - Result from MonteCarloModel.run
+     * @returns {string} CSV text
+     * @private
+     */
+    _toCsv(result) {
+        const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+        const tornado = result.tornado;
+        const [low, high] = tornado.percentiles;
+        
+        const lines = [
+            `# Monte Carlo stability analysis of the Mount Toc slide: ${result.samples} samples, seed ${result.seed}`,
+            'level,elevation_m,probability_of_failure,fos_mean,fos_p5,fos_p50,fos_p95',
+            ...result.curve.map(point => [
+                round(point.level, 2), round(point.elevation, 1), round(point.probability),
+                round(point.mean), round(point.p5), round(point.p50), round(point.p95)
+            ].join(',')),
+            '',
+            `# Tornado at ${round(tornado.elevation, 1)} m a.s.l., base factor of safety ${round(tornado.factorOfSafety)}`,
+            `parameter,distribution,value_p${low},value_p${high},fos_p${low},fos_p${high},swing`,
+            ...tornado.bars.map(bar => [
+                bar.key, result.distributions[bar.key].type,
+                round(bar.low.value), round(bar.high.value),
+                round(bar.low.factorOfSafety), round(bar.high.factorOfSafety), round(bar.swing)
+            ].join(','))
+        ];
+        
+        return lines.join('\n') + '\n';
+    }
+}
\ No newline at end of file
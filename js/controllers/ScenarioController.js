@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import ScenarioModel from '../models/ScenarioModel.js';
+import { elevationToHeight, formatQuantity, formatElevation, onUnitSystemChange } from '../utils/UnitUtils.js';
+
+/**
+ * ScenarioController - Runs two ways of operating the reservoir side by side
+ * Each scenario has its own reservoir, pore pressure and creep, and is drawn
+ * in its own half of the view. Both halves share the camera and one clock
+ * through the recorded period, and a panel lists the differences between them
+ */
+export default class ScenarioController {
+    /**
+     * Initialize the scenario controller
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.WebGLRenderer} renderer - The renderer
+     * @param {Object} models - Object containing model instances
+     * @param {Object} controllers - Object containing controller instances
+     */
+    constructor(scene, renderer, models, controllers) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.models = models;
+        this.controllers = controllers;
+        
+        this.active = false;
+        this.activating = false;   // Whether entering waits for the reservoir history to load
+        this.playing = false;
+        this.time = null;
+        this.startTime = null;
+        this.endTime = null;
+        this.sides = [];
+        this.lastPanelUpdate = 0;
+        this.panelStale = false;   // Whether the scenarios have stepped since the panel was drawn
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.toggle = document.getElementById('toggle-scenarios');
+        this.panel = document.getElementById('scenario-panel');
+        this.playButton = document.getElementById('scenario-play');
+        this.dateDisplay = document.getElementById('scenario-date');
+        this.diff = document.getElementById('scenario-diff');
+        this.labels = document.getElementById('scenario-labels');
+        this.selects = ['scenario-left', 'scenario-right'].map(id => document.getElementById(id));
+        
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.setActive(!(this.active || this.activating)));
+        }
+        
+        // Offer every defined scenario on both sides
+        const defaults = [CONFIG.scenarios.left, CONFIG.scenarios.right];
+        this.selects.forEach((select, index) => {
+            if (!select) return;
+            
+            select.innerHTML = CONFIG.scenarios.definitions
+                .map(definition => `<option value="${definition.id}">${definition.name}</option>`)
+                .join('');
+            select.value = defaults[index];
+            select.addEventListener('change', () => {
+                if (this.active) this.restart();
+            });
+        });
+        
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.setPlaying(!this.playing));
+        }
+        
+        const restartButton = document.getElementById('scenario-restart');
+        if (restartButton) {
+            restartButton.addEventListener('click', () => {
+                if (this.active) this.restart();
+            });
+        }
+        
+        // Redraw the readouts in the new units
+        onUnitSystemChange(() => {
+            if (this.active) this._updatePanel();
+        });
+    }
+    
+    /**
+     * Enter or leave the side-by-side comparison
+     * Entering stops the historical playback and clears a finished disaster
+     * sequence, since both drive the scene's own reservoir and slope. Leaving
+     * while the reservoir history is still loading cancels entering
+     * @param {boolean} active - Whether to compare scenarios
+     */
+    async setActive(active) {
+        if (active) {
+            if (this.active || this.activating) return;
+            
+            const disaster = this.controllers.disaster;
+            if (disaster && disaster.animating) return;
+            
+            this.activating = true;
+            try {
+                await this.controllers.history.loadRecords();
+            } catch (error) {
+                console.error('Error loading reservoir history:', error);
+                this.activating = false;
+                return;
+            }
+            
+            // A disaster, the playback or the story may have cancelled it meanwhile
+            if (!this.activating) return;
+            this.activating = false;
+            
+            this.controllers.history.stop();
+            if (this.models.debris.fragments.length) {
+                disaster.resetSimulation();
+            }
+            
+            this.active = true;
+            this.sides = [0, 1].map(() => ({
+                scenario: null,
+                water: this.models.water.createReservoirCopy(this.scene),
+                saturatedZone: this.models.geology.createSaturatedZoneCopy(this.scene),
+                saturatedVisible: false
+            }));
+            this.restart();
+        } else {
+            this.activating = false;
+            if (!this.active) return;
+            
+            this.active = false;
+            this.playing = false;
+            this.sides.forEach(side => {
+                [side.water, side.saturatedZone].forEach(mesh => {
+                    this.scene.remove(mesh);
+                    mesh.geometry.dispose();
+                });
+                side.saturatedZone.material.dispose();
+            });
+            this.sides = [];
+        }
+        
+        if (this.toggle) this.toggle.classList.toggle('on', this.active);
+        if (this.panel) this.panel.classList.toggle('visible', this.active);
+        if (this.labels) this.labels.classList.toggle('visible', this.active);
+    }
+    
+    /**
+     * Start both scenarios again from the first record
+     */
+    restart() {
+        const records = this.controllers.history.records;
+        this.startTime = records[0].time;
+        this.endTime = records[records.length - 1].time;
+        this.time = this.startTime;
+        
+        this.sides.forEach((side, index) => {
+            const id = this.selects[index] ? this.selects[index].value : [CONFIG.scenarios.left, CONFIG.scenarios.right][index];
+            const definition = CONFIG.scenarios.definitions.find(entry => entry.id === id) || CONFIG.scenarios.definitions[0];
+            
+            side.scenario = new ScenarioModel(definition);
+            side.scenario.reset(this.time, records[0].elevation);
+        });
+        
+        this._updateScene();
+        this._updatePanel();
+        this.setPlaying(true);
+    }
+    
+    /**
+     * Run or pause the shared clock
+     * @param {boolean} playing - Whether the clock runs
+     */
+    setPlaying(playing) {
+        if (!this.active) return;
+        
+        // Playing from the end starts again
+        if (playing && this.time >= this.endTime) {
+            this.restart();
+            return;
+        }
+        
+        this.playing = playing;
+        if (this.playButton) {
+            this.playButton.textContent = playing ? 'Pause' : 'Play';
+        }
+    }
+    
+    /**
+     * Advance the shared clock and both scenarios
+     * Called every frame
+     * @param {number} deltaTime - Time since last frame (seconds)
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        if (this.playing) {
+            // Cap the step so a hidden tab does not jump months ahead
+            const days = Math.min(deltaTime, 0.1) * CONFIG.scenarios.daysPerSecond;
+            const time = Math.min(this.time + days * 86400000, this.endTime);
+            const recorded = this.controllers.history.getElevationAt(time);
+            
+            this.sides.forEach(side => side.scenario.step(time, recorded, (time - this.time) / 86400000));
+            this.time = time;
+            this.panelStale = true;
+            
+            if (time >= this.endTime) {
+                this.setPlaying(false);
+            }
+            
+            this._updateScene();
+        }
+        
+        // Redraw what has changed at most every panelInterval, and at once when paused
+        const now = performance.now();
+        if (this.panelStale && (now - this.lastPanelUpdate > CONFIG.scenarios.panelInterval || !this.playing)) {
+            this._updatePanel();
+        }
+    }
+    
+    /**
+     * Objects the scenarios add to the scene, for clipping by the section
+     * @returns {Array<THREE.Object3D>} Scenario meshes
+     */
+    getSceneObjects() {
+        return this.sides.flatMap(side => [side.water, side.saturatedZone]);
+    }
+    
+    /**
+     * Draw each scenario in its half of the view with the shared camera
+     * @param {THREE.PerspectiveCamera} camera - Camera to render from
+     */
+    render(camera) {
+        const renderer = this.renderer;
+        const { water, geology } = this.models;
+        const size = renderer.getSize(new THREE.Vector2());
+        const halfWidth = Math.floor(size.x / 2);
+        
+        const aspect = camera.aspect;
+        const waterVisible = water.waterMesh.visible;
+        const zoneVisible = geology.saturatedZone ? geology.saturatedZone.visible : false;
+        
+        water.waterMesh.visible = false;
+        if (geology.saturatedZone) geology.saturatedZone.visible = false;
+        
+        camera.aspect = halfWidth / size.y;
+        camera.updateProjectionMatrix();
+        renderer.setScissorTest(true);
+        
+        this.sides.forEach((side, index) => {
+            this.sides.forEach(other => {
+                other.water.visible = other === side;
+                other.saturatedZone.visible = other === side && other.saturatedVisible;
+            });
+            
+            const scenario = side.scenario;
+            geology.updateClayLayer(scenario.result);
+            if (scenario.failure) {
+                geology.updateRunoutOffset(scenario.failure.offset);
+            } else {
+                geology.updateCreepDisplacement(scenario.creep.displacement);
+            }
+            
+            const x = index * halfWidth;
+            const width = index === 0 ? halfWidth : size.x - halfWidth;
+            renderer.setViewport(x, 0, width, size.y);
+            renderer.setScissor(x, 0, width, size.y);
+            renderer.render(this.scene, camera);
+        });
+        
+        // Hand the scene back in its own state
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+        
+        this.sides.forEach(side => {
+            side.water.visible = false;
+            side.saturatedZone.visible = false;
+        });
+        water.waterMesh.visible = waterVisible;
+        if (geology.saturatedZone) geology.saturatedZone.visible = zoneVisible;
+        geology.updateCreepDisplacement(this.models.creep.displacement);
+    }
+    
+    /**
+     * Bring each scenario's reservoir and saturated zone up to date
+     * @private
+     */
+    _updateScene() {
+        this.sides.forEach(side => {
+            const scenario = side.scenario;
+            
+            this.models.water.floodReservoirCopy(side.water, elevationToHeight(scenario.elevation));
+            this.models.geology.updateSaturationZone(scenario.getSaturation(), side.saturatedZone);
+            side.saturatedVisible = side.saturatedZone.visible;
+            side.saturatedZone.visible = false;
+        });
+    }
+    
+    /**
+     * Show the date, the viewport labels and the table of differences
+     * @private
+     */
+    _updatePanel() {
+        this.lastPanelUpdate = performance.now();
+        this.panelStale = false;
+        if (this.sides.length < 2) return;
+        
+        const [left, right] = this.sides.map(side => side.scenario);
+        
+        if (this.dateDisplay) {
+            const recorded = this.controllers.history.getElevationAt(this.time);
+            this.dateDisplay.textContent = `${this._formatDate(this.time)} · recorded level ${formatElevation(recorded)}`;
+        }
+        
+        if (this.labels) {
+            this.labels.innerHTML = [left, right].map((scenario, index) => `
+                <div class="scenario-label ${index === 0 ? 'left' : 'right'}${scenario.failure ? ' failed' : ''}">
+                    ${scenario.definition.name}
+                    <span>${scenario.failure ? `Failed ${this._formatDate(scenario.failure.time)}` : 'Standing'}</span>
+                </div>
+            `).join('');
+        }
+        
+        if (!this.diff) return;
+        
+        const length = (value, digits = 0) => formatQuantity('length', value, digits);
+        const difference = (a, b, format) => {
+            if (a === null || b === null) return '–';
+            
+            const delta = b - a;
+            return `${delta > 0 ? '+' : delta < 0 ? '−' : ''}${format(Math.abs(delta))}`;
+        };
+        const fixed = digits => value => value.toFixed(digits);
+        const ofFailure = read => [left, right].map(scenario => scenario.failure ? read(scenario.failure) : null);
+        
+        const rows = [
+            ['Reservoir', [left.elevation, right.elevation], formatElevation, value => length(value, 1)],
+            ['Factor of safety', [left.result.factorOfSafety, right.result.factorOfSafety], fixed(3), fixed(3)],
+            ['Lowest factor of safety', [left.lowestFactor, right.lowestFactor], fixed(3), fixed(3)],
+            ['Creep displacement', [left.creep.displacement, right.creep.displacement], value => length(value, 2), value => length(value, 2)],
+            ['Creep velocity', [left.creep.velocity, right.creep.velocity], value => formatQuantity('rate', value, 2), value => formatQuantity('rate', value, 2)],
+            ['Slope failed', ofFailure(failure => failure.time), value => this._formatDate(value), value => `${Math.round(value / 86400000)} days`],
+            ['Slide peak speed', ofFailure(failure => failure.slide.peakSpeed), value => formatQuantity('speed', value, 1), value => formatQuantity('speed', value, 1)],
+            ['Wave amplitude', ofFailure(failure => failure.wave.hellerHager.amplitude), value => length(value), value => length(value)],
+            ['Overtopping above the crest', ofFailure(failure => failure.wave.overtopping), value => length(value), value => length(value)]
+        ];
+        
+        this.diff.innerHTML = `
+            <tr><th></th><th>${left.definition.name}</th><th>${right.definition.name}</th><th>Difference</th></tr>
+            ${rows.map(([label, values, format, formatDelta]) => `
+                <tr>
+                    <td>${label}</td>
+                    ${values.map(value => `<td>${value === null ? '–' : format(value)}</td>`).join('')}
+                    <td>${difference(values[0], values[1], formatDelta)}</td>
+                </tr>
+            `).join('')}
+        `;
+    }
+    
+    /**
+     * Format a timestamp as a short date
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {string} Formatted date
+     * @private
+     */
+    _formatDate(time) {
+        return new Date(time).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,365 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+
+/**
+ * SectionController - Lets the user cut the scene along a vertical plane
+ * A line drawn on the terrain defines the plane; the section can then be
+ * moved across and rotated live. Terrain, water, Mount Toc and the slide
+ * are clipped, and the cut face shows the geology at that location
+ */
+export default class SectionController {
+    /**
+     * Initialize the section controller
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.WebGLRenderer} renderer - The renderer (clipping is enabled on it)
+     * @param {Object} models - Object containing model instances, including section
+     * @param {Object} controllers - Object containing controller instances
+     */
+    constructor(scene, renderer, models, controllers) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.models = models;
+        this.controllers = controllers;
+        
+        this.active = false;
+        this.drawing = false;
+        this.drawStart = null;
+        this.preview = null;
+        this.pausedCamera = false; // Whether drawing paused the orbit controls
+        this.clippingPlanes = [models.section.plane];
+        this.lastRefresh = 0;
+        this.lastWaterHeight = null;
+        
+        // The drawn line; the sliders move and rotate the section relative to it
+        this.line = {
+            centre: new THREE.Vector3(),
+            angle: 0
+        };
+        
+        this.renderer.localClippingEnabled = true;
+        this.models.section.createSection(scene);
+        
+        this.setupEventListeners();
+        
+        const { start, end } = CONFIG.section.defaultLine;
+        this._setLine(start, end);
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.panel = document.getElementById('section-panel');
+        this.offsetSlider = document.getElementById('section-offset');
+        this.rotationSlider = document.getElementById('section-rotation');
+        this.drawButton = document.getElementById('section-draw');
+        
+        const toggle = document.getElementById('toggle-section');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.setActive(!this.active);
+                toggle.classList.toggle('on', this.active);
+            });
+        }
+        
+        if (this.drawButton) {
+            this.drawButton.addEventListener('click', () => this._setDrawing(!this.drawing));
+        }
+        
+        const flipButton = document.getElementById('section-flip');
+        if (flipButton) {
+            flipButton.addEventListener('click', () => {
+                this.models.section.flip();
+                this.refresh();
+            });
+        }
+        
+        if (this.offsetSlider) {
+            this.offsetSlider.addEventListener('input', () => this._applySliders());
+        }
+        if (this.rotationSlider) {
+            this.rotationSlider.addEventListener('input', () => this._applySliders());
+        }
+        
+        // Drawing happens on the canvas while orbit controls are paused
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', event => this._onPointerDown(event));
+        canvas.addEventListener('pointermove', event => this._onPointerMove(event));
+        canvas.addEventListener('pointerup', event => this._onPointerUp(event));
+        
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && this.drawing) {
+                this._setDrawing(false);
+            }
+        });
+    }
+    
+    /**
+     * Turn the section on or off
+     * @param {boolean} active - Whether the scene is cut
+     */
+    setActive(active) {
+        this.active = active;
+        this.clippingPlanes = active ? [this.models.section.plane] : null;
+        this._applyClipping();
+        
+        this.models.section.setVisible(active);
+        if (this.panel) {
+            this.panel.classList.toggle('visible', active);
+        }
+        
+        if (active) {
+            this.refresh();
+        } else {
+            this._setDrawing(false);
+        }
+    }
+    
+    /**
+     * Redraw the cut face from the current state of the models
+     */
+    refresh() {
+        if (!this.active) return;
+        
+        const { terrain, water, geology, stratigraphy, groundwater, section, debris, postEvent } = this.models;
+        if (!terrain.heightfield || !water.waterMesh) return;
+        
+        const waterHeight = water.waterMesh.position.y;
+        
+        // After the event the face follows the merged valley and its lakes
+        const after = postEvent && postEvent.shown;
+        
+        section.rebuild({
+            heightfield: after ? postEvent.heightfield : terrain.heightfield,
+            stratigraphy: stratigraphy,
+            geology: geology,
+            groundwater: groundwater,
+            waterHeight: waterHeight,
+            floodedMask: after ? postEvent.mask : water.getFloodedMask(waterHeight),
+            solids: [geology.mountToc, geology.landslideBlock, debris.group].filter(object => object && object.visible)
+        });
+        
+        this.lastRefresh = performance.now();
+        this.lastWaterHeight = waterHeight;
+    }
+    
+    /**
+     * Keep clipping on newly created meshes and the face in step with the scene
+     * Called every frame
+     */
+    update() {
+        if (!this.active) return;
+        
+        this._applyClipping();
+        
+        const water = this.models.water;
+        const levelChanged = water.waterMesh && water.waterMesh.position.y !== this.lastWaterHeight;
+        if (levelChanged || performance.now() - this.lastRefresh > CONFIG.section.refreshInterval) {
+            this.refresh();
+        }
+    }
+    
+    /**
+     * Objects the section cuts through
+     * @returns {Array<THREE.Object3D>} Clipped objects
+     * @private
+     */
+    _getClippedObjects() {
+        const { terrain, water, geology, debris, postEvent } = this.models;
+        const scenario = this.controllers.scenario;
+        
+        return [
+            terrain.terrain,
+            terrain.topographicOverlay,
+            water.waterMesh,
+            water.waveSurface,
+            geology.mountToc,
+            geology.landslideBlock,
+            geology.clayLayer,
+            geology.saturatedZone,
+            debris.group,
+            postEvent && postEvent.terrain,
+            postEvent && postEvent.waterMesh,
+            ...(scenario ? scenario.getSceneObjects() : [])
+        ].filter(Boolean);
+    }
+    
+    /**
+     * Set the clipping planes on every material of the clipped objects
+     * Objects created after the section was turned on pick them up here
+     * @private
+     */
+    _applyClipping() {
+        this._getClippedObjects().forEach(object => {
+            object.traverse(child => {
+                if (!child.material) return;
+                
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    if (material.clippingPlanes !== this.clippingPlanes) {
+                        material.clippingPlanes = this.clippingPlanes;
+                        material.clipShadows = true;
+                    }
+                });
+            });
+        });
+    }
+    
+    /**
+     * Make a drawn line the new reference for the sliders
+     * @param {Object} start - Start point with x and z
+     * @param {Object} end - End point with x and z
+     * @private
+     */
+    _setLine(start, end) {
+        this.line.centre.set((start.x + end.x) / 2, 0, (start.z + end.z) / 2);
+        this.line.angle = Math.atan2(end.z - start.z, end.x - start.x);
+        
+        if (this.offsetSlider) this.offsetSlider.value = 0;
+        if (this.rotationSlider) this.rotationSlider.value = 0;
+        
+        this._applySliders();
+    }
+    
+    /**
+     * Move the section across the drawn line and rotate it about the line's centre
+     * @private
+     */
+    _applySliders() {
+        const offset = this.offsetSlider ? parseFloat(this.offsetSlider.value) : 0;
+        const rotation = this.rotationSlider ? parseFloat(this.rotationSlider.value) : 0;
+        
+        // Offset is measured along the drawn line's normal
+        const normal = new THREE.Vector3(-Math.sin(this.line.angle), 0, Math.cos(this.line.angle));
+        const centre = this.line.centre.clone().addScaledVector(normal, offset);
+        
+        this.models.section.setSection(centre.x, centre.z, this.line.angle + rotation * Math.PI / 180);
+        this.refresh();
+    }
+    
+    /**
+     * Arm or disarm line drawing
+     * Disarming only resumes orbit controls that arming paused, so controls
+     * a disaster sequence or playback has disabled stay disabled
+     * @param {boolean} drawing - Whether the next drag draws a section line
+     * @private
+     */
+    _setDrawing(drawing) {
+        this.drawing = drawing;
+        this.drawStart = null;
+        this._removePreview();
+        
+        if (this.drawButton) {
+            this.drawButton.classList.toggle('on', drawing);
+        }
+        this.renderer.domElement.style.cursor = drawing ? 'crosshair' : '';
+        
+        const camera = this.controllers.camera;
+        if (!camera) return;
+        
+        if (drawing && !this.pausedCamera && camera.controls && camera.controls.enabled) {
+            camera.disable();
+            this.pausedCamera = true;
+        } else if (!drawing && this.pausedCamera) {
+            camera.enable();
+            this.pausedCamera = false;
+        }
+    }
+    
+    /**
+     * Start a section line where the pointer touches the ground
+     * @param {PointerEvent} event - Pointer event
+     * @private
+     */
+    _onPointerDown(event) {
+        if (!this.drawing) return;
+        
+        this.drawStart = this.controllers.camera.pickGround(event.clientX, event.clientY);
+        if (this.drawStart) {
+            this.renderer.domElement.setPointerCapture(event.pointerId);
+        }
+    }
+    
+    /**
+     * Stretch the preview line to the pointer
+     * @param {PointerEvent} event - Pointer event
+     * @private
+     */
+    _onPointerMove(event) {
+        if (!this.drawing || !this.drawStart) return;
+        
+        const end = this.controllers.camera.pickGround(event.clientX, event.clientY);
+        if (end) {
+            this._updatePreview(this.drawStart, end);
+        }
+    }
+    
+    /**
+     * Finish the line and cut the scene along it
+     * @param {PointerEvent} event - Pointer event
+     * @private
+     */
+    _onPointerUp(event) {
+        if (!this.drawing || !this.drawStart) return;
+        
+        const start = this.drawStart;
+        const end = this.controllers.camera.pickGround(event.clientX, event.clientY);
+        
+        // Ignore clicks; a section needs a direction
+        if (end && Math.hypot(end.x - start.x, end.z - start.z) > 5) {
+            this._setLine(start, end);
+            this._setDrawing(false);
+        } else {
+            this.drawStart = null;
+            this._removePreview();
+        }
+    }
+    
+    /**
+     * Draw the line being dragged out, just above the ground
+     * @param {THREE.Vector3} start - Start of the line
+     * @param {THREE.Vector3} end - Current end of the line
+     * @private
+     */
+    _updatePreview(start, end) {
+        const steps = 32;
+        
+        if (!this.preview) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array((steps + 1) * 3), 3));
+            
+            this.preview = new THREE.Line(
+                geometry,
+                new THREE.LineBasicMaterial({ color: 0xFF5722, depthTest: false })
+            );
+            this.preview.renderOrder = 10;
+            this.scene.add(this.preview);
+        }
+        
+        const heightfield = this.models.terrain.heightfield;
+        const positions = this.preview.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        
+        // Follow the ground so the line stays visible over ridges
+        for (let i = 0; i <= steps; i++) {
+            point.lerpVectors(start, end, i / steps);
+            positions.setXYZ(i, point.x, heightfield.getHeightAt(point.x, point.z) + 1, point.z);
+        }
+        
+        positions.needsUpdate = true;
+        this.preview.geometry.computeBoundingSphere();
+    }
+    
+    /**
+     * Remove the preview line
+     * @private
+     */
+    _removePreview() {
+        if (!this.preview) return;
+        
+        this.scene.remove(this.preview);
+        this.preview.geometry.dispose();
+        this.preview.material.dispose();
+        this.preview = null;
+    }
+}
\ No newline at end of file
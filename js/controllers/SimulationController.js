@@ -2,11 +2,60 @@ import * as THREE from 'three';
 import CONFIG from '../config.js';
 import CameraController from './CameraController.js';
 import DisasterController from './DisasterController.js';
+import HistoryController from './HistoryController.js';
+import SectionController from './SectionController.js';
+import CompareController from './CompareController.js';
+import MonteCarloController from './MonteCarloController.js';
+import ScenarioController from './ScenarioController.js';
+import ConfigController from './ConfigController.js';
+import ClockController from './ClockController.js';
+import TimelineController from './TimelineController.js';
+import StoryController from './StoryController.js';
+import CameraPathController from './CameraPathController.js';
 import WaterModel from '../models/WaterModel.js';
 import TerrainModel from '../models/TerrainModel.js';
 import GeologyModel from '../models/GeologyModel.js';
+import StabilityModel from '../models/StabilityModel.js';
+import GroundwaterModel from '../models/GroundwaterModel.js';
+import CreepModel from '../models/CreepModel.js';
+import LandslideModel from '../models/LandslideModel.js';
+import ShallowWaterModel from '../models/ShallowWaterModel.js';
+import ImpulseWaveModel from '../models/ImpulseWaveModel.js';
+import StratigraphyModel from '../models/StratigraphyModel.js';
+import SectionModel from '../models/SectionModel.js';
+import DebrisModel from '../models/DebrisModel.js';
+import PostEventModel from '../models/PostEventModel.js';
+import ConfigModel from '../models/ConfigModel.js';
+import ClockModel from '../models/ClockModel.js';
+import SequenceModel from '../models/SequenceModel.js';
+import StoryModel from '../models/StoryModel.js';
+import CameraPathModel from '../models/CameraPathModel.js';
+import ChartView from '../views/chartView.js';
+import LegendView from '../views/legendView.js';
+import SlidePanelView from '../views/slidePanelView.js';
+import MonteCarloView from '../views/monteCarloView.js';
+import ConfigPanelView from '../views/configPanelView.js';
+import CameraPathView from '../views/cameraPathView.js';
+import { heightToElevation, elevationToLevel, onUnitSystemChange } from '../utils/UnitUtils.js';
 import { initLoadingScreen, createLoadingManager, hideLoadingScreen } from '../utils/LoadingUtils.js';
 
+// What has to be rebuilt when a section of CONFIG is edited; the slide and the
+// cross-section are drawn in scene units converted from metres, so the water
+// scale reshapes them
+const CONFIG_REBUILDS = {
+    scene: ['scene'],
+    terrain: ['terrain', 'reservoir', 'mountain', 'crossSection'],
+    water: ['reservoir', 'mountain', 'crossSection'],
+    dam: ['dam', 'reservoir'],
+    mountain: ['mountain'],
+    geology: ['mountain'],
+    animation: [],
+    stability: []
+};
+
+// Rebuilds that reshape the valley
+const VALLEY_REBUILDS = ['terrain', 'reservoir', 'mountain', 'dam'];
+
 /**
  * SimulationController - Main controller for the Vajont Dam simulation
  * Orchestrates the different components and handles the main simulation loop
@@ -24,6 +73,8 @@ export default class SimulationController {
         this.uiElements = {};
         this.running = false;
         this.lastTime = 0;
+        this.lastChartUpdate = 0;
+        this.lastStorageLevel = null;
         
         // Initialize loading screen
         const { loadingScreen, loadingProgress } = initLoadingScreen();
@@ -60,9 +111,18 @@ export default class SimulationController {
             // Setup controllers
             this._setupControllers();
             
+            // Load the disaster sequences to choose from and the story that plays them
+            await this.controllers.disaster.loadSequences();
+            await this.controllers.story.loadStory();
+            
             // Setup event listeners
             this._setupEventListeners();
             
+            // Start with the slope in equilibrium with the initial reservoir level
+            const initialLevel = this.views.ui ? this.views.ui.getCurrentWaterLevel() : 30;
+            this.models.groundwater.reset(this.models.stability.getWaterHead(initialLevel));
+            this._onWaterLevelChange(initialLevel);
+            
             // Hide loading screen
             hideLoadingScreen(this.loadingScreen);
             
@@ -113,6 +173,25 @@ export default class SimulationController {
      * @private
      */
     _setupViews() {
+        // Creep monitoring charts
+        this.views.chart = new ChartView('creep-chart', 'creep-readout');
+        
+        // Stratigraphy legend
+        this.views.legend = new LegendView('geology-legend', 'legend-layers');
+        
+        // Landslide shape parameters
+        this.views.slidePanel = new SlidePanelView('slide-panel', 'slide-parameters');
+        this.views.slidePanel.registerChangeHandler(parameters => this.setSlideParameters(parameters));
+        
+        // Monte Carlo stability analysis
+        this.views.monteCarlo = new MonteCarloView('monte-carlo-panel');
+        
+        // Simulation settings
+        this.views.configPanel = new ConfigPanelView('config-panel', 'config-sections');
+        
+        // Recorded camera paths
+        this.views.cameraPath = new CameraPathView('camera-path-panel', 'camera-path-keyframes');
+        
         // Import UIView dynamically to avoid circular dependencies
         import('../views/viewUI.js').then(({ default: UIView }) => {
             this.views.ui = new UIView();
@@ -130,6 +209,11 @@ export default class SimulationController {
                 value => this._onWaterLevelChange(value),
                 value => this._onStabilityUpdate(value)
             );
+            
+            // Setting the level by stored volume goes through the slider
+            this.views.ui.registerVolumeHandler(
+                volume => this._onTargetVolume(volume)
+            );
         });
     }
     
@@ -139,45 +223,231 @@ export default class SimulationController {
      */
     async _loadModels() {
         // Create models
+        this.models.clock = new ClockModel();
         this.models.water = new WaterModel();
         this.models.terrain = new TerrainModel();
         this.models.geology = new GeologyModel();
+        this.models.stability = new StabilityModel();
+        this.models.groundwater = new GroundwaterModel();
+        this.models.creep = new CreepModel();
+        this.models.landslide = new LandslideModel();
+        this.models.shallowWater = new ShallowWaterModel(
+            (x, z) => heightToElevation(this.models.terrain.heightfield.getHeightAt(x, z))
+        );
+        this.models.impulseWave = new ImpulseWaveModel();
+        this.models.stratigraphy = new StratigraphyModel();
+        this.models.section = new SectionModel();
+        this.models.debris = new DebrisModel();
+        this.models.postEvent = new PostEventModel();
+        this.models.sequences = new SequenceModel();
+        this.models.story = new StoryModel();
+        this.models.cameraPath = new CameraPathModel();
         
         try {
+            // Load the stratigraphy first; it sets the geology the other models read
+            await this._loadStratigraphy();
+            
+            // Take the settings as they start, with the geology from the stratigraphy
+            this.models.config = new ConfigModel();
+            
             // Load terrain
             await this.models.terrain.createTerrain(this.scene, this.textureLoader);
             
             // Create cross-section (geology view)
-            await this.models.terrain.createCrossSection(this.scene, this.textureLoader);
+            this.models.terrain.createCrossSection(this.scene, this.models.stratigraphy);
             
             // Create water
-            await this.models.water.createWater(this.scene, this.textureLoader);
+            await this.models.water.createWater(this.scene, this.textureLoader, this.models.terrain.heightfield);
             
-            // Create Mount Toc and landslide
-            await this.models.geology.createMountToc(this.scene, this.textureLoader);
+            // Create Mount Toc and landslide on the terrain
+            await this.models.geology.createMountToc(this.scene, this.textureLoader, this.models.terrain.heightfield);
+            this.views.slidePanel.update(this.models.geology.getSlideParameters());
             
             // Create clay layer
-            await this.models.geology.createClayLayer(this.scene, this.textureLoader);
+            await this.models.geology.createClayLayer(this.scene, this.textureLoader, this.models.stratigraphy);
             
             // Create saturation zone
             this.models.geology.createSaturatedZone(this.scene);
             
             // Create dam
             await this.models.geology.createDam(this.scene, this.textureLoader);
-            
+        
         } catch (error) {
             console.error('Error loading models:', error);
             throw error;
         }
     }
     
+    /**
+     * Load the stratigraphy file, falling back to the simulation settings
+     * @private
+     */
+    async _loadStratigraphy() {
+        const stratigraphy = this.models.stratigraphy;
+        
+        try {
+            await stratigraphy.load();
+        } catch (error) {
+            console.error('Error loading stratigraphy:', error);
+            stratigraphy.setDefault();
+        }
+        
+        stratigraphy.applyToConfig();
+        this.views.legend.update(stratigraphy);
+    }
+    
+    /**
+     * Replace the stratigraphy and rebuild everything derived from it
+     * @param {Object} data - Parsed stratigraphy JSON
+     * @throws {Error} If the data is not a valid stratigraphy
+     */
+    setStratigraphy(data) {
+        const stratigraphy = this.models.stratigraphy;
+        stratigraphy.setData(data);
+        stratigraphy.applyToConfig();
+        
+        // The basal dip shapes the chair, so the slide is regenerated too
+        this.models.terrain.rebuildCrossSection(stratigraphy);
+        this.models.geology.rebuildMountToc();
+        this.models.geology.rebuildClayLayer(stratigraphy);
+        this.views.legend.update(stratigraphy);
+        this.views.slidePanel.update(this.models.geology.getSlideParameters());
+        
+        // Strength and weight changed, so the slope must be re-evaluated
+        this._onStabilityUpdate(this.models.water.currentLevel);
+        
+        if (this.controllers.section) {
+            this.controllers.section.refresh();
+        }
+    }
+    
+    /**
+     * Read a stratigraphy file chosen by the user
+     * @param {File} file - Selected JSON file
+     * @private
+     */
+    async _onStratigraphyFile(file) {
+        try {
+            this.setStratigraphy(JSON.parse(await file.text()));
+            this.views.legend.showError(null);
+        } catch (error) {
+            console.error('Error reading stratigraphy file:', error);
+            this.views.legend.showError(error.message);
+        }
+    }
+    
+    /**
+     * Regenerate Mount Toc and the landslide from edited shape parameters
+     * Ignored while the disaster sequence runs or its deposit lies in the valley
+     * @param {Object} parameters - Values from the slide parameter panel
+     */
+    setSlideParameters(parameters) {
+        const geology = this.models.geology;
+        
+        if ((this.controllers.disaster && this.controllers.disaster.animating) || this.models.debris.fragments.length) {
+            this.views.slidePanel.update(geology.getSlideParameters());
+            return;
+        }
+        
+        geology.setSlideParameters(parameters);
+        geology.rebuildMountToc();
+        geology.rebuildClayLayer(this.models.stratigraphy);
+        
+        // The basal dip drives the factor of safety
+        this._onStabilityUpdate(this.models.water.currentLevel);
+        
+        if (this.controllers.section) {
+            this.controllers.section.refresh();
+        }
+    }
+    
+    /**
+     * Apply edited settings and rebuild only what they affect
+     * Settings that reshape the valley are refused while the disaster sequence
+     * runs or its deposit lies in the valley. If a rebuild fails the previous
+     * settings are restored and the scene is rebuilt from them
+     * @param {Object} values - Values keyed by section, then by field, as in ConfigModel
+     * @returns {Array<string>} Keys of the sections that changed
+     * @throws {Error} If the settings are not valid or the valley cannot be rebuilt now
+     */
+    applyConfig(values) {
+        const config = this.models.config;
+        const changed = config.getChangedSections(values);
+        const rebuilds = new Set(changed.flatMap(section => CONFIG_REBUILDS[section]));
+        const reshapes = VALLEY_REBUILDS.some(step => rebuilds.has(step));
+        
+        if (reshapes && ((this.controllers.disaster && this.controllers.disaster.animating) || this.models.debris.fragments.length)) {
+            throw new Error('Reset the simulation before changing the valley');
+        }
+        
+        const previous = config.getValues();
+        config.apply(values);
+        
+        // The scenarios draw copies of the old reservoir and saturated zone
+        if (reshapes && this.controllers.scenario) {
+            this.controllers.scenario.setActive(false);
+        }
+        
+        try {
+            this._rebuildFromConfig(rebuilds);
+        } catch (error) {
+            config.apply(previous);
+            this._rebuildFromConfig(rebuilds);
+            throw error;
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Rebuild the parts of the scene that read edited settings
+     * @param {Set<string>} rebuilds - Rebuild steps, as in CONFIG_REBUILDS
+     * @private
+     */
+    _rebuildFromConfig(rebuilds) {
+        const { terrain, water, geology } = this.models;
+        const reshapes = VALLEY_REBUILDS.some(step => rebuilds.has(step));
+        
+        if (rebuilds.has('terrain')) {
+            terrain.rebuildTerrain();
+            this.controllers.camera.setHeightfield(terrain.heightfield);
+        }
+        if (rebuilds.has('reservoir')) {
+            water.rebuildReservoir(terrain.heightfield);
+            this.lastStorageLevel = null;
+        }
+        if (rebuilds.has('mountain')) {
+            geology.rebuildMountToc(terrain.heightfield);
+            geology.rebuildClayLayer(this.models.stratigraphy);
+            this.views.slidePanel.update(geology.getSlideParameters());
+        }
+        if (rebuilds.has('dam')) {
+            geology.rebuildDam();
+        }
+        if (rebuilds.has('crossSection')) {
+            // The section is drawn on the scale of the reservoir
+            terrain.rebuildCrossSection(this.models.stratigraphy);
+        }
+        if (rebuilds.has('scene')) {
+            this.views.scene.applySceneSettings();
+        }
+        
+        // Geology, block size and thresholds all feed the stability indicator
+        this._onStabilityUpdate(water.currentLevel);
+        
+        if (reshapes && this.controllers.section) {
+            this.controllers.section.refresh();
+        }
+    }
+    
     /**
      * Setup controllers
      * @private
      */
     _setupControllers() {
         // Create camera controller
-        this.controllers.camera = new CameraController(this.camera, this.renderer);
+        this.controllers.camera = new CameraController(this.camera, this.renderer, this.models.clock);
+        this.controllers.camera.setHeightfield(this.models.terrain.heightfield);
         
         // Create disaster controller
         this.controllers.disaster = new DisasterController(
@@ -187,8 +457,73 @@ export default class SimulationController {
             this.uiElements
         );
         
+        // Create historical playback controller
+        this.controllers.history = new HistoryController(
+            this.models,
+            this.controllers,
+            this.uiElements
+        );
+        
+        // Create interactive cutting plane
+        this.controllers.section = new SectionController(
+            this.scene,
+            this.renderer,
+            this.models,
+            this.controllers
+        );
+        
+        // Create before/after comparison of the valley
+        this.controllers.compare = new CompareController(
+            this.scene,
+            this.renderer,
+            this.models,
+            this.controllers
+        );
+        
+        // Create Monte Carlo stability analysis
+        this.controllers.monteCarlo = new MonteCarloController(this.models, this.views.monteCarlo);
+        
+        // Create live editor of the simulation settings
+        this.controllers.config = new ConfigController(
+            this.models,
+            this.views.configPanel,
+            values => this.applyConfig(values)
+        );
+        
+        // Create side-by-side operating scenarios
+        this.controllers.scenario = new ScenarioController(
+            this.scene,
+            this.renderer,
+            this.models,
+            this.controllers
+        );
+        
+        // Create playback controls for the simulation clock
+        this.controllers.clock = new ClockController(this.models);
+        
+        // Scrub the disaster sequence and jump between its events on the timeline
+        this.controllers.timeline = new TimelineController(this.models, this.controllers);
+        
+        // Guided tour of the history in chapters
+        this.controllers.story = new StoryController(
+            this.models,
+            this.controllers,
+            (layer, visible) => this.setLayerVisible(layer, visible)
+        );
+        
+        // Record, edit and play back camera paths
+        this.controllers.cameraPath = new CameraPathController(
+            this.scene,
+            this.models,
+            this.controllers,
+            this.views.cameraPath
+        );
+        
         // Setup keyboard shortcuts
         this.controllers.camera.setupKeyboardShortcuts();
+        
+        // Everything that moves in simulated time is stepped by the clock
+        this.models.clock.subscribe(step => this._onClockStep(step));
     }
     
     /**
@@ -198,6 +533,111 @@ export default class SimulationController {
     _setupEventListeners() {
         // Window resize
         window.addEventListener('resize', () => this._onWindowResize());
+        
+        // Redraw unit-bearing readouts in the new units
+        onUnitSystemChange(() => {
+            this.lastStorageLevel = null;
+            this.lastChartUpdate = 0;
+            if (this.models.terrain) {
+                this.models.terrain.updateTopographicOverlay();
+            }
+            if (this.models.stratigraphy) {
+                this.views.legend.update(this.models.stratigraphy);
+            }
+            if (this.models.water) {
+                this._onStabilityUpdate(this.models.water.currentLevel);
+            }
+        });
+        
+        // Geological cross-section and its legend
+        const strataToggle = document.getElementById('toggle-strata');
+        if (strataToggle) {
+            strataToggle.addEventListener('click', () => {
+                const visible = this.models.terrain.toggleCrossSection();
+                strataToggle.classList.toggle('on', visible);
+                this._updateLegendVisibility();
+            });
+        }
+        
+        // The cutting plane is coloured by the same legend
+        const sectionToggle = document.getElementById('toggle-section');
+        if (sectionToggle) {
+            sectionToggle.addEventListener('click', () => this._updateLegendVisibility());
+        }
+        
+        const stratigraphyFile = document.getElementById('stratigraphy-file');
+        if (stratigraphyFile) {
+            stratigraphyFile.addEventListener('change', () => {
+                if (stratigraphyFile.files.length > 0) {
+                    this._onStratigraphyFile(stratigraphyFile.files[0]);
+                }
+                stratigraphyFile.value = ''; // allow the same file to be loaded again
+            });
+        }
+        
+        // Landslide shape parameters
+        const slideToggle = document.getElementById('toggle-slide-panel');
+        if (slideToggle) {
+            slideToggle.addEventListener('click', () => {
+                const visible = slideToggle.classList.toggle('on');
+                this.views.slidePanel.setVisible(visible);
+            });
+        }
+        
+        // Topographic contour overlay
+        const contourToggle = document.getElementById('toggle-contours');
+        if (contourToggle) {
+            contourToggle.addEventListener('click', () => {
+                const visible = this.models.terrain.toggleTopographicOverlay();
+                contourToggle.classList.toggle('on', visible);
+            });
+        }
+    }
+    
+    /**
+     * Show or hide a layer of the scene, keeping its toggle button in step
+     * @param {string} layer - 'contours', 'strata' or 'compare'
+     * @param {boolean} visible - Whether the layer is shown
+     */
+    setLayerVisible(layer, visible) {
+        const terrain = this.models.terrain;
+        
+        switch (layer) {
+            case 'contours':
+                if (terrain.topographicOverlay && terrain.topographicOverlay.visible !== visible) {
+                    const shown = terrain.toggleTopographicOverlay();
+                    const contourToggle = document.getElementById('toggle-contours');
+                    if (contourToggle) contourToggle.classList.toggle('on', shown);
+                }
+                break;
+            
+            case 'strata':
+                if (terrain.crossSection && terrain.crossSection.visible !== visible) {
+                    const shown = terrain.toggleCrossSection();
+                    const strataToggle = document.getElementById('toggle-strata');
+                    if (strataToggle) strataToggle.classList.toggle('on', shown);
+                    this._updateLegendVisibility();
+                }
+                break;
+            
+            case 'compare':
+                // Only once the deposit is in the valley
+                this.controllers.compare.setComparing(visible);
+                break;
+        }
+    }
+    
+    /**
+     * Show the stratigraphy legend while the cross-section or the cutting plane is shown
+     * @private
+     */
+    _updateLegendVisibility() {
+        const crossSection = this.models.terrain.crossSection;
+        const section = this.controllers.section;
+        
+        this.views.legend.setVisible(
+            Boolean(crossSection && crossSection.visible) || Boolean(section && section.active)
+        );
     }
     
     /**
@@ -233,14 +673,55 @@ export default class SimulationController {
         const deltaTime = (currentTime - this.lastTime) / 1000; // in seconds
         this.lastTime = currentTime;
         
+        // Advance the simulation clock; it steps every animation in simulated time
+        if (this.models.clock) {
+            this.models.clock.tick(deltaTime);
+        }
+        
         // Update controllers
         if (this.controllers.camera) {
             this.controllers.camera.update();
         }
         
-        // Update water animation
-        if (this.models.water) {
-            this.models.water.animateWater(deltaTime);
+        // Show the slope as pore pressure and creep have left it
+        this._updateSlope();
+        
+        // Keep the storage readout in step with every source of level changes
+        this._updateStorageReadout();
+        
+        // Mark the reservoir level on the probability of failure
+        if (this.controllers.monteCarlo) {
+            this.controllers.monteCarlo.update();
+        }
+        
+        // Re-flood the valley after the event as the reservoir changes
+        if (this.controllers.compare) {
+            this.controllers.compare.update();
+        }
+        
+        // Seek where the timeline was dragged and follow the clock along it
+        if (this.controllers.timeline) {
+            this.controllers.timeline.update();
+        }
+        
+        // Move the story on to its next chapter when autoplay is due to
+        if (this.controllers.story) {
+            this.controllers.story.update();
+        }
+        
+        // Notice when another camera move cuts a camera path short
+        if (this.controllers.cameraPath) {
+            this.controllers.cameraPath.update();
+        }
+        
+        // Show the clock's time, rate and the part of the run that can be sought
+        if (this.controllers.clock) {
+            this.controllers.clock.update();
+        }
+        
+        // Keep the cut face in step with the reservoir, groundwater and slide
+        if (this.controllers.section) {
+            this.controllers.section.update();
         }
         
         // Update annotations
@@ -248,8 +729,12 @@ export default class SimulationController {
             this.views.scene.updateAnnotations(this.camera);
         }
         
-        // Render scene
-        if (this.views.scene && this.camera) {
+        // Render scene, split into two scenarios or into before and after while comparing
+        if (this.controllers.scenario && this.controllers.scenario.active && this.camera) {
+            this.controllers.scenario.render(this.camera);
+        } else if (this.controllers.compare && this.controllers.compare.comparing && this.camera) {
+            this.controllers.compare.render(this.camera);
+        } else if (this.views.scene && this.camera) {
             this.views.scene.render(this.camera);
         }
     }
@@ -270,37 +755,125 @@ export default class SimulationController {
         }
     }
     
+    /**
+     * Advance everything that moves in simulated time by one clock step
+     * @param {number} step - Clock step (seconds)
+     * @private
+     */
+    _onClockStep(step) {
+        // Update water animation
+        this.models.water.animateWater(step);
+        
+        // Let pore pressure and creep follow the reservoir
+        this._advanceSlope(step);
+        
+        // Run both operating scenarios on the same clock
+        if (this.controllers.scenario) {
+            this.controllers.scenario.update(step);
+        }
+    }
+    
+    /**
+     * Advance the pore-pressure field and creep
+     * @param {number} step - Clock step (seconds)
+     * @private
+     */
+    _advanceSlope(step) {
+        const level = this.models.water.currentLevel;
+        const days = step * this.models.groundwater.daysPerSecond;
+        
+        this.models.groundwater.setReservoirHead(this.models.stability.getWaterHead(level));
+        this.models.groundwater.step(days);
+        
+        // Creep responds to the transient factor of safety
+        const stability = this.models.stability.calculate(level, this.models.groundwater);
+        this.models.creep.step(days, stability.factorOfSafety);
+    }
+    
+    /**
+     * Refresh stability and the creeping slope from the pore-pressure field
+     * @private
+     */
+    _updateSlope() {
+        if (!this.models.groundwater || !this.models.water || !this.models.stability) return;
+        
+        this._onStabilityUpdate(this.models.water.currentLevel);
+        if (this.models.geology) {
+            this.models.geology.updateCreepDisplacement(this.models.creep.displacement);
+        }
+        
+        // Redraw the monitoring charts a few times per second
+        const now = performance.now();
+        if (this.views.chart && now - this.lastChartUpdate > 250) {
+            this.lastChartUpdate = now;
+            this.views.chart.update(this.models.creep, this.models.creep.forecastFailure());
+        }
+    }
+    
     /**
      * Handle water level change
      * @param {number} value - New water level value (0-100)
      * @private
      */
     _onWaterLevelChange(value) {
-        // Update water model
+        // Update water model; pore pressure follows it in the animation loop
         if (this.models.water) {
             this.models.water.updateWaterLevel(value);
         }
         
         // Update stability
         this._onStabilityUpdate(value);
+    }
+    
+    /**
+     * Move the reservoir to the level that stores a target volume
+     * @param {number} volume - Target stored volume (m³)
+     * @private
+     */
+    _onTargetVolume(volume) {
+        if (!this.models.water || !this.views.ui) return;
         
-        // Update geology models
-        if (this.models.geology) {
-            this.models.geology.updateSaturationZone(value);
-            this.models.geology.updateClayLayer(value);
-        }
+        const elevation = this.models.water.getElevationForVolume(volume);
+        this.views.ui.setWaterLevel(elevationToLevel(elevation));
+    }
+    
+    /**
+     * Refresh the level label and storage readout when the level has moved
+     * @private
+     */
+    _updateStorageReadout() {
+        const water = this.models.water;
+        if (!water || !this.views.ui || water.currentLevel === this.lastStorageLevel) return;
+        
+        this.lastStorageLevel = water.currentLevel;
+        this.views.ui.updateWaterLevelLabel(water.getElevation());
+        this.views.ui.updateStorageReadout(water.getVolume(), water.getArea());
     }
     
     /**
      * Handle stability update
      * @param {number} value - Water level value (0-100)
+     * @returns {Object|null} Factor-of-safety result
      * @private
      */
     _onStabilityUpdate(value) {
+        if (!this.models.stability || !this.models.groundwater) return null;
+        
+        const stability = this.models.stability.calculate(value, this.models.groundwater);
+        
         // Update UI
         if (this.views.ui) {
-            this.views.ui.updateStabilityIndicator(value);
+            this.views.ui.updateStabilityIndicator(stability);
+        }
+        
+        // Update geology models from the pore-pressure field
+        if (this.models.geology) {
+            const dip = CONFIG.geology.clayLayerAngle * Math.PI / 180;
+            this.models.geology.updateSaturationZone(this.models.groundwater.getSaturation(dip));
+            this.models.geology.updateClayLayer(stability);
         }
+        
+        return stability;
     }
     
     /**
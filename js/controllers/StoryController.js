@@ -0,0 +1,316 @@
+import * as THREE from 'three';
+import CameraPathModel from '../models/CameraPathModel.js';
+
+/**
+ * StoryController - Guided tour of the history in chapters
+ * Each chapter puts the simulation in its state, shows its layers and
+ * caption and flies the camera along its keyframes. Visitors step through
+ * the chapters or let autoplay move on once a chapter has played out
+ */
+export default class StoryController {
+    /**
+     * Initialize the story controller
+     * @param {Object} models - Object containing model instances
+     * @param {Object} controllers - Object containing controller instances
+     * @param {Function} setLayer - Called with a layer name and whether to show it
+     */
+    constructor(models, controllers, setLayer) {
+        this.models = models;
+        this.controllers = controllers;
+        this.setLayer = setLayer;
+        
+        this.active = false;
+        this.index = 0;
+        this.autoplay = false;
+        this.elapsed = 0;             // Clock time the current chapter has been up (s)
+        this.pathDone = false;        // Whether the camera has reached the chapter's last keyframe
+        this.stopTimer = null;
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.toggle = document.getElementById('toggle-story');
+        this.panel = document.getElementById('story-panel');
+        this.titleElement = document.getElementById('story-title');
+        this.dateElement = document.getElementById('story-date');
+        this.captionElement = document.getElementById('story-caption');
+        this.chapterList = document.getElementById('story-chapters');
+        this.prevButton = document.getElementById('story-prev');
+        this.nextButton = document.getElementById('story-next');
+        this.autoplayButton = document.getElementById('story-autoplay');
+        
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.setActive(!this.active));
+        }
+        
+        const closeButton = document.getElementById('story-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.setActive(false));
+        }
+        
+        if (this.prevButton) {
+            this.prevButton.addEventListener('click', () => this.showChapter(this.index - 1));
+        }
+        if (this.nextButton) {
+            this.nextButton.addEventListener('click', () => this.showChapter(this.index + 1));
+        }
+        if (this.autoplayButton) {
+            this.autoplayButton.addEventListener('click', () => this.setAutoplay(!this.autoplay));
+        }
+        
+        // Arrow keys turn the pages, except while typing in a field
+        document.addEventListener('keydown', (event) => {
+            if (!this.active || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            
+            switch (event.key) {
+                case 'ArrowLeft':
+                    this.showChapter(this.index - 1);
+                    break;
+                
+                case 'ArrowRight':
+                    this.showChapter(this.index + 1);
+                    break;
+                
+                case 'Escape':
+                    this.setActive(false);
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Load the chapters of the story
+     * The story cannot be opened if they cannot be loaded
+     * @returns {Promise} Promise that resolves once the chapters are loaded or have failed
+     */
+    async loadStory() {
+        try {
+            await this.models.story.load();
+            this._listChapters();
+        } catch (error) {
+            console.error('Error loading story:', error);
+            if (this.toggle) {
+                this.toggle.disabled = true;
+                this.toggle.title = `Story unavailable: ${error.message}`;
+            }
+        }
+    }
+    
+    /**
+     * Open or close the story
+     * Opening it takes up the chapter it was left at; closing it leaves the
+     * scene as the chapter left it
+     * @param {boolean} active - Whether the story is shown
+     */
+    setActive(active) {
+        const chapters = this.models.story.chapters;
+        if (active === this.active || (active && chapters.length === 0)) return;
+        
+        this.active = active;
+        document.body.classList.toggle('story-mode', active);
+        if (this.toggle) this.toggle.classList.toggle('on', active);
+        if (this.panel) this.panel.classList.toggle('visible', active);
+        
+        if (active) {
+            // The story plays on the scene's own reservoir and slope
+            if (this.controllers.scenario) {
+                this.controllers.scenario.setActive(false);
+            }
+            
+            this.stopTimer = this.models.clock.subscribe(step => {
+                // A seek replaying the disaster sequence is not time the chapter was up
+                if (!this.models.clock.replaying) this.elapsed += step;
+            });
+            this.showChapter(this.index);
+        } else {
+            this.setAutoplay(false);
+            if (this.stopTimer) {
+                this.stopTimer();
+                this.stopTimer = null;
+            }
+        }
+    }
+    
+    /**
+     * Move to a chapter and put the scene in its state
+     * @param {number} index - Chapter to show; ignored outside the story
+     */
+    showChapter(index) {
+        const chapters = this.models.story.chapters;
+        if (!this.active || index < 0 || index >= chapters.length) return;
+        
+        const chapter = chapters[index];
+        this.index = index;
+        this.elapsed = 0;
+        this.pathDone = false;
+        
+        try {
+            this._applyState(chapter.state);
+        } catch (error) {
+            console.error('Error setting up chapter:', error);
+        }
+        
+        Object.entries(chapter.layers).forEach(([layer, visible]) => this.setLayer(layer, visible));
+        
+        // Fly the camera along the chapter's keyframes
+        const camera = this.controllers.camera;
+        const pathDone = () => {
+            this.pathDone = true;
+        };
+        camera.setActiveView(null);
+        if (chapter.smooth) {
+            const path = new CameraPathModel();
+            path.setData({ keyframes: chapter.camera });
+            camera.playPath(path, pathDone);
+        } else {
+            camera.followPath(chapter.camera.map(keyframe => ({
+                view: keyframe.view,
+                position: keyframe.position ? new THREE.Vector3(...keyframe.position) : null,
+                target: keyframe.target ? new THREE.Vector3(...keyframe.target) : null,
+                duration: keyframe.duration * 1000
+            })), pathDone);
+        }
+        
+        this._showChapterText(chapter);
+    }
+    
+    /**
+     * Turn autoplay on or off
+     * With autoplay on, the story moves on once the chapter's time is up and
+     * whatever it plays has finished
+     * @param {boolean} autoplay - Whether the chapters follow each other by themselves
+     */
+    setAutoplay(autoplay) {
+        this.autoplay = autoplay && this.active;
+        
+        if (this.autoplayButton) {
+            this.autoplayButton.textContent = this.autoplay ? 'Stop autoplay' : 'Autoplay';
+            this.autoplayButton.classList.toggle('on', this.autoplay);
+        }
+    }
+    
+    /**
+     * Move on to the next chapter when autoplay is due to
+     * Called every frame, outside the clock's steps, since a chapter may seek the clock
+     */
+    update() {
+        if (!this.active || !this.autoplay) return;
+        
+        const chapters = this.models.story.chapters;
+        const chapter = chapters[this.index];
+        if (this.elapsed < chapter.duration || !this.pathDone || this._isPlaying()) return;
+        
+        if (this.index < chapters.length - 1) {
+            this.showChapter(this.index + 1);
+        } else {
+            this.setAutoplay(false);
+        }
+    }
+    
+    /**
+     * Put the simulation in the state a chapter opens with
+     * A chapter that skips to the end of the sequence already playing lets it
+     * carry on from there rather than start it again
+     * @param {Object} state - Chapter state from StoryModel
+     * @private
+     */
+    _applyState(state) {
+        const disaster = this.controllers.disaster;
+        const history = this.controllers.history;
+        
+        history.stop();
+        disaster.closeSummary();
+        
+        const continuing = state.complete && disaster.getTimeline() !== null &&
+                           disaster.script !== null && disaster.script.id === state.sequence;
+        if (!continuing) {
+            disaster.resetSimulation(state.level);
+        }
+        
+        if (state.sequence) {
+            if (!continuing) {
+                disaster.playDisasterSequence(state.sequence);
+            }
+            
+            // Replay the rest of the run over the next frames, keeping what it
+            // leaves in the valley; the summary it ends with is not shown
+            const timeline = disaster.getTimeline();
+            if (state.complete && timeline && this.models.clock.time < timeline.end) {
+                const index = this.index;
+                this.controllers.clock.seek(timeline.end, () => {
+                    if (this.index === index) disaster.closeSummary();
+                });
+            }
+        }
+        
+        if (state.history) {
+            history.playHistory(false);
+        }
+    }
+    
+    /**
+     * Whether what the chapter started is still playing
+     * @returns {boolean} True while the disaster sequence or the history plays,
+     *          or a seek replays the sequence
+     * @private
+     */
+    _isPlaying() {
+        return this.controllers.disaster.animating || this.controllers.history.playing ||
+               this.models.clock.isSeeking();
+    }
+    
+    /**
+     * Show the title, date and caption of a chapter and where it is in the story
+     * @param {Object} chapter - Chapter from StoryModel
+     * @private
+     */
+    _showChapterText(chapter) {
+        const chapters = this.models.story.chapters;
+        
+        if (this.titleElement) {
+            this.titleElement.textContent = chapter.title;
+        }
+        if (this.dateElement) {
+            this.dateElement.textContent = `Chapter ${this.index + 1} of ${chapters.length}` +
+                                           (chapter.date ? ` · ${chapter.date}` : '');
+        }
+        if (this.captionElement) {
+            this.captionElement.innerHTML = '';
+            chapter.caption.forEach(text => {
+                const paragraph = document.createElement('p');
+                paragraph.textContent = text;
+                this.captionElement.appendChild(paragraph);
+            });
+        }
+        
+        if (this.prevButton) this.prevButton.disabled = this.index === 0;
+        if (this.nextButton) this.nextButton.disabled = this.index === chapters.length - 1;
+        
+        if (this.chapterList) {
+            Array.from(this.chapterList.children).forEach((button, index) => {
+                button.classList.toggle('current', index === this.index);
+            });
+        }
+    }
+    
+    /**
+     * Add a button for each chapter to jump straight to it
+     * @private
+     */
+    _listChapters() {
+        if (!this.chapterList) return;
+        
+        this.chapterList.innerHTML = '';
+        this.models.story.chapters.forEach((chapter, index) => {
+            const button = document.createElement('button');
+            button.textContent = index + 1;
+            button.title = chapter.title;
+            button.addEventListener('click', () => this.showChapter(index));
+            this.chapterList.appendChild(button);
+        });
+    }
+}
\ No newline at end of file
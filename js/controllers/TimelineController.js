@@ -0,0 +1,298 @@
+import CONFIG from '../config.js';
+
+/**
+ * TimelineController - Interactive timeline of the disaster sequence
+ * Dragging the bar moves the handle and the simulation clock seeks to where
+ * it is let go, so a drag back replays the run once; clicks and markers seek
+ * straight away. The tooltip relates clock time to the historical clock of
+ * the script being played
+ */
+export default class TimelineController {
+    /**
+     * Initialize the timeline controller
+     * @param {Object} models - Object containing model instances
+     * @param {Object} controllers - Object containing controller instances
+     */
+    constructor(models, controllers) {
+        this.models = models;
+        this.controllers = controllers;
+        this.clock = models.clock;
+        
+        this.active = false;          // Whether the timeline is seeking a disaster run
+        this.markerKey = '';          // Markers last drawn, to redraw only when they change
+        this.dragging = false;
+        this.pendingTime = null;      // Clock time under the handle while it is dragged
+        this.resume = false;          // Whether to resume the clock once the drag is let go
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.element = document.getElementById('timeline');
+        this.progress = document.getElementById('timeline-progress');
+        this.handle = document.getElementById('timeline-handle');
+        this.markerList = document.getElementById('timeline-markers');
+        this.tooltip = document.getElementById('timeline-tooltip');
+        this.playButton = document.getElementById('timeline-play');
+        
+        if (!this.element) return;
+        
+        // Drag anywhere on the bar to scrub; the clock holds still meanwhile
+        this.element.addEventListener('pointerdown', (event) => {
+            if (!this.active || event.target.closest('button')) return;
+            
+            this.dragging = true;
+            this.resume = !this.clock.paused;
+            this.controllers.clock.setPaused(true);
+            this.element.setPointerCapture(event.pointerId);
+            this._scrubTo(event.clientX);
+        });
+        
+        this.element.addEventListener('pointermove', (event) => {
+            if (!this.active) return;
+            
+            if (this.dragging) {
+                this._scrubTo(event.clientX);
+            } else if (!event.target.closest('button')) {
+                const time = this._getTimeAt(event.clientX);
+                this._showTooltip(time, [this._formatTime(time)]);
+            }
+        });
+        
+        // Seek where the drag is let go; a cancelled drag leaves the clock where it was
+        const endDrag = (event, seek) => {
+            if (!this.dragging) return;
+            
+            this.dragging = false;
+            this.element.releasePointerCapture(event.pointerId);
+            
+            if (seek && this.pendingTime !== null) {
+                this.controllers.clock.seek(this.pendingTime);
+            }
+            this.pendingTime = null;
+            
+            if (this.resume) {
+                this.resume = false;
+                this.controllers.clock.setPaused(false);
+            }
+        };
+        this.element.addEventListener('pointerup', event => endDrag(event, true));
+        this.element.addEventListener('pointercancel', event => endDrag(event, false));
+        
+        this.element.addEventListener('pointerleave', () => {
+            if (!this.dragging) this._hideTooltip();
+        });
+        
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => {
+                this.controllers.clock.setPaused(!this.clock.paused);
+            });
+        }
+        
+        const stepButton = document.getElementById('timeline-step');
+        if (stepButton) {
+            stepButton.addEventListener('click', () => this.controllers.clock.stepFrame());
+        }
+    }
+    
+    /**
+     * Bring the timeline up to date with the clock
+     * Called every frame
+     */
+    update() {
+        if (!this.element) return;
+        
+        const timeline = this.controllers.disaster.getTimeline();
+        const active = Boolean(timeline) && this.clock.rewindable;
+        
+        if (active !== this.active) {
+            this.active = active;
+            this.element.classList.toggle('interactive', active);
+            if (!active) {
+                this.dragging = false;
+                this.pendingTime = null;
+                this.markerKey = '';
+                this._hideTooltip();
+                if (this.markerList) this.markerList.innerHTML = '';
+            }
+        }
+        
+        // History playback fills the bar itself
+        if (!active) return;
+        
+        this._drawMarkers(timeline);
+        
+        // The handle stays at the time dragged to, or sought, until the clock gets there
+        const seeking = this.clock.isSeeking();
+        this.element.classList.toggle('seeking', seeking);
+        
+        let time = this.clock.time;
+        if (this.pendingTime !== null) {
+            time = this.pendingTime;
+        } else if (seeking) {
+            time = this.clock.seekTarget * this.clock.step;
+        }
+        const percent = this._toPercent(time, timeline);
+        if (this.progress) {
+            this.progress.style.width = `${this._toPercent(this.clock.time, timeline)}%`;
+        }
+        if (this.handle) {
+            this.handle.style.left = `${percent}%`;
+        }
+        if (this.playButton) {
+            this.playButton.textContent = this.clock.paused ? 'Play' : 'Pause';
+        }
+    }
+    
+    /**
+     * Draw a marker for each event of the run, when they have changed
+     * @param {Object} timeline - Timeline from DisasterController.getTimeline
+     * @private
+     */
+    _drawMarkers(timeline) {
+        if (!this.markerList) return;
+        
+        const key = timeline.markers.map(marker => `${marker.id}:${marker.time}:${marker.estimated}`).join('|') +
+                    `|${timeline.duration}`;
+        if (key === this.markerKey) return;
+        this.markerKey = key;
+        
+        this.markerList.innerHTML = '';
+        timeline.markers.forEach(marker => {
+            const button = document.createElement('button');
+            button.className = `timeline-marker${marker.estimated ? ' estimated' : ''}`;
+            button.style.left = `${this._toPercent(marker.time, timeline)}%`;
+            button.setAttribute('aria-label', marker.label);
+            
+            const lines = [marker.description, `${marker.estimated ? 'About ' : ''}${this._formatTime(marker.time)}`];
+            button.addEventListener('pointerenter', () => this._showTooltip(marker.time, lines, marker.label));
+            button.addEventListener('pointerleave', () => this._hideTooltip());
+            button.addEventListener('click', () => this.controllers.clock.seek(marker.time));
+            
+            this.markerList.appendChild(button);
+        });
+    }
+    
+    /**
+     * Move the handle to a point on the bar, for the clock to seek to when the drag ends
+     * @param {number} clientX - Horizontal pointer position (px)
+     * @private
+     */
+    _scrubTo(clientX) {
+        this.pendingTime = this._getTimeAt(clientX);
+        this._showTooltip(this.pendingTime, [this._formatTime(this.pendingTime)]);
+    }
+    
+    /**
+     * Clock time under a point on the bar
+     * @param {number} clientX - Horizontal pointer position (px)
+     * @returns {number} Clock time (s)
+     * @private
+     */
+    _getTimeAt(clientX) {
+        const timeline = this.controllers.disaster.getTimeline();
+        const rect = this.element.getBoundingClientRect();
+        const fraction = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+        
+        return Math.min(Math.max(fraction, 0), 1) * timeline.duration;
+    }
+    
+    /**
+     * Position along the bar of a clock time
+     * @param {number} time - Clock time (s)
+     * @param {Object} timeline - Timeline from DisasterController.getTimeline
+     * @returns {number} Percentage of the bar (0-100)
+     * @private
+     */
+    _toPercent(time, timeline) {
+        return timeline.duration > 0 ? Math.min(Math.max(time / timeline.duration, 0), 1) * 100 : 0;
+    }
+    
+    /**
+     * Show the tooltip over a point of the timeline
+     * Marker text comes from the script, which may have been loaded from a
+     * file, so it is set as text rather than markup
+     * @param {number} time - Clock time the tooltip points at (s)
+     * @param {Array<string>} lines - Lines of the tooltip
+     * @param {string|null} heading - Bold first line, if any
+     * @private
+     */
+    _showTooltip(time, lines, heading = null) {
+        if (!this.tooltip) return;
+        
+        this.tooltip.innerHTML = '';
+        if (heading) {
+            const strong = document.createElement('strong');
+            strong.textContent = heading;
+            this.tooltip.appendChild(strong);
+        }
+        lines.forEach((line, index) => {
+            if (heading || index > 0) this.tooltip.appendChild(document.createElement('br'));
+            this.tooltip.appendChild(document.createTextNode(line));
+        });
+        this.tooltip.style.left = `${this._toPercent(time, this.controllers.disaster.getTimeline())}%`;
+        this.tooltip.style.display = 'block';
+    }
+    
+    /**
+     * Hide the tooltip
+     * @private
+     */
+    _hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Describe a clock time with the historical time it stands for
+     * @param {number} time - Clock time (s)
+     * @returns {string} Simulation time, and the historical date or clock time if the script has one
+     * @private
+     */
+    _formatTime(time) {
+        const historical = this._formatHistoricalTime(time);
+        return historical ? `${time.toFixed(1)} s · ${historical}` : `${time.toFixed(1)} s`;
+    }
+    
+    /**
+     * Historical time a clock time stands for
+     * The run up to release stands for the weeks or months from the start of
+     * the script's clock; from release on the clock runs at the slide playback
+     * speed from the time of release
+     * @param {number} time - Clock time (s)
+     * @returns {string|null} Date before release, time and date after it, or null without a historical clock
+     * @private
+     */
+    _formatHistoricalTime(time) {
+        const timeline = this.controllers.disaster.getTimeline();
+        const clock = timeline.clock;
+        if (!clock) return null;
+        
+        const release = timeline.release;
+        const historical = time < release ?
+                         clock.start + (clock.release - clock.start) * Math.max(time, 0) / release :
+                         clock.release + (time - release) * CONFIG.landslide.playbackSpeed * 1000;
+        const date = new Date(historical);
+        
+        const timeZone = CONFIG.timeline.timeZone;
+        const day = date.toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: timeZone
+        });
+        if (time < release || !clock.showTime) return day;
+        
+        const clockTime = date.toLocaleTimeString('en-GB', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZone: timeZone
+        });
+        return `${clockTime} on ${day}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,344 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import { catmullRom } from '../utils/MathUtils.js';
+import { easeInOutQuad, easeInOutCubic, easeOutQuad, easeOutCubic, easeInOutBack } from '../utils/AnimationUtils.js';
+
+// Easings a segment can use, by the name saved in path files
+const EASINGS = {
+    linear: t => t,
+    easeInOutQuad: easeInOutQuad,
+    easeInOutCubic: easeInOutCubic,
+    easeOutQuad: easeOutQuad,
+    easeOutCubic: easeOutCubic,
+    easeInOutBack: easeInOutBack
+};
+
+/**
+ * CameraPathModel - A camera path of keyframes
+ * Each keyframe is a camera position and the point it looks at. Between
+ * keyframes both follow a Catmull-Rom spline through all of them, so the
+ * camera flies through the keyframes without stopping. A keyframe's duration
+ * is the time taken to reach it from the one before, along the segment
+ * eased as it says; the first keyframe's is the time to fly to the start
+ * of the path from wherever the camera is
+ */
+export default class CameraPathModel {
+    constructor() {
+        this.keyframes = [];
+        this.preview = null;
+    }
+    
+    /**
+     * Names of the easings a segment can use
+     * @returns {Array<string>} Easing names
+     */
+    static getEasings() {
+        return Object.keys(EASINGS);
+    }
+    
+    /**
+     * Add a keyframe at the end of the path
+     * @param {THREE.Vector3} position - Camera position
+     * @param {THREE.Vector3} target - Point the camera looks at
+     * @param {number} duration - Time to reach it from the keyframe before (s)
+     * @param {string} easing - Easing along the segment that ends at it
+     * @returns {number} Index of the new keyframe
+     */
+    add(position, target, duration = CONFIG.cameraPath.keyframeDuration, easing = CONFIG.cameraPath.easing) {
+        this.keyframes.push({
+            position: position.clone(),
+            target: target.clone(),
+            duration: duration,
+            easing: EASINGS[easing] ? easing : 'linear'
+        });
+        this._updatePreview();
+        
+        return this.keyframes.length - 1;
+    }
+    
+    /**
+     * Remove a keyframe
+     * @param {number} index - Keyframe to remove
+     */
+    remove(index) {
+        if (index < 0 || index >= this.keyframes.length) return;
+        
+        this.keyframes.splice(index, 1);
+        this._updatePreview();
+    }
+    
+    /**
+     * Remove every keyframe
+     */
+    clear() {
+        this.keyframes = [];
+        this._updatePreview();
+    }
+    
+    /**
+     * Change the time a keyframe takes to reach
+     * @param {number} index - Keyframe to change
+     * @param {number} duration - Time to reach it from the keyframe before (s)
+     * @throws {Error} If the duration is not a number of seconds
+     */
+    setDuration(index, duration) {
+        if (typeof duration !== 'number' || !(duration >= 0) || !isFinite(duration)) {
+            throw new Error('Keyframe duration must be a number of seconds');
+        }
+        if (this.keyframes[index]) {
+            this.keyframes[index].duration = duration;
+        }
+    }
+    
+    /**
+     * Change the easing along the segment that ends at a keyframe
+     * @param {number} index - Keyframe to change
+     * @param {string} easing - Easing name
+     * @throws {Error} If there is no easing of that name
+     */
+    setEasing(index, easing) {
+        if (!EASINGS[easing]) {
+            throw new Error(`Unknown easing "${easing}"`);
+        }
+        if (this.keyframes[index]) {
+            this.keyframes[index].easing = easing;
+        }
+    }
+    
+    /**
+     * Time from the first keyframe to the last, without the flight to the first
+     * @returns {number} Duration (s)
+     */
+    getDuration() {
+        return this.keyframes.slice(1).reduce((sum, keyframe) => sum + keyframe.duration, 0);
+    }
+    
+    /**
+     * Put a camera where the path is at a time
+     * Times before the first keyframe or after the last are held at the ends
+     * @param {number} time - Time since the first keyframe (s)
+     * @param {THREE.Vector3} position - Set to the camera position
+     * @param {THREE.Vector3} target - Set to the point the camera looks at
+     */
+    sample(time, position, target) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return;
+        
+        // Find the segment the time falls in and how far along it is
+        let segment = keyframes.length - 1;
+        let progress = 1;
+        let start = 0;
+        
+        for (let i = 1; i < keyframes.length; i++) {
+            const end = start + keyframes[i].duration;
+            if (time < end) {
+                segment = i;
+                progress = Math.max(0, (time - start) / keyframes[i].duration);
+                break;
+            }
+            start = end;
+        }
+        
+        if (segment === 0) {
+            position.copy(keyframes[0].position);
+            target.copy(keyframes[0].target);
+            return;
+        }
+        
+        const eased = EASINGS[keyframes[segment].easing](progress);
+        this._interpolate(segment, eased, 'position', position);
+        this._interpolate(segment, eased, 'target', target);
+    }
+    
+    /**
+     * Points along the spline of camera positions or of targets
+     * @param {string} key - 'position' or 'target'
+     * @param {number} samplesPerSegment - Points per segment between keyframes
+     * @returns {Array<THREE.Vector3>} Points from the first keyframe to the last
+     */
+    getSplinePoints(key, samplesPerSegment = CONFIG.cameraPath.samplesPerSegment) {
+        const points = [];
+        
+        for (let segment = 1; segment < this.keyframes.length; segment++) {
+            for (let i = segment === 1 ? 0 : 1; i <= samplesPerSegment; i++) {
+                points.push(this._interpolate(segment, i / samplesPerSegment, key, new THREE.Vector3()));
+            }
+        }
+        if (points.length === 0 && this.keyframes.length === 1) {
+            points.push(this.keyframes[0][key].clone());
+        }
+        
+        return points;
+    }
+    
+    /**
+     * Interpolate along one segment of the spline
+     * The ends of the path stand in for the missing neighbours of the first
+     * and last segments
+     * @param {number} segment - Index of the keyframe that ends the segment
+     * @param {number} t - Position along the segment (0-1)
+     * @param {string} key - 'position' or 'target'
+     * @param {THREE.Vector3} out - Set to the interpolated point
+     * @returns {THREE.Vector3} The point
+     * @private
+     */
+    _interpolate(segment, t, key, out) {
+        const last = this.keyframes.length - 1;
+        const p0 = this.keyframes[Math.max(segment - 2, 0)][key];
+        const p1 = this.keyframes[segment - 1][key];
+        const p2 = this.keyframes[segment][key];
+        const p3 = this.keyframes[Math.min(segment + 1, last)][key];
+        
+        return out.set(
+            catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+            catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+            catmullRom(p0.z, p1.z, p2.z, p3.z, t)
+        );
+    }
+    
+    /**
+     * The path as saved to a file
+     * @returns {Object} Keyframes with position and target arrays, duration (s) and easing
+     */
+    toJSON() {
+        return {
+            keyframes: this.keyframes.map(keyframe => ({
+                position: keyframe.position.toArray(),
+                target: keyframe.target.toArray(),
+                duration: keyframe.duration,
+                easing: keyframe.easing
+            }))
+        };
+    }
+    
+    /**
+     * Replace the keyframes with parsed path data
+     * Keyframes may name a view from CONFIG.cameraPositions instead of giving
+     * a position and target, as in the story file
+     * @param {Object} data - Parsed JSON with a keyframes array
+     * @throws {Error} If any keyframe is not valid
+     */
+    setData(data) {
+        if (!data || !Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+            throw new Error('Camera path must contain a non-empty "keyframes" array');
+        }
+        
+        this.keyframes = data.keyframes.map((keyframe, index) => this._parseKeyframe(keyframe, `Camera path keyframe ${index + 1}`));
+        this._updatePreview();
+    }
+    
+    /**
+     * Check one keyframe and fill in its defaults
+     * @param {Object} keyframe - Keyframe as written
+     * @param {string} label - Where the keyframe is, for messages
+     * @returns {Object} Keyframe with position and target vectors
+     * @throws {Error} If the keyframe is not valid
+     * @private
+     */
+    _parseKeyframe(keyframe, label) {
+        if (!keyframe || typeof keyframe !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        
+        const duration = keyframe.duration !== undefined ? keyframe.duration : CONFIG.cameraPath.keyframeDuration;
+        if (typeof duration !== 'number' || !(duration >= 0) || !isFinite(duration)) {
+            throw new Error(`${label}: "duration" must be a number of seconds`);
+        }
+        
+        const easing = keyframe.easing !== undefined ? keyframe.easing : CONFIG.cameraPath.easing;
+        if (!EASINGS[easing]) {
+            throw new Error(`${label}: unknown easing "${easing}"`);
+        }
+        
+        if (keyframe.view !== undefined) {
+            const view = CONFIG.cameraPositions[keyframe.view];
+            if (!view) {
+                throw new Error(`${label}: unknown camera view "${keyframe.view}"`);
+            }
+            return {
+                position: new THREE.Vector3(view.position.x, view.position.y, view.position.z),
+                target: new THREE.Vector3(view.target.x, view.target.y, view.target.z),
+                duration: duration,
+                easing: easing
+            };
+        }
+        
+        const isVector = value => Array.isArray(value) && value.length === 3 &&
+                                  value.every(coordinate => typeof coordinate === 'number' && isFinite(coordinate));
+        if (!isVector(keyframe.position) || !isVector(keyframe.target)) {
+            throw new Error(`${label} needs a "view", or a "position" and "target" of 3 numbers`);
+        }
+        
+        return {
+            position: new THREE.Vector3(...keyframe.position),
+            target: new THREE.Vector3(...keyframe.target),
+            duration: duration,
+            easing: easing
+        };
+    }
+    
+    /**
+     * Create the preview of the path
+     * The spline of camera positions, the spline of targets, the keyframes
+     * and the line of sight at each are drawn over the scene
+     * @param {THREE.Scene} scene - The scene to add the preview to
+     * @returns {THREE.Group} Preview group
+     */
+    createPreview(scene) {
+        const config = CONFIG.cameraPath;
+        const overlay = color => ({ color: color, depthTest: false, transparent: true, opacity: 0.9 });
+        
+        this.preview = new THREE.Group();
+        this.preview.visible = false;
+        this.preview.renderOrder = 10;
+        
+        this.pathLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial(overlay(config.pathColor)));
+        this.targetLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial(overlay(config.targetColor)));
+        this.sightLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineDashedMaterial(Object.assign(overlay(0xFFFFFF), { dashSize: 4, gapSize: 3, opacity: 0.5 }))
+        );
+        this.markers = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial(Object.assign(overlay(config.pathColor), { size: 9, sizeAttenuation: false }))
+        );
+        
+        [this.pathLine, this.targetLine, this.sightLines, this.markers].forEach(object => {
+            object.renderOrder = 10;
+            this.preview.add(object);
+        });
+        scene.add(this.preview);
+        
+        this._updatePreview();
+        return this.preview;
+    }
+    
+    /**
+     * Show or hide the preview
+     * @param {boolean} visible - Whether the preview is shown
+     */
+    setPreviewVisible(visible) {
+        if (this.preview) {
+            this.preview.visible = visible;
+        }
+    }
+    
+    /**
+     * Redraw the preview after the keyframes have changed
+     * @private
+     */
+    _updatePreview() {
+        if (!this.preview) return;
+        
+        const setPoints = (object, points) => {
+            object.geometry.dispose();
+            object.geometry = new THREE.BufferGeometry().setFromPoints(points);
+        };
+        
+        setPoints(this.pathLine, this.getSplinePoints('position'));
+        setPoints(this.targetLine, this.getSplinePoints('target'));
+        setPoints(this.markers, this.keyframes.map(keyframe => keyframe.position));
+        setPoints(this.sightLines, this.keyframes.flatMap(keyframe => [keyframe.position, keyframe.target]));
+        this.sightLines.computeLineDistances();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,227 @@
+import CONFIG from '../config.js';
+
+/**
+ * ClockModel - The simulation clock every animation runs on
+ * Real time is turned into fixed steps at the playback rate, so a run takes
+ * the same steps whatever the frame rate or speed. Since the last restart
+ * the clock can seek back: whatever subscribed is rewound to the start of
+ * the run and the steps are replayed up to the time sought. The steps of a
+ * seek are spread over frames, CONFIG.clock.seekBudget at a time, so a long
+ * replay does not freeze the page
+ */
+export default class ClockModel {
+    constructor() {
+        this.step = CONFIG.clock.step;
+        this.frame = 0;            // Steps taken since the last restart
+        this.time = 0;             // s since the last restart
+        this.furthest = 0;         // s, latest time reached since the last restart
+        this.rate = 1;
+        this.paused = false;
+        this.rewindable = false;   // Whether seeks can go back before the current time
+        this.replaying = false;    // Whether the steps being taken replay a seek
+        this.accumulator = 0;      // s of scaled real time not yet taken as a step
+        this.subscribers = [];
+        
+        // Seek being replayed: the frames it runs from and to, and what to call when it is done
+        this.seekStart = 0;
+        this.seekTarget = null;
+        this.seekCallback = null;
+    }
+    
+    /**
+     * Advance a listener with every step of the clock
+     * @param {Function} listener - Called with the step (s) and the clock time after it (s)
+     * @param {Function} rewind - Optional, called when a seek goes back to the start of the run
+     * @returns {Function} Stops the listener
+     */
+    subscribe(listener, rewind = null) {
+        const subscriber = { listener: listener, rewind: rewind };
+        this.subscribers.push(subscriber);
+        
+        return () => {
+            const index = this.subscribers.indexOf(subscriber);
+            if (index >= 0) this.subscribers.splice(index, 1);
+        };
+    }
+    
+    /**
+     * Start a run that later seeks can go back through
+     */
+    restart() {
+        this.frame = 0;
+        this.time = 0;
+        this.furthest = 0;
+        this.accumulator = 0;
+        this.rewindable = true;
+        this.seekTarget = null;
+        this.seekCallback = null;
+    }
+    
+    /**
+     * End the run; the clock keeps going but can no longer seek back
+     * A seek still replaying the run stops where it has got to
+     */
+    release() {
+        this.rewindable = false;
+        this.seekTarget = null;
+        this.seekCallback = null;
+    }
+    
+    /**
+     * Take the real time of a frame as clock steps
+     * While a seek is replaying, the frame goes on the seek instead
+     * Called every frame
+     * @param {number} deltaTime - Real time since last frame (seconds)
+     * @returns {number} Number of steps taken
+     */
+    tick(deltaTime) {
+        if (this.isSeeking()) {
+            this._replay();
+            return 0;
+        }
+        if (this.paused) return 0;
+        
+        // Cap the frame so a hidden tab does not jump ahead when it returns
+        this.accumulator += Math.min(Math.max(deltaTime, 0), CONFIG.clock.maxFrame) * this.rate;
+        
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < CONFIG.clock.maxSteps) {
+            this.accumulator -= this.step;
+            this._advance();
+            steps++;
+        }
+        
+        // Drop what could not be run in time rather than fall further behind
+        if (this.accumulator >= this.step) {
+            this.accumulator = 0;
+        }
+        
+        return steps;
+    }
+    
+    /**
+     * Pause or resume the clock
+     * @param {boolean} paused - Whether the clock stops
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Set the playback rate
+     * @param {number} rate - Clock seconds per real second, kept within the allowed range
+     * @returns {number} The rate set
+     */
+    setRate(rate) {
+        this.rate = Math.min(Math.max(rate, CONFIG.clock.minRate), CONFIG.clock.maxRate);
+        return this.rate;
+    }
+    
+    /**
+     * Take a single step, whether or not the clock is paused
+     * Ignored while a seek is replaying
+     */
+    stepFrame() {
+        if (this.isSeeking()) return;
+        this._advance();
+    }
+    
+    /**
+     * Move the clock to a time
+     * Going forward takes the steps in between; going back rewinds the run
+     * and replays it from the start. The steps are taken over as many frames
+     * as they need, starting with this call; a later seek takes over from one
+     * still replaying, and its callback replaces the earlier one
+     * @param {number} time - Clock time to reach (s since the last restart)
+     * @param {Function} callback - Optional, called once the time is reached
+     * @returns {boolean} Whether the seek was accepted
+     */
+    seek(time, callback = null) {
+        const target = Math.max(0, Math.round(time / this.step));
+        
+        if (target < this.frame) {
+            if (!this.rewindable) return false;
+            
+            this.subscribers.slice().forEach(subscriber => {
+                if (subscriber.rewind && this.subscribers.includes(subscriber)) {
+                    subscriber.rewind();
+                }
+            });
+            this.frame = 0;
+            this.time = 0;
+        }
+        
+        // Progress counts from where the clock stood, or from the start of the seek taken over
+        if (!this.isSeeking() || this.frame < this.seekStart) {
+            this.seekStart = this.frame;
+        }
+        this.seekTarget = target;
+        this.seekCallback = callback;
+        this._replay();
+        
+        return true;
+    }
+    
+    /**
+     * Whether a seek is still replaying
+     * @returns {boolean} True until the time sought is reached
+     */
+    isSeeking() {
+        return this.seekTarget !== null;
+    }
+    
+    /**
+     * How far the seek being replayed has got
+     * @returns {number} Share of its steps taken (0-1), 1 when not seeking
+     */
+    getSeekProgress() {
+        if (!this.isSeeking() || this.seekTarget <= this.seekStart) return 1;
+        return (this.frame - this.seekStart) / (this.seekTarget - this.seekStart);
+    }
+    
+    /**
+     * Replay the steps of a seek for up to CONFIG.clock.seekBudget
+     * Ends the seek and calls its callback once the time is reached
+     * @private
+     */
+    _replay() {
+        const deadline = performance.now() + CONFIG.clock.seekBudget;
+        
+        this.replaying = true;
+        try {
+            while (this.isSeeking() && this.frame < this.seekTarget && performance.now() < deadline) {
+                this._advance();
+            }
+        } finally {
+            this.replaying = false;
+        }
+        
+        // A restart during the steps drops the seek
+        if (!this.isSeeking() || this.frame < this.seekTarget) return;
+        
+        const callback = this.seekCallback;
+        this.seekTarget = null;
+        this.seekCallback = null;
+        this.accumulator = 0;
+        
+        if (callback) callback();
+    }
+    
+    /**
+     * Take one step and pass it to every listener
+     * @private
+     */
+    _advance() {
+        this.frame++;
+        this.time = this.frame * this.step;
+        this.furthest = Math.max(this.furthest, this.time);
+        
+        // Listeners may subscribe or stop others during the step
+        this.subscribers.slice().forEach(subscriber => {
+            if (this.subscribers.includes(subscriber)) {
+                subscriber.listener(this.step, this.time);
+            }
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,335 @@
+import CONFIG from '../config.js';
+
+// Settings editable in the parameter panel, grouped by CONFIG section; nested
+// keys are written with dots. Rules check values that depend on each other
+const SECTIONS = [
+    {
+        key: 'scene',
+        label: 'Scene',
+        fields: [
+            { key: 'fogNear', label: 'Fog starts', unit: 'units', min: 0, max: 5000 },
+            { key: 'fogFar', label: 'Fog ends', unit: 'units', min: 1, max: 5000 },
+            { key: 'backgroundColor', label: 'Background', type: 'color' }
+        ],
+        rules: [
+            { key: 'fogFar', message: 'Fog must end beyond where it starts', test: values => values.fogFar > values.fogNear }
+        ]
+    },
+    {
+        key: 'terrain',
+        label: 'Terrain',
+        fields: [
+            { key: 'width', label: 'Width', unit: 'units', min: 100, max: 2000 },
+            { key: 'depth', label: 'Depth', unit: 'units', min: 100, max: 2000 },
+            { key: 'maxHeight', label: 'Relief', unit: 'units', min: 10, max: 500 },
+            { key: 'baseHeight', label: 'Base offset', unit: 'units', min: -50, max: 50 },
+            { key: 'segments', label: 'Segments', min: 16, max: 512, integer: true }
+        ]
+    },
+    {
+        key: 'water',
+        label: 'Water',
+        fields: [
+            { key: 'initialHeight', label: 'Initial height', unit: 'units', min: 0, max: 500 },
+            { key: 'minHeight', label: 'Lowest height', unit: 'units', min: 0, max: 500 },
+            { key: 'maxHeight', label: 'Height at the crest', unit: 'units', min: 1, max: 500 },
+            { key: 'minElevation', label: 'Lowest elevation', unit: 'm a.s.l.', min: 0, max: 3000 },
+            { key: 'maxElevation', label: 'Elevation at the crest', unit: 'm a.s.l.', min: 1, max: 3000 },
+            { key: 'floorElevation', label: 'Reservoir floor', unit: 'm a.s.l.', min: 0, max: 3000 },
+            { key: 'storageStep', label: 'Storage table step', unit: 'm', min: 0.5, max: 50 }
+        ],
+        rules: [
+            { key: 'maxHeight', message: 'Height at the crest must be above the lowest height', test: values => values.maxHeight > values.minHeight },
+            { key: 'maxElevation', message: 'Elevation at the crest must be above the lowest elevation', test: values => values.maxElevation > values.minElevation },
+            { key: 'floorElevation', message: 'Reservoir floor must not be above the lowest elevation', test: values => values.floorElevation <= values.minElevation }
+        ]
+    },
+    {
+        key: 'dam',
+        label: 'Dam',
+        fields: [
+            { key: 'height', label: 'Height', unit: 'units', min: 10, max: 400 },
+            { key: 'width', label: 'Width', unit: 'units', min: 10, max: 400 },
+            { key: 'thickness', label: 'Thickness', unit: 'units', min: 1, max: 100 },
+            { key: 'z', label: 'Position along the valley', unit: 'units', min: -400, max: 400 },
+            { key: 'curvature', label: 'Arch curvature', min: 0, max: 0.5 }
+        ],
+        rules: [
+            {
+                key: 'z',
+                message: 'Dam must stand on the terrain',
+                test: (values, all) => Math.abs(values.z) < all.terrain.depth / 2
+            }
+        ]
+    },
+    {
+        key: 'mountain',
+        label: 'Mount Toc',
+        fields: [
+            { key: 'height', label: 'Peak height', unit: 'units', min: 10, max: 500 },
+            { key: 'width', label: 'Width across the valley', unit: 'units', min: 10, max: 800 },
+            { key: 'depth', label: 'Depth along the valley', unit: 'units', min: 10, max: 800 },
+            { key: 'centre.x', label: 'Centre x', unit: 'units', min: -400, max: 400 },
+            { key: 'centre.z', label: 'Centre z', unit: 'units', min: -400, max: 400 },
+            { key: 'slideVolume', label: 'Slide volume', unit: 'million m³', min: 1, max: 2000 },
+            { key: 'slideLength', label: 'Slide length down-dip', unit: 'm', min: 100, max: 5000 },
+            { key: 'slideWidth', label: 'Slide width', unit: 'm', min: 100, max: 5000 }
+        ]
+    },
+    {
+        key: 'geology',
+        label: 'Geology',
+        fields: [
+            { key: 'clayLayerThickness', label: 'Clay thickness', unit: 'm', min: 0.01, max: 50 },
+            { key: 'clayLayerAngle', label: 'Failure plane dip', unit: '°', min: 1, max: 60 },
+            { key: 'frictionAngle', label: 'Clay friction angle', unit: '°', min: 1, max: 60 },
+            { key: 'cohesion', label: 'Cohesion', unit: 'kPa', min: 0, max: 5000 },
+            { key: 'rockUnitWeight', label: 'Rock unit weight', unit: 'kN/m³', min: 10, max: 35 },
+            { key: 'waterUnitWeight', label: 'Water unit weight', unit: 'kN/m³', min: 9, max: 11 },
+            { key: 'failurePlaneToeElevation', label: 'Failure plane toe', unit: 'm a.s.l.', min: 0, max: 3000 }
+        ]
+    },
+    {
+        key: 'animation',
+        label: 'Animation',
+        fields: [
+            { key: 'cameraTransition', label: 'Camera transition', unit: 'ms', min: 0, max: 20000, integer: true },
+            { key: 'waterRiseTime', label: 'Water rise', unit: 'ms', min: 0, max: 60000, integer: true }
+        ]
+    },
+    {
+        key: 'stability',
+        label: 'Stability thresholds',
+        fields: [
+            { key: 'critical', label: 'Critical', min: 0.5, max: 3 },
+            { key: 'veryLow', label: 'Very low', min: 0.5, max: 3 },
+            { key: 'low', label: 'Low', min: 0.5, max: 3 },
+            { key: 'moderate', label: 'Moderate', min: 0.5, max: 3 },
+            { key: 'good', label: 'Good', min: 0.5, max: 3 }
+        ],
+        rules: [
+            {
+                key: 'good',
+                message: 'Thresholds must rise from critical to good',
+                test: values => values.critical < values.veryLow && values.veryLow < values.low &&
+                                values.low < values.moderate && values.moderate < values.good
+            }
+        ]
+    }
+];
+
+/**
+ * Read a value by a dotted key
+ * @param {Object} object - Object to read from
+ * @param {string} key - Key, with dots for nested objects
+ * @returns {*} The value, or undefined
+ */
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+/**
+ * Write a value by a dotted key, creating nested objects as needed
+ * @param {Object} object - Object to write to
+ * @param {string} key - Key, with dots for nested objects
+ * @param {*} value - Value to write
+ */
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((parent, part) => {
+        if (!parent[part] || typeof parent[part] !== 'object') parent[part] = {};
+        return parent[part];
+    }, object);
+    
+    target[last] = value;
+}
+
+/**
+ * ConfigModel - Editable simulation settings
+ * Reads and validates the sections of CONFIG shown in the parameter panel,
+ * writes accepted values back, and converts them to and from JSON files.
+ * Values are kept per section, keyed as in SECTIONS
+ */
+export default class ConfigModel {
+    constructor() {
+        // Settings as the simulation started, for resetting the panel
+        this.defaults = this.getValues();
+    }
+    
+    /**
+     * Sections and fields of the editor
+     * @returns {Array<Object>} Sections with their fields
+     */
+    getSections() {
+        return SECTIONS;
+    }
+    
+    /**
+     * Current settings
+     * @returns {Object} Values keyed by section, then by field
+     */
+    getValues() {
+        const values = {};
+        
+        SECTIONS.forEach(section => {
+            values[section.key] = {};
+            section.fields.forEach(field => {
+                values[section.key][field.key] = getPath(CONFIG[section.key], field.key);
+            });
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Settings as the simulation started
+     * @returns {Object} Values keyed by section, then by field
+     */
+    getDefaults() {
+        return JSON.parse(JSON.stringify(this.defaults));
+    }
+    
+    /**
+     * Check settings before they are applied
+     * @param {Object} values - Values keyed by section, then by field
+     * @returns {Array<Object>} Problems, each with section, key and message; empty if valid
+     */
+    validate(values) {
+        const errors = [];
+        
+        SECTIONS.forEach(section => {
+            const sectionValues = values[section.key];
+            const failed = new Set();
+            
+            section.fields.forEach(field => {
+                const value = sectionValues[field.key];
+                let message = null;
+                
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    message = `${field.label} must be a number`;
+                } else if (field.type === 'color') {
+                    if (value < 0 || value > 0xFFFFFF) message = `${field.label} must be a colour`;
+                } else if (value < field.min || value > field.max) {
+                    message = `${field.label} must be between ${field.min} and ${field.max}`;
+                } else if (field.integer && !Number.isInteger(value)) {
+                    message = `${field.label} must be a whole number`;
+                }
+                
+                if (message) {
+                    errors.push({ section: section.key, key: field.key, message: message });
+                    failed.add(field.key);
+                }
+            });
+            
+            // Rules compare fields, so they are only checked once each field is valid
+            if (failed.size > 0) return;
+            
+            (section.rules || []).forEach(rule => {
+                if (!rule.test(sectionValues, values)) {
+                    errors.push({ section: section.key, key: rule.key, message: rule.message });
+                }
+            });
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Sections whose settings differ from CONFIG
+     * @param {Object} values - Values keyed by section, then by field
+     * @returns {Array<string>} Keys of the changed sections
+     */
+    getChangedSections(values) {
+        const current = this.getValues();
+        
+        return SECTIONS
+            .filter(section => section.fields.some(field => values[section.key][field.key] !== current[section.key][field.key]))
+            .map(section => section.key);
+    }
+    
+    /**
+     * Write settings into CONFIG
+     * Moving Mount Toc carries the landslide in CONFIG.slide with it
+     * @param {Object} values - Values keyed by section, then by field
+     * @returns {Array<string>} Keys of the sections that changed
+     * @throws {Error} If the settings are not valid
+     */
+    apply(values) {
+        const errors = this.validate(values);
+        if (errors.length > 0) {
+            throw new Error(errors[0].message);
+        }
+        
+        const centre = Object.assign({}, CONFIG.mountain.centre);
+        
+        const changed = this.getChangedSections(values);
+        changed.forEach(key => {
+            const section = SECTIONS.find(entry => entry.key === key);
+            section.fields.forEach(field => setPath(CONFIG[key], field.key, values[key][field.key]));
+        });
+        
+        CONFIG.slide.axisX += CONFIG.mountain.centre.x - centre.x;
+        CONFIG.slide.centreZ += CONFIG.mountain.centre.z - centre.z;
+        
+        return changed;
+    }
+    
+    /**
+     * Settings in the nested layout of CONFIG, for saving to a file
+     * Colours are written as #rrggbb
+     * @param {Object} values - Values keyed by section, then by field
+     * @returns {Object} Object ready for JSON.stringify
+     */
+    toJSON(values = this.getValues()) {
+        const data = {};
+        
+        SECTIONS.forEach(section => {
+            data[section.key] = {};
+            section.fields.forEach(field => {
+                const value = values[section.key][field.key];
+                setPath(data[section.key], field.key, field.type === 'color' ?
+                    `#${value.toString(16).padStart(6, '0')}` : value);
+            });
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Read settings from a parsed configuration file
+     * Sections and fields missing from the file keep their current values
+     * @param {Object} data - Parsed JSON in the layout written by toJSON
+     * @returns {Object} Values keyed by section, then by field
+     * @throws {Error} If the file is not a configuration or a value has the wrong type
+     */
+    parse(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Configuration must be a JSON object');
+        }
+        if (!SECTIONS.some(section => section.key in data)) {
+            throw new Error('Configuration contains none of the editable sections');
+        }
+        
+        const values = this.getValues();
+        
+        SECTIONS.forEach(section => {
+            if (!(section.key in data)) return;
+            
+            section.fields.forEach(field => {
+                const value = getPath(data[section.key], field.key);
+                if (value === undefined) return;
+                
+                if (field.type === 'color' && typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+                    values[section.key][field.key] = parseInt(value.slice(1), 16);
+                } else if (typeof value === 'number') {
+                    values[section.key][field.key] = value;
+                } else {
+                    throw new Error(`${section.label}: "${field.key}" must be a ${field.type === 'color' ? 'colour' : 'number'}`);
+                }
+            });
+        });
+        
+        return values;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+import CONFIG from '../config.js';
+
+/**
+ * CreepModel - Slow downslope creep of the landslide block before collapse
+ * Velocity grows exponentially as the factor of safety approaches 1 and as
+ * accumulated displacement softens the clay, which gives the linear trend in
+ * inverse velocity used by the Fukuzono/Voight failure forecast
+ */
+export default class CreepModel {
+    constructor() {
+        this.displacement = 0; // metres
+        this.velocity = 0; // metres per day
+        this.elapsedDays = 0;
+        this.startTime = null; // timestamp of day 0, when the run follows real dates
+        this.failed = false;
+        this.samples = [];
+        this._nextSampleDay = 0;
+    }
+    
+    /**
+     * Reset accumulated creep
+     * @param {number|null} startTime - Timestamp of day 0, or null for relative days
+     */
+    reset(startTime = null) {
+        this.displacement = 0;
+        this.velocity = 0;
+        this.elapsedDays = 0;
+        this.startTime = startTime;
+        this.failed = false;
+        this.samples = [];
+        this._nextSampleDay = 0;
+    }
+    
+    /**
+     * Creep velocity for a factor of safety at the current displacement
+     * @param {number} factorOfSafety - Factor of safety from the stability model
+     * @returns {number} Velocity in metres per day
+     */
+    getVelocity(factorOfSafety) {
+        const creep = CONFIG.creep;
+        const margin = factorOfSafety - 1 - creep.softening * this.displacement;
+        
+        return creep.referenceVelocity * Math.exp(-margin / creep.sensitivity);
+    }
+    
+    /**
+     * Advance creep in simulated time
+     * @param {number} days - Simulated time step (days)
+     * @param {number} factorOfSafety - Current factor of safety
+     */
+    step(days, factorOfSafety) {
+        if (days <= 0 || this.failed) return;
+        
+        // Sub-step so the runaway near failure is integrated smoothly
+        const substeps = Math.max(1, Math.ceil(days / 0.25));
+        const dt = days / substeps;
+        
+        for (let i = 0; i < substeps; i++) {
+            this.velocity = this.getVelocity(factorOfSafety);
+            this.displacement += this.velocity * dt;
+            this.elapsedDays += dt;
+            
+            if (this.velocity >= CONFIG.creep.failureVelocity) {
+                this.failed = true;
+                break;
+            }
+        }
+        
+        if (this.elapsedDays >= this._nextSampleDay || this.failed) {
+            this._addSample();
+            this._nextSampleDay = this.elapsedDays + CONFIG.creep.sampleIntervalDays;
+        }
+    }
+    
+    /**
+     * Record a velocity sample for the monitoring chart
+     * @private
+     */
+    _addSample() {
+        this.samples.push({
+            day: this.elapsedDays,
+            velocity: this.velocity,
+            inverseVelocity: 1 / this.velocity,
+            displacement: this.displacement
+        });
+        
+        // Thin out old samples to keep long runs bounded
+        if (this.samples.length > CONFIG.creep.maxSamples) {
+            this.samples = this.samples.filter((sample, index) => index % 2 === 0);
+        }
+    }
+    
+    /**
+     * Forecast the failure time from the inverse-velocity trend (Fukuzono 1985)
+     * Fits a line to 1/v over the recent window and extrapolates it to zero
+     * @returns {Object|null} Forecast day, date and fitted line, or null if not accelerating
+     */
+    forecastFailure() {
+        const windowStart = this.elapsedDays - CONFIG.creep.forecastWindowDays;
+        const recent = this.samples.filter(sample => sample.day >= windowStart);
+        
+        if (recent.length < 3) return null;
+        
+        // Least-squares line through (day, 1/v)
+        const n = recent.length;
+        let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+        
+        recent.forEach(sample => {
+            sumX += sample.day;
+            sumY += sample.inverseVelocity;
+            sumXY += sample.day * sample.inverseVelocity;
+            sumXX += sample.day * sample.day;
+        });
+        
+        const denominator = n * sumXX - sumX * sumX;
+        if (denominator === 0) return null;
+        
+        const slope = (n * sumXY - sumX * sumY) / denominator;
+        const intercept = (sumY - slope * sumX) / n;
+        
+        // Inverse velocity must be falling for failure to be approaching
+        if (slope >= 0) return null;
+        
+        const day = Math.max(-intercept / slope, this.elapsedDays);
+        
+        return {
+            day: day,
+            time: this.startTime !== null ? this.startTime + day * 86400000 : null,
+            slope: slope,
+            intercept: intercept,
+            fromDay: recent[0].day
+        };
+    }
+}
\ No newline at end of file
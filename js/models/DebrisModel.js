@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import { metresToScene } from '../utils/UnitUtils.js';
+
+const GRAVITY = 9.81; // m/s²
+
+/**
+ * DebrisModel - The landslide broken into fragments that run out as debris
+ * Each fragment is a rigid body carried by the slide while it moves, then
+ * left to slide, tumble and collide with the ground and the other fragments
+ * until it comes to rest in the deposit
+ */
+export default class DebrisModel {
+    constructor() {
+        this.group = null;
+        this.fragments = [];
+        this.geology = null;
+        this.settled = false;
+        this.random = Math.random;
+    }
+    
+    /**
+     * Replace the landslide block with its fragments
+     * @param {THREE.Scene} scene - The scene to add the fragments to
+     * @param {GeologyModel} geology - Geology holding the block, its shape and the scar it leaves
+     * @param {Function} random - Uniform random numbers in [0, 1) for the cuts, spread and tumbling; seeded for a repeatable runout
+     * @returns {THREE.Group} Group holding the fragment meshes
+     */
+    createFragments(scene, geology, random = Math.random) {
+        this.clear(scene);
+        this.geology = geology;
+        this.settled = false;
+        this.random = random;
+        
+        const block = geology.landslideBlock;
+        const settings = CONFIG.debris;
+        
+        // Start from wherever creep has carried the block
+        const displacement = block.position.clone().sub(block.userData.originalPosition);
+        
+        this.group = new THREE.Group();
+        this.group.name = 'debris';
+        
+        geology.createFragmentGeometries(random).forEach(({ geometry, centre, halfThickness, along }) => {
+            const mesh = new THREE.Mesh(geometry, block.material);
+            mesh.position.copy(centre).add(displacement);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.group.add(mesh);
+            
+            geometry.computeBoundingBox();
+            const size = geometry.boundingBox.getSize(new THREE.Vector3());
+            
+            this.fragments.push({
+                mesh: mesh,
+                velocity: new THREE.Vector3(),
+                angularVelocity: new THREE.Vector3(),
+                radius: Math.min(size.x, size.z) / 2,   // Horizontal extent of the collision cylinder
+                halfThickness: halfThickness,           // Vertical extent when upright
+                halfHeight: halfThickness,              // Vertical extent at the current orientation
+                mass: size.x * size.z * halfThickness * 2,
+                // The slide stretches as it runs out: the front travels further than the back
+                follow: THREE.MathUtils.lerp(settings.rearFollow, settings.frontFollow, along) *
+                        (1 + (random() - 0.5) * 2 * settings.spread),
+                supported: false,
+                resting: false,
+                slowTime: 0
+            });
+        });
+        
+        block.visible = false;
+        scene.add(this.group);
+        
+        return this.group;
+    }
+    
+    /**
+     * Advance the fragments in simulated time
+     * @param {number} seconds - Simulated time step (s)
+     * @param {THREE.Vector3|null} drive - Horizontal velocity of the slide (scene units/s), null once it has stopped
+     */
+    step(seconds, drive = null) {
+        if (!this.fragments.length || this.settled || seconds <= 0) return;
+        
+        const substeps = Math.ceil(seconds / CONFIG.debris.maxStep);
+        const dt = seconds / substeps;
+        
+        for (let n = 0; n < substeps; n++) {
+            this.fragments.forEach(fragment => this._integrate(fragment, dt, drive));
+            this._collide();
+            this.fragments.forEach(fragment => {
+                this._keepAboveGround(fragment);
+                this._updateRest(fragment, dt, drive);
+            });
+        }
+        
+        this.settled = !drive && this.fragments.every(fragment => fragment.resting);
+    }
+    
+    /**
+     * Stop every fragment where it is
+     * Whatever is still creeping when the deposit is left in the valley comes to rest
+     */
+    freeze() {
+        this.fragments.forEach(fragment => {
+            fragment.velocity.set(0, 0, 0);
+            fragment.angularVelocity.set(0, 0, 0);
+            fragment.resting = true;
+        });
+        this.settled = true;
+    }
+    
+    /**
+     * Remove the fragments from the scene
+     * @param {THREE.Scene} scene - The scene holding the fragments
+     */
+    clear(scene) {
+        if (this.group) {
+            scene.remove(this.group);
+            this.group.children.forEach(mesh => mesh.geometry.dispose());
+        }
+        
+        this.group = null;
+        this.fragments = [];
+        this.settled = false;
+    }
+    
+    /**
+     * Front and centre of the moving mass
+     * @returns {Object|null} Centre of mass and the fragment position furthest along x, or null without fragments
+     */
+    getExtent() {
+        if (!this.fragments.length) return null;
+        
+        const centre = new THREE.Vector3();
+        let totalMass = 0;
+        let front = this.fragments[0].mesh.position;
+        
+        this.fragments.forEach(fragment => {
+            centre.addScaledVector(fragment.mesh.position, fragment.mass);
+            totalMass += fragment.mass;
+            if (fragment.mesh.position.x > front.x) front = fragment.mesh.position;
+        });
+        
+        return {
+            centre: centre.divideScalar(totalMass),
+            front: front.clone()
+        };
+    }
+    
+    /**
+     * Move one fragment under gravity, the drag of the slide and the ground
+     * @param {Object} fragment - Fragment state
+     * @param {number} dt - Time step (s)
+     * @param {THREE.Vector3|null} drive - Horizontal velocity of the slide
+     * @private
+     */
+    _integrate(fragment, dt, drive) {
+        if (fragment.resting) return;
+        
+        const settings = CONFIG.debris;
+        const g = metresToScene(GRAVITY);
+        const { mesh, velocity, angularVelocity } = fragment;
+        const position = mesh.position;
+        
+        velocity.y -= g * dt;
+        
+        // While the slide moves it carries the fragments along with it
+        if (drive) {
+            const blend = Math.min(1, settings.coupling * dt);
+            velocity.x += (drive.x * fragment.follow - velocity.x) * blend;
+            velocity.z += (drive.z * fragment.follow - velocity.z) * blend;
+        }
+        
+        const previousX = position.x;
+        const previousZ = position.z;
+        const previousBottom = position.y - fragment.halfHeight;
+        position.addScaledVector(velocity, dt);
+        
+        // Steps higher than the fragment are walls, such as the flanks of the scar
+        if (this._getGroundHeight(position.x, position.z) - previousBottom > 2 * fragment.halfHeight) {
+            position.x = previousX;
+            position.z = previousZ;
+            velocity.x *= -settings.restitution;
+            velocity.z *= -settings.restitution;
+        }
+        
+        this._rotate(fragment, dt);
+        
+        const ground = this._getGroundHeight(position.x, position.z);
+        const grounded = position.y - fragment.halfHeight <= ground;
+        
+        if (grounded) {
+            position.y = ground + fragment.halfHeight;
+            velocity.y = velocity.y < -g * dt * 2 ? -velocity.y * settings.restitution : Math.max(velocity.y, 0);
+        }
+        
+        if (!drive && (grounded || fragment.supported)) {
+            const gradient = grounded ? this._getGroundGradient(position.x, position.z) : { x: 0, z: 0 };
+            const steepness = 1 + gradient.x * gradient.x + gradient.z * gradient.z;
+            
+            // Gravity pulls down the slope and friction holds back
+            velocity.x -= g * gradient.x / steepness * dt;
+            velocity.z -= g * gradient.z / steepness * dt;
+            
+            const speed = Math.hypot(velocity.x, velocity.z);
+            const braking = settings.friction * g / Math.sqrt(steepness) * dt;
+            const scale = speed > braking ? 1 - braking / speed : 0;
+            velocity.x *= scale;
+            velocity.z *= scale;
+            
+            // Roll with the ground
+            const rolling = new THREE.Vector3(velocity.z, 0, -velocity.x)
+                .multiplyScalar(settings.tumble / Math.max(fragment.radius, 1));
+            angularVelocity.lerp(rolling, Math.min(1, 4 * dt));
+        }
+        
+        angularVelocity.multiplyScalar(Math.exp(-settings.angularDamping * dt));
+        fragment.supported = false;
+    }
+    
+    /**
+     * Turn a fragment by its angular velocity and update its vertical extent
+     * @param {Object} fragment - Fragment state
+     * @param {number} dt - Time step (s)
+     * @private
+     */
+    _rotate(fragment, dt) {
+        const angularSpeed = fragment.angularVelocity.length();
+        
+        if (angularSpeed > 1e-4) {
+            const turn = new THREE.Quaternion().setFromAxisAngle(
+                fragment.angularVelocity.clone().divideScalar(angularSpeed),
+                angularSpeed * dt
+            );
+            fragment.mesh.quaternion.premultiply(turn);
+        }
+        
+        // Vertical half extent of the collision box at this orientation
+        const elements = new THREE.Matrix4().makeRotationFromQuaternion(fragment.mesh.quaternion).elements;
+        fragment.halfHeight = Math.abs(elements[1]) * fragment.radius +
+                              Math.abs(elements[5]) * fragment.halfThickness +
+                              Math.abs(elements[9]) * fragment.radius;
+    }
+    
+    /**
+     * Push overlapping fragments apart
+     * Fragments are upright cylinders; overlaps are resolved along the
+     * shallower of the vertical and horizontal penetrations, so fragments
+     * stack on top of each other as well as jostle side by side
+     * @private
+     */
+    _collide() {
+        const settings = CONFIG.debris;
+        const fragments = this.fragments;
+        const normal = new THREE.Vector3();
+        
+        for (let i = 0; i < fragments.length; i++) {
+            const a = fragments[i];
+            
+            for (let j = i + 1; j < fragments.length; j++) {
+                const b = fragments[j];
+                if (a.resting && b.resting) continue;
+                
+                const dx = b.mesh.position.x - a.mesh.position.x;
+                const dz = b.mesh.position.z - a.mesh.position.z;
+                const reach = a.radius + b.radius;
+                if (Math.abs(dx) >= reach || Math.abs(dz) >= reach) continue;
+                
+                const distance = Math.hypot(dx, dz);
+                const dy = b.mesh.position.y - a.mesh.position.y;
+                const horizontal = reach - distance;
+                const vertical = a.halfHeight + b.halfHeight - Math.abs(dy);
+                if (horizontal <= 0 || vertical <= 0) continue;
+                
+                // Resting fragments do not move
+                const inverseA = a.resting ? 0 : 1 / a.mass;
+                const inverseB = b.resting ? 0 : 1 / b.mass;
+                const inverseTotal = inverseA + inverseB;
+                
+                let depth;
+                if (vertical < horizontal) {
+                    normal.set(0, Math.sign(dy) || 1, 0);
+                    depth = vertical;
+                    
+                    // The upper fragment rests on the lower one
+                    (dy >= 0 ? b : a).supported = true;
+                } else {
+                    if (distance > 1e-6) {
+                        normal.set(dx / distance, 0, dz / distance);
+                    } else {
+                        normal.set(1, 0, 0);
+                    }
+                    depth = horizontal;
+                }
+                
+                a.mesh.position.addScaledVector(normal, -depth * inverseA / inverseTotal);
+                b.mesh.position.addScaledVector(normal, depth * inverseB / inverseTotal);
+                
+                // Exchange momentum along the contact normal
+                const approach = normal.dot(b.velocity) - normal.dot(a.velocity);
+                if (approach >= 0) continue;
+                
+                const impulse = -(1 + settings.restitution) * approach / inverseTotal;
+                a.velocity.addScaledVector(normal, -impulse * inverseA);
+                b.velocity.addScaledVector(normal, impulse * inverseB);
+                
+                // Knocks set the fragments tumbling
+                const spin = -approach * settings.tumble;
+                [[a, inverseA], [b, inverseB]].forEach(([fragment, inverse]) => {
+                    if (!inverse) return;
+                    fragment.angularVelocity.x += (this.random() - 0.5) * spin / Math.max(fragment.radius, 1);
+                    fragment.angularVelocity.z += (this.random() - 0.5) * spin / Math.max(fragment.radius, 1);
+                });
+            }
+        }
+    }
+    
+    /**
+     * Lift a fragment pushed into the ground by its neighbours
+     * @param {Object} fragment - Fragment state
+     * @private
+     */
+    _keepAboveGround(fragment) {
+        if (fragment.resting) return;
+        
+        const position = fragment.mesh.position;
+        const ground = this._getGroundHeight(position.x, position.z);
+        position.y = Math.max(position.y, ground + fragment.halfHeight);
+    }
+    
+    /**
+     * Bring a fragment to rest once it has stayed slow for long enough
+     * @param {Object} fragment - Fragment state
+     * @param {number} dt - Time step (s)
+     * @param {THREE.Vector3|null} drive - Horizontal velocity of the slide
+     * @private
+     */
+    _updateRest(fragment, dt, drive) {
+        if (fragment.resting || drive) return;
+        
+        const settings = CONFIG.debris;
+        const slow = fragment.velocity.length() < metresToScene(settings.restSpeed);
+        fragment.slowTime = slow ? fragment.slowTime + dt : 0;
+        
+        if (fragment.slowTime >= settings.restTime) {
+            fragment.resting = true;
+            fragment.velocity.set(0, 0, 0);
+            fragment.angularVelocity.set(0, 0, 0);
+        }
+    }
+    
+    /**
+     * Ground under the fragments: the scar on Mount Toc, the terrain elsewhere
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Ground height (scene units)
+     * @private
+     */
+    _getGroundHeight(x, z) {
+        return this.geology.getScarHeight(x, z);
+    }
+    
+    /**
+     * Slope of the ground
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {Object} Height gradient along x and z
+     * @private
+     */
+    _getGroundGradient(x, z) {
+        const step = 2;
+        
+        return {
+            x: (this._getGroundHeight(x + step, z) - this._getGroundHeight(x - step, z)) / (2 * step),
+            z: (this._getGroundHeight(x, z + step) - this._getGroundHeight(x, z - step)) / (2 * step)
+        };
+    }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import CONFIG from '../config.js';
 import { loadTexture } from '../utils/LoadingUtils.js';
+import { metresToScene, sceneToMetres, heightToElevation } from '../utils/UnitUtils.js';
 
 /**
  * GeologyModel - Handles geological elements like mountains, clay layers, and dam
@@ -13,382 +14,602 @@ export default class GeologyModel {
         this.clayLayer = null;
         this.saturatedZone = null;
         this.dam = null;
+        this.heightfield = null;
+        this.chairProfile = null;
+        this.shapeVersion = 0; // Counts rebuilds of the slide, so saturated zones know to reshape
+        
+        // Downslope direction of the landslide block, towards the reservoir; set from the chair
+        this.slideDirection = new THREE.Vector3(1, 0, 0);
     }
     
     /**
      * Create Mount Toc with landslide area
+     * Both are generated from CONFIG.mountain and CONFIG.slide and draped
+     * on the terrain, so the slide sits in the slope rather than on it
      * @param {THREE.Scene} scene - The scene to add the mountain to
      * @param {THREE.TextureLoader} textureLoader - Texture loader instance
+     * @param {HeightfieldModel} heightfield - Terrain the mountain stands on
      * @returns {Promise<Object>} Object containing mountain and landslide meshes
      */
-    async createMountToc(scene, textureLoader) {
+    async createMountToc(scene, textureLoader, heightfield) {
+        let rockTexture = null;
+        
         try {
             // Load limestone texture
-            const rockTexture = await loadTexture(textureLoader, 'assets/textures/limestone.jpg');
+            rockTexture = await loadTexture(textureLoader, 'assets/textures/limestone.jpg');
             
             // Configure texture
             rockTexture.wrapS = THREE.RepeatWrapping;
             rockTexture.wrapT = THREE.RepeatWrapping;
             rockTexture.repeat.set(4, 4);
-            
-            // Create Mount Toc (main mountain)
-            this.mountToc = this._createMountTocGeometry(rockTexture);
-            scene.add(this.mountToc);
-            
-            // Create the landslide block (separate part that will move)
-            this.landslideBlock = this._createLandslideBlock(rockTexture);
-            scene.add(this.landslideBlock);
-            
-            return {
-                mountain: this.mountToc,
-                landslide: this.landslideBlock
-            };
         } catch (error) {
             console.error('Error loading mountain textures:', error);
-            
-            // Create with fallback materials
-            this.mountToc = this._createFallbackMountain();
-            scene.add(this.mountToc);
-            
-            this.landslideBlock = this._createFallbackLandslide();
-            scene.add(this.landslideBlock);
-            
-            return {
-                mountain: this.mountToc,
-                landslide: this.landslideBlock
-            };
         }
+        
+        this.heightfield = heightfield;
+        
+        // Create Mount Toc (main mountain); the fallback simply has no texture
+        this.mountToc = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshStandardMaterial({
+            map: rockTexture,
+            color: rockTexture ? 0xFFFFFF : 0x8B4513,
+            roughness: 0.8,
+            metalness: 0.1
+        }));
+        this.mountToc.castShadow = true;
+        this.mountToc.receiveShadow = true;
+        scene.add(this.mountToc);
+        
+        // Create the landslide block (separate part that will move)
+        this.landslideBlock = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshStandardMaterial({
+            map: rockTexture,
+            roughness: 0.7,
+            metalness: 0.1,
+            color: 0x8B5A2B // Slightly different color to distinguish it
+        }));
+        this.landslideBlock.castShadow = true;
+        this.landslideBlock.receiveShadow = true;
+        scene.add(this.landslideBlock);
+        
+        this.rebuildMountToc();
+        
+        return {
+            mountain: this.mountToc,
+            landslide: this.landslideBlock
+        };
     }
     
     /**
-     * Create detailed geometry for Mount Toc
-     * @param {THREE.Texture} texture - Rock texture
-     * @returns {THREE.Mesh} Mountain mesh
-     * @private
+     * Regenerate Mount Toc, the landslide block and the saturated zone from the parameters
+     * The block is returned to its original position
+     * @param {HeightfieldModel} heightfield - Terrain the mountain stands on, if it was rebuilt
      */
-    _createMountTocGeometry(texture) {
-        // Create custom geometry for Mount Toc
-        const mountGeometry = new THREE.BufferGeometry();
-        
-        // Create vertices for the mountain
-        const vertices = new Float32Array([
-            // Base of the mountain (roughly triangular)
-            -200, 0, -100,  // 0
-            -150, 0, -250,  // 1
-            -50, 0, -200,   // 2
-            0, 0, -150,     // 3
-            -150, 0, -100,  // 4
-            
-            // Mid-level points
-            -170, 40, -120, // 5
-            -130, 50, -230, // 6
-            -60, 45, -190,  // 7
-            -20, 40, -140,  // 8
-            -130, 40, -110, // 9
-            
-            // Peak
-            -120, CONFIG.mountain.height, -180, // 10 - main peak
-        ]);
-        
-        // Create faces connecting to the peak
-        const indices = [
-            // Base to mid-level
-            0, 1, 5,
-            1, 6, 5,
-            1, 2, 6,
-            2, 7, 6,
-            2, 3, 7,
-            3, 8, 7,
-            3, 4, 8,
-            4, 9, 8,
-            4, 0, 9,
-            0, 5, 9,
-            
-            // Mid-level to peak
-            5, 6, 10,
-            6, 7, 10,
-            7, 8, 10,
-            8, 9, 10,
-            9, 5, 10
-        ];
+    rebuildMountToc(heightfield = this.heightfield) {
+        this.heightfield = heightfield;
+        if (!this.mountToc || !this.heightfield) return;
         
-        // Set geometry attributes
-        mountGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-        mountGeometry.setIndex(indices);
-        mountGeometry.computeVertexNormals();
+        this.chairProfile = this._createChairProfile();
         
-        // Create material
-        const mountMaterial = new THREE.MeshStandardMaterial({
-            map: texture,
-            roughness: 0.8,
-            metalness: 0.1
-        });
+        this.mountToc.geometry.dispose();
+        this.mountToc.geometry = this._createMountainGeometry();
         
-        // Create mesh
-        const mountTocMesh = new THREE.Mesh(mountGeometry, mountMaterial);
-        mountTocMesh.castShadow = true;
-        mountTocMesh.receiveShadow = true;
+        // Centre the block on its own origin so it rotates in place
+        const block = this.landslideBlock;
+        const geometry = this._createSolidGeometry(
+            (x, z) => this.getSurfaceHeight(x, z),
+            (x, z) => this.getFailureSurfaceHeight(x, z)
+        );
+        geometry.computeBoundingBox();
+        const centre = geometry.boundingBox.getCenter(new THREE.Vector3());
+        geometry.translate(-centre.x, -centre.y, -centre.z);
         
-        return mountTocMesh;
+        block.geometry.dispose();
+        block.geometry = geometry;
+        block.position.copy(centre);
+        block.rotation.set(0, 0, 0);
+        
+        // Store original position for animation reset
+        block.userData.originalPosition = block.position.clone();
+        block.userData.originalRotation = block.rotation.clone();
+        
+        // Creep and runout follow the steep back of the chair
+        const dip = CONFIG.geology.clayLayerAngle * Math.PI / 180;
+        this.slideDirection.set(Math.cos(dip), -Math.sin(dip), 0);
+        
+        // Force the saturated zones to be rebuilt on their next update
+        this.shapeVersion++;
     }
     
     /**
-     * Create the landslide block that will move during animation
-     * @param {THREE.Texture} texture - Rock texture
-     * @returns {THREE.Mesh} Landslide mesh
+     * Slide and chair parameters as edited in the parameter panel
+     * Dips are shared with the stability and runout models
+     * @returns {Object} Lengths in metres, dips in degrees and the steep share of the length
+     */
+    getSlideParameters() {
+        return {
+            width: CONFIG.slide.width,
+            length: CONFIG.slide.length,
+            thickness: CONFIG.slide.thickness,
+            scarpDistance: CONFIG.slide.scarpDistance,
+            basalDip: CONFIG.geology.clayLayerAngle,
+            toeDip: CONFIG.landslide.seatAngle,
+            rearFraction: CONFIG.slide.rearFraction
+        };
+    }
+    
+    /**
+     * Write edited slide parameters back into CONFIG
+     * Call rebuildMountToc and rebuildClayLayer afterwards to regenerate the meshes
+     * @param {Object} parameters - Any subset of the values from getSlideParameters
+     */
+    setSlideParameters(parameters) {
+        const values = Object.assign(this.getSlideParameters(), parameters);
+        
+        CONFIG.slide.width = values.width;
+        CONFIG.slide.length = values.length;
+        CONFIG.slide.thickness = values.thickness;
+        CONFIG.slide.scarpDistance = values.scarpDistance;
+        CONFIG.slide.rearFraction = values.rearFraction;
+        CONFIG.geology.clayLayerAngle = values.basalDip;
+        CONFIG.landslide.seatAngle = values.toeDip;
+    }
+    
+    /**
+     * Ground height including Mount Toc
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Height of the slope surface (scene units)
+     */
+    getSurfaceHeight(x, z) {
+        return this.heightfield.getHeightAt(x, z) + this._getMountainRise(x, z) + CONFIG.slide.lift;
+    }
+    
+    /**
+     * Height of the chair-shaped failure surface
+     * The surface is a cylinder along the valley; beyond the slide it carries
+     * on at the rear and toe dips, as the bedding does
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate (the surface does not vary along the valley)
+     * @returns {number} Height of the middle of the clay layer (scene units)
+     */
+    getFailureSurfaceHeight(x, z) {
+        const profile = this.chairProfile;
+        const u = sceneToMetres(x - profile.scarpX);
+        
+        return profile.scarpHeight - metresToScene(this._getChairDrop(u));
+    }
+    
+    /**
+     * Dip of the failure surface
+     * @param {number} x - Scene x coordinate
+     * @returns {number} Dip in radians, positive down towards the valley
+     */
+    getFailureSurfaceDip(x) {
+        const u = sceneToMetres(x - this.chairProfile.scarpX);
+        return this._getChairDip(u) * Math.PI / 180;
+    }
+    
+    /**
+     * Height of the slope once the slide has gone
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} The failure surface inside the slide footprint, the mountain elsewhere
+     */
+    getScarHeight(x, z) {
+        const surface = this.getSurfaceHeight(x, z);
+        return this._isInSlide(x, z) ? Math.min(this.getFailureSurfaceHeight(x, z), surface) : surface;
+    }
+    
+    /**
+     * Break the landslide block into fragments for the runout
+     * The footprint is cut into staggered chunks, like the blocks of a wall,
+     * and each chunk into layers between the failure surface and the slope
+     * @param {Function} random - Uniform random numbers in [0, 1) that place the cuts
+     * @returns {Array<Object>} Geometry, centre, half thickness and position from the scarp (0) to the toe (1) of each fragment, centred on the middle of its layer
+     */
+    createFragmentGeometries(random = Math.random) {
+        const profile = this.chairProfile;
+        const settings = CONFIG.debris;
+        const fragments = [];
+        
+        // Fraction f of the way from the failure surface up to the slope
+        const layerHeight = f => (x, z) => {
+            const upper = this.getSurfaceHeight(x, z);
+            const lower = Math.min(this.getFailureSurfaceHeight(x, z), upper);
+            return THREE.MathUtils.lerp(lower, upper, f);
+        };
+        
+        const rowEdges = this._getJitteredEdges(profile.minZ, profile.maxZ, settings.rows, random);
+        
+        for (let row = 0; row < settings.rows; row++) {
+            // A new set of cuts per row staggers the chunks
+            const columnEdges = this._getJitteredEdges(profile.scarpX, profile.toeX, settings.columns, random);
+            
+            for (let column = 0; column < settings.columns; column++) {
+                const bounds = {
+                    minX: columnEdges[column],
+                    maxX: columnEdges[column + 1],
+                    minZ: rowEdges[row],
+                    maxZ: rowEdges[row + 1]
+                };
+                const x = (bounds.minX + bounds.maxX) / 2;
+                const z = (bounds.minZ + bounds.maxZ) / 2;
+                const thickness = sceneToMetres(layerHeight(1)(x, z) - layerHeight(0)(x, z));
+                if (thickness < settings.minThickness) continue;
+                
+                const layers = Math.max(1, Math.round(thickness / settings.layerThickness));
+                const cuts = this._getJitteredEdges(0, 1, layers, random);
+                
+                for (let layer = 0; layer < layers; layer++) {
+                    const top = layerHeight(cuts[layer + 1]);
+                    const bottom = layerHeight(cuts[layer]);
+                    const centre = new THREE.Vector3(x, (top(x, z) + bottom(x, z)) / 2, z);
+                    
+                    const geometry = this._createSolidGeometry(top, bottom, bounds, 3, 3);
+                    geometry.translate(-centre.x, -centre.y, -centre.z);
+                    
+                    fragments.push({
+                        geometry: geometry,
+                        centre: centre,
+                        halfThickness: (top(x, z) - bottom(x, z)) / 2,
+                        along: (x - profile.scarpX) / (profile.toeX - profile.scarpX)
+                    });
+                }
+            }
+        }
+        
+        return fragments;
+    }
+    
+    /**
+     * Divide a range into cells whose inner edges are moved at random
+     * @param {number} start - Start of the range
+     * @param {number} end - End of the range
+     * @param {number} count - Number of cells
+     * @param {Function} random - Uniform random numbers in [0, 1)
+     * @returns {Array<number>} count + 1 edges from start to end
      * @private
      */
-    _createLandslideBlock(texture) {
-        // Create a separate geometry for the part that will slide
-        const slideGeometry = new THREE.BufferGeometry();
-        
-        // Create vertices for the landslide block
-        // This approximates the 270 million cubic meter slide area
-        const vertices = new Float32Array([
-            // Base points on the mountain side
-            -170, 20, -150,
-            -140, 30, -220,
-            -80, 25, -190,
-            -90, 15, -140,
-            
-            // Top points (matching the mountain slope)
-            -150, 80, -170,
-            -120, 90, -210,
-            -90, 85, -180,
-            -100, 75, -150
-        ]);
-        
-        // Create faces
-        const indices = [
-            // Bottom face
-            0, 1, 2,
-            0, 2, 3,
-            
-            // Top face
-            4, 6, 5,
-            4, 7, 6,
-            
-            // Side faces
-            0, 4, 1,
-            1, 4, 5,
-            1, 5, 2,
-            2, 5, 6,
-            2, 6, 3,
-            3, 6, 7,
-            3, 7, 0,
-            0, 7, 4
-        ];
+    _getJitteredEdges(start, end, count, random) {
+        const edges = [start];
         
-        // Set geometry attributes
-        slideGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-        slideGeometry.setIndex(indices);
-        slideGeometry.computeVertexNormals();
+        for (let i = 1; i < count; i++) {
+            const offset = (random() - 0.5) * CONFIG.debris.jitter;
+            edges.push(THREE.MathUtils.lerp(start, end, (i + offset) / count));
+        }
         
-        // Create material with slightly different color to distinguish it
-        const slideMaterial = new THREE.MeshStandardMaterial({
-            map: texture,
-            roughness: 0.7,
-            metalness: 0.1,
-            color: 0x8B5A2B
-        });
+        edges.push(end);
+        return edges;
+    }
+    
+    /**
+     * Lay out the chair in the slide frame
+     * The slide runs across the valley (+x) from the back scarp to the toe
+     * and the surface is lowered until the slide is as thick as asked
+     * @returns {Object} Scarp position and height, footprint and drop table
+     * @private
+     */
+    _createChairProfile() {
+        const slide = CONFIG.slide;
+        const samples = 64;
+        const step = slide.length / samples;
+        
+        // Drop below the scarp, integrated along the profile (m)
+        const drops = new Float32Array(samples + 1);
+        for (let i = 1; i <= samples; i++) {
+            const dip = this._getChairDip((i - 0.5) * step) * Math.PI / 180;
+            drops[i] = drops[i - 1] + step * Math.tan(dip);
+        }
         
-        // Create mesh
-        const landslideBlock = new THREE.Mesh(slideGeometry, slideMaterial);
-        landslideBlock.castShadow = true;
-        landslideBlock.receiveShadow = true;
+        const scarpX = slide.axisX - metresToScene(slide.scarpDistance);
+        const profile = {
+            scarpX: scarpX,
+            toeX: scarpX + metresToScene(slide.length),
+            minZ: slide.centreZ - metresToScene(slide.width) / 2,
+            maxZ: slide.centreZ + metresToScene(slide.width) / 2,
+            step: step,
+            drops: drops,
+            scarpHeight: 0
+        };
         
-        // Store original position for animation reset
-        landslideBlock.userData.originalPosition = landslideBlock.position.clone();
-        landslideBlock.userData.originalRotation = landslideBlock.rotation.clone();
+        // The deepest point of the slide sets the height of the surface
+        let highest = -Infinity;
+        for (let i = 0; i <= samples; i++) {
+            const x = scarpX + metresToScene(i * step);
+            highest = Math.max(highest, this.getSurfaceHeight(x, slide.centreZ) + metresToScene(drops[i]));
+        }
+        profile.scarpHeight = highest - metresToScene(slide.thickness);
         
-        return landslideBlock;
+        return profile;
     }
     
     /**
-     * Create simple fallback mountain if texture loading fails
-     * @returns {THREE.Mesh} Simplified mountain mesh
+     * Dip of the chair at a distance from the back scarp
+     * The steep back eases into the flat seat over a fifth of the slide length
+     * @param {number} u - Horizontal distance from the back scarp towards the valley (m)
+     * @returns {number} Dip in degrees
      * @private
      */
-    _createFallbackMountain() {
-        // Simple cone geometry for the mountain
-        const geometry = new THREE.ConeGeometry(
-            CONFIG.mountain.width / 2,
-            CONFIG.mountain.height,
-            5 // Low polygon count for performance
-        );
+    _getChairDip(u) {
+        const slide = CONFIG.slide;
+        const knee = slide.rearFraction * slide.length;
+        const blend = 0.2 * slide.length;
+        const t = THREE.MathUtils.smoothstep(u, knee - blend / 2, knee + blend / 2);
         
-        // Basic material
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x8B4513,
-            roughness: 0.9,
-            metalness: 0.1
-        });
+        return THREE.MathUtils.lerp(CONFIG.geology.clayLayerAngle, CONFIG.landslide.seatAngle, t);
+    }
+    
+    /**
+     * Drop of the failure surface below the back scarp
+     * @param {number} u - Horizontal distance from the back scarp towards the valley (m)
+     * @returns {number} Drop in metres (negative behind the scarp)
+     * @private
+     */
+    _getChairDrop(u) {
+        const profile = this.chairProfile;
+        const samples = profile.drops.length - 1;
+        const length = profile.step * samples;
         
-        // Create mesh
-        const mountainMesh = new THREE.Mesh(geometry, material);
+        if (u <= 0) return u * Math.tan(this._getChairDip(0) * Math.PI / 180);
+        if (u >= length) return profile.drops[samples] + (u - length) * Math.tan(this._getChairDip(length) * Math.PI / 180);
+        
+        const position = u / profile.step;
+        const index = Math.min(Math.floor(position), samples - 1);
+        const t = position - index;
         
-        // Position at Mount Toc location
-        mountainMesh.position.set(-120, CONFIG.mountain.height / 2, -180);
+        return profile.drops[index] * (1 - t) + profile.drops[index + 1] * t;
+    }
+    
+    /**
+     * Height Mount Toc adds to the terrain
+     * A smooth dome over the mountain's footprint that fades to nothing at its edge
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Rise above the terrain (scene units)
+     * @private
+     */
+    _getMountainRise(x, z) {
+        const mountain = CONFIG.mountain;
+        const dx = (x - mountain.centre.x) / (mountain.width / 2);
+        const dz = (z - mountain.centre.z) / (mountain.depth / 2);
+        const r = Math.sqrt(dx * dx + dz * dz);
+        if (r >= 1) return 0;
+        
+        // Peak height is absolute; the dome only makes up what the terrain lacks
+        const rise = Math.max(0, mountain.height - this.heightfield.getHeightAt(mountain.centre.x, mountain.centre.z));
+        const falloff = Math.cos(r * Math.PI / 2);
+        
+        return rise * falloff * falloff;
+    }
+    
+    /**
+     * Whether a point lies in the footprint of the slide
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {boolean} True inside the slide
+     * @private
+     */
+    _isInSlide(x, z) {
+        const profile = this.chairProfile;
+        return x > profile.scarpX && x < profile.toeX && z > profile.minZ && z < profile.maxZ;
+    }
+    
+    /**
+     * Build the Mount Toc surface, leaving a hole where the landslide block sits
+     * @returns {THREE.BufferGeometry} Mountain geometry
+     * @private
+     */
+    _createMountainGeometry() {
+        const mountain = CONFIG.mountain;
+        const columns = 48;
+        const rows = 36;
+        const minX = mountain.centre.x - mountain.width / 2;
+        const minZ = mountain.centre.z - mountain.depth / 2;
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+        
+        const rises = [];
+        
+        for (let row = 0; row <= rows; row++) {
+            for (let column = 0; column <= columns; column++) {
+                const x = minX + column * mountain.width / columns;
+                const z = minZ + row * mountain.depth / rows;
+                rises.push(this._getMountainRise(x, z));
+                positions.push(x, this.getSurfaceHeight(x, z), z);
+                uvs.push(column / columns, 1 - row / rows);
+            }
+        }
         
-        mountainMesh.castShadow = true;
-        mountainMesh.receiveShadow = true;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const a = row * (columns + 1) + column;
+                const b = a + 1;
+                const c = a + columns + 1;
+                const d = c + 1;
+                
+                // Skip cells that would only double the terrain, and the slide's footprint
+                if (rises[a] === 0 && rises[b] === 0 && rises[c] === 0 && rises[d] === 0) continue;
+                
+                const x = minX + (column + 0.5) * mountain.width / columns;
+                const z = minZ + (row + 0.5) * mountain.depth / rows;
+                if (this._isInSlide(x, z)) continue;
+                
+                indices.push(a, c, b, b, c, d);
+            }
+        }
         
-        return mountainMesh;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        return geometry;
     }
     
     /**
-     * Create simple fallback landslide block
-     * @returns {THREE.Mesh} Simplified landslide mesh
+     * Build a closed solid over the slide footprint between two surfaces
+     * Used for the landslide block, the clay layer, the saturated zone and
+     * the debris fragments
+     * @param {Function} top - (x, z) => height of the upper surface
+     * @param {Function} bottom - (x, z) => height of the lower surface
+     * @param {Object} bounds - minX, maxX, minZ and maxZ of the solid (whole footprint if omitted)
+     * @param {number} columns - Grid cells along x
+     * @param {number} rows - Grid cells along z
+     * @returns {THREE.BufferGeometry} Solid geometry with sharp edges
      * @private
      */
-    _createFallbackLandslide() {
-        // Simple box geometry for the landslide
-        const geometry = new THREE.BoxGeometry(80, 40, 60);
+    _createSolidGeometry(top, bottom, bounds = null, columns = 32, rows = 24) {
+        const profile = this.chairProfile;
+        const area = bounds || { minX: profile.scarpX, maxX: profile.toeX, minZ: profile.minZ, maxZ: profile.maxZ };
+        const positions = [];
+        const uvs = [];
+        const grid = [];
+        
+        // Corner heights of the footprint grid, row by row
+        for (let row = 0; row <= rows; row++) {
+            for (let column = 0; column <= columns; column++) {
+                const x = THREE.MathUtils.lerp(area.minX, area.maxX, column / columns);
+                const z = THREE.MathUtils.lerp(area.minZ, area.maxZ, row / rows);
+                const upper = top(x, z);
+                grid.push({ x, z, upper, lower: Math.min(bottom(x, z), upper), column, row });
+            }
+        }
         
-        // Different color material
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x8B5A2B,
-            roughness: 0.7,
-            metalness: 0.1
-        });
+        const point = (vertex, y) => new THREE.Vector3(vertex.x, y, vertex.z);
+        const normal = new THREE.Vector3();
+        const edgeA = new THREE.Vector3();
+        const edgeB = new THREE.Vector3();
         
-        // Create mesh
-        const landslideBlock = new THREE.Mesh(geometry, material);
+        // Add a quad, wound so that its normal faces outwards
+        const pushQuad = (a, b, c, d, outward, uv) => {
+            normal.crossVectors(edgeA.subVectors(b, a), edgeB.subVectors(d, a));
+            const quad = normal.dot(outward) >= 0 ? [a, b, c, d] : [a, d, c, b];
+            const quadUvs = normal.dot(outward) >= 0 ? uv : [uv[0], uv[3], uv[2], uv[1]];
+            
+            [0, 1, 2, 0, 2, 3].forEach(index => {
+                positions.push(quad[index].x, quad[index].y, quad[index].z);
+                uvs.push(quadUvs[index][0], quadUvs[index][1]);
+            });
+        };
         
-        // Position at landslide location
-        landslideBlock.position.set(-120, 60, -180);
+        const vertex = (column, row) => grid[row * (columns + 1) + column];
+        const up = new THREE.Vector3(0, 1, 0);
+        const down = new THREE.Vector3(0, -1, 0);
+        const uvScale = 2;
+        
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const corners = [vertex(column, row), vertex(column + 1, row), vertex(column + 1, row + 1), vertex(column, row + 1)];
+                const uv = corners.map(corner => [corner.column / columns * uvScale, corner.row / rows * uvScale]);
+                
+                pushQuad(...corners.map(corner => point(corner, corner.upper)), up, uv);
+                pushQuad(...corners.map(corner => point(corner, corner.lower)), down, uv);
+            }
+        }
         
-        // Store original position for animation reset
-        landslideBlock.userData.originalPosition = landslideBlock.position.clone();
-        landslideBlock.userData.originalRotation = landslideBlock.rotation.clone();
+        // Walls round the footprint: back scarp, toe and the two flanks
+        const walls = [
+            { edge: i => vertex(0, i), count: rows, outward: new THREE.Vector3(-1, 0, 0) },
+            { edge: i => vertex(columns, i), count: rows, outward: new THREE.Vector3(1, 0, 0) },
+            { edge: i => vertex(i, 0), count: columns, outward: new THREE.Vector3(0, 0, -1) },
+            { edge: i => vertex(i, rows), count: columns, outward: new THREE.Vector3(0, 0, 1) }
+        ];
         
-        landslideBlock.castShadow = true;
-        landslideBlock.receiveShadow = true;
+        walls.forEach(({ edge, count, outward }) => {
+            for (let i = 0; i < count; i++) {
+                const a = edge(i);
+                const b = edge(i + 1);
+                const along = [i / count * uvScale, (i + 1) / count * uvScale];
+                
+                pushQuad(
+                    point(a, a.lower), point(b, b.lower), point(b, b.upper), point(a, a.upper),
+                    outward,
+                    [[along[0], 0], [along[1], 0], [along[1], 1], [along[0], 1]]
+                );
+            }
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.computeVertexNormals();
         
-        return landslideBlock;
+        return geometry;
     }
     
     /**
      * Create the clay failure plane
+     * Thickness, dip and colour come from the stratigraphy's failure-plane layer
      * @param {THREE.Scene} scene - The scene to add the clay layer to
      * @param {THREE.TextureLoader} textureLoader - Texture loader instance
+     * @param {StratigraphyModel} stratigraphy - Layered geology of the slope
      * @returns {Promise<THREE.Mesh>} Clay layer mesh
      */
-    async createClayLayer(scene, textureLoader) {
+    async createClayLayer(scene, textureLoader, stratigraphy) {
+        let clayTexture = null;
+        
         try {
             // Load clay texture
-            const clayTexture = await loadTexture(textureLoader, 'assets/textures/clay.jpg');
+            clayTexture = await loadTexture(textureLoader, 'assets/textures/clay.jpg');
             
             // Configure texture
             clayTexture.wrapS = THREE.RepeatWrapping;
             clayTexture.wrapT = THREE.RepeatWrapping;
             clayTexture.repeat.set(3, 3);
-            
-            // Create geometry for clay layer
-            const clayGeometry = new THREE.PlaneGeometry(200, 120);
-            
-            // Create material
-            const clayMaterial = new THREE.MeshStandardMaterial({
-                map: clayTexture,
-                color: 0xA09077,
-                roughness: 0.9,
-                metalness: 0.05,
-                transparent: true,
-                opacity: 0.9,
-                side: THREE.DoubleSide
-            });
-            
-            // Create mesh
-            this.clayLayer = new THREE.Mesh(clayGeometry, clayMaterial);
-            
-            // Position and rotate to match the landslide surface
-            const angleRadians = CONFIG.geology.clayLayerAngle * Math.PI / 180;
-            this.clayLayer.position.set(-120, 40, -180);
-            this.clayLayer.rotation.x = -Math.PI / 2 + angleRadians;
-            this.clayLayer.rotation.y = Math.PI / 6; // Slight rotation to match mountain contour
-            
-            this.clayLayer.receiveShadow = true;
-            scene.add(this.clayLayer);
-            
-            return this.clayLayer;
         } catch (error) {
             console.error('Error loading clay texture:', error);
-            
-            // Create with fallback material
-            const clayGeometry = new THREE.PlaneGeometry(200, 120);
-            const clayMaterial = new THREE.MeshStandardMaterial({
-                color: 0xA09077,
-                roughness: 0.9,
-                metalness: 0.05,
-                transparent: true,
-                opacity: 0.9,
-                side: THREE.DoubleSide
-            });
-            
-            this.clayLayer = new THREE.Mesh(clayGeometry, clayMaterial);
-            
-            const angleRadians = CONFIG.geology.clayLayerAngle * Math.PI / 180;
-            this.clayLayer.position.set(-120, 40, -180);
-            this.clayLayer.rotation.x = -Math.PI / 2 + angleRadians;
-            this.clayLayer.rotation.y = Math.PI / 6;
-            
-            this.clayLayer.receiveShadow = true;
-            scene.add(this.clayLayer);
-            
-            return this.clayLayer;
         }
+        
+        // Create material; the fallback simply has no texture
+        const clayMaterial = new THREE.MeshStandardMaterial({
+            map: clayTexture,
+            roughness: 0.9,
+            metalness: 0.05,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
+        });
+        
+        // Create mesh; the geometry is set from the stratigraphy and the slide
+        this.clayLayer = new THREE.Mesh(new THREE.BufferGeometry(), clayMaterial);
+        this.clayLayer.receiveShadow = true;
+        
+        this.rebuildClayLayer(stratigraphy);
+        scene.add(this.clayLayer);
+        
+        return this.clayLayer;
+    }
+    
+    /**
+     * Reshape the clay layer after the stratigraphy or the slide changes
+     * The layer follows the chair under the slide and is trimmed where the
+     * failure surface daylights
+     * @param {StratigraphyModel} stratigraphy - Layered geology of the slope
+     */
+    rebuildClayLayer(stratigraphy) {
+        const plane = stratigraphy.getFailurePlane();
+        if (!this.clayLayer || !plane || !this.chairProfile) return;
+        
+        // A slab as thick as the layer (kept visible when very thin)
+        const halfThickness = Math.max(metresToScene(plane.thickness), 0.5) / 2;
+        this.clayLayer.geometry.dispose();
+        this.clayLayer.geometry = this._createSolidGeometry(
+            (x, z) => Math.min(this.getFailureSurfaceHeight(x, z) + halfThickness, this.getSurfaceHeight(x, z)),
+            (x, z) => this.getFailureSurfaceHeight(x, z) - halfThickness
+        );
+        
+        this.clayLayer.userData.baseColor = new THREE.Color(plane.color);
+        this.clayLayer.material.color.copy(this.clayLayer.userData.baseColor);
     }
     
     /**
      * Create visualization of water saturation inside the mountain
+     * The shape is built by updateSaturationZone as the water table moves
      * @param {THREE.Scene} scene - The scene to add the saturation zone to
      * @returns {THREE.Mesh} Saturation zone mesh
      */
     createSaturatedZone(scene) {
-        // Create a geometry that approximates the landslide block but slightly smaller
-        const saturatedGeometry = new THREE.BufferGeometry();
-        
-        // Create simplified vertices for the saturated zone
-        const vertices = new Float32Array([
-            // Base points
-            -165, 25, -155,
-            -140, 35, -215,
-            -85, 30, -185,
-            -95, 20, -145,
-            
-            // Top points (lower than the landslide block)
-            -145, 70, -175,
-            -125, 75, -205,
-            -95, 70, -175,
-            -105, 65, -155
-        ]);
-        
-        // Use the same face indices as the landslide block
-        const indices = [
-            // Bottom face
-            0, 1, 2,
-            0, 2, 3,
-            
-            // Top face
-            4, 6, 5,
-            4, 7, 6,
-            
-            // Side faces
-            0, 4, 1,
-            1, 4, 5,
-            1, 5, 2,
-            2, 5, 6,
-            2, 6, 3,
-            3, 6, 7,
-            3, 7, 0,
-            0, 7, 4
-        ];
-        
-        // Set geometry attributes
-        saturatedGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-        saturatedGeometry.setIndex(indices);
-        saturatedGeometry.computeVertexNormals();
-        
         // Create material
         const saturatedMaterial = new THREE.MeshStandardMaterial({
             color: 0x1E4870, // Deep blue
@@ -397,7 +618,7 @@ export default class GeologyModel {
         });
         
         // Create mesh
-        this.saturatedZone = new THREE.Mesh(saturatedGeometry, saturatedMaterial);
+        this.saturatedZone = new THREE.Mesh(new THREE.BufferGeometry(), saturatedMaterial);
         
         // Initially not visible - will be shown based on water level
         this.saturatedZone.visible = false;
@@ -424,6 +645,7 @@ export default class GeologyModel {
             
             // Create a curved arch dam geometry
             this.dam = this._createArchDam(concreteTexture);
+            this.dam.userData.arched = true;
             scene.add(this.dam);
             
             return this.dam;
@@ -439,12 +661,28 @@ export default class GeologyModel {
     }
     
     /**
-     * Create a realistic arch dam
-     * @param {THREE.Texture} concreteTexture - Concrete texture
-     * @returns {THREE.Mesh} Dam mesh
+     * Rebuild the dam after the dam settings change
+     * Keeps its material; the fallback dam stays a block
+     */
+    rebuildDam() {
+        if (!this.dam) return;
+        
+        this.dam.geometry.dispose();
+        if (this.dam.userData.arched) {
+            this.dam.geometry = this._createArchDamGeometry();
+            this.dam.position.set(0, 0, CONFIG.dam.z);
+        } else {
+            this.dam.geometry = this._createFallbackDamGeometry();
+            this.dam.position.set(0, CONFIG.dam.height/2, CONFIG.dam.z);
+        }
+    }
+    
+    /**
+     * Geometry of the arch dam, a wall extruded along the curve of the arch
+     * @returns {THREE.ExtrudeGeometry} Dam geometry
      * @private
      */
-    _createArchDam(concreteTexture) {
+    _createArchDamGeometry() {
         // Create a curved arch dam geometry
         const damShape = new THREE.Shape();
         damShape.moveTo(0, 0);
@@ -468,8 +706,17 @@ export default class GeologyModel {
             extrudePath: archCurve
         };
         
-        // Create geometry
-        const damGeometry = new THREE.ExtrudeGeometry(damShape, extrudeSettings);
+        return new THREE.ExtrudeGeometry(damShape, extrudeSettings);
+    }
+    
+    /**
+     * Create a realistic arch dam
+     * @param {THREE.Texture} concreteTexture - Concrete texture
+     * @returns {THREE.Mesh} Dam mesh
+     * @private
+     */
+    _createArchDam(concreteTexture) {
+        const damGeometry = this._createArchDamGeometry();
         
         // Create material
         const damMaterial = new THREE.MeshStandardMaterial({
@@ -480,7 +727,7 @@ export default class GeologyModel {
         
         // Create mesh
         const dam = new THREE.Mesh(damGeometry, damMaterial);
-        dam.position.set(0, 0, -50); // Position in valley
+        dam.position.set(0, 0, CONFIG.dam.z); // Position in valley
         dam.castShadow = true;
         dam.receiveShadow = true;
         
@@ -493,12 +740,7 @@ export default class GeologyModel {
      * @private
      */
     _createFallbackDam() {
-        // Create simpler dam geometry
-        const damGeometry = new THREE.BoxGeometry(
-            CONFIG.dam.width,
-            CONFIG.dam.height,
-            CONFIG.dam.thickness
-        );
+        const damGeometry = this._createFallbackDamGeometry();
         
         // Basic material
         const damMaterial = new THREE.MeshStandardMaterial({
@@ -509,7 +751,7 @@ export default class GeologyModel {
         
         // Create mesh
         const dam = new THREE.Mesh(damGeometry, damMaterial);
-        dam.position.set(0, CONFIG.dam.height/2, -50); // Position in valley
+        dam.position.set(0, CONFIG.dam.height/2, CONFIG.dam.z); // Position in valley
         dam.castShadow = true;
         dam.receiveShadow = true;
         
@@ -517,56 +759,158 @@ export default class GeologyModel {
     }
     
     /**
-     * Update the clay layer visualization based on water level
-     * @param {number} waterLevel - Current water level (0-100)
+     * Geometry of the fallback dam, a simple block
+     * @returns {THREE.BoxGeometry} Dam geometry
+     * @private
      */
-    updateClayLayer(waterLevel) {
-        if (!this.clayLayer || !this.clayLayer.material) return;
+    _createFallbackDamGeometry() {
+        return new THREE.BoxGeometry(
+            CONFIG.dam.width,
+            CONFIG.dam.height,
+            CONFIG.dam.thickness
+        );
+    }
+    
+    /**
+     * Update the clay layer visualization based on the factor of safety
+     * @param {Object} stability - Result from StabilityModel.calculate
+     */
+    updateClayLayer(stability) {
+        if (!this.clayLayer || !this.clayLayer.material || !stability) return;
+        
+        const factorOfSafety = stability.factorOfSafety;
         
-        if (waterLevel > CONFIG.stability.veryLow) {
+        if (factorOfSafety <= CONFIG.stability.veryLow) {
             // Critical stress
             this.clayLayer.material.color.set(0xe53935); // Red
             this.clayLayer.material.emissive = new THREE.Color(0xff5252);
             this.clayLayer.material.emissiveIntensity = 0.3;
-        } else if (waterLevel > CONFIG.stability.low) {
+        } else if (factorOfSafety <= CONFIG.stability.low) {
             // High stress
             this.clayLayer.material.color.set(0xff9800); // Orange
             this.clayLayer.material.emissive = new THREE.Color(0xff9800);
             this.clayLayer.material.emissiveIntensity = 0.2;
         } else {
             // Normal state
-            this.clayLayer.material.color.set(0xA09077); // Default clay color
+            this.clayLayer.material.color.copy(this.clayLayer.userData.baseColor); // Layer colour
             this.clayLayer.material.emissiveIntensity = 0;
         }
     }
     
     /**
-     * Update saturation visualization based on water level
-     * @param {number} waterLevel - Current water level (0-100)
+     * Create another saturation zone, for a view that shows a different pore-pressure field
+     * @param {THREE.Scene} scene - The scene to add the zone to
+     * @returns {THREE.Mesh} Hidden saturation zone mesh
      */
-    updateSaturationZone(waterLevel) {
-        if (!this.saturatedZone) return;
+    createSaturatedZoneCopy(scene) {
+        const zone = new THREE.Mesh(new THREE.BufferGeometry(), this.saturatedZone.material.clone());
+        zone.visible = false;
+        scene.add(zone);
         
-        // Only show saturation at higher water levels
-        const threshold = 30; // Show above 30% water level
+        return zone;
+    }
+    
+    /**
+     * Update saturation visualization from the pore-pressure field
+     * The zone fills the slide mass upwards from the failure surface
+     * @param {number} saturation - Fraction of the failure plane below the water table (0-1)
+     * @param {THREE.Mesh} zone - Zone to update, the scene's own by default
+     */
+    updateSaturationZone(saturation, zone = this.saturatedZone) {
+        if (!zone || !this.chairProfile) return;
         
-        if (waterLevel > threshold) {
-            this.saturatedZone.visible = true;
-            
-            // Calculate saturation scale based on water level
-            const saturationScale = (waterLevel - threshold) / (100 - threshold);
+        // Only show once a meaningful part of the plane is saturated
+        const threshold = 0.1;
+        
+        if (saturation > threshold) {
+            zone.visible = true;
             
             // Adjust opacity based on saturation
-            this.saturatedZone.material.opacity = 0.3 + saturationScale * 0.5;
-            
-            // Expand the saturated area as water level rises
-            const scale = 0.6 + saturationScale * 0.5;
-            this.saturatedZone.scale.set(1, scale, 1);
+            zone.material.opacity = 0.3 + saturation * 0.5;
+            
+            // Raise the water table through the slide mass, reshaping only on visible changes
+            const fill = 0.2 + saturation * 0.6;
+            const shape = zone.userData;
+            if (shape.version !== this.shapeVersion || Math.abs(fill - shape.fill) > 0.02) {
+                shape.fill = fill;
+                shape.version = this.shapeVersion;
+                zone.geometry.dispose();
+                zone.geometry = this._createSolidGeometry(
+                    (x, z) => {
+                        const base = this.getFailureSurfaceHeight(x, z);
+                        return base + (this.getSurfaceHeight(x, z) - base) * fill;
+                    },
+                    (x, z) => this.getFailureSurfaceHeight(x, z)
+                );
+            }
         } else {
-            this.saturatedZone.visible = false;
+            zone.visible = false;
         }
     }
     
+    /**
+     * Move the landslide block by its accumulated creep
+     * @param {number} displacement - Creep displacement in metres
+     */
+    updateCreepDisplacement(displacement) {
+        const block = this.landslideBlock;
+        if (!block || !block.userData.originalPosition || block.userData.released) return;
+        
+        const offset = metresToScene(displacement) * CONFIG.creep.displayExaggeration;
+        block.position.copy(block.userData.originalPosition)
+            .addScaledVector(this.slideDirection, offset);
+    }
+    
+    /**
+     * Move the landslide block to where its runout left it
+     * @param {Object} offset - Horizontal and vertical offsets in metres, from LandslideModel.getOffset
+     */
+    updateRunoutOffset(offset) {
+        const block = this.landslideBlock;
+        if (!block || !block.userData.originalPosition) return;
+        
+        const horizontal = new THREE.Vector3(this.slideDirection.x, 0, this.slideDirection.z).normalize();
+        block.position.copy(block.userData.originalPosition)
+            .addScaledVector(horizontal, metresToScene(offset.horizontal));
+        block.position.y += metresToScene(offset.vertical);
+    }
+    
+    /**
+     * Height of the dam from foundation to crest
+     * @returns {number} Height in metres
+     */
+    getDamHeight() {
+        return sceneToMetres(CONFIG.dam.height);
+    }
+    
+    /**
+     * Elevation of the dam crest
+     * @returns {number} Elevation in metres above sea level
+     */
+    getDamCrestElevation() {
+        return heightToElevation(CONFIG.dam.height);
+    }
+    
+    /**
+     * Elevation of the dam foundation
+     * @returns {number} Elevation in metres above sea level
+     */
+    getDamBaseElevation() {
+        return heightToElevation(0);
+    }
+    
+    /**
+     * How far the landslide block has moved from its original position
+     * Includes the display exaggeration applied to creep
+     * @returns {number} Displacement in metres
+     */
+    getSlideDisplacement() {
+        const block = this.landslideBlock;
+        if (!block || !block.userData.originalPosition) return 0;
+        
+        return sceneToMetres(block.position.distanceTo(block.userData.originalPosition));
+    }
+    
     /**
      * Create a 3D annotation for a geological feature
      * @param {THREE.Scene} scene - The scene to add the annotation to
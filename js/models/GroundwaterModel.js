@@ -0,0 +1,177 @@
+import CONFIG from '../config.js';
+
+/**
+ * GroundwaterModel - Transient pore pressure inside the Mount Toc slope
+ * Solves 1D diffusion of piezometric head along the failure plane so pore
+ * pressure lags the reservoir on filling and lingers on drawdown
+ */
+export default class GroundwaterModel {
+    constructor() {
+        this.nodeCount = CONFIG.groundwater.cells;
+        this.heads = new Float64Array(this.nodeCount); // metres above the failure-plane toe
+        this.reservoirHead = 0;
+        this.elapsedDays = 0;
+        this.daysPerSecond = CONFIG.groundwater.daysPerSecond; // raised during historical playback
+    }
+    
+    /**
+     * Reset the slope to equilibrium with the reservoir
+     * @param {number} reservoirHead - Reservoir head above the failure-plane toe (m)
+     */
+    reset(reservoirHead) {
+        this.reservoirHead = reservoirHead;
+        this.heads.fill(reservoirHead);
+        this.elapsedDays = 0;
+    }
+    
+    /**
+     * Copy the pore-pressure field, to look ahead without disturbing it
+     * @returns {GroundwaterModel} Independent copy
+     */
+    clone() {
+        const copy = new GroundwaterModel();
+        copy.nodeCount = this.nodeCount;
+        copy.heads = Float64Array.from(this.heads);
+        copy.reservoirHead = this.reservoirHead;
+        copy.elapsedDays = this.elapsedDays;
+        copy.daysPerSecond = this.daysPerSecond;
+        return copy;
+    }
+    
+    /**
+     * Set the reservoir head acting on the slope face
+     * @param {number} reservoirHead - Reservoir head above the failure-plane toe (m)
+     */
+    setReservoirHead(reservoirHead) {
+        this.reservoirHead = reservoirHead;
+    }
+    
+    /**
+     * Advance the pore-pressure field in simulated time
+     * @param {number} days - Simulated time step (days)
+     */
+    step(days) {
+        if (days <= 0) return;
+        
+        const config = CONFIG.groundwater;
+        const length = CONFIG.mountain.slideLength;
+        const spacing = length / (this.nodeCount - 1);
+        
+        // Hydraulic diffusivity chosen so the far end of the plane responds in ~lagDays
+        const diffusivity = config.permeability * length * length / config.lagDays;
+        
+        // Sub-step to keep the explicit scheme stable
+        const maxStep = 0.45 * spacing * spacing / diffusivity;
+        const substeps = Math.ceil(days / maxStep);
+        const dt = days / substeps;
+        
+        const heads = this.heads;
+        const fluxes = new Float64Array(this.nodeCount);
+        
+        for (let n = 0; n < substeps; n++) {
+            // The slope face is held at the reservoir head
+            heads[0] = this.reservoirHead;
+            
+            // Flux across each face; outflow towards the reservoir drains more slowly
+            for (let i = 1; i < this.nodeCount; i++) {
+                const gradient = (heads[i - 1] - heads[i]) / spacing;
+                const faceDiffusivity = gradient >= 0 ?
+                                      diffusivity :
+                                      diffusivity * config.drainageRatio;
+                fluxes[i] = faceDiffusivity * gradient;
+            }
+            
+            // No-flow boundary at the back of the slide
+            for (let i = 1; i < this.nodeCount; i++) {
+                const outflow = i < this.nodeCount - 1 ? fluxes[i + 1] : 0;
+                heads[i] += dt * (fluxes[i] - outflow) / spacing;
+            }
+        }
+        
+        heads[0] = this.reservoirHead;
+        this.elapsedDays += days;
+    }
+    
+    /**
+     * Get pore pressure along the failure plane
+     * @param {number} dip - Failure plane dip (radians)
+     * @returns {Array<Object>} Distance up-dip (m) and pore pressure (kPa) per node
+     */
+    getPorePressureProfile(dip) {
+        const spacing = CONFIG.mountain.slideLength / (this.nodeCount - 1);
+        const profile = [];
+        
+        for (let i = 0; i < this.nodeCount; i++) {
+            const distance = i * spacing;
+            const planeElevation = distance * Math.sin(dip);
+            const pressureHead = Math.max(0, this.heads[i] - planeElevation);
+            
+            profile.push({
+                distance: distance,
+                porePressure: CONFIG.geology.waterUnitWeight * pressureHead
+            });
+        }
+        
+        return profile;
+    }
+    
+    /**
+     * Piezometric head at a point on the failure plane
+     * @param {number} distance - Distance up-dip from the toe (m)
+     * @returns {number} Head above the failure-plane toe (m)
+     */
+    getHeadAt(distance) {
+        if (distance <= 0) return this.reservoirHead;
+        
+        const spacing = CONFIG.mountain.slideLength / (this.nodeCount - 1);
+        const position = Math.min(distance / spacing, this.nodeCount - 1);
+        const index = Math.min(Math.floor(position), this.nodeCount - 2);
+        const t = position - index;
+        
+        return this.heads[index] * (1 - t) + this.heads[index + 1] * t;
+    }
+    
+    /**
+     * Integrate pore pressure over the failure plane
+     * @param {number} width - Width of the sliding block (m)
+     * @param {number} dip - Failure plane dip (radians)
+     * @returns {number} Uplift force on the base of the block (kN)
+     */
+    computeUplift(width, dip) {
+        const profile = this.getPorePressureProfile(dip);
+        let uplift = 0;
+        
+        // Trapezoidal integration along the plane
+        for (let i = 1; i < profile.length; i++) {
+            const segment = profile[i].distance - profile[i - 1].distance;
+            uplift += 0.5 * (profile[i].porePressure + profile[i - 1].porePressure) * segment;
+        }
+        
+        return uplift * width;
+    }
+    
+    /**
+     * Get the fraction of the failure plane lying below the water table
+     * @param {number} dip - Failure plane dip (radians)
+     * @returns {number} Saturated fraction (0-1)
+     */
+    getSaturation(dip) {
+        const profile = this.getPorePressureProfile(dip);
+        let saturatedLength = 0;
+        
+        for (let i = 1; i < profile.length; i++) {
+            const segment = profile[i].distance - profile[i - 1].distance;
+            const start = profile[i - 1].porePressure;
+            const end = profile[i].porePressure;
+            
+            if (start > 0 && end > 0) {
+                saturatedLength += segment;
+            } else if (start > 0 || end > 0) {
+                // Water table crosses the plane inside this segment
+                saturatedLength += segment * Math.max(start, end) / (start + end);
+            }
+        }
+        
+        return saturatedLength / CONFIG.mountain.slideLength;
+    }
+}
\ No newline at end of file
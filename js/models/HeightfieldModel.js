@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+
+/**
+ * HeightfieldModel - CPU copy of the terrain surface
+ * Stores ground heights on a regular grid in scene units so any code can
+ * sample height, normal and slope, or raycast against the ground, without
+ * reading back from the GPU
+ */
+export default class HeightfieldModel {
+    /**
+     * Initialize an empty heightfield centred on the origin
+     * @param {number} width - Extent along x (scene units)
+     * @param {number} depth - Extent along z (scene units)
+     * @param {number} segments - Grid cells along each side
+     */
+    constructor(width, depth, segments) {
+        this.width = width;
+        this.depth = depth;
+        this.segments = segments;
+        this.size = segments + 1; // samples along each side
+        this.cellWidth = width / segments;
+        this.cellDepth = depth / segments;
+        this.heights = new Float32Array(this.size * this.size);
+        this.minHeight = 0;
+        this.maxHeight = 0;
+    }
+    
+    /**
+     * Build a heightfield from a grayscale heightmap image
+     * Image row 0 lies on the far (-z) edge, matching the plane's UV layout
+     * @param {HTMLImageElement} image - Loaded heightmap image
+     * @param {number} segments - Grid cells along each side
+     * @returns {HeightfieldModel} Heightfield sampled from the image
+     */
+    static fromImage(image, segments = CONFIG.terrain.segments) {
+        const heightfield = new HeightfieldModel(CONFIG.terrain.width, CONFIG.terrain.depth, segments);
+        const size = heightfield.size;
+        
+        // Resample the image to one pixel per grid sample
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, size, size);
+        const pixels = context.getImageData(0, 0, size, size).data;
+        
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const pixel = (row * size + column) * 4;
+                
+                // Luminance of the pixel from 0 to 1
+                const value = (0.299 * pixels[pixel] + 0.587 * pixels[pixel + 1] + 0.114 * pixels[pixel + 2]) / 255;
+                
+                heightfield.heights[row * size + column] = value * CONFIG.terrain.maxHeight + CONFIG.terrain.baseHeight;
+            }
+        }
+        
+        heightfield._updateRange();
+        return heightfield;
+    }
+    
+    /**
+     * Build a heightfield by sampling a height function
+     * @param {Function} heightFunction - Returns the ground height at scene x, z
+     * @param {number} segments - Grid cells along each side
+     * @returns {HeightfieldModel} Sampled heightfield
+     */
+    static fromFunction(heightFunction, segments = CONFIG.terrain.segments) {
+        const heightfield = new HeightfieldModel(CONFIG.terrain.width, CONFIG.terrain.depth, segments);
+        const size = heightfield.size;
+        
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const { x, z } = heightfield.getSamplePosition(column, row);
+                heightfield.heights[row * size + column] = heightFunction(x, z);
+            }
+        }
+        
+        heightfield._updateRange();
+        return heightfield;
+    }
+    
+    /**
+     * Scene position of a grid sample
+     * @param {number} column - Sample column (along x)
+     * @param {number} row - Sample row (along z)
+     * @returns {Object} Scene x and z
+     */
+    getSamplePosition(column, row) {
+        return {
+            x: -this.width / 2 + column * this.cellWidth,
+            z: -this.depth / 2 + row * this.cellDepth
+        };
+    }
+    
+    /**
+     * Height of a grid sample, clamped to the grid
+     * @param {number} column - Sample column
+     * @param {number} row - Sample row
+     * @returns {number} Height (scene units)
+     */
+    getSample(column, row) {
+        const c = Math.min(Math.max(column, 0), this.segments);
+        const r = Math.min(Math.max(row, 0), this.segments);
+        return this.heights[r * this.size + c];
+    }
+    
+    /**
+     * Whether a point lies over the heightfield
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {boolean} True if inside the grid
+     */
+    contains(x, z) {
+        return Math.abs(x) <= this.width / 2 && Math.abs(z) <= this.depth / 2;
+    }
+    
+    /**
+     * Ground height at a point, bilinearly interpolated
+     * Points outside the grid take the height of the nearest edge
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Ground height (scene units)
+     */
+    getHeightAt(x, z) {
+        const gx = Math.min(Math.max((x + this.width / 2) / this.cellWidth, 0), this.segments);
+        const gz = Math.min(Math.max((z + this.depth / 2) / this.cellDepth, 0), this.segments);
+        
+        const column = Math.min(Math.floor(gx), this.segments - 1);
+        const row = Math.min(Math.floor(gz), this.segments - 1);
+        const tx = gx - column;
+        const tz = gz - row;
+        
+        const h00 = this.getSample(column, row);
+        const h10 = this.getSample(column + 1, row);
+        const h01 = this.getSample(column, row + 1);
+        const h11 = this.getSample(column + 1, row + 1);
+        
+        return (h00 * (1 - tx) + h10 * tx) * (1 - tz) +
+               (h01 * (1 - tx) + h11 * tx) * tz;
+    }
+    
+    /**
+     * Surface normal at a point from central differences
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @param {THREE.Vector3} target - Optional vector to write into
+     * @returns {THREE.Vector3} Unit normal
+     */
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        const dx = this.cellWidth;
+        const dz = this.cellDepth;
+        
+        const slopeX = (this.getHeightAt(x + dx, z) - this.getHeightAt(x - dx, z)) / (2 * dx);
+        const slopeZ = (this.getHeightAt(x, z + dz) - this.getHeightAt(x, z - dz)) / (2 * dz);
+        
+        return target.set(-slopeX, 1, -slopeZ).normalize();
+    }
+    
+    /**
+     * Steepness of the ground at a point
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Slope angle in degrees from horizontal
+     */
+    getSlopeAt(x, z) {
+        const normal = this.getNormalAt(x, z);
+        return Math.acos(Math.min(normal.y, 1)) * 180 / Math.PI;
+    }
+    
+    /**
+     * Downhill direction at a point
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Aspect in degrees clockwise from -z (north)
+     */
+    getAspectAt(x, z) {
+        const normal = this.getNormalAt(x, z);
+        const aspect = Math.atan2(normal.x, -normal.z) * 180 / Math.PI;
+        return (aspect + 360) % 360;
+    }
+    
+    /**
+     * Intersect a ray with the ground
+     * Marches along the ray in half-cell steps, then bisects the crossing
+     * @param {THREE.Vector3} origin - Ray origin
+     * @param {THREE.Vector3} direction - Ray direction (need not be normalized)
+     * @param {number} maxDistance - Furthest distance to search
+     * @returns {Object|null} Hit point and distance, or null if the ray misses
+     */
+    raycast(origin, direction, maxDistance = 2000) {
+        const dir = direction.clone().normalize();
+        const step = Math.min(this.cellWidth, this.cellDepth) / 2;
+        const point = new THREE.Vector3();
+        
+        const heightAbove = distance => {
+            point.copy(origin).addScaledVector(dir, distance);
+            return point.y - this.getHeightAt(point.x, point.z);
+        };
+        
+        if (heightAbove(0) < 0) return null; // starts underground
+        
+        let previous = 0;
+        
+        for (let distance = step; distance <= maxDistance; distance += step) {
+            const height = heightAbove(distance);
+            
+            if (height <= 0 && this.contains(point.x, point.z)) {
+                // Bisect between the last point above and the first below
+                let low = previous;
+                let high = distance;
+                for (let i = 0; i < 12; i++) {
+                    const mid = (low + high) / 2;
+                    if (heightAbove(mid) > 0) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                
+                point.copy(origin).addScaledVector(dir, high);
+                return { point: point.clone(), distance: high };
+            }
+            
+            previous = distance;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the samples below a level that are connected to a seed sample
+     * Fills four-connected neighbours, like water spreading from the seed
+     * @param {number} level - Surface height (scene units)
+     * @param {number} column - Seed column
+     * @param {number} row - Seed row
+     * @param {Function} canEnter - Optional (column, row) => boolean limiting the fill
+     * @returns {Uint8Array} Mask with 1 for each flooded sample
+     */
+    floodFill(level, column, row, canEnter = () => true) {
+        const size = this.size;
+        const mask = new Uint8Array(size * size);
+        
+        if (this.getSample(column, row) >= level || !canEnter(column, row)) return mask;
+        
+        const stack = [row * size + column];
+        mask[row * size + column] = 1;
+        
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const c = index % size;
+            const r = (index - c) / size;
+            
+            const neighbours = [[c - 1, r], [c + 1, r], [c, r - 1], [c, r + 1]];
+            for (const [nc, nr] of neighbours) {
+                if (nc < 0 || nr < 0 || nc >= size || nr >= size) continue;
+                
+                const next = nr * size + nc;
+                if (mask[next] || this.heights[next] >= level || !canEnter(nc, nr)) continue;
+                
+                mask[next] = 1;
+                stack.push(next);
+            }
+        }
+        
+        return mask;
+    }
+    
+    /**
+     * Recompute the height range
+     * @private
+     */
+    _updateRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        
+        for (let i = 0; i < this.heights.length; i++) {
+            min = Math.min(min, this.heights[i]);
+            max = Math.max(max, this.heights[i]);
+        }
+        
+        this.minHeight = min;
+        this.maxHeight = max;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+import CONFIG from '../config.js';
+import { sceneToMetres } from '../utils/UnitUtils.js';
+
+const GRAVITY = 9.81;
+
+/**
+ * ImpulseWaveModel - Empirical estimates of the landslide-generated wave
+ * Applies Heller & Hager (2010) for a granular slide in a channel and
+ * Slingerland & Voight (1979) for comparison, then estimates run-up on the
+ * opposite shore and on the dam face, and the height of overtopping
+ */
+export default class ImpulseWaveModel {
+    constructor() {
+        this.lastResult = null;
+    }
+    
+    /**
+     * Calculate the impulse wave for a slide entering the reservoir
+     * @param {Object} input - Slide and reservoir parameters
+     * @param {number} input.volume - Slide volume (m³)
+     * @param {number} input.velocity - Slide impact velocity (m/s)
+     * @param {number} input.thickness - Slide thickness (m)
+     * @param {number} input.width - Slide width along the shore (m)
+     * @param {number} input.depth - Still water depth at the slide (m)
+     * @param {number} input.freeboard - Dam crest above the still water level (m)
+     * @param {number} input.damDistance - Distance from the impact to the dam (m)
+     * @param {number} input.shoreDistance - Distance from the impact to the opposite shore (m)
+     * @returns {Object} Wave amplitude, height, run-up and overtopping in metres
+     */
+    calculate(input) {
+        const settings = CONFIG.impulseWave;
+        const depth = Math.max(input.depth, 1);
+        
+        const hellerHager = this.getHellerHager(input, depth);
+        const slingerlandVoight = this.getSlingerlandVoight(input, depth);
+        
+        // Wave height where it reaches the opposite shore and the dam
+        const shoreWaveHeight = this.getWaveHeightAt(hellerHager, input.shoreDistance, depth);
+        const damWaveHeight = this.getWaveHeightAt(hellerHager, input.damDistance, depth);
+        
+        const runUp = this.getRunUp(shoreWaveHeight, hellerHager.wavelength, depth, settings.shoreAngle);
+        const damRunUp = this.getRunUp(damWaveHeight, hellerHager.wavelength, depth, settings.damFaceAngle);
+        
+        this.lastResult = {
+            hellerHager: hellerHager,
+            slingerlandVoight: slingerlandVoight,
+            damWaveHeight: damWaveHeight,
+            runUp: runUp,
+            damRunUp: damRunUp,
+            overtopping: Math.max(0, damRunUp - input.freeboard)
+        };
+        
+        return this.lastResult;
+    }
+    
+    /**
+     * Input for the Mount Toc slide entering the reservoir
+     * @param {Object} block - Block geometry from StabilityModel.getBlockGeometry
+     * @param {number} velocity - Slide impact velocity (m/s)
+     * @param {number} elevation - Still water elevation (m a.s.l.)
+     * @param {number|null} impactZ - Scene z where the slide entered; defaults to the middle of the slide
+     * @returns {Object} Input for calculate
+     */
+    getSlideInput(block, velocity, elevation, impactZ = null) {
+        const domain = CONFIG.tsunami.domain;
+        const z = impactZ !== null ? impactZ : (domain.slideMinZ + domain.slideMaxZ) / 2;
+        
+        return {
+            volume: block.volume,
+            velocity: velocity,
+            thickness: block.thickness,
+            width: block.width,
+            depth: Math.max(0, elevation - CONFIG.water.floorElevation),
+            freeboard: CONFIG.water.maxElevation - elevation,
+            damDistance: sceneToMetres(Math.abs(CONFIG.dam.z - z)),
+            shoreDistance: CONFIG.landslide.wallDistance
+        };
+    }
+    
+    /**
+     * Maximum wave amplitude and height from the impulse product parameter
+     * P = F^½ · S^½ · M^¼ · cos(6α/7)^½ (Heller & Hager 2010, 2D channel)
+     * @param {Object} input - Slide and reservoir parameters
+     * @param {number} depth - Still water depth (m)
+     * @returns {Object} Impulse product, amplitude, height, period and wavelength
+     */
+    getHellerHager(input, depth) {
+        const densityRatio = CONFIG.geology.rockUnitWeight / CONFIG.geology.waterUnitWeight;
+        const impactAngle = CONFIG.geology.clayLayerAngle * Math.PI / 180;
+        
+        const froude = input.velocity / Math.sqrt(GRAVITY * depth);
+        const relativeThickness = input.thickness / depth;
+        const relativeMass = densityRatio * input.volume / (input.width * depth * depth);
+        
+        const impulseProduct = Math.sqrt(froude) *
+                             Math.sqrt(relativeThickness) *
+                             Math.pow(relativeMass, 0.25) *
+                             Math.sqrt(Math.cos(6 / 7 * impactAngle));
+        
+        const period = 9 * Math.sqrt(impulseProduct) * Math.sqrt(depth / GRAVITY);
+        
+        return {
+            impulseProduct: impulseProduct,
+            amplitude: 4 / 9 * Math.pow(impulseProduct, 0.8) * depth,
+            waveHeight: 5 / 9 * Math.pow(impulseProduct, 0.8) * depth,
+            period: period,
+            wavelength: period * Math.sqrt(GRAVITY * depth)
+        };
+    }
+    
+    /**
+     * Maximum wave amplitude from the dimensionless slide kinetic energy
+     * log(η/d) = −1.25 + 0.71·log(KE), KE = ½ · (V/d³) · (ρs/ρw) · v²/(g·d)
+     * (Slingerland & Voight 1979)
+     * @param {Object} input - Slide and reservoir parameters
+     * @param {number} depth - Still water depth (m)
+     * @returns {Object} Kinetic energy parameter and amplitude
+     */
+    getSlingerlandVoight(input, depth) {
+        const densityRatio = CONFIG.geology.rockUnitWeight / CONFIG.geology.waterUnitWeight;
+        const kineticEnergy = 0.5 * (input.volume / Math.pow(depth, 3)) * densityRatio *
+                            input.velocity * input.velocity / (GRAVITY * depth);
+        
+        const relativeAmplitude = Math.pow(10, -1.25 + 0.71 * Math.log10(Math.max(kineticEnergy, 1e-9)));
+        
+        return {
+            kineticEnergy: kineticEnergy,
+            amplitude: relativeAmplitude * depth
+        };
+    }
+    
+    /**
+     * Wave height after travelling away from the impact
+     * H(x)/h = ¾ · (P · (x/h)^−⅓)^⅘, capped at the maximum near the impact
+     * @param {Object} hellerHager - Result from getHellerHager
+     * @param {number} distance - Distance from the impact (m)
+     * @param {number} depth - Still water depth (m)
+     * @returns {number} Wave height (m)
+     */
+    getWaveHeightAt(hellerHager, distance, depth) {
+        const relativeDistance = Math.max(distance / depth, 1e-3);
+        const height = 0.75 * Math.pow(hellerHager.impulseProduct * Math.pow(relativeDistance, -1 / 3), 0.8) * depth;
+        
+        return Math.min(height, hellerHager.waveHeight);
+    }
+    
+    /**
+     * Run-up of the wave on a slope
+     * R/h = 1.25 · (H/h)^1.25 · (H/L)^−0.15 · (90°/β)^0.2 (Heller & Hager 2010)
+     * @param {number} waveHeight - Wave height arriving at the slope (m)
+     * @param {number} wavelength - Wavelength (m)
+     * @param {number} depth - Still water depth (m)
+     * @param {number} slopeAngle - Slope angle in degrees
+     * @returns {number} Run-up height above still water (m)
+     */
+    getRunUp(waveHeight, wavelength, depth, slopeAngle) {
+        if (waveHeight <= 0) return 0;
+        
+        return 1.25 * depth *
+               Math.pow(waveHeight / depth, 1.25) *
+               Math.pow(waveHeight / wavelength, -0.15) *
+               Math.pow(90 / slopeAngle, 0.2);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,186 @@
+import CONFIG from '../config.js';
+
+/**
+ * LandslideModel - Runout of the released block along the chair-shaped failure surface
+ * Integrates gravity along the plane against basal friction that falls from
+ * peak to residual as the slide accelerates, until the mass stops or hits
+ * the opposite valley wall
+ */
+export default class LandslideModel {
+    constructor() {
+        this.lastResult = null;
+    }
+    
+    /**
+     * Dip of the sliding surface at a given travel distance
+     * The steep back of the chair gives way to its nearly flat seat
+     * @param {number} distance - Travel along the surface (m)
+     * @returns {number} Dip in radians
+     */
+    getPathAngle(distance) {
+        const angle = distance < CONFIG.landslide.seatDistance ?
+                    CONFIG.geology.clayLayerAngle :
+                    CONFIG.landslide.seatAngle;
+        
+        return angle * Math.PI / 180;
+    }
+    
+    /**
+     * Dynamic basal friction angle at a given speed
+     * Frictional heating raises pore pressure in the clay, so friction decays
+     * exponentially from peak towards residual with speed
+     * @param {number} speed - Slide speed (m/s)
+     * @param {number} peak - Peak friction angle at rest (degrees)
+     * @returns {number} Friction angle in radians
+     */
+    getFrictionAngle(speed, peak = CONFIG.geology.frictionAngle) {
+        const residual = CONFIG.landslide.residualFrictionAngle;
+        const angle = residual + (peak - residual) * Math.exp(-speed / CONFIG.landslide.frictionDecayVelocity);
+        
+        return angle * Math.PI / 180;
+    }
+    
+    /**
+     * Horizontal and vertical offset of the block after a given travel
+     * @param {number} distance - Travel along the surface (m)
+     * @returns {Object} Horizontal and vertical offsets in metres (vertical is negative downwards)
+     */
+    getOffset(distance) {
+        const seatDistance = CONFIG.landslide.seatDistance;
+        const backTravel = Math.min(distance, seatDistance);
+        const seatTravel = Math.max(0, distance - seatDistance);
+        
+        const backAngle = this.getPathAngle(0);
+        const seatAngle = this.getPathAngle(seatDistance);
+        
+        return {
+            horizontal: backTravel * Math.cos(backAngle) + seatTravel * Math.cos(seatAngle),
+            vertical: -(backTravel * Math.sin(backAngle) + seatTravel * Math.sin(seatAngle))
+        };
+    }
+    
+    /**
+     * Integrate the runout from release
+     * Rupture destroys the cohesion; the uplift carried from the stability
+     * result keeps acting on the base as the block moves
+     * @param {Object} stability - Stability result at release from StabilityModel.calculate
+     * @param {number} frictionAngle - Peak friction angle of the base (degrees)
+     * @returns {Object} Trajectory samples with peak speed, travel, duration and impact speed
+     */
+    simulate(stability, frictionAngle = CONFIG.geology.frictionAngle) {
+        const settings = CONFIG.landslide;
+        const g = 9.81;
+        const dt = settings.timeStep;
+        
+        // Fraction of the block's normal weight still carried by the rock contact
+        const dip = CONFIG.geology.clayLayerAngle * Math.PI / 180;
+        const effectiveNormal = Math.max(0, 1 - stability.uplift / (stability.weight * Math.cos(dip)));
+        
+        let time = 0;
+        let distance = 0;
+        let speed = 0;
+        let peakSpeed = 0;
+        let hitWall = false;
+        let impactSpeed = 0;
+        
+        const samples = [{ time: 0, distance: 0, speed: 0 }];
+        
+        while (time < settings.maxDuration) {
+            const angle = this.getPathAngle(distance);
+            const friction = this.getFrictionAngle(speed, frictionAngle);
+            const acceleration = g * (Math.sin(angle) - effectiveNormal * Math.cos(angle) * Math.tan(friction));
+            
+            // A block at rest that nothing drives stays where it is
+            if (speed === 0 && acceleration <= 0) break;
+            
+            speed += acceleration * dt;
+            time += dt;
+            
+            // Friction cannot push the block back up the slope
+            if (speed <= 0) {
+                speed = 0;
+                samples.push({ time, distance, speed });
+                break;
+            }
+            
+            distance += speed * dt;
+            peakSpeed = Math.max(peakSpeed, speed);
+            
+            if (distance >= settings.wallDistance) {
+                distance = settings.wallDistance;
+                hitWall = true;
+                impactSpeed = speed;
+                speed = 0;
+                samples.push({ time, distance, speed });
+                break;
+            }
+            
+            samples.push({ time, distance, speed });
+        }
+        
+        this.lastResult = {
+            samples: samples,
+            peakSpeed: peakSpeed,
+            travel: distance,
+            duration: time,
+            hitWall: hitWall,
+            impactSpeed: impactSpeed
+        };
+        
+        return this.lastResult;
+    }
+    
+    /**
+     * Stop a runout after a given travel, as a slide that only partly breaks away
+     * @param {Object} result - Result from simulate
+     * @param {number} travel - Largest travel along the surface (m)
+     * @returns {Object} Result ending where the travel is reached, or the result itself if it stops short
+     */
+    limitTravel(result, travel) {
+        if (result.travel <= travel) return result;
+        
+        const samples = [];
+        for (const sample of result.samples) {
+            if (sample.distance >= travel) {
+                samples.push({ time: sample.time, distance: travel, speed: 0 });
+                break;
+            }
+            samples.push(sample);
+        }
+        
+        const last = samples[samples.length - 1];
+        return {
+            samples: samples,
+            peakSpeed: samples.reduce((peak, sample) => Math.max(peak, sample.speed), 0),
+            travel: travel,
+            duration: last.time,
+            hitWall: false,
+            impactSpeed: 0
+        };
+    }
+    
+    /**
+     * Interpolate the trajectory at a given time
+     * @param {Object} result - Result from simulate
+     * @param {number} time - Time since release (s)
+     * @returns {Object} Distance and speed at that time
+     */
+    getStateAt(result, time) {
+        const samples = result.samples;
+        const index = Math.min(Math.floor(time / CONFIG.landslide.timeStep), samples.length - 1);
+        
+        if (index >= samples.length - 1) {
+            const last = samples[samples.length - 1];
+            return { distance: last.distance, speed: last.speed };
+        }
+        
+        const a = samples[index];
+        const b = samples[index + 1];
+        const t = Math.min(Math.max((time - a.time) / (b.time - a.time), 0), 1);
+        
+        return {
+            distance: a.distance + (b.distance - a.distance) * t,
+            speed: a.speed + (b.speed - a.speed) * t
+        };
+    }
+}
\ No newline at end of file
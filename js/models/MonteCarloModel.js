@@ -0,0 +1,277 @@
+import CONFIG from '../config.js';
+import StabilityModel from './StabilityModel.js';
+import { levelToElevation } from '../utils/UnitUtils.js';
+import { createRandom } from '../utils/MathUtils.js';
+
+// Physical bounds sampled values are kept within
+const PARAMETER_LIMITS = {
+    frictionAngle: [1, 60],
+    cohesion: [0, Infinity],
+    clayLayerThickness: [0.01, Infinity],
+    clayLayerAngle: [1, 60],
+    poreRatio: [0, 0.9]
+};
+
+// Coefficients of Acklam's rational approximation to the normal quantile
+const NORMAL_QUANTILE = {
+    a: [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628274631000],
+    b: [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572],
+    c: [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783],
+    d: [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416],
+    low: 0.02425
+};
+
+/**
+ * MonteCarloModel - Uncertainty in the stability of the Mount Toc slide
+ * Draws parameter sets from their distributions, evaluates the factor of
+ * safety of each across the reservoir range and reports the probability of
+ * failure per level, plus a one-at-a-time sensitivity (tornado) at one level.
+ * Two effects the deterministic analysis leaves out are added to each sample
+ * here: rock-wall contact through thin clay and rainfall pore pressure.
+ * Has no DOM or scene dependencies so it can run in a Web Worker
+ */
+export default class MonteCarloModel {
+    constructor() {
+        this.stability = new StabilityModel();
+    }
+    
+    /**
+     * Replace null means and modes by the current parameter values
+     * @param {Object} distributions - Distributions keyed by parameter, as in CONFIG.monteCarlo
+     * @param {Object} base - Current geology parameters
+     * @returns {Object} Distributions with every value given
+     */
+    resolveDistributions(distributions, base) {
+        const resolved = {};
+        
+        Object.entries(distributions).forEach(([key, distribution]) => {
+            resolved[key] = Object.assign({}, distribution);
+            ['mean', 'mode'].forEach(field => {
+                if (field in distribution && distribution[field] === null) {
+                    resolved[key][field] = base[key];
+                }
+            });
+        });
+        
+        return resolved;
+    }
+    
+    /**
+     * Check a distribution before sampling from it
+     * @param {string} key - Parameter the distribution is for
+     * @param {Object} distribution - Distribution with its type and values
+     * @throws {Error} If the distribution cannot be sampled
+     */
+    validateDistribution(key, distribution) {
+        const values = Object.entries(distribution).filter(([field]) => field !== 'type');
+        if (values.some(([, value]) => typeof value !== 'number' || !isFinite(value))) {
+            throw new Error(`${key}: every value must be a number`);
+        }
+        
+        const { type, mean, sd, min, mode, max } = distribution;
+        
+        if (type === 'normal' || type === 'lognormal') {
+            if (!(sd >= 0)) throw new Error(`${key}: standard deviation must not be negative`);
+            if (type === 'lognormal' && !(mean > 0)) throw new Error(`${key}: lognormal mean must be positive`);
+        } else if (type === 'uniform') {
+            if (!(max >= min)) throw new Error(`${key}: maximum must not be below minimum`);
+        } else if (type === 'triangular') {
+            if (!(min <= mode && mode <= max)) throw new Error(`${key}: mode must lie between minimum and maximum`);
+        } else {
+            throw new Error(`${key}: unknown distribution "${type}"`);
+        }
+    }
+    
+    /**
+     * Run the analysis
+     * @param {Object} request - What to run
+     * @param {Object} request.base - Current geology parameters, as in CONFIG.geology
+     * @param {Object} request.distributions - Resolved distributions keyed by parameter
+     * @param {number} request.samples - Number of parameter sets to draw
+     * @param {Array<number>} request.levels - Water levels (0-100) of the probability curve
+     * @param {number} request.referenceLevel - Water level (0-100) of the tornado diagram
+     * @param {number} request.seed - Random seed
+     * @param {Function} onProgress - Optional, called with samples done and total
+     * @returns {Object} Probability curve, tornado bars and the inputs that produced them
+     */
+    run(request, onProgress = null) {
+        const { base, distributions, levels, referenceLevel } = request;
+        const samples = Math.min(Math.max(Math.round(request.samples), 1), CONFIG.monteCarlo.maxSamples);
+        const keys = Object.keys(distributions);
+        keys.forEach(key => this.validateDistribution(key, distributions[key]));
+        
+        const random = createRandom(request.seed);
+        const factors = levels.map(() => new Float64Array(samples));
+        const parameters = Object.assign({}, base);
+        
+        for (let sample = 0; sample < samples; sample++) {
+            keys.forEach(key => {
+                parameters[key] = this._sample(key, distributions[key], random());
+            });
+            
+            levels.forEach((level, index) => {
+                factors[index][sample] = this._calculate(level, parameters);
+            });
+            
+            if (onProgress && ((sample + 1) % CONFIG.monteCarlo.progressInterval === 0 || sample === samples - 1)) {
+                onProgress(sample + 1, samples);
+            }
+        }
+        
+        return {
+            samples: samples,
+            seed: request.seed,
+            base: Object.assign({}, base),
+            distributions: distributions,
+            curve: levels.map((level, index) => this._summarise(level, factors[index])),
+            tornado: this._createTornado(base, distributions, referenceLevel)
+        };
+    }
+    
+    /**
+     * Factor of safety of one parameter set
+     * Clay thinner than the asperities of the bedding lets the rock walls
+     * touch, so friction rises from the clay's towards the rock's as the
+     * infill thins (after Barton 1974). The pore-pressure ratio ru adds
+     * ru·W·cosβ to the uplift on the plane
+     * @param {number} level - Water level (0-100)
+     * @param {Object} parameters - Geology parameters with wallFrictionAngle and poreRatio
+     * @returns {number} Factor of safety
+     * @private
+     */
+    _calculate(level, parameters) {
+        const infill = Math.min(Math.max(parameters.clayLayerThickness / CONFIG.monteCarlo.asperityHeight, 0), 1);
+        const clay = Math.tan(parameters.frictionAngle * Math.PI / 180);
+        const wall = Math.tan(parameters.wallFrictionAngle * Math.PI / 180);
+        const friction = wall + (clay - wall) * infill;
+        
+        const result = this.stability.calculate(level, null, Object.assign({}, parameters, {
+            frictionAngle: Math.atan(friction) * 180 / Math.PI
+        }));
+        if (!parameters.poreRatio) return result.factorOfSafety;
+        
+        const normalWeight = result.weight * Math.cos(parameters.clayLayerAngle * Math.PI / 180);
+        const normalForce = Math.max(0, normalWeight - result.uplift);
+        const reducedForce = Math.max(0, normalForce - parameters.poreRatio * normalWeight);
+        
+        return (result.resistingForce - (normalForce - reducedForce) * friction) / result.drivingForce;
+    }
+    
+    /**
+     * Probability of failure and spread of the factor of safety at one level
+     * @param {number} level - Water level (0-100)
+     * @param {Float64Array} factors - Factor of safety of every sample
+     * @returns {Object} Summary of the level
+     * @private
+     */
+    _summarise(level, factors) {
+        const sorted = Float64Array.from(factors).sort();
+        const failures = sorted.filter(factor => factor <= CONFIG.stability.critical).length;
+        const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+        
+        return {
+            level: level,
+            elevation: levelToElevation(level),
+            probability: failures / sorted.length,
+            mean: sorted.reduce((sum, factor) => sum + factor, 0) / sorted.length,
+            p5: percentile(5),
+            p50: percentile(50),
+            p95: percentile(95)
+        };
+    }
+    
+    /**
+     * Swing each parameter between its low and high percentiles, the others at
+     * their current values, and record the factor of safety at both ends
+     * @param {Object} base - Current geology parameters
+     * @param {Object} distributions - Resolved distributions keyed by parameter
+     * @param {number} level - Water level (0-100) the swings are evaluated at
+     * @returns {Object} Base factor of safety and bars sorted by swing, largest first
+     * @private
+     */
+    _createTornado(base, distributions, level) {
+        const [lowPercentile, highPercentile] = CONFIG.monteCarlo.tornadoPercentiles;
+        const fosWith = (key, value) => this._calculate(level, Object.assign({}, base, { [key]: value }));
+        
+        const bars = Object.keys(distributions).map(key => {
+            const low = this._sample(key, distributions[key], lowPercentile / 100);
+            const high = this._sample(key, distributions[key], highPercentile / 100);
+            const lowFactor = fosWith(key, low);
+            const highFactor = fosWith(key, high);
+            
+            return {
+                key: key,
+                low: { value: low, factorOfSafety: lowFactor },
+                high: { value: high, factorOfSafety: highFactor },
+                swing: Math.abs(highFactor - lowFactor)
+            };
+        });
+        
+        bars.sort((a, b) => b.swing - a.swing);
+        
+        return {
+            level: level,
+            elevation: levelToElevation(level),
+            factorOfSafety: this._calculate(level, base),
+            percentiles: [lowPercentile, highPercentile],
+            bars: bars
+        };
+    }
+    
+    /**
+     * Value of a parameter at a cumulative probability of its distribution
+     * Drawing p uniformly at random samples the distribution
+     * @param {string} key - Parameter, for its physical limits
+     * @param {Object} distribution - Resolved distribution
+     * @param {number} p - Cumulative probability (0-1)
+     * @returns {number} Parameter value
+     * @private
+     */
+    _sample(key, distribution, p) {
+        const { type, mean, sd, min, mode, max } = distribution;
+        let value;
+        
+        if (type === 'normal') {
+            value = mean + sd * this._normalQuantile(p);
+        } else if (type === 'lognormal') {
+            // Mean and standard deviation are of the value, not of its logarithm
+            const sigma = Math.sqrt(Math.log(1 + (sd / mean) ** 2));
+            const mu = Math.log(mean) - sigma * sigma / 2;
+            value = Math.exp(mu + sigma * this._normalQuantile(p));
+        } else if (type === 'uniform') {
+            value = min + (max - min) * p;
+        } else {
+            const split = max > min ? (mode - min) / (max - min) : 0;
+            value = p < split ?
+                  min + Math.sqrt(p * (max - min) * (mode - min)) :
+                  max - Math.sqrt((1 - p) * (max - min) * (max - mode));
+        }
+        
+        const [lower, upper] = PARAMETER_LIMITS[key] || [-Infinity, Infinity];
+        return Math.min(Math.max(value, lower), upper);
+    }
+    
+    /**
+     * Inverse of the standard normal cumulative distribution
+     * @param {number} p - Cumulative probability (0-1)
+     * @returns {number} Standard normal value
+     * @private
+     */
+    _normalQuantile(p) {
+        const { a, b, c, d, low } = NORMAL_QUANTILE;
+        const q = Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+        
+        if (q < low || q > 1 - low) {
+            // Tails
+            const r = Math.sqrt(-2 * Math.log(q < low ? q : 1 - q));
+            const value = (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) /
+                          ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+            return q < low ? value : -value;
+        }
+        
+        const r = q - 0.5;
+        const t = r * r;
+        return (((((a[0] * t + a[1]) * t + a[2]) * t + a[3]) * t + a[4]) * t + a[5]) * r /
+               (((((b[0] * t + b[1]) * t + b[2]) * t + b[3]) * t + b[4]) * t + 1);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import HeightfieldModel from './HeightfieldModel.js';
+
+/**
+ * PostEventModel - The valley as the landslide left it
+ * Merges Mount Toc, the scar of the slide and the resting deposit into one
+ * heightfield, and re-floods the reservoir around the deposit so it splits
+ * into the lakes that remained upstream
+ */
+export default class PostEventModel {
+    constructor() {
+        this.water = null;
+        this.heightfield = null;
+        this.terrain = null;
+        this.waterMesh = null;
+        this.mask = null;
+        this.lakes = [];
+        this.waterHeight = null;
+        this.shown = false; // Whether the scene shows the valley after the event
+    }
+    
+    /**
+     * Build the post-event terrain and reservoir
+     * Both start hidden; the compare controller decides what is shown
+     * @param {THREE.Scene} scene - The scene to add the meshes to
+     * @param {Object} sources - Models the valley is built from
+     * @param {TerrainModel} sources.terrain - Terrain before the event
+     * @param {WaterModel} sources.water - Reservoir before the event
+     * @param {GeologyModel} sources.geology - Mount Toc and the failure surface
+     * @param {DebrisModel} sources.debris - Deposit at rest
+     */
+    build(scene, sources) {
+        this.clear(scene);
+        
+        const { terrain, water, geology, debris } = sources;
+        this.water = water;
+        this.heightfield = this._createHeightfield(terrain.heightfield, geology, debris);
+        
+        this.terrain = terrain.createSurface(this.heightfield);
+        this.terrain.visible = false;
+        scene.add(this.terrain);
+        
+        // Same grid and material as the reservoir, so only the flooded cells differ
+        this.waterMesh = water.createReservoirCopy(scene);
+        
+        this.update(water.waterMesh.position.y);
+    }
+    
+    /**
+     * Re-flood the valley for a water height
+     * @param {number} height - Water surface height (scene units)
+     * @returns {boolean} True if the lakes changed
+     */
+    update(height) {
+        if (!this.waterMesh || height === this.waterHeight) return false;
+        
+        const { mask, lakes } = this.water.getLakes(height, this.heightfield);
+        
+        this.waterMesh.geometry.setIndex(this.water.getFootprintIndices(mask));
+        this.waterMesh.position.y = height;
+        this.mask = mask;
+        this.lakes = lakes;
+        this.waterHeight = height;
+        
+        return true;
+    }
+    
+    /**
+     * Water the deposit displaced from the reservoir at the current height
+     * @returns {number} Storage lost (m³)
+     */
+    getStorageLoss() {
+        const remaining = this.lakes.reduce((total, lake) => total + lake.volume, 0);
+        return Math.max(0, this.water.getVolume() - remaining);
+    }
+    
+    /**
+     * Remove the post-event meshes
+     * @param {THREE.Scene} scene - The scene holding them
+     */
+    clear(scene) {
+        [this.terrain, this.waterMesh].forEach(mesh => {
+            if (!mesh) return;
+            scene.remove(mesh);
+            mesh.geometry.dispose();
+        });
+        
+        this.heightfield = null;
+        this.terrain = null;
+        this.waterMesh = null;
+        this.mask = null;
+        this.lakes = [];
+        this.waterHeight = null;
+        this.shown = false;
+    }
+    
+    /**
+     * Sample the valley after the event on the terrain grid
+     * The mountain and its scar come from the geology; the deposit is laid
+     * on top of them
+     * @param {HeightfieldModel} before - Terrain before the event
+     * @param {GeologyModel} geology - Mount Toc and the failure surface
+     * @param {DebrisModel} debris - Deposit at rest
+     * @returns {HeightfieldModel} Ground after the event
+     * @private
+     */
+    _createHeightfield(before, geology, debris) {
+        const deposit = this._sampleDeposit(before, debris);
+        
+        return HeightfieldModel.fromFunction((x, z) => {
+            const column = Math.round((x + before.width / 2) / before.cellWidth);
+            const row = Math.round((z + before.depth / 2) / before.cellDepth);
+            
+            // The mountain is part of the ground now, less the slide
+            const ground = geology.getScarHeight(x, z) - CONFIG.slide.lift;
+            
+            return Math.max(ground, deposit[row * before.size + column]);
+        }, before.segments);
+    }
+    
+    /**
+     * Top of the deposit at each sample of the terrain grid
+     * Found by casting down onto the fragments; a closing (a dilation then
+     * an erosion) fills the gaps between fragments so water cannot seep
+     * through the deposit
+     * @param {HeightfieldModel} grid - Grid to sample on
+     * @param {DebrisModel} debris - Deposit at rest
+     * @returns {Float32Array} Deposit top per sample, -Infinity where there is none
+     * @private
+     */
+    _sampleDeposit(grid, debris) {
+        const size = grid.size;
+        let tops = new Float32Array(size * size).fill(-Infinity);
+        if (!debris.group) return tops;
+        
+        debris.group.updateMatrixWorld(true);
+        const bounds = new THREE.Box3().setFromObject(debris.group);
+        const raycaster = new THREE.Raycaster();
+        const origin = new THREE.Vector3();
+        const down = new THREE.Vector3(0, -1, 0);
+        
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const { x, z } = grid.getSamplePosition(column, row);
+                if (x < bounds.min.x || x > bounds.max.x || z < bounds.min.z || z > bounds.max.z) continue;
+                
+                raycaster.set(origin.set(x, bounds.max.y + 1, z), down);
+                const hit = raycaster.intersectObject(debris.group, true)[0];
+                if (hit) {
+                    tops[row * size + column] = hit.point.y;
+                }
+            }
+        }
+        
+        const radius = CONFIG.postEvent.depositClosing;
+        tops = this._filter(tops, size, radius, Math.max);
+        return this._filter(tops, size, radius, Math.min);
+    }
+    
+    /**
+     * Replace every sample by the extreme of its square neighbourhood
+     * @param {Float32Array} values - Grid values
+     * @param {number} size - Samples along each side
+     * @param {number} radius - Half width of the neighbourhood in samples
+     * @param {Function} extreme - Math.max to dilate, Math.min to erode
+     * @returns {Float32Array} Filtered grid
+     * @private
+     */
+    _filter(values, size, radius, extreme) {
+        const result = new Float32Array(values.length);
+        
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                let value = values[row * size + column];
+                
+                for (let r = Math.max(0, row - radius); r <= Math.min(size - 1, row + radius); r++) {
+                    for (let c = Math.max(0, column - radius); c <= Math.min(size - 1, column + radius); c++) {
+                        value = extreme(value, values[r * size + c]);
+                    }
+                }
+                
+                result[row * size + column] = value;
+            }
+        }
+        
+        return result;
+    }
+}
\ No newline at end of file
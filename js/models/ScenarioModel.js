@@ -0,0 +1,124 @@
+import CONFIG from '../config.js';
+import StabilityModel from './StabilityModel.js';
+import GroundwaterModel from './GroundwaterModel.js';
+import CreepModel from './CreepModel.js';
+import LandslideModel from './LandslideModel.js';
+import ImpulseWaveModel from './ImpulseWaveModel.js';
+import { elevationToLevel } from '../utils/UnitUtils.js';
+
+/**
+ * ScenarioModel - One way of operating the reservoir, run through time
+ * Holds its own pore-pressure field and creep so two scenarios can run side
+ * by side on the same clock. The reservoir follows the recorded levels, held
+ * below the scenario's ceiling; when the slope fails the slide and its wave
+ * are estimated from the state at that moment
+ */
+export default class ScenarioModel {
+    /**
+     * Create a scenario
+     * @param {Object} definition - Entry of CONFIG.scenarios.definitions
+     */
+    constructor(definition) {
+        this.definition = definition;
+        
+        this.stability = new StabilityModel();
+        this.groundwater = new GroundwaterModel();
+        this.creep = new CreepModel();
+        this.landslide = new LandslideModel();
+        this.impulseWave = new ImpulseWaveModel();
+        
+        this.elevation = null;
+        this.level = null;
+        this.result = null;
+        this.lowestFactor = Infinity;
+        this.failure = null;
+    }
+    
+    /**
+     * Reservoir elevation the scenario holds for a recorded elevation
+     * @param {number} recorded - Recorded elevation (m a.s.l.)
+     * @returns {number} Scenario elevation (m a.s.l.)
+     */
+    getElevation(recorded) {
+        const ceiling = this.definition.maxElevation;
+        return ceiling === null || ceiling === undefined ? recorded : Math.min(recorded, ceiling);
+    }
+    
+    /**
+     * Start the scenario with the slope in equilibrium with the reservoir
+     * @param {number} time - Timestamp of the start (ms)
+     * @param {number} recorded - Recorded elevation at the start (m a.s.l.)
+     */
+    reset(time, recorded) {
+        this._setElevation(recorded);
+        this.groundwater.reset(this.stability.getWaterHead(this.level));
+        this.creep.reset(time);
+        this.result = this.stability.calculate(this.level, this.groundwater);
+        this.lowestFactor = this.result.factorOfSafety;
+        this.failure = null;
+    }
+    
+    /**
+     * Advance the scenario
+     * Once the slope has failed the scenario stays as it was at failure
+     * @param {number} time - Timestamp after the step (ms)
+     * @param {number} recorded - Recorded elevation at that time (m a.s.l.)
+     * @param {number} days - Simulated days since the last step
+     */
+    step(time, recorded, days) {
+        if (this.failure || days <= 0) return;
+        
+        this._setElevation(recorded);
+        this.groundwater.setReservoirHead(this.stability.getWaterHead(this.level));
+        this.groundwater.step(days);
+        
+        this.result = this.stability.calculate(this.level, this.groundwater);
+        this.lowestFactor = Math.min(this.lowestFactor, this.result.factorOfSafety);
+        
+        // The slope fails when the factor of safety reaches failure, as in the
+        // historical playback, or when creep runs away first
+        this.creep.step(days, this.result.factorOfSafety);
+        if (this.creep.failed || this.result.factorOfSafety <= CONFIG.stability.critical) {
+            this.failure = this._createFailure(time);
+        }
+    }
+    
+    /**
+     * Fraction of the failure plane below the water table
+     * @returns {number} Saturation (0-1)
+     */
+    getSaturation() {
+        return this.groundwater.getSaturation(CONFIG.geology.clayLayerAngle * Math.PI / 180);
+    }
+    
+    /**
+     * Set the reservoir from a recorded elevation
+     * @param {number} recorded - Recorded elevation (m a.s.l.)
+     * @private
+     */
+    _setElevation(recorded) {
+        this.elevation = this.getElevation(recorded);
+        this.level = elevationToLevel(this.elevation);
+    }
+    
+    /**
+     * Runout and impulse wave of the slide released now
+     * @param {number} time - Timestamp of the failure (ms)
+     * @returns {Object} Date, reservoir elevation, runout and wave
+     * @private
+     */
+    _createFailure(time) {
+        const slide = this.landslide.simulate(this.result);
+        const block = this.stability.getBlockGeometry();
+        
+        return {
+            time: time,
+            elevation: this.elevation,
+            slide: slide,
+            offset: this.landslide.getOffset(slide.travel),
+            wave: this.impulseWave.calculate(
+                this.impulseWave.getSlideInput(block, slide.peakSpeed, this.elevation)
+            )
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+import CONFIG from '../config.js';
+import { heightToElevation, sceneToMetres } from '../utils/UnitUtils.js';
+
+/**
+ * SectionModel - A vertical cutting plane through the valley
+ * The plane is defined by a line on the ground and a rotation about its
+ * centre. Everything on its back side is clipped away, and the cut face is
+ * painted with the stratigraphy, the saturated zone and the reservoir as
+ * they are where the plane crosses them
+ */
+export default class SectionModel {
+    constructor() {
+        this.pivot = new THREE.Vector3();
+        this.angle = 0;        // Direction of the section line in the xz plane (radians)
+        this.flipped = false;  // Which side of the line is cut away
+        this.plane = new THREE.Plane();
+        this.face = null;
+        this.canvas = null;
+        this.texture = null;
+        this.raycaster = new THREE.Raycaster();
+    }
+    
+    /**
+     * Create the cut face mesh
+     * @param {THREE.Scene} scene - The scene to add the face to
+     * @returns {THREE.Mesh} Cut face mesh
+     */
+    createSection(scene) {
+        const config = CONFIG.section;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = config.columns;
+        this.canvas.height = config.rows;
+        
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+        
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            alphaTest: 0.5,
+            side: THREE.DoubleSide
+        });
+        
+        this.face = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        this.face.visible = false;
+        this.face.userData.isSectionFace = true;
+        scene.add(this.face);
+        
+        return this.face;
+    }
+    
+    /**
+     * Place the section through a point at an angle
+     * @param {number} x - Scene x coordinate of the pivot
+     * @param {number} z - Scene z coordinate of the pivot
+     * @param {number} angle - Direction of the section line (radians)
+     */
+    setSection(x, z, angle) {
+        this.pivot.set(x, 0, z);
+        this.angle = angle;
+        this._updatePlane();
+    }
+    
+    /**
+     * Swap the side of the section that is cut away
+     */
+    flip() {
+        this.flipped = !this.flipped;
+        this._updatePlane();
+    }
+    
+    /**
+     * Unit vector along the section line
+     * @returns {THREE.Vector3} Line direction
+     */
+    getDirection() {
+        return new THREE.Vector3(Math.cos(this.angle), 0, Math.sin(this.angle));
+    }
+    
+    /**
+     * Horizontal normal of the section line, before any flip
+     * @returns {THREE.Vector3} Line normal
+     */
+    getNormal() {
+        return new THREE.Vector3(-Math.sin(this.angle), 0, Math.cos(this.angle));
+    }
+    
+    /**
+     * Point the clipping plane at the kept side
+     * Three.js discards fragments on the negative side of a clipping plane
+     * @private
+     */
+    _updatePlane() {
+        const normal = this.getNormal();
+        if (this.flipped) normal.negate();
+        
+        this.plane.setFromNormalAndCoplanarPoint(normal, this.pivot);
+    }
+    
+    /**
+     * Redraw the cut face for the current plane
+     * @param {Object} sources - What the face is painted from
+     * @param {HeightfieldModel} sources.heightfield - Terrain heights
+     * @param {StratigraphyModel} sources.stratigraphy - Layers, top to bottom
+     * @param {GeologyModel} sources.geology - Chair-shaped failure surface
+     * @param {GroundwaterModel} sources.groundwater - Pore-pressure field
+     * @param {number} sources.waterHeight - Reservoir surface height (scene units)
+     * @param {Uint8Array} sources.floodedMask - Flooded heightfield samples
+     * @param {Array<THREE.Object3D>} sources.solids - Meshes standing on the terrain
+     */
+    rebuild(sources) {
+        if (!this.face) return;
+        
+        const config = CONFIG.section;
+        const heightfield = sources.heightfield;
+        const range = this._getLineRange(heightfield);
+        if (!range) {
+            this.face.geometry.dispose();
+            this.face.geometry = new THREE.BufferGeometry();
+            return;
+        }
+        
+        // Rock surface and water surface along the line
+        const direction = this.getDirection();
+        const columns = config.columns;
+        const points = [];
+        const ground = new Float32Array(columns);
+        const surface = new Float32Array(columns);
+        
+        for (let i = 0; i < columns; i++) {
+            const s = range.start + (range.end - range.start) * i / (columns - 1);
+            const point = this.pivot.clone().addScaledVector(direction, s);
+            points.push(point);
+            
+            ground[i] = Math.max(
+                heightfield.getHeightAt(point.x, point.z),
+                this._getSolidTop(point, sources.solids)
+            );
+            surface[i] = this._isFlooded(point, heightfield, sources.floodedMask) ?
+                       Math.max(ground[i], sources.waterHeight) :
+                       ground[i];
+        }
+        
+        const bottom = heightfield.minHeight - config.depthBelow;
+        const top = Math.max(...surface);
+        
+        this._paint(points, ground, surface, bottom, top, sources);
+        this._buildFace(points, surface, bottom, top);
+    }
+    
+    /**
+     * Part of the section line that lies over the terrain
+     * @param {HeightfieldModel} heightfield - Terrain heights
+     * @returns {Object|null} Start and end distances from the pivot, or null if the line misses
+     * @private
+     */
+    _getLineRange(heightfield) {
+        const direction = this.getDirection();
+        const limits = [
+            [this.pivot.x, direction.x, heightfield.width / 2],
+            [this.pivot.z, direction.z, heightfield.depth / 2]
+        ];
+        
+        let start = -Infinity;
+        let end = Infinity;
+        
+        for (const [origin, step, half] of limits) {
+            if (Math.abs(step) < 1e-9) {
+                if (Math.abs(origin) > half) return null;
+                continue;
+            }
+            
+            const a = (-half - origin) / step;
+            const b = (half - origin) / step;
+            start = Math.max(start, Math.min(a, b));
+            end = Math.min(end, Math.max(a, b));
+        }
+        
+        return end - start > 1 ? { start, end } : null;
+    }
+    
+    /**
+     * Highest point of the meshes standing on the terrain (Mount Toc, the slide)
+     * @param {THREE.Vector3} point - Point on the section line
+     * @param {Array<THREE.Object3D>} solids - Meshes to test
+     * @returns {number} Height of the top surface, or -Infinity where there is none
+     * @private
+     */
+    _getSolidTop(point, solids) {
+        if (!solids || solids.length === 0) return -Infinity;
+        
+        this.raycaster.set(new THREE.Vector3(point.x, 1000, point.z), new THREE.Vector3(0, -1, 0));
+        const hits = this.raycaster.intersectObjects(solids, true);
+        
+        return hits.length > 0 ? hits[0].point.y : -Infinity;
+    }
+    
+    /**
+     * Whether the reservoir covers the nearest heightfield sample
+     * @param {THREE.Vector3} point - Point on the section line
+     * @param {HeightfieldModel} heightfield - Terrain heights
+     * @param {Uint8Array|null} mask - Flooded samples
+     * @returns {boolean} True if the point is in the reservoir
+     * @private
+     */
+    _isFlooded(point, heightfield, mask) {
+        if (!mask) return false;
+        
+        const column = Math.round((point.x + heightfield.width / 2) / heightfield.cellWidth);
+        const row = Math.round((point.z + heightfield.depth / 2) / heightfield.cellDepth);
+        if (column < 0 || row < 0 || column > heightfield.segments || row > heightfield.segments) return false;
+        
+        return mask[row * heightfield.size + column] === 1;
+    }
+    
+    /**
+     * Paint the face texture
+     * Rock takes the colour of the layer at its distance from the failure
+     * surface; slide-mass rock below the groundwater table is tinted blue and
+     * the reservoir is drawn above the ground
+     * @param {Array<THREE.Vector3>} points - Points along the section line
+     * @param {Float32Array} ground - Rock surface height per column
+     * @param {Float32Array} surface - Top of rock or water per column
+     * @param {number} bottom - Height of the section floor
+     * @param {number} top - Height of the highest point
+     * @param {Object} sources - See rebuild()
+     * @private
+     */
+    _paint(points, ground, surface, bottom, top, sources) {
+        const config = CONFIG.section;
+        const context = this.canvas.getContext('2d');
+        const image = context.createImageData(config.columns, config.rows);
+        const data = image.data;
+        
+        const layers = sources.stratigraphy.layers;
+        const colors = layers.map(layer => new THREE.Color(layer.color));
+        const failureIndex = layers.findIndex(layer => layer.failurePlane);
+        const basalDip = CONFIG.geology.clayLayerAngle * Math.PI / 180;
+        
+        // Keep the clay visible even when it is thinner than a row
+        const rowMetres = sceneToMetres((top - bottom) / config.rows);
+        const halfClay = Math.max(layers[failureIndex].thickness / 2, rowMetres * Math.cos(basalDip) * 0.75);
+        
+        const water = new THREE.Color(config.waterColor);
+        const saturated = new THREE.Color(config.saturatedColor);
+        const color = new THREE.Color();
+        const geology = sources.geology;
+        const toe = CONFIG.geology.failurePlaneToeElevation;
+        
+        for (let i = 0; i < config.columns; i++) {
+            const { x, z } = points[i];
+            
+            // Failure-surface elevation and groundwater table above this column
+            const planeElevation = heightToElevation(geology.getFailureSurfaceHeight(x, z));
+            const cosDip = Math.cos(geology.getFailureSurfaceDip(x));
+            const upDip = (planeElevation - toe) / Math.sin(basalDip);
+            const waterTable = toe + sources.groundwater.getHeadAt(upDip);
+            
+            for (let row = 0; row < config.rows; row++) {
+                const y = bottom + (1 - (row + 0.5) / config.rows) * (top - bottom);
+                const index = (row * config.columns + i) * 4;
+                
+                if (y > surface[i]) {
+                    data[index + 3] = 0;
+                    continue;
+                }
+                
+                if (y > ground[i]) {
+                    color.copy(water);
+                } else {
+                    const elevation = heightToElevation(y);
+                    const distance = (elevation - planeElevation) * cosDip;
+                    color.copy(colors[this._getLayerIndex(layers, failureIndex, distance, halfClay)]);
+                    
+                    if (distance > halfClay && elevation < waterTable) {
+                        color.lerp(saturated, config.saturatedTint);
+                    }
+                }
+                
+                // The canvas holds sRGB bytes; Color works in linear space
+                color.convertLinearToSRGB();
+                data[index] = Math.round(color.r * 255);
+                data[index + 1] = Math.round(color.g * 255);
+                data[index + 2] = Math.round(color.b * 255);
+                data[index + 3] = 255;
+            }
+        }
+        
+        context.putImageData(image, 0, 0);
+        this.texture.needsUpdate = true;
+    }
+    
+    /**
+     * Layer at a distance from the middle of the failure surface
+     * Layers are stacked parallel to the surface; the outermost ones continue
+     * indefinitely
+     * @param {Array<Object>} layers - Stratigraphy layers, top to bottom
+     * @param {number} failureIndex - Index of the failure-plane layer
+     * @param {number} distance - Distance above the surface, measured normal to it (m)
+     * @param {number} halfClay - Half the drawn thickness of the failure plane (m)
+     * @returns {number} Layer index
+     * @private
+     */
+    _getLayerIndex(layers, failureIndex, distance, halfClay) {
+        if (Math.abs(distance) <= halfClay) return failureIndex;
+        
+        let boundary = halfClay;
+        
+        if (distance > 0) {
+            for (let index = failureIndex - 1; index > 0; index--) {
+                boundary += layers[index].thickness;
+                if (distance <= boundary) return index;
+            }
+            return 0;
+        }
+        
+        for (let index = failureIndex + 1; index < layers.length - 1; index++) {
+            boundary += layers[index].thickness;
+            if (-distance <= boundary) return index;
+        }
+        return layers.length - 1;
+    }
+    
+    /**
+     * Build the face as a strip from the section floor to the surface
+     * The face sits a hair in front of the plane so it does not fight the
+     * clipped geometry
+     * @param {Array<THREE.Vector3>} points - Points along the section line
+     * @param {Float32Array} surface - Top of rock or water per column
+     * @param {number} bottom - Height of the section floor
+     * @param {number} top - Height of the highest point
+     * @private
+     */
+    _buildFace(points, surface, bottom, top) {
+        const offset = this.plane.normal.clone().multiplyScalar(-0.1);
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+        const columns = points.length;
+        
+        points.forEach((point, i) => {
+            const u = (i + 0.5) / columns;
+            positions.push(point.x + offset.x, bottom, point.z + offset.z);
+            positions.push(point.x + offset.x, surface[i], point.z + offset.z);
+            uvs.push(u, 0, u, (surface[i] - bottom) / (top - bottom));
+        });
+        
+        for (let i = 0; i < columns - 1; i++) {
+            const a = i * 2;
+            indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        
+        this.face.geometry.dispose();
+        this.face.geometry = geometry;
+    }
+    
+    /**
+     * Show or hide the cut face
+     * @param {boolean} visible - Whether the face is shown
+     */
+    setVisible(visible) {
+        if (this.face) {
+            this.face.visible = visible;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,323 @@
+import CONFIG from '../config.js';
+import { loadJSON } from '../utils/LoadingUtils.js';
+import { elevationToLevel } from '../utils/UnitUtils.js';
+
+// Steps that run alongside the ones after them unless told otherwise
+const BACKGROUND_STEPS = ['caption', 'sound'];
+
+// Conditions a wait step can hold the sequence for
+const WAIT_CONDITIONS = ['failure', 'impact', 'overtopping'];
+
+// Water levels worked out from the slope rather than given
+const LEVEL_KEYWORDS = ['failure', 'critical'];
+
+/**
+ * SequenceModel - Scripts of timed steps the disaster sequence plays
+ * Each script lists steps - set the water level, move the camera, release
+ * the slide, send out the wave, show a caption, play a sound or wait for a
+ * condition - so alternative sequences are written as data. Scripts are
+ * checked and given their defaults when they are loaded
+ */
+export default class SequenceModel {
+    constructor() {
+        this.sequences = [];
+    }
+    
+    /**
+     * Load the sequence file
+     * @param {string} path - Path to the JSON file
+     * @returns {Promise<SequenceModel>} This model
+     */
+    async load(path = CONFIG.sequences.dataUrl) {
+        const data = await loadJSON(path);
+        this.setData(data);
+        return this;
+    }
+    
+    /**
+     * Replace the sequences with parsed data
+     * @param {Object} data - Parsed JSON with a sequences array
+     * @throws {Error} If any script is not valid
+     */
+    setData(data) {
+        if (!data || !Array.isArray(data.sequences) || data.sequences.length === 0) {
+            throw new Error('Sequence file must contain a non-empty "sequences" array');
+        }
+        
+        this.sequences = data.sequences.map((script, index) => this.parse(script, index));
+    }
+    
+    /**
+     * Add scripts read from a file, replacing any with the same id
+     * @param {Object} data - A single script, or an object with a sequences array
+     * @returns {Array<Object>} The scripts added
+     * @throws {Error} If any script is not valid
+     */
+    add(data) {
+        const scripts = data && Array.isArray(data.sequences) ? data.sequences : [data];
+        const parsed = scripts.map((script, index) => this.parse(script, index));
+        
+        parsed.forEach(script => {
+            const index = this.sequences.findIndex(sequence => sequence.id === script.id);
+            if (index >= 0) {
+                this.sequences[index] = script;
+            } else {
+                this.sequences.push(script);
+            }
+        });
+        
+        return parsed;
+    }
+    
+    /**
+     * Get a script by id
+     * @param {string} id - Script id
+     * @returns {Object|null} The script, or null if there is none
+     */
+    getSequence(id) {
+        return this.sequences.find(script => script.id === id) || null;
+    }
+    
+    /**
+     * Check a script and fill in its defaults
+     * @param {Object} script - Script as written
+     * @param {number} index - Position in the file, for messages
+     * @returns {Object} Script with every step complete
+     * @throws {Error} If the script is not valid
+     */
+    parse(script, index = 0) {
+        if (!script || typeof script !== 'object') {
+            throw new Error(`Sequence ${index + 1} must be an object`);
+        }
+        
+        const label = typeof script.title === 'string' ? script.title : `sequence ${index + 1}`;
+        if (typeof script.id !== 'string' || script.id === '') {
+            throw new Error(`Sequence ${label}: "id" must be a non-empty string`);
+        }
+        if (!Array.isArray(script.steps) || script.steps.length === 0) {
+            throw new Error(`Sequence ${label}: "steps" must be a non-empty array`);
+        }
+        
+        const startLevel = this._parseLevel(script.start || {}, `Sequence ${label} start`, false);
+        if (startLevel === null) {
+            throw new Error(`Sequence ${label}: "start" must give a "level" or "elevation"`);
+        }
+        
+        let clock = null;
+        if (script.clock) {
+            const startTime = Date.parse(script.clock.start);
+            const releaseTime = Date.parse(script.clock.release);
+            if (!isFinite(startTime) || !isFinite(releaseTime) || releaseTime <= startTime) {
+                throw new Error(`Sequence ${label}: "clock" needs a start date before its release date`);
+            }
+            
+            clock = {
+                start: startTime,
+                release: releaseTime,
+                // A release given as a day has no time of day to show
+                showTime: String(script.clock.release).includes('T')
+            };
+        }
+        
+        return {
+            id: script.id,
+            title: label,
+            description: typeof script.description === 'string' ? script.description : '',
+            startLevel: startLevel,
+            clock: clock,
+            summary: script.summary === true,
+            steps: script.steps.map((step, stepIndex) => this._parseStep(step, `Sequence ${label} step ${stepIndex + 1}`))
+        };
+    }
+    
+    /**
+     * Check one step and fill in its defaults
+     * @param {Object} step - Step as written
+     * @param {string} label - Where the step is, for messages
+     * @returns {Object} Complete step
+     * @throws {Error} If the step is not valid
+     * @private
+     */
+    _parseStep(step, label) {
+        if (!step || typeof step.type !== 'string') {
+            throw new Error(`${label}: "type" must be given`);
+        }
+        
+        const parsed = {
+            type: step.type,
+            background: typeof step.background === 'boolean' ? step.background : BACKGROUND_STEPS.includes(step.type),
+            marker: this._parseMarker(step.marker, label)
+        };
+        
+        switch (step.type) {
+            case 'camera':
+                if (step.view !== undefined) {
+                    if (!CONFIG.cameraPositions[step.view]) {
+                        throw new Error(`${label}: unknown camera view "${step.view}"`);
+                    }
+                    parsed.view = step.view;
+                } else {
+                    parsed.position = this._parseVector(step.position, 3, `${label} position`);
+                    parsed.target = this._parseVector(step.target, 3, `${label} target`);
+                }
+                parsed.duration = this._parseNumber(step.duration, CONFIG.animation.cameraTransition / 1000, `${label} duration`);
+                break;
+            
+            case 'waterLevel':
+                parsed.level = this._parseLevel(step, label, true);
+                if (parsed.level === null) {
+                    throw new Error(`${label}: "level" or "elevation" must be given`);
+                }
+                parsed.offset = this._parseNumber(step.offset, 0, `${label} offset`, -100);
+                parsed.rate = this._parseNumber(step.rate, CONFIG.sequences.fillRate, `${label} rate`);
+                parsed.duration = step.duration !== undefined ?
+                                this._parseNumber(step.duration, 0, `${label} duration`) :
+                                null;
+                if (parsed.rate <= 0 && parsed.duration === null) {
+                    throw new Error(`${label}: "rate" must be positive`);
+                }
+                break;
+            
+            case 'slide':
+                parsed.volume = this._parseNumber(step.volume, CONFIG.mountain.slideVolume, `${label} volume`);
+                parsed.travel = step.travel !== undefined ? this._parseNumber(step.travel, 0, `${label} travel`) : null;
+                parsed.frictionAngle = this._parseNumber(step.frictionAngle, CONFIG.geology.frictionAngle, `${label} frictionAngle`);
+                parsed.fragments = step.fragments !== false;
+                parsed.playbackSpeed = this._parseNumber(step.playbackSpeed, CONFIG.landslide.playbackSpeed, `${label} playbackSpeed`);
+                parsed.shake = this._parseNumber(step.shake, 3, `${label} shake`);
+                if (parsed.volume <= 0 || parsed.playbackSpeed <= 0) {
+                    throw new Error(`${label}: "volume" and "playbackSpeed" must be positive`);
+                }
+                break;
+            
+            case 'wave':
+                parsed.duration = this._parseNumber(step.duration, CONFIG.tsunami.duration, `${label} duration`);
+                parsed.playbackSpeed = this._parseNumber(step.playbackSpeed, CONFIG.landslide.playbackSpeed, `${label} playbackSpeed`);
+                parsed.position = step.position !== undefined ? this._parseVector(step.position, 2, `${label} position`) : null;
+                parsed.shake = this._parseNumber(step.shake, 2, `${label} shake`);
+                if (parsed.playbackSpeed <= 0) {
+                    throw new Error(`${label}: "playbackSpeed" must be positive`);
+                }
+                break;
+            
+            case 'caption':
+                if (typeof step.text !== 'string') {
+                    throw new Error(`${label}: "text" must be a string`);
+                }
+                parsed.text = step.text;
+                parsed.duration = this._parseNumber(step.duration, CONFIG.sequences.captionDuration, `${label} duration`);
+                break;
+            
+            case 'sound':
+                if (typeof step.src !== 'string' || step.src === '') {
+                    throw new Error(`${label}: "src" must name a sound file`);
+                }
+                parsed.src = step.src.includes('/') ? step.src : `./assets/sounds/${step.src}`;
+                parsed.volume = Math.min(this._parseNumber(step.volume, 0.5, `${label} volume`), 1);
+                break;
+            
+            case 'wait':
+                if (step.until !== undefined && !WAIT_CONDITIONS.includes(step.until)) {
+                    throw new Error(`${label}: "until" must be one of ${WAIT_CONDITIONS.join(', ')}`);
+                }
+                if (step.until === undefined && step.duration === undefined) {
+                    throw new Error(`${label}: "duration" or "until" must be given`);
+                }
+                parsed.until = step.until || null;
+                parsed.duration = step.until ?
+                                this._parseNumber(step.timeout, CONFIG.sequences.waitTimeout, `${label} timeout`) :
+                                this._parseNumber(step.duration, 0, `${label} duration`);
+                break;
+            
+            case 'settle':
+                parsed.duration = this._parseNumber(step.duration, CONFIG.debris.settleDuration, `${label} duration`);
+                break;
+            
+            default:
+                throw new Error(`${label}: unknown step type "${step.type}"`);
+        }
+        
+        return parsed;
+    }
+    
+    /**
+     * Read the level of a step or of the start
+     * @param {Object} source - Object with a level (0-100 or keyword) or an elevation (m a.s.l.)
+     * @param {string} label - Where the level is, for messages
+     * @param {boolean} keywords - Whether a level may be worked out from the slope
+     * @returns {number|string|null} Water level (0-100) or keyword, or null if none is given
+     * @private
+     */
+    _parseLevel(source, label, keywords) {
+        if (source.elevation !== undefined) {
+            return elevationToLevel(this._parseNumber(source.elevation, 0, `${label} elevation`));
+        }
+        if (source.level === undefined) return null;
+        
+        if (typeof source.level === 'string') {
+            if (!keywords || !LEVEL_KEYWORDS.includes(source.level)) {
+                throw new Error(`${label}: level "${source.level}" is not recognised`);
+            }
+            return source.level;
+        }
+        
+        return Math.min(this._parseNumber(source.level, 0, `${label} level`), 100);
+    }
+    
+    /**
+     * Read an optional number
+     * @param {*} value - Value as written
+     * @param {number} fallback - Value when none is written
+     * @param {string} label - What the value is, for messages
+     * @param {number} min - Smallest value allowed
+     * @returns {number} The number
+     * @private
+     */
+    _parseNumber(value, fallback, label, min = 0) {
+        if (value === undefined) return fallback;
+        
+        if (typeof value !== 'number' || !isFinite(value) || value < min) {
+            throw new Error(`${label} must be a number of at least ${min}`);
+        }
+        return value;
+    }
+    
+    /**
+     * Read a position written as an array
+     * @param {*} value - Value as written
+     * @param {number} length - Number of coordinates
+     * @param {string} label - What the position is, for messages
+     * @returns {Array<number>} Coordinates in scene units
+     * @private
+     */
+    _parseVector(value, length, label) {
+        if (!Array.isArray(value) || value.length !== length ||
+            value.some(coordinate => typeof coordinate !== 'number' || !isFinite(coordinate))) {
+            throw new Error(`${label} must be an array of ${length} numbers`);
+        }
+        return value.slice();
+    }
+    
+    /**
+     * Read the timeline marker of a step
+     * @param {*} marker - Label, or object with a label and description
+     * @param {string} label - Where the step is, for messages
+     * @returns {Object|null} Marker label and description
+     * @private
+     */
+    _parseMarker(marker, label) {
+        if (marker === undefined) return null;
+        
+        if (typeof marker === 'string') {
+            return { label: marker, description: '' };
+        }
+        if (!marker || typeof marker.label !== 'string') {
+            throw new Error(`${label}: "marker" needs a label`);
+        }
+        
+        return {
+            label: marker.label,
+            description: typeof marker.description === 'string' ? marker.description : ''
+        };
+    }
+}
\ No newline at end of file
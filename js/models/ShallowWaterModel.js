@@ -0,0 +1,418 @@
+import CONFIG from '../config.js';
+import { sceneToMetres, metresToScene } from '../utils/UnitUtils.js';
+
+const GRAVITY = 9.81;
+const DRY_DEPTH = 0.01; // metres below which a cell counts as dry
+
+/**
+ * ShallowWaterModel - Grid-based shallow-water solver for the impulse wave
+ * Integrates the depth-averaged equations on a staggered grid over the
+ * reservoir, with the landslide deposit raising the bed as a moving source
+ * and a broad-crested weir over the dam crest on the downstream edge
+ */
+export default class ShallowWaterModel {
+    /**
+     * Initialize the solver
+     * @param {Function} getBedElevation - Optional bed elevation (m a.s.l.) at scene x, z;
+     *        defaults to an idealised V-shaped valley
+     */
+    constructor(getBedElevation = null) {
+        this.getBedElevation = getBedElevation || ((x, z) => this._getValleyElevation(x, z));
+        
+        const domain = CONFIG.tsunami.domain;
+        this.width = sceneToMetres(domain.maxX - domain.minX);
+        this.length = sceneToMetres(domain.maxZ - domain.minZ);
+        this.nx = Math.max(8, Math.round(this.width / CONFIG.tsunami.cellSize));
+        this.nz = Math.max(8, Math.round(this.length / CONFIG.tsunami.cellSize));
+        this.dx = this.width / this.nx;
+        this.dz = this.length / this.nz;
+        
+        const cells = this.nx * this.nz;
+        this.initialBed = new Float64Array(cells);
+        this.bed = new Float64Array(cells);
+        this.depth = new Float64Array(cells);
+        this.u = new Float64Array((this.nx + 1) * this.nz); // x-velocity on x-faces
+        this.v = new Float64Array(this.nx * (this.nz + 1)); // z-velocity on z-faces
+        this.fluxX = new Float64Array((this.nx + 1) * this.nz);
+        this.fluxZ = new Float64Array(this.nx * (this.nz + 1));
+        this.limiter = new Float64Array(cells);
+        this.crestCells = [];
+        this.slideCells = [];
+        
+        this.time = 0;
+        this.initialElevation = 0;
+        this.slideFront = 0;
+        this.slideTravel = 0;
+        this.slideVolume = CONFIG.mountain.slideVolume;
+        this.maxDamWaveHeight = 0;
+        this.maxOvertopping = 0;
+        this.overtoppedVolume = 0;
+    }
+    
+    /**
+     * Fill the reservoir to a still level and reset the wave statistics
+     * @param {number} waterElevation - Reservoir elevation (m a.s.l.)
+     */
+    init(waterElevation) {
+        const domain = CONFIG.tsunami.domain;
+        const damHalfWidth = CONFIG.dam.width / 2;
+        
+        this.crestCells = [];
+        this.slideCells = [];
+        
+        for (let j = 0; j < this.nz; j++) {
+            for (let i = 0; i < this.nx; i++) {
+                const index = j * this.nx + i;
+                const { x, z } = this.getCellCenter(i, j);
+                const bed = this.getBedElevation(x, z);
+                
+                this.initialBed[index] = bed;
+                this.bed[index] = bed;
+                this.depth[index] = Math.max(0, waterElevation - bed);
+                
+                // Weir cells along the dam on the downstream edge
+                if (j === this.nz - 1 && Math.abs(x) <= damHalfWidth) {
+                    this.crestCells.push(index);
+                }
+                
+                // Cells the deposit can reach
+                if (z >= domain.slideMinZ && z <= domain.slideMaxZ && x >= domain.slideStartX) {
+                    this.slideCells.push(index);
+                }
+            }
+        }
+        
+        this.u.fill(0);
+        this.v.fill(0);
+        
+        this.time = 0;
+        this.initialElevation = waterElevation;
+        this.slideFront = domain.slideStartX;
+        this.slideTravel = 0;
+        this.slideVolume = CONFIG.mountain.slideVolume;
+        this.maxDamWaveHeight = 0;
+        this.maxOvertopping = 0;
+        this.overtoppedVolume = 0;
+    }
+    
+    /**
+     * Scene coordinates of a cell centre
+     * @param {number} i - Column index (along x)
+     * @param {number} j - Row index (along z, towards the dam)
+     * @returns {Object} Scene x and z
+     */
+    getCellCenter(i, j) {
+        const domain = CONFIG.tsunami.domain;
+        return {
+            x: domain.minX + metresToScene((i + 0.5) * this.dx),
+            z: domain.minZ + metresToScene((j + 0.5) * this.dz)
+        };
+    }
+    
+    /**
+     * Water surface elevation of a cell
+     * @param {number} i - Column index
+     * @param {number} j - Row index
+     * @returns {number|null} Surface elevation (m a.s.l.), or null if the cell is dry
+     */
+    getSurfaceElevation(i, j) {
+        const index = j * this.nx + i;
+        if (this.depth[index] < DRY_DEPTH) return null;
+        
+        return this.bed[index] + this.depth[index];
+    }
+    
+    /**
+     * Move the landslide deposit into the reservoir
+     * The deposit advances across the valley from the Mount Toc side, raising
+     * the bed beneath the water and displacing it
+     * @param {number} travelled - Horizontal distance travelled by the slide (m)
+     * @param {number} totalTravel - Horizontal distance at rest (m)
+     * @param {number} volume - Volume of rock entering the reservoir (million m³)
+     */
+    setSlideProgress(travelled, totalTravel, volume = CONFIG.mountain.slideVolume) {
+        this.slideFront = CONFIG.tsunami.domain.slideStartX + metresToScene(travelled);
+        this.slideTravel = totalTravel;
+        this.slideVolume = volume;
+    }
+    
+    /**
+     * Advance the solution in simulated time
+     * @param {number} seconds - Simulated time to advance (s)
+     */
+    advance(seconds) {
+        let remaining = seconds;
+        
+        while (remaining > 1e-6) {
+            const dt = Math.min(this._getStableTimeStep(), remaining);
+            
+            this._deformBed();
+            this._updateVelocities(dt);
+            this._updateDepths(dt);
+            this._spillOverCrest(dt);
+            this._recordDamWave();
+            
+            this.time += dt;
+            remaining -= dt;
+        }
+    }
+    
+    /**
+     * Largest time step allowed by the CFL condition
+     * @returns {number} Time step (s)
+     * @private
+     */
+    _getStableTimeStep() {
+        let maxSpeed = 0;
+        
+        for (let k = 0; k < this.depth.length; k++) {
+            maxSpeed = Math.max(maxSpeed, Math.sqrt(GRAVITY * this.depth[k]));
+        }
+        for (let k = 0; k < this.u.length; k++) {
+            maxSpeed = Math.max(maxSpeed, Math.abs(this.u[k]));
+        }
+        for (let k = 0; k < this.v.length; k++) {
+            maxSpeed = Math.max(maxSpeed, Math.abs(this.v[k]));
+        }
+        
+        const spacing = Math.min(this.dx, this.dz);
+        return CONFIG.tsunami.courant * spacing / Math.max(maxSpeed, 1);
+    }
+    
+    /**
+     * Raise the bed under the advancing deposit
+     * Water in covered cells keeps its depth, so its surface is lifted with the bed
+     * @private
+     */
+    _deformBed() {
+        if (!this.slideCells.length || !this.slideTravel) return;
+        
+        const ramp = metresToScene(CONFIG.tsunami.frontRampWidth);
+        const depositThickness = this._getDepositThickness();
+        
+        this.slideCells.forEach(index => {
+            const i = index % this.nx;
+            const j = Math.floor(index / this.nx);
+            const { x } = this.getCellCenter(i, j);
+            
+            // Smooth front so the deposit does not jump a whole cell at once
+            const cover = Math.min(Math.max((this.slideFront - x) / ramp + 0.5, 0), 1);
+            
+            const target = this.initialBed[index] + depositThickness * cover;
+            if (target > this.bed[index]) {
+                this.bed[index] = target;
+            }
+        });
+    }
+    
+    /**
+     * Deposit thickness spreading the slide volume over its footprint
+     * Only the part of the slide front inside the domain is represented
+     * @returns {number} Thickness (m)
+     * @private
+     */
+    _getDepositThickness() {
+        const domain = CONFIG.tsunami.domain;
+        const footprintLength = sceneToMetres(domain.slideMaxZ - domain.slideMinZ);
+        const footprintWidth = Math.max(this.slideTravel, this.dx);
+        
+        const volume = this.slideVolume * 1e6 *
+                     Math.min(1, footprintLength / CONFIG.mountain.slideWidth);
+        
+        return volume / (footprintLength * footprintWidth);
+    }
+    
+    /**
+     * Update face velocities from the surface slope with bed friction
+     * @param {number} dt - Time step (s)
+     * @private
+     */
+    _updateVelocities(dt) {
+        const nx = this.nx;
+        const nz = this.nz;
+        const roughness = CONFIG.tsunami.manning * CONFIG.tsunami.manning;
+        
+        // x-faces between cells (i-1, j) and (i, j); boundary faces stay closed
+        for (let j = 0; j < nz; j++) {
+            for (let i = 1; i < nx; i++) {
+                const face = j * (nx + 1) + i;
+                const left = j * nx + i - 1;
+                const right = left + 1;
+                
+                this.u[face] = this._updateFaceVelocity(this.u[face], left, right, this.dx, dt, roughness);
+            }
+        }
+        
+        // z-faces between cells (i, j-1) and (i, j)
+        for (let j = 1; j < nz; j++) {
+            for (let i = 0; i < nx; i++) {
+                const face = j * nx + i;
+                const back = (j - 1) * nx + i;
+                const front = j * nx + i;
+                
+                this.v[face] = this._updateFaceVelocity(this.v[face], back, front, this.dz, dt, roughness);
+            }
+        }
+    }
+    
+    /**
+     * Update one face velocity
+     * @param {number} velocity - Current face velocity (m/s)
+     * @param {number} from - Cell on the negative side of the face
+     * @param {number} to - Cell on the positive side of the face
+     * @param {number} spacing - Distance between the cell centres (m)
+     * @param {number} dt - Time step (s)
+     * @param {number} roughness - Squared Manning coefficient
+     * @returns {number} Updated face velocity (m/s)
+     * @private
+     */
+    _updateFaceVelocity(velocity, from, to, spacing, dt, roughness) {
+        const depthFrom = this.depth[from];
+        const depthTo = this.depth[to];
+        const surfaceFrom = this.bed[from] + depthFrom;
+        const surfaceTo = this.bed[to] + depthTo;
+        
+        // Water cannot be drawn out of a dry cell or up onto a bank above it
+        if (depthFrom < DRY_DEPTH && depthTo < DRY_DEPTH) return 0;
+        if (depthFrom < DRY_DEPTH && surfaceFrom >= surfaceTo) return 0;
+        if (depthTo < DRY_DEPTH && surfaceTo >= surfaceFrom) return 0;
+        
+        let next = velocity - GRAVITY * dt * (surfaceTo - surfaceFrom) / spacing;
+        
+        // Implicit Manning friction
+        const faceDepth = Math.max(depthFrom, depthTo, DRY_DEPTH);
+        next /= 1 + dt * GRAVITY * roughness * Math.abs(next) / Math.pow(faceDepth, 4 / 3);
+        
+        return next;
+    }
+    
+    /**
+     * Move water between cells with upwind face depths
+     * Outflow from each cell is limited to the water it holds
+     * @param {number} dt - Time step (s)
+     * @private
+     */
+    _updateDepths(dt) {
+        const nx = this.nx;
+        const nz = this.nz;
+        
+        // Donor-cell fluxes (m²/s)
+        for (let j = 0; j < nz; j++) {
+            for (let i = 1; i < nx; i++) {
+                const face = j * (nx + 1) + i;
+                const velocity = this.u[face];
+                const donor = velocity > 0 ? j * nx + i - 1 : j * nx + i;
+                this.fluxX[face] = velocity * this.depth[donor];
+            }
+        }
+        
+        for (let j = 1; j < nz; j++) {
+            for (let i = 0; i < nx; i++) {
+                const face = j * nx + i;
+                const velocity = this.v[face];
+                const donor = velocity > 0 ? (j - 1) * nx + i : j * nx + i;
+                this.fluxZ[face] = velocity * this.depth[donor];
+            }
+        }
+        
+        // Scale back fluxes that would drain a cell below zero
+        for (let j = 0; j < nz; j++) {
+            for (let i = 0; i < nx; i++) {
+                const index = j * nx + i;
+                const outflow = (
+                    Math.max(0, this.fluxX[j * (nx + 1) + i + 1]) -
+                    Math.min(0, this.fluxX[j * (nx + 1) + i])
+                ) * dt / this.dx + (
+                    Math.max(0, this.fluxZ[(j + 1) * nx + i]) -
+                    Math.min(0, this.fluxZ[j * nx + i])
+                ) * dt / this.dz;
+                
+                this.limiter[index] = outflow > this.depth[index] ? this.depth[index] / outflow : 1;
+            }
+        }
+        
+        for (let j = 0; j < nz; j++) {
+            for (let i = 1; i < nx; i++) {
+                const face = j * (nx + 1) + i;
+                const donor = this.fluxX[face] > 0 ? j * nx + i - 1 : j * nx + i;
+                this.fluxX[face] *= this.limiter[donor];
+            }
+        }
+        
+        for (let j = 1; j < nz; j++) {
+            for (let i = 0; i < nx; i++) {
+                const face = j * nx + i;
+                const donor = this.fluxZ[face] > 0 ? (j - 1) * nx + i : j * nx + i;
+                this.fluxZ[face] *= this.limiter[donor];
+            }
+        }
+        
+        // Continuity
+        for (let j = 0; j < nz; j++) {
+            for (let i = 0; i < nx; i++) {
+                const index = j * nx + i;
+                const divergence = (
+                    this.fluxX[j * (nx + 1) + i + 1] - this.fluxX[j * (nx + 1) + i]
+                ) / this.dx + (
+                    this.fluxZ[(j + 1) * nx + i] - this.fluxZ[j * nx + i]
+                ) / this.dz;
+                
+                this.depth[index] = Math.max(0, this.depth[index] - dt * divergence);
+            }
+        }
+    }
+    
+    /**
+     * Spill water over the dam crest as a broad-crested weir
+     * @param {number} dt - Time step (s)
+     * @private
+     */
+    _spillOverCrest(dt) {
+        const crest = CONFIG.water.maxElevation;
+        const coefficient = CONFIG.tsunami.weirCoefficient * Math.sqrt(GRAVITY);
+        
+        this.crestCells.forEach(index => {
+            const head = this.bed[index] + this.depth[index] - crest;
+            if (head <= 0) return;
+            
+            // Discharge per metre of crest (m²/s)
+            const discharge = coefficient * Math.pow(head, 1.5);
+            const drop = Math.min(discharge * dt / this.dz, this.depth[index]);
+            
+            this.depth[index] -= drop;
+            this.overtoppedVolume += drop * this.dx * this.dz;
+        });
+    }
+    
+    /**
+     * Track the highest wave seen at the dam
+     * @private
+     */
+    _recordDamWave() {
+        const crest = CONFIG.water.maxElevation;
+        
+        this.crestCells.forEach(index => {
+            if (this.depth[index] < DRY_DEPTH) return;
+            
+            const surface = this.bed[index] + this.depth[index];
+            this.maxDamWaveHeight = Math.max(this.maxDamWaveHeight, surface - this.initialElevation);
+            this.maxOvertopping = Math.max(this.maxOvertopping, surface - crest);
+        });
+    }
+    
+    /**
+     * Idealised valley cross-section used without a terrain heightfield
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Bed elevation (m a.s.l.)
+     * @private
+     */
+    _getValleyElevation(x, z) {
+        const valley = CONFIG.tsunami.valley;
+        const offset = Math.min(Math.abs(x - valley.axisX) / valley.halfWidth, 1.5);
+        
+        const floor = CONFIG.water.floorElevation;
+        
+        return floor + (valley.rimElevation - floor) * Math.pow(offset, valley.shape);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+import CONFIG from '../config.js';
+import { levelToElevation } from '../utils/UnitUtils.js';
+
+/**
+ * StabilityModel - Limit-equilibrium slope stability for the Mount Toc slide
+ * Treats the landslide as a rigid block sliding on the clay plane and computes
+ * its factor of safety from block weight, cohesion, friction and water uplift
+ * Geology values come from CONFIG.geology unless a parameter set is given, so
+ * the same engine can evaluate sampled parameters for the Monte Carlo analysis
+ */
+export default class StabilityModel {
+    constructor() {
+        this.criticalWaterLevel = null;
+    }
+    
+    /**
+     * Get the geometry of the sliding block in metres
+     * @returns {Object} Block length (down-dip), width, thickness and basal area
+     */
+    getBlockGeometry() {
+        const length = CONFIG.mountain.slideLength;
+        const width = CONFIG.mountain.slideWidth;
+        const volume = CONFIG.mountain.slideVolume * 1e6; // million m³ to m³
+        
+        return {
+            length: length,
+            width: width,
+            thickness: volume / (length * width),
+            area: length * width,
+            volume: volume
+        };
+    }
+    
+    /**
+     * Convert a slider water level to reservoir head above the failure-plane toe
+     * @param {number} waterLevel - Water level (0-100)
+     * @param {number} toeElevation - Elevation of the failure-plane toe (m a.s.l.)
+     * @returns {number} Water head in metres
+     */
+    getWaterHead(waterLevel, toeElevation = CONFIG.geology.failurePlaneToeElevation) {
+        const level = Math.min(Math.max(waterLevel, 0), 100);
+        return Math.max(0, levelToElevation(level) - toeElevation);
+    }
+    
+    /**
+     * Calculate the factor of safety of the sliding block
+     * FoS = (c·A + (W·cosβ − U)·tanφ) / (W·sinβ)
+     * @param {number} waterLevel - Water level (0-100)
+     * @param {GroundwaterModel} groundwater - Optional transient pore-pressure field;
+     *        without it the slope is assumed to be in equilibrium with the reservoir
+     * @param {Object} parameters - Geology parameters, as in CONFIG.geology
+     * @returns {Object} Factor of safety with the forces that produced it
+     */
+    calculate(waterLevel, groundwater = null, parameters = CONFIG.geology) {
+        const geology = parameters;
+        const block = this.getBlockGeometry();
+        
+        const dip = geology.clayLayerAngle * Math.PI / 180;
+        const friction = geology.frictionAngle * Math.PI / 180;
+        
+        // Block weight (kN)
+        const weight = geology.rockUnitWeight * block.volume;
+        
+        // Uplift on the basal plane (kN)
+        const waterHead = this.getWaterHead(waterLevel, geology.failurePlaneToeElevation);
+        const uplift = groundwater ?
+                     groundwater.computeUplift(block.width, dip) :
+                     this._getSteadyUplift(waterHead, block, dip, geology.waterUnitWeight);
+        
+        // Forces along the plane (kN)
+        const normalForce = Math.max(0, weight * Math.cos(dip) - uplift);
+        const drivingForce = weight * Math.sin(dip);
+        const resistingForce = geology.cohesion * block.area + normalForce * Math.tan(friction);
+        
+        const factorOfSafety = resistingForce / drivingForce;
+        
+        return {
+            factorOfSafety: factorOfSafety,
+            waterLevel: waterLevel,
+            waterHead: waterHead,
+            weight: weight,
+            uplift: uplift,
+            drivingForce: drivingForce,
+            resistingForce: resistingForce,
+            status: this.classify(factorOfSafety)
+        };
+    }
+    
+    /**
+     * Uplift with the slope in equilibrium with the reservoir
+     * Pore pressure rises linearly from zero at the waterline to γw·h at the toe
+     * @param {number} waterHead - Reservoir head above the failure-plane toe (m)
+     * @param {Object} block - Block geometry from getBlockGeometry
+     * @param {number} dip - Failure plane dip (radians)
+     * @param {number} waterUnitWeight - Unit weight of water (kN/m³)
+     * @returns {number} Uplift force (kN)
+     * @private
+     */
+    _getSteadyUplift(waterHead, block, dip, waterUnitWeight) {
+        const submergedLength = Math.min(block.length, waterHead / Math.sin(dip));
+        return 0.5 * waterUnitWeight * waterHead * submergedLength * block.width;
+    }
+    
+    /**
+     * Find the water level at which the factor of safety drops to 1
+     * Assumes the slope has equilibrated with the reservoir
+     * @returns {number|null} Critical water level (0-100), or null if the slope never fails
+     */
+    getCriticalWaterLevel() {
+        const fosAt = level => this.calculate(level).factorOfSafety;
+        
+        let low = 0;
+        let high = 100;
+        
+        if (fosAt(low) <= 1) {
+            this.criticalWaterLevel = low;
+        } else if (fosAt(high) > 1) {
+            this.criticalWaterLevel = null;
+        } else {
+            // FoS decreases monotonically with water level, so bisect
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (fosAt(mid) > 1) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            this.criticalWaterLevel = high;
+        }
+        
+        return this.criticalWaterLevel;
+    }
+    
+    /**
+     * Classify a factor of safety against the CONFIG.stability thresholds
+     * @param {number} factorOfSafety - Factor of safety
+     * @returns {Object} Status with text, color and severity level
+     */
+    classify(factorOfSafety) {
+        const thresholds = CONFIG.stability;
+        
+        if (factorOfSafety <= thresholds.critical) {
+            return { level: 'critical', text: "Critical - Imminent Failure", color: "#e53935" }; // deep red
+        } else if (factorOfSafety <= thresholds.veryLow) {
+            return { level: 'veryLow', text: "Very Low - Dangerously Unstable", color: "#ff5252" }; // red
+        } else if (factorOfSafety <= thresholds.low) {
+            return { level: 'low', text: "Low - Significant Risk", color: "#ff9800" }; // orange
+        } else if (factorOfSafety <= thresholds.moderate) {
+            return { level: 'moderate', text: "Moderate - Caution", color: "#ffc107" }; // amber
+        } else if (factorOfSafety <= thresholds.good) {
+            return { level: 'good', text: "Good - Minor Stress", color: "#cddc39" }; // lime
+        }
+        
+        return { level: 'excellent', text: "Excellent - Stable", color: "#4caf50" }; // green
+    }
+}
\ No newline at end of file
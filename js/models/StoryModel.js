@@ -0,0 +1,172 @@
+import CONFIG from '../config.js';
+import { loadJSON } from '../utils/LoadingUtils.js';
+import { elevationToLevel } from '../utils/UnitUtils.js';
+import CameraPathModel from './CameraPathModel.js';
+
+// Layers a chapter can show or hide; any it does not list are hidden
+const LAYERS = ['contours', 'strata', 'compare'];
+
+/**
+ * StoryModel - Chapters of the guided tour, loaded from a data file
+ * Each chapter has a caption, a camera path of keyframes flown one after
+ * another or, if it is smooth, along a spline through them, the layers shown
+ * and the state of the simulation it opens with: a reservoir level, a
+ * disaster sequence to play or the recorded history to replay
+ */
+export default class StoryModel {
+    constructor() {
+        this.title = '';
+        this.chapters = [];
+    }
+    
+    /**
+     * Load the story file
+     * @param {string} path - Path to the JSON file
+     * @returns {Promise<StoryModel>} This model
+     */
+    async load(path = CONFIG.story.dataUrl) {
+        const data = await loadJSON(path);
+        this.setData(data);
+        return this;
+    }
+    
+    /**
+     * Replace the chapters with parsed story data
+     * @param {Object} data - Parsed JSON with a chapters array
+     * @throws {Error} If any chapter is not valid
+     */
+    setData(data) {
+        if (!data || !Array.isArray(data.chapters) || data.chapters.length === 0) {
+            throw new Error('Story must contain a non-empty "chapters" array');
+        }
+        
+        this.chapters = data.chapters.map((chapter, index) => this._parseChapter(chapter, index));
+        this.title = typeof data.title === 'string' ? data.title : '';
+    }
+    
+    /**
+     * Check one chapter and fill in its defaults
+     * @param {Object} chapter - Chapter as written
+     * @param {number} index - Position in the story
+     * @returns {Object} Complete chapter
+     * @throws {Error} If the chapter is not valid
+     * @private
+     */
+    _parseChapter(chapter, index) {
+        const label = chapter && typeof chapter.title === 'string' ? chapter.title : `chapter ${index + 1}`;
+        if (!chapter || typeof chapter.title !== 'string') {
+            throw new Error(`Story ${label}: "title" must be a string`);
+        }
+        
+        const caption = typeof chapter.caption === 'string' ? [chapter.caption] : chapter.caption;
+        if (!Array.isArray(caption) || caption.length === 0 || caption.some(paragraph => typeof paragraph !== 'string')) {
+            throw new Error(`Story ${label}: "caption" must be a string or an array of strings`);
+        }
+        
+        if (!Array.isArray(chapter.camera) || chapter.camera.length === 0) {
+            throw new Error(`Story ${label}: "camera" must be a non-empty array of keyframes`);
+        }
+        
+        const duration = chapter.duration !== undefined ? chapter.duration : CONFIG.story.chapterDuration;
+        if (typeof duration !== 'number' || !(duration >= 0)) {
+            throw new Error(`Story ${label}: "duration" must be a number of seconds`);
+        }
+        
+        const layers = {};
+        LAYERS.forEach(layer => {
+            layers[layer] = Boolean(chapter.layers && chapter.layers[layer]);
+        });
+        
+        return {
+            id: typeof chapter.id === 'string' ? chapter.id : `chapter-${index + 1}`,
+            title: chapter.title,
+            date: typeof chapter.date === 'string' ? chapter.date : '',
+            caption: caption,
+            duration: duration,
+            camera: chapter.camera.map((keyframe, keyframeIndex) =>
+                this._parseKeyframe(keyframe, `Story ${label} keyframe ${keyframeIndex + 1}`)
+            ),
+            smooth: chapter.smooth === true,
+            layers: layers,
+            state: this._parseState(chapter.state || {}, `Story ${label}`)
+        };
+    }
+    
+    /**
+     * Check a camera keyframe
+     * @param {Object} keyframe - A view name, or a position and target, with an optional duration (s)
+     *        and, in a smooth chapter, easing
+     * @param {string} label - Where the keyframe is, for messages
+     * @returns {Object} View name or position and target arrays, duration (s) and easing
+     * @throws {Error} If the keyframe is not valid
+     * @private
+     */
+    _parseKeyframe(keyframe, label) {
+        if (!keyframe || typeof keyframe !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        
+        const duration = keyframe.duration !== undefined ? keyframe.duration : CONFIG.story.keyframeDuration;
+        if (typeof duration !== 'number' || !(duration >= 0)) {
+            throw new Error(`${label}: "duration" must be a number of seconds`);
+        }
+        
+        const easing = keyframe.easing !== undefined ? keyframe.easing : CONFIG.cameraPath.easing;
+        if (!CameraPathModel.getEasings().includes(easing)) {
+            throw new Error(`${label}: unknown easing "${easing}"`);
+        }
+        
+        if (keyframe.view !== undefined) {
+            if (!CONFIG.cameraPositions[keyframe.view]) {
+                throw new Error(`${label}: unknown camera view "${keyframe.view}"`);
+            }
+            return { view: keyframe.view, duration: duration, easing: easing };
+        }
+        
+        const isVector = value => Array.isArray(value) && value.length === 3 &&
+                                  value.every(coordinate => typeof coordinate === 'number' && isFinite(coordinate));
+        if (!isVector(keyframe.position) || !isVector(keyframe.target)) {
+            throw new Error(`${label} needs a "view", or a "position" and "target" of 3 numbers`);
+        }
+        
+        return { position: keyframe.position.slice(), target: keyframe.target.slice(), duration: duration, easing: easing };
+    }
+    
+    /**
+     * Check the simulation state a chapter opens with
+     * @param {Object} state - State as written
+     * @param {string} label - Where the state is, for messages
+     * @returns {Object} Water level (0-100) or null to leave it, sequence id or null,
+     *          whether to skip to the end of the sequence and whether to replay the history
+     * @throws {Error} If the state is not valid
+     * @private
+     */
+    _parseState(state, label) {
+        let level = null;
+        if (state.elevation !== undefined) {
+            if (typeof state.elevation !== 'number' || !isFinite(state.elevation)) {
+                throw new Error(`${label}: "elevation" must be a number`);
+            }
+            level = elevationToLevel(state.elevation);
+        } else if (state.level !== undefined) {
+            if (typeof state.level !== 'number' || !(state.level >= 0 && state.level <= 100)) {
+                throw new Error(`${label}: "level" must be a number from 0 to 100`);
+            }
+            level = state.level;
+        }
+        
+        if (state.sequence !== undefined && typeof state.sequence !== 'string') {
+            throw new Error(`${label}: "sequence" must be the id of a sequence`);
+        }
+        if (state.sequence && state.history) {
+            throw new Error(`${label}: a chapter can play a sequence or the history, not both`);
+        }
+        
+        return {
+            level: level,
+            sequence: state.sequence || null,
+            complete: state.complete === true,
+            history: state.history === true
+        };
+    }
+}
\ No newline at end of file
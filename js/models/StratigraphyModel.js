@@ -0,0 +1,196 @@
+import CONFIG from '../config.js';
+import { loadJSON } from '../utils/LoadingUtils.js';
+
+// Numeric layer properties every stratigraphy file must give
+const LAYER_PROPERTIES = ['thickness', 'dip', 'unitWeight', 'frictionAngle', 'cohesion', 'permeability'];
+
+// Layer colours, as #rgb or #rrggbb
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * StratigraphyModel - Layered geology of the slope, loaded from a data file
+ * Layers are listed top to bottom; exactly one is flagged as the failure
+ * plane. The slide mass is everything above it, and its bulk properties
+ * together with the failure plane's strength drive the stability engine
+ */
+export default class StratigraphyModel {
+    constructor() {
+        this.description = '';
+        this.layers = [];
+    }
+    
+    /**
+     * Load a stratigraphy file
+     * @param {string} path - Path to the JSON file
+     * @returns {Promise<StratigraphyModel>} This model
+     */
+    async load(path = CONFIG.stratigraphy.dataUrl) {
+        const data = await loadJSON(path);
+        this.setData(data);
+        return this;
+    }
+    
+    /**
+     * Replace the layers with parsed stratigraphy data
+     * @param {Object} data - Parsed JSON with a layers array
+     * @throws {Error} If the data is not a valid stratigraphy
+     */
+    setData(data) {
+        if (!data || !Array.isArray(data.layers) || data.layers.length === 0) {
+            throw new Error('Stratigraphy must contain a non-empty "layers" array');
+        }
+        
+        const layers = data.layers.map((layer, index) => {
+            const label = layer.name || `layer ${index + 1}`;
+            
+            LAYER_PROPERTIES.forEach(property => {
+                if (typeof layer[property] !== 'number' || !isFinite(layer[property])) {
+                    throw new Error(`Stratigraphy ${label}: "${property}" must be a number`);
+                }
+            });
+            
+            if (layer.thickness <= 0) {
+                throw new Error(`Stratigraphy ${label}: thickness must be positive`);
+            }
+            if (layer.color !== undefined && !COLOR_PATTERN.test(layer.color)) {
+                throw new Error(`Stratigraphy ${label}: "color" must be a colour such as #8B4513`);
+            }
+            
+            return {
+                name: label,
+                thickness: layer.thickness,
+                dip: layer.dip,
+                color: layer.color || '#999999',
+                unitWeight: layer.unitWeight,
+                frictionAngle: layer.frictionAngle,
+                cohesion: layer.cohesion,
+                permeability: layer.permeability,
+                failurePlane: layer.failurePlane === true
+            };
+        });
+        
+        const failureIndex = layers.findIndex(layer => layer.failurePlane);
+        if (failureIndex < 0 || layers.filter(layer => layer.failurePlane).length > 1) {
+            throw new Error('Stratigraphy must flag exactly one layer as the failure plane');
+        }
+        if (failureIndex === 0) {
+            throw new Error('Stratigraphy needs at least one layer above the failure plane');
+        }
+        
+        this.description = data.description || '';
+        this.layers = layers;
+    }
+    
+    /**
+     * Fall back to a three-layer column built from CONFIG.geology
+     * Used when the stratigraphy file cannot be loaded
+     */
+    setDefault() {
+        const geology = CONFIG.geology;
+        const layer = (name, thickness, color, overrides = {}) => Object.assign({
+            name, thickness, color,
+            dip: geology.clayLayerAngle,
+            unitWeight: geology.rockUnitWeight,
+            frictionAngle: 40,
+            cohesion: 500,
+            permeability: CONFIG.stratigraphy.referencePermeability
+        }, overrides);
+        
+        this.setData({
+            description: 'Default column from the simulation settings',
+            layers: [
+                layer('Limestone (slide mass)', 200, '#D3D3D3'),
+                layer('Clay Layer (Failure Plane)', geology.clayLayerThickness, '#8B4513', {
+                    frictionAngle: geology.frictionAngle,
+                    cohesion: geology.cohesion,
+                    permeability: 1e-9,
+                    failurePlane: true
+                }),
+                layer('Bedrock', 300, '#696969')
+            ]
+        });
+    }
+    
+    /**
+     * Total thickness of all layers
+     * @returns {number} Thickness in metres
+     */
+    getTotalThickness() {
+        return this.layers.reduce((sum, layer) => sum + layer.thickness, 0);
+    }
+    
+    /**
+     * The layer the slide moves on
+     * @returns {Object|null} Failure-plane layer
+     */
+    getFailurePlane() {
+        return this.layers.find(layer => layer.failurePlane) || null;
+    }
+    
+    /**
+     * Layers above the failure plane, which move with the slide
+     * @returns {Array<Object>} Slide-mass layers, top to bottom
+     */
+    getSlideMassLayers() {
+        const failureIndex = this.layers.findIndex(layer => layer.failurePlane);
+        return failureIndex > 0 ? this.layers.slice(0, failureIndex) : [];
+    }
+    
+    /**
+     * Thickness-weighted mean of a property over the slide mass
+     * @param {string} property - Layer property name
+     * @returns {number} Mean value
+     */
+    getSlideMassAverage(property) {
+        const layers = this.getSlideMassLayers();
+        const thickness = layers.reduce((sum, layer) => sum + layer.thickness, 0);
+        if (thickness <= 0) return 0;
+        
+        return layers.reduce((sum, layer) => sum + layer[property] * layer.thickness, 0) / thickness;
+    }
+    
+    /**
+     * Friction angle of the rock either side of the clay
+     * The mean of the layers above and below the failure plane, or the clay's
+     * own when it has no neighbours
+     * @returns {number|null} Friction angle in degrees, or null without a failure plane
+     */
+    getWallFrictionAngle() {
+        const plane = this.getFailurePlane();
+        if (!plane) return null;
+        
+        const failureIndex = this.layers.indexOf(plane);
+        const walls = this.layers.slice(Math.max(failureIndex - 1, 0), failureIndex + 2).filter(layer => layer !== plane);
+        if (walls.length === 0) return plane.frictionAngle;
+        
+        return walls.reduce((sum, layer) => sum + layer.frictionAngle, 0) / walls.length;
+    }
+    
+    /**
+     * Geology parameters the stability, runout and wave models read
+     * @returns {Object} Values for CONFIG.geology
+     */
+    getGeologyParameters() {
+        const plane = this.getFailurePlane();
+        
+        return {
+            clayLayerThickness: plane.thickness,
+            clayLayerAngle: plane.dip,
+            frictionAngle: plane.frictionAngle,
+            cohesion: plane.cohesion,
+            rockUnitWeight: this.getSlideMassAverage('unitWeight')
+        };
+    }
+    
+    /**
+     * Write the derived parameters into CONFIG so every model uses this stratigraphy
+     * Groundwater permeability is relative to CONFIG.stratigraphy.referencePermeability
+     */
+    applyToConfig() {
+        if (!this.getFailurePlane()) return;
+        
+        Object.assign(CONFIG.geology, this.getGeologyParameters());
+        CONFIG.groundwater.permeability =
+            this.getSlideMassAverage('permeability') / CONFIG.stratigraphy.referencePermeability;
+    }
+}
\ No newline at end of file
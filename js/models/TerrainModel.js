@@ -1,6 +1,12 @@
 import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import CONFIG from '../config.js';
 import { loadTexture } from '../utils/LoadingUtils.js';
+import { marchingSquares } from '../utils/MathUtils.js';
+import { elevationToHeight, heightToElevation, sceneToMetres, formatQuantity } from '../utils/UnitUtils.js';
+import HeightfieldModel from './HeightfieldModel.js';
 
 /**
  * TerrainModel - Handles terrain generation and management
@@ -8,6 +14,8 @@ import { loadTexture } from '../utils/LoadingUtils.js';
  */
 export default class TerrainModel {
     constructor() {
+        this.heightfield = null;
+        this.heightMapImage = null; // Kept to resample the heightfield when the terrain settings change
         this.terrain = null;
         this.topographicOverlay = null;
         this.crossSection = null;
@@ -30,6 +38,10 @@ export default class TerrainModel {
             // Configure textures
             this._configureTextures(terrainTexture, heightMap);
             
+            // Decode the heightmap so the ground is known on the CPU
+            this.heightMapImage = heightMap.image;
+            this.heightfield = HeightfieldModel.fromImage(heightMap.image);
+            
             // Create terrain with the loaded textures
             this.terrain = this._createTerrainMesh(terrainTexture, heightMap);
             scene.add(this.terrain);
@@ -43,13 +55,37 @@ export default class TerrainModel {
             console.error('Error loading terrain textures:', error);
             
             // Create procedural terrain as fallback
+            this.heightfield = HeightfieldModel.fromFunction((x, z) => this._getProceduralHeight(x, z));
             this.terrain = this._createProceduralTerrain();
             scene.add(this.terrain);
             
+            this.topographicOverlay = this._createTopographicOverlay();
+            scene.add(this.topographicOverlay);
+            
             return this.terrain;
         }
     }
     
+    /**
+     * Rebuild the ground after the terrain settings change
+     * The heightfield is resampled from the heightmap, or regenerated when
+     * the procedural fallback is in use, and the contours are traced again
+     * @returns {HeightfieldModel|null} The new heightfield
+     */
+    rebuildTerrain() {
+        if (!this.terrain) return null;
+        
+        this.heightfield = this.heightMapImage ?
+            HeightfieldModel.fromImage(this.heightMapImage) :
+            HeightfieldModel.fromFunction((x, z) => this._getProceduralHeight(x, z));
+        
+        this.terrain.geometry.dispose();
+        this.terrain.geometry = this._createGeometry(this.heightfield);
+        this.updateTopographicOverlay();
+        
+        return this.heightfield;
+    }
+    
     /**
      * Configure terrain textures
      * @param {THREE.Texture} terrainTexture - Main terrain color texture
@@ -75,19 +111,12 @@ export default class TerrainModel {
      * @private
      */
     _createTerrainMesh(terrainTexture, heightMap) {
-        // Create geometry with detailed resolution
-        const geometry = new THREE.PlaneGeometry(
-            CONFIG.terrain.width,
-            CONFIG.terrain.depth,
-            CONFIG.terrain.segments,
-            CONFIG.terrain.segments
-        );
+        // Displace the geometry from the heightfield on the CPU
+        const geometry = this._createGeometry(this.heightfield);
         
-        // Create material with heightmap displacement
+        // Create material; the heightmap only adds surface detail
         const material = new THREE.MeshStandardMaterial({
             map: terrainTexture,
-            displacementMap: heightMap,
-            displacementScale: CONFIG.terrain.maxHeight,
             roughness: 0.8,
             metalness: 0.2,
             bumpMap: heightMap,
@@ -96,8 +125,6 @@ export default class TerrainModel {
         
         // Create mesh
         const terrain = new THREE.Mesh(geometry, material);
-        terrain.rotation.x = -Math.PI / 2; // Lay flat
-        terrain.position.y = -2; // Slight offset so water can go to zero
         terrain.receiveShadow = true;
         
         return terrain;
@@ -109,36 +136,7 @@ export default class TerrainModel {
      * @private
      */
     _createProceduralTerrain() {
-        // Create geometry with fewer segments for performance
-        const geometry = new THREE.PlaneGeometry(
-            CONFIG.terrain.width, 
-            CONFIG.terrain.depth, 
-            64, 
-            64
-        );
-        
-        // Create vertices with procedural noise
-        const positions = geometry.attributes.position.array;
-        
-        // Simple procedural height generation
-        for (let i = 0; i < positions.length; i += 3) {
-            const x = positions[i];
-            const z = positions[i + 2];
-            
-            // Create valley running through the middle
-            const distanceFromCenter = Math.sqrt(x * x + z * z) / 100;
-            const valleyDepth = Math.min(30, Math.pow(distanceFromCenter, 2));
-            
-            // Create mountain range with simplex-like noise (simplified)
-            const mountainHeight = Math.sin(x / 50) * Math.cos(z / 70) * CONFIG.terrain.maxHeight * 0.4;
-            const smallerNoise = Math.sin(x / 10) * Math.cos(z / 15) * CONFIG.terrain.maxHeight * 0.1;
-            
-            // Combine valley and mountains
-            positions[i + 1] = mountainHeight + smallerNoise - (z > -50 && z < 50 ? valleyDepth : 0);
-        }
-        
-        // Update geometry normals
-        geometry.computeVertexNormals();
+        const geometry = this._createGeometry(this.heightfield);
         
         // Create material
         const material = new THREE.MeshStandardMaterial({
@@ -150,234 +148,359 @@ export default class TerrainModel {
         
         // Create mesh
         const terrain = new THREE.Mesh(geometry, material);
-        terrain.rotation.x = -Math.PI / 2; // Lay flat
-        terrain.position.y = -2;
         terrain.receiveShadow = true;
         
         return terrain;
     }
     
+    /**
+     * Build terrain geometry from a heightfield
+     * The plane is laid flat in world space, so vertex y is the ground height
+     * @param {HeightfieldModel} heightfield - Heightfield to triangulate
+     * @returns {THREE.PlaneGeometry} Displaced geometry
+     * @private
+     */
+    _createGeometry(heightfield) {
+        const geometry = new THREE.PlaneGeometry(
+            heightfield.width,
+            heightfield.depth,
+            heightfield.segments,
+            heightfield.segments
+        );
+        
+        // Row 0 of the plane ends up on the -z edge, matching the heightfield rows
+        geometry.rotateX(-Math.PI / 2);
+        
+        const positions = geometry.attributes.position.array;
+        for (let i = 0; i < heightfield.heights.length; i++) {
+            positions[i * 3 + 1] = heightfield.heights[i];
+        }
+        
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        
+        return geometry;
+    }
+    
+    /**
+     * Build another terrain surface with the same material
+     * Used for the valley as it was left by the landslide
+     * @param {HeightfieldModel} heightfield - Ground to triangulate
+     * @returns {THREE.Mesh} Terrain mesh
+     */
+    createSurface(heightfield) {
+        const surface = new THREE.Mesh(this._createGeometry(heightfield), this.terrain.material);
+        surface.receiveShadow = true;
+        
+        return surface;
+    }
+    
+    /**
+     * Procedural ground height used when no heightmap is available
+     * A valley runs along z past the dam at z = -50, narrowing into the gorge,
+     * with Mount Toc to the -x side and a side valley opening to the +x side
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Ground height (scene units)
+     * @private
+     */
+    _getProceduralHeight(x, z) {
+        const maxHeight = CONFIG.terrain.maxHeight;
+        
+        // Gently winding valley axis
+        const axis = 10 * Math.sin(z / 120);
+        
+        // The valley narrows towards the dam and stays narrow downstream
+        const narrowing = Math.min(Math.max((z + 150) / 100, 0), 1);
+        const halfWidth = 150 - narrowing * 60;
+        
+        const across = Math.min(Math.abs(x - axis) / halfWidth, 1.4);
+        let height = maxHeight * Math.pow(across, 1.4);
+        
+        // Side valley climbing away from the reservoir on the +x side
+        const sideStart = { x: 40, z: -230 };
+        const sideEnd = { x: 300, z: -360 };
+        const sideX = sideEnd.x - sideStart.x;
+        const sideZ = sideEnd.z - sideStart.z;
+        const t = Math.min(Math.max(
+            ((x - sideStart.x) * sideX + (z - sideStart.z) * sideZ) / (sideX * sideX + sideZ * sideZ), 0), 1);
+        const sideDistance = Math.hypot(x - (sideStart.x + sideX * t), z - (sideStart.z + sideZ * t));
+        const sideFloor = 35 + t * 80;
+        height = Math.min(height, sideFloor + maxHeight * Math.pow(sideDistance / 90, 1.4));
+        
+        // Rough the surface up
+        const mountainNoise = Math.sin(x / 37) * Math.cos(z / 53) * maxHeight * 0.06;
+        const smallerNoise = Math.sin(x / 10) * Math.cos(z / 15) * maxHeight * 0.015;
+        
+        return height + (mountainNoise + smallerNoise) * across + CONFIG.terrain.baseHeight;
+    }
+    
     /**
      * Create topographic contour lines overlay
-     * @returns {THREE.Group} Group containing contour lines
+     * Isolines are traced over the heightfield with marching squares at
+     * CONFIG.contours intervals; index contours are drawn heavier and labelled
+     * @returns {THREE.Group} Group containing contour lines and labels
      * @private
      */
     _createTopographicOverlay() {
-        if (!this.terrain) return new THREE.Group();
+        const overlay = new THREE.Group();
+        if (!this.heightfield) return overlay;
         
-        // Create lines for contours
-        const contourLines = new THREE.Group();
-        const contourInterval = 10; // Height between contour lines
+        const settings = CONFIG.contours;
+        const heightfield = this.heightfield;
         
-        // Map of already processed points to avoid duplicates
-        const processedPoints = new Map();
+        // Contour elevations spanning the ground, in metres above sea level
+        const lowest = Math.ceil(heightToElevation(heightfield.minHeight) / settings.minorInterval) * settings.minorInterval;
+        const highest = heightToElevation(heightfield.maxHeight);
         
-        // Get geometry positions
-        const positions = this.terrain.geometry.attributes.position.array;
+        const minorPositions = [];
+        const majorPositions = [];
         
-        // For each vertex, create contour lines at specific heights
-        for (let i = 0; i < positions.length; i += 3) {
-            const height = positions[i + 1];
+        for (let elevation = lowest; elevation <= highest; elevation += settings.minorInterval) {
+            const isMajor = elevation % settings.majorInterval === 0;
+            const height = elevationToHeight(elevation);
+            const segments = marchingSquares(heightfield.heights, heightfield.size, heightfield.size, height);
+            const positions = isMajor ? majorPositions : minorPositions;
+            const labelPoints = [];
             
-            // Check if height is near a contour level
-            const nearestContour = Math.round(height / contourInterval) * contourInterval;
-            if (Math.abs(height - nearestContour) < 0.5) {
-                // Get vertex position
-                const x = positions[i];
-                const z = positions[i + 2];
-                
-                // Check if we've already processed this point at this contour
-                const key = `${Math.round(x)},${Math.round(z)},${nearestContour}`;
-                if (processedPoints.has(key)) continue;
-                processedPoints.set(key, true);
+            for (let i = 0; i < segments.length; i += 4) {
+                const start = heightfield.getSamplePosition(segments[i], segments[i + 1]);
+                const end = heightfield.getSamplePosition(segments[i + 2], segments[i + 3]);
                 
-                // Find neighboring vertices at same contour level
-                const neighbors = this._findNeighborsAtSameContour(
-                    positions, i, nearestContour, contourInterval
+                positions.push(
+                    start.x, height + settings.lift, start.z,
+                    end.x, height + settings.lift, end.z
                 );
                 
-                if (neighbors.length > 0) {
-                    // Create line for this contour segment
-                    const lineGeometry = new THREE.BufferGeometry();
-                    
-                    // Add current point and neighbors to line
-                    const pointsArray = [
-                        new THREE.Vector3(x, nearestContour, z)
-                    ];
-                    
-                    neighbors.forEach(neighbor => {
-                        pointsArray.push(
-                            new THREE.Vector3(neighbor.x, nearestContour, neighbor.z)
-                        );
-                        
-                        // Mark neighbors as processed
-                        const neighborKey = `${Math.round(neighbor.x)},${Math.round(neighbor.z)},${nearestContour}`;
-                        processedPoints.set(neighborKey, true);
-                    });
-                    
-                    lineGeometry.setFromPoints(pointsArray);
-                    
-                    // Create line material
-                    const lineMaterial = new THREE.LineBasicMaterial({
-                        color: 0x1976D2,
-                        linewidth: 1
-                    });
-                    
-                    // Create line and add to group
-                    const line = new THREE.Line(lineGeometry, lineMaterial);
-                    contourLines.add(line);
+                if (isMajor) {
+                    this._placeContourLabel(overlay, labelPoints, elevation, height,
+                        (start.x + end.x) / 2, (start.z + end.z) / 2);
                 }
             }
         }
         
-        // Apply same transformations as terrain
-        contourLines.rotation.x = this.terrain.rotation.x;
-        contourLines.position.copy(this.terrain.position);
-        contourLines.position.y += 0.1; // Slight offset to prevent z-fighting
+        overlay.add(this._createContourLines(minorPositions, settings.minorColor, settings.minorWidth));
+        overlay.add(this._createContourLines(majorPositions, settings.majorColor, settings.majorWidth));
         
         // Hide by default
-        contourLines.visible = false;
+        overlay.visible = false;
         
-        return contourLines;
+        return overlay;
     }
     
     /**
-     * Helper function to find neighboring vertices at the same contour level
-     * @param {Float32Array} positions - The geometry positions array
-     * @param {number} index - Current vertex index
-     * @param {number} contourHeight - Target contour height
-     * @param {number} tolerance - Height tolerance
-     * @returns {Array} Array of neighboring vertices
+     * Build a set of wide contour line segments
+     * @param {Array<number>} positions - Segment endpoints as x, y, z triples
+     * @param {number} color - Line colour
+     * @param {number} width - Line width in pixels
+     * @returns {LineSegments2} Line segments object
      * @private
      */
-    _findNeighborsAtSameContour(positions, index, contourHeight, tolerance) {
-        const neighbors = [];
-        const x = positions[index];
-        const z = positions[index + 2];
-        const maxDistance = 2; // Maximum distance to consider as neighbor
-        
-        // Check all vertices
-        for (let i = 0; i < positions.length; i += 3) {
-            if (i === index) continue; // Skip self
-            
-            const height = positions[i + 1];
-            
-            // Check if height is near the contour level
-            if (Math.abs(height - contourHeight) < tolerance) {
-                const neighborX = positions[i];
-                const neighborZ = positions[i + 2];
-                
-                // Calculate distance
-                const distance = Math.sqrt(
-                    Math.pow(x - neighborX, 2) + 
-                    Math.pow(z - neighborZ, 2)
-                );
-                
-                // If within range, add as neighbor
-                if (distance < maxDistance) {
-                    neighbors.push({
-                        x: neighborX,
-                        z: neighborZ,
-                        index: i
-                    });
-                }
-            }
+    _createContourLines(positions, color, width) {
+        const geometry = new LineSegmentsGeometry();
+        geometry.setPositions(positions);
+        
+        const material = new LineMaterial({
+            color: color,
+            linewidth: width, // pixels
+            transparent: true,
+            opacity: 0.85
+        });
+        
+        const lines = new LineSegments2(geometry, material);
+        
+        // Pixel widths need the current canvas size
+        lines.onBeforeRender = renderer => renderer.getSize(material.resolution);
+        
+        return lines;
+    }
+    
+    /**
+     * Add an elevation label to an index contour unless one is already nearby
+     * @param {THREE.Group} overlay - Group to add the label to
+     * @param {Array<Object>} labelPoints - Labels already placed on this contour
+     * @param {number} elevation - Contour elevation (m a.s.l.)
+     * @param {number} height - Contour scene height
+     * @param {number} x - Candidate scene x
+     * @param {number} z - Candidate scene z
+     * @private
+     */
+    _placeContourLabel(overlay, labelPoints, elevation, height, x, z) {
+        const spacing = CONFIG.contours.labelSpacing;
+        const crowded = labelPoints.some(point => Math.hypot(point.x - x, point.z - z) < spacing);
+        if (crowded) return;
+        
+        labelPoints.push({ x, z });
+        
+        // Draw elevation text with a light halo so it reads over the terrain
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 128;
+        canvas.height = 48;
+        const text = formatQuantity('length', elevation);
+        
+        context.font = 'Bold 28px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 5;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+        context.strokeText(text, 64, 24);
+        context.fillStyle = '#3E2723';
+        context.fillText(text, 64, 24);
+        
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthWrite: false
+        });
+        
+        const sprite = new THREE.Sprite(material);
+        sprite.position.set(x, height + 4, z);
+        sprite.scale.set(24, 9, 1);
+        
+        overlay.add(sprite);
+    }
+    
+    /**
+     * Rebuild the contour overlay, e.g. after the contour intervals change
+     * @returns {THREE.Group|null} The new overlay
+     */
+    updateTopographicOverlay() {
+        const previous = this.topographicOverlay;
+        if (!previous) return null;
+        
+        this.topographicOverlay = this._createTopographicOverlay();
+        this.topographicOverlay.visible = previous.visible;
+        
+        if (previous.parent) {
+            previous.parent.add(this.topographicOverlay);
+            previous.parent.remove(previous);
         }
         
-        return neighbors;
+        // Release GPU resources of the old lines and labels
+        previous.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        
+        return this.topographicOverlay;
     }
     
     /**
-     * Create a cross-section view showing geological layers
+     * Create a cross-section view showing the geological layers
+     * Layer thicknesses, dips and colours come from the stratigraphy
      * @param {THREE.Scene} scene - The scene to add the cross-section to
-     * @param {THREE.TextureLoader} textureLoader - Texture loader instance
-     * @returns {Promise<THREE.Mesh|THREE.Group>} The created cross-section
+     * @param {StratigraphyModel} stratigraphy - Layers to draw
+     * @returns {THREE.Group} The created cross-section
      */
-    async createCrossSection(scene, textureLoader) {
-        try {
-            // Try to load cross-section texture
-            const texture = await loadTexture(textureLoader, 'assets/textures/geological_layers.jpg');
-            
-            // Create a vertical plane showing geological layers
-            const sectionWidth = 300;
-            const sectionHeight = 120;
-            const geometry = new THREE.PlaneGeometry(sectionWidth, sectionHeight);
-            
-            const material = new THREE.MeshBasicMaterial({
-                map: texture,
-                transparent: true,
-                opacity: 0.9,
-                side: THREE.DoubleSide
-            });
-            
-            this.crossSection = new THREE.Mesh(geometry, material);
-            this.crossSection.position.set(-300, sectionHeight / 2, 0);
-            this.crossSection.rotation.y = Math.PI / 2;
-            this.crossSection.visible = false; // Hidden by default
-            this.crossSection.userData.isGeologySection = true;
-            
-            scene.add(this.crossSection);
-            
-            return this.crossSection;
-        } catch (error) {
-            console.error('Error loading cross-section texture:', error);
-            
-            // Create procedural cross-section instead
-            this.crossSection = this._createProceduralCrossSection(scene);
-            return this.crossSection;
+    createCrossSection(scene, stratigraphy) {
+        this.crossSection = this._createStratigraphicSection(stratigraphy);
+        scene.add(this.crossSection);
+        
+        return this.crossSection;
+    }
+    
+    /**
+     * Redraw the cross-section after the stratigraphy changes
+     * @param {StratigraphyModel} stratigraphy - Layers to draw
+     * @returns {THREE.Group|null} The new cross-section
+     */
+    rebuildCrossSection(stratigraphy) {
+        const previous = this.crossSection;
+        if (!previous) return null;
+        
+        this.crossSection = this._createStratigraphicSection(stratigraphy);
+        this.crossSection.visible = previous.visible;
+        
+        if (previous.parent) {
+            previous.parent.add(this.crossSection);
+            previous.parent.remove(previous);
         }
+        
+        previous.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        
+        return this.crossSection;
     }
     
     /**
-     * Create a procedural cross-section if texture loading fails
-     * @param {THREE.Scene} scene - The scene to add the cross-section to
+     * Build the cross-section from the stratigraphy
+     * The whole column is scaled to fit the section; each layer boundary is
+     * tilted by its dip at that vertical scale, and the outermost layers are
+     * extended so no gap opens at the top or bottom
+     * @param {StratigraphyModel} stratigraphy - Layers to draw
      * @returns {THREE.Group} Group containing the cross-section layers
      * @private
      */
-    _createProceduralCrossSection(scene) {
+    _createStratigraphicSection(stratigraphy) {
         // Create a group to hold all layers
         const crossSection = new THREE.Group();
         const sectionWidth = 300;
         const sectionHeight = 120;
+        const columns = 30;
         
         crossSection.position.set(-300, sectionHeight / 2, 0);
         crossSection.rotation.y = Math.PI / 2;
         crossSection.visible = false;
         crossSection.userData.isGeologySection = true;
         
-        // Create multiple geological layers
-        const layers = [
-            { height: 0.3, color: 0xD2B48C, name: "Topsoil" },
-            { height: 0.15, color: 0xA0522D, name: "Weathered Limestone" },
-            { height: 0.2, color: 0xD3D3D3, name: "Limestone" },
-            { height: 0.05, color: 0x8B4513, name: "Clay Layer (Failure Plane)" },
-            { height: 0.2, color: 0xD3D3D3, name: "Limestone" },
-            { height: 0.1, color: 0x696969, name: "Bedrock" }
-        ];
-        
-        let currentHeight = 0;
-        
-        layers.forEach(layer => {
-            const layerHeight = layer.height * sectionHeight;
-            const geometry = new THREE.PlaneGeometry(sectionWidth, layerHeight);
+        const layers = stratigraphy.layers;
+        const scale = sectionHeight / stratigraphy.getTotalThickness(); // section units per metre
+        const top = sectionHeight / 2;
+        const bottom = -sectionHeight / 2;
+        const clamp = value => Math.min(Math.max(value, bottom), top);
+        
+        let depth = 0;
+        
+        layers.forEach((layer, index) => {
+            const slope = Math.tan(layer.dip * Math.PI / 180) * sceneToMetres(1) * scale;
+            const upperDepth = depth;
+            const lowerDepth = depth + layer.thickness;
+            depth = lowerDepth;
+            
+            // Boundary heights across the section
+            const positions = [];
+            for (let column = 0; column <= columns; column++) {
+                const u = -sectionWidth / 2 + column * sectionWidth / columns;
+                const upper = index === 0 ? top : clamp(top - upperDepth * scale + u * slope);
+                const lower = index === layers.length - 1 ? bottom : clamp(top - lowerDepth * scale + u * slope);
+                positions.push(u, upper, 0, u, lower, 0);
+            }
+            
+            const indices = [];
+            for (let column = 0; column < columns; column++) {
+                const a = column * 2;
+                indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+            }
+            
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setIndex(indices);
+            
             const material = new THREE.MeshBasicMaterial({
                 color: layer.color,
                 side: THREE.DoubleSide
             });
             
             const layerMesh = new THREE.Mesh(geometry, material);
-            layerMesh.position.y = currentHeight - sectionHeight / 2 + layerHeight / 2;
-            
+            layerMesh.userData.layerName = layer.name;
             crossSection.add(layerMesh);
-            currentHeight += layerHeight;
             
-            // Add text label for important layers
-            if (layer.name === "Clay Layer (Failure Plane)") {
-                this._createTextLabel(layer.name, 0, layerMesh.position.y, 0, crossSection);
+            // Label the failure plane at the centre of the section
+            if (layer.failurePlane) {
+                const centre = top - (upperDepth + lowerDepth) / 2 * scale;
+                this._createTextLabel(layer.name, 0, centre, 0, crossSection);
             }
         });
         
-        scene.add(crossSection);
         return crossSection;
     }
     
@@ -421,6 +544,27 @@ export default class TerrainModel {
         return sprite;
     }
     
+    /**
+     * Ground elevation at a point
+     * @param {number} x - Scene x coordinate
+     * @param {number} z - Scene z coordinate
+     * @returns {number} Elevation in metres above sea level
+     */
+    getElevationAt(x, z) {
+        return heightToElevation(this.heightfield.getHeightAt(x, z));
+    }
+    
+    /**
+     * Lowest and highest ground elevations
+     * @returns {Object} { min, max } in metres above sea level
+     */
+    getElevationRange() {
+        return {
+            min: heightToElevation(this.heightfield.minHeight),
+            max: heightToElevation(this.heightfield.maxHeight)
+        };
+    }
+    
     /**
      * Toggle visibility of topographic overlay
      * @returns {boolean} New visibility state
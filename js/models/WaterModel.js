@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import CONFIG from '../config.js';
 import { loadTexture } from '../utils/LoadingUtils.js';
+import { levelToElevation, elevationToLevel, elevationToHeight, sceneToMetres } from '../utils/UnitUtils.js';
 
 /**
  * WaterModel - Handles all water-related functionality for the simulation
@@ -8,16 +9,26 @@ import { loadTexture } from '../utils/LoadingUtils.js';
  */
 export default class WaterModel {
     constructor() {
+        this.heightfield = null;
         this.waterMesh = null;
+        this.footprintHeight = null;
+        this.storageTable = [];
+        this.waveSurface = null;
+        this.currentLevel = 30;
+        this.rippleTime = 0;
     }
     
     /**
      * Create realistic water for the reservoir
      * @param {THREE.Scene} scene - The scene to add water to
      * @param {THREE.TextureLoader} textureLoader - Texture loader instance
+     * @param {HeightfieldModel} heightfield - Terrain the reservoir fills
      * @returns {Promise<THREE.Mesh>} The created water mesh
      */
-    async createWater(scene, textureLoader) {
+    async createWater(scene, textureLoader, heightfield) {
+        this.heightfield = heightfield;
+        this.storageTable = this.buildStorageTable();
+        
         try {
             // Load water textures
             const [waterColor, waterNormal] = await Promise.all([
@@ -63,28 +74,13 @@ export default class WaterModel {
     }
     
     /**
-     * Create the water mesh with custom valley shape
+     * Create the water mesh covering the flooded part of the valley
      * @param {THREE.Texture} colorTexture - Water color texture
      * @param {THREE.Texture} normalTexture - Water normal map texture
      * @returns {THREE.Mesh} Water mesh
      * @private
      */
     _createWaterMesh(colorTexture, normalTexture) {
-        // Create winding valley shape for reservoir
-        const waterShape = new THREE.Shape();
-        
-        // Define points tracing the valley contour (tailored to Vajont)
-        waterShape.moveTo(-150, -150);
-        waterShape.quadraticCurveTo(-100, -100, 0, -80);
-        waterShape.quadraticCurveTo(100, -60, 150, -20);
-        waterShape.lineTo(150, 50);
-        waterShape.quadraticCurveTo(80, 30, 0, 0);
-        waterShape.quadraticCurveTo(-80, -30, -150, 0);
-        waterShape.lineTo(-150, -150);
-        
-        // Create geometry from shape
-        const waterGeometry = new THREE.ShapeGeometry(waterShape, 32);
-        
         // Create advanced water material
         const waterMaterial = new THREE.MeshPhysicalMaterial({
             color: 0x0D47A1,
@@ -100,20 +96,7 @@ export default class WaterModel {
             side: THREE.DoubleSide
         });
         
-        // Create mesh
-        const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-        
-        // Lay flat and position
-        waterMesh.rotation.x = -Math.PI / 2;
-        waterMesh.position.y = CONFIG.water.initialHeight;
-        
-        // Enable shadows
-        waterMesh.receiveShadow = true;
-        
-        // Add userData for animation reference
-        waterMesh.userData.initialHeight = CONFIG.water.initialHeight;
-        
-        return waterMesh;
+        return this._createReservoirMesh(waterMaterial);
     }
     
     /**
@@ -122,9 +105,6 @@ export default class WaterModel {
      * @private
      */
     _createFallbackWater() {
-        // Create simpler shape (rectangular)
-        const waterGeometry = new THREE.PlaneGeometry(300, 200);
-        
         // Basic blue material
         const waterMaterial = new THREE.MeshStandardMaterial({
             color: 0x1565C0,
@@ -135,13 +115,19 @@ export default class WaterModel {
             side: THREE.DoubleSide
         });
         
-        // Create mesh
-        const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-        
-        // Lay flat and position
-        waterMesh.rotation.x = -Math.PI / 2;
-        waterMesh.position.y = CONFIG.water.initialHeight;
-        waterMesh.position.z = -50; // Position in valley
+        return this._createReservoirMesh(waterMaterial);
+    }
+    
+    /**
+     * Create a flat mesh on the terrain grid whose triangles follow the reservoir
+     * The vertices never move; raising the level lifts the mesh and changes
+     * which grid cells are drawn
+     * @param {THREE.Material} material - Water material
+     * @returns {THREE.Mesh} Reservoir mesh
+     * @private
+     */
+    _createReservoirMesh(material) {
+        const waterMesh = new THREE.Mesh(this._createReservoirGeometry(), material);
         
         // Enable shadows
         waterMesh.receiveShadow = true;
@@ -149,9 +135,210 @@ export default class WaterModel {
         // Add userData for animation reference
         waterMesh.userData.initialHeight = CONFIG.water.initialHeight;
         
+        this.waterMesh = waterMesh;
+        this.footprintHeight = null;
+        this.updateWaterLevel(this.currentLevel);
+        
         return waterMesh;
     }
     
+    /**
+     * Flat grid matching the heightfield samples
+     * @returns {THREE.PlaneGeometry} Reservoir geometry without triangles chosen yet
+     * @private
+     */
+    _createReservoirGeometry() {
+        const heightfield = this.heightfield;
+        const geometry = new THREE.PlaneGeometry(
+            heightfield.width,
+            heightfield.depth,
+            heightfield.segments,
+            heightfield.segments
+        );
+        
+        // Lay flat so vertices line up with heightfield samples (row 0 on the -z edge)
+        geometry.rotateX(-Math.PI / 2);
+        
+        return geometry;
+    }
+    
+    /**
+     * Rebuild the reservoir after the terrain, water or dam settings change
+     * The storage table is integrated again and the surface re-flooded at the current level
+     * @param {HeightfieldModel} heightfield - Terrain the reservoir fills
+     */
+    rebuildReservoir(heightfield = this.heightfield) {
+        if (!this.waterMesh) return;
+        
+        this.heightfield = heightfield;
+        this.storageTable = this.buildStorageTable();
+        
+        this.waterMesh.geometry.dispose();
+        this.waterMesh.geometry = this._createReservoirGeometry();
+        this.waterMesh.userData.initialHeight = CONFIG.water.initialHeight;
+        this.footprintHeight = null;
+        this.updateWaterLevel(this.currentLevel);
+    }
+    
+    /**
+     * Flood-fill the terrain upstream of the dam at a water height
+     * @param {number} height - Water surface height (scene units)
+     * @returns {Uint8Array} Mask with 1 for each flooded heightfield sample
+     */
+    getFloodedMask(height) {
+        const heightfield = this.heightfield;
+        const damRow = this._getDamRow();
+        
+        // Start from the deepest point across the valley just upstream of the dam
+        const halfWidth = CONFIG.dam.width / 2;
+        let seedColumn = Math.round(heightfield.segments / 2);
+        for (let column = 0; column < heightfield.size; column++) {
+            const { x } = heightfield.getSamplePosition(column, damRow);
+            if (Math.abs(x) <= halfWidth &&
+                heightfield.getSample(column, damRow) < heightfield.getSample(seedColumn, damRow)) {
+                seedColumn = column;
+            }
+        }
+        
+        // The dam holds the water back, so nothing downstream of it floods
+        return heightfield.floodFill(height, seedColumn, damRow, (column, row) => row <= damRow);
+    }
+    
+    /**
+     * Flood a changed valley from every part of the reservoir still under water
+     * Ground raised across the valley splits the reservoir into separate lakes
+     * @param {number} height - Water surface height (scene units)
+     * @param {HeightfieldModel} heightfield - Changed ground on the same grid as the reservoir
+     * @returns {Object} Mask of flooded samples and the lakes, nearest the dam first, with area (m²), volume (m³) and centre
+     */
+    getLakes(height, heightfield) {
+        const reservoir = this.getFloodedMask(height);
+        const size = heightfield.size;
+        const damRow = this._getDamRow();
+        const cellArea = sceneToMetres(heightfield.cellWidth) * sceneToMetres(heightfield.cellDepth);
+        const mask = new Uint8Array(size * size);
+        const lakes = [];
+        
+        for (let i = 0; i < reservoir.length; i++) {
+            if (!reservoir[i] || mask[i] || heightfield.heights[i] >= height) continue;
+            
+            const seedColumn = i % size;
+            const seedRow = (i - seedColumn) / size;
+            const lake = heightfield.floodFill(height, seedColumn, seedRow, (column, row) => row <= damRow);
+            
+            let samples = 0;
+            let depth = 0;
+            let x = 0;
+            let z = 0;
+            let atDam = false;
+            
+            for (let j = 0; j < lake.length; j++) {
+                if (!lake[j]) continue;
+                
+                const column = j % size;
+                const row = (j - column) / size;
+                const position = heightfield.getSamplePosition(column, row);
+                
+                mask[j] = 1;
+                samples++;
+                depth += sceneToMetres(height - heightfield.heights[j]);
+                x += position.x;
+                z += position.z;
+                atDam = atDam || row === damRow;
+            }
+            
+            lakes.push({
+                area: samples * cellArea,
+                volume: depth * cellArea,
+                centre: { x: x / samples, z: z / samples },
+                atDam: atDam
+            });
+        }
+        
+        // The dam is at the downstream (+z) end of the reservoir
+        lakes.sort((a, b) => b.centre.z - a.centre.z);
+        
+        return { mask, lakes };
+    }
+    
+    /**
+     * Heightfield row on the upstream face of the dam
+     * @returns {number} Row index
+     * @private
+     */
+    _getDamRow() {
+        const heightfield = this.heightfield;
+        return Math.floor((CONFIG.dam.z + heightfield.depth / 2) / heightfield.cellDepth);
+    }
+    
+    /**
+     * Rebuild the triangles of the water mesh for a new water height
+     * Every cell touching a flooded sample is drawn; where a corner is dry the
+     * ground is above the water, so the terrain hides the overhang and the
+     * visible edge is the true shoreline
+     * @param {number} height - Water surface height (scene units)
+     * @private
+     */
+    _updateFootprint(height) {
+        this.waterMesh.geometry.setIndex(this.getFootprintIndices(this.getFloodedMask(height)));
+        this.footprintHeight = height;
+    }
+    
+    /**
+     * Triangles of the water mesh that cover a flooded area
+     * @param {Uint8Array} mask - 1 for each flooded heightfield sample
+     * @returns {Array<number>} Index list for the water mesh geometry
+     */
+    getFootprintIndices(mask) {
+        const heightfield = this.heightfield;
+        const size = heightfield.size;
+        const damRow = this._getDamRow();
+        const indices = [];
+        
+        for (let row = 0; row < damRow; row++) {
+            for (let column = 0; column < heightfield.segments; column++) {
+                const a = row * size + column;
+                const b = a + size;
+                const c = b + 1;
+                const d = a + 1;
+                
+                if (mask[a] || mask[b] || mask[c] || mask[d]) {
+                    indices.push(a, b, d, b, c, d);
+                }
+            }
+        }
+        
+        return indices;
+    }
+    
+    /**
+     * Create another reservoir surface on the same grid and material
+     * For views that show the reservoir at a different level or shape
+     * @param {THREE.Scene} scene - The scene to add the surface to
+     * @returns {THREE.Mesh} Hidden water mesh
+     */
+    createReservoirCopy(scene) {
+        const copy = new THREE.Mesh(this.waterMesh.geometry.clone(), this.waterMesh.material);
+        copy.receiveShadow = true;
+        copy.visible = false;
+        scene.add(copy);
+        
+        return copy;
+    }
+    
+    /**
+     * Flood a reservoir copy to a water height
+     * @param {THREE.Mesh} copy - Mesh from createReservoirCopy
+     * @param {number} height - Water surface height (scene units)
+     */
+    floodReservoirCopy(copy, height) {
+        if (copy.userData.height === height) return;
+        
+        copy.geometry.setIndex(this.getFootprintIndices(this.getFloodedMask(height)));
+        copy.position.y = height;
+        copy.userData.height = height;
+    }
+    
     /**
      * Update water level based on slider value (0-100)
      * @param {number} sliderValue - Value from slider (0-100)
@@ -167,17 +354,165 @@ export default class WaterModel {
         
         // Update position
         this.waterMesh.position.y = waterHeight;
+        this.currentLevel = sliderValue;
+        
+        // Spread into or retreat from the side valleys
+        if (waterHeight !== this.footprintHeight) {
+            this._updateFootprint(waterHeight);
+        }
         
         return waterHeight;
     }
     
+    /**
+     * Set water level from a real reservoir elevation
+     * @param {number} elevation - Reservoir elevation in metres above sea level
+     * @returns {number} The calculated water height
+     */
+    setWaterElevation(elevation) {
+        return this.updateWaterLevel(elevationToLevel(elevation));
+    }
+    
+    /**
+     * Get the current reservoir elevation
+     * @returns {number} Elevation in metres above sea level
+     */
+    getElevation() {
+        return levelToElevation(this.currentLevel);
+    }
+    
+    /**
+     * Get the current reservoir depth at its deepest point
+     * @returns {number} Depth in metres
+     */
+    getDepth() {
+        return Math.max(0, this.getElevation() - CONFIG.water.floorElevation);
+    }
+    
+    /**
+     * Integrate the heightfield into an elevation–area–volume table
+     * Each row holds the flooded surface area and the stored volume with the
+     * reservoir at that elevation, from the slider minimum up to the dam crest
+     * @returns {Array<Object>} Rows of { elevation (m a.s.l.), area (m²), volume (m³) }
+     */
+    buildStorageTable() {
+        const heightfield = this.heightfield;
+        const { minElevation, maxElevation, storageStep } = CONFIG.water;
+        const cellArea = sceneToMetres(heightfield.cellWidth) * sceneToMetres(heightfield.cellDepth);
+        const table = [];
+        
+        for (let elevation = minElevation; elevation < maxElevation + storageStep; elevation += storageStep) {
+            const level = Math.min(elevation, maxElevation);
+            const height = elevationToHeight(level);
+            const mask = this.getFloodedMask(height);
+            
+            let samples = 0;
+            let depth = 0;
+            for (let i = 0; i < mask.length; i++) {
+                if (!mask[i]) continue;
+                samples++;
+                depth += sceneToMetres(height - heightfield.heights[i]);
+            }
+            
+            table.push({
+                elevation: level,
+                area: samples * cellArea,
+                volume: depth * cellArea
+            });
+        }
+        
+        return table;
+    }
+    
+    /**
+     * Look up the surface area at an elevation
+     * @param {number} elevation - Reservoir elevation (m a.s.l.)
+     * @returns {number} Surface area (m²)
+     */
+    getAreaAt(elevation) {
+        return this._interpolateStorage('elevation', 'area', elevation);
+    }
+    
+    /**
+     * Look up the stored volume at an elevation
+     * @param {number} elevation - Reservoir elevation (m a.s.l.)
+     * @returns {number} Stored volume (m³)
+     */
+    getVolumeAt(elevation) {
+        return this._interpolateStorage('elevation', 'volume', elevation);
+    }
+    
+    /**
+     * Invert the storage curve to find the elevation holding a volume
+     * @param {number} volume - Stored volume (m³)
+     * @returns {number} Reservoir elevation (m a.s.l.), clamped to the slider range
+     */
+    getElevationForVolume(volume) {
+        return this._interpolateStorage('volume', 'elevation', volume);
+    }
+    
+    /**
+     * Current surface area of the reservoir
+     * @returns {number} Surface area (m²)
+     */
+    getArea() {
+        return this.getAreaAt(this.getElevation());
+    }
+    
+    /**
+     * Current stored volume of the reservoir
+     * @returns {number} Stored volume (m³)
+     */
+    getVolume() {
+        return this.getVolumeAt(this.getElevation());
+    }
+    
+    /**
+     * Set water level from a target stored volume
+     * @param {number} volume - Stored volume (m³)
+     * @returns {number} The calculated water height
+     */
+    setWaterVolume(volume) {
+        return this.setWaterElevation(this.getElevationForVolume(volume));
+    }
+    
+    /**
+     * Linear interpolation between rows of the storage table
+     * Both columns increase with elevation, so either can be the key
+     * @param {string} key - Column to look up
+     * @param {string} column - Column to return
+     * @param {number} value - Value of the key column
+     * @returns {number} Interpolated value, clamped to the table
+     * @private
+     */
+    _interpolateStorage(key, column, value) {
+        const table = this.storageTable;
+        if (table.length === 0) return 0;
+        
+        if (value <= table[0][key]) return table[0][column];
+        
+        for (let i = 1; i < table.length; i++) {
+            const upper = table[i];
+            if (value <= upper[key]) {
+                const lower = table[i - 1];
+                const span = upper[key] - lower[key];
+                const t = span > 0 ? (value - lower[key]) / span : 0;
+                return lower[column] + t * (upper[column] - lower[column]);
+            }
+        }
+        
+        return table[table.length - 1][column];
+    }
+    
     /**
      * Animate water texture to create rippling effect
-     * @param {number} deltaTime - Time since last frame (seconds)
+     * @param {number} deltaTime - Simulation clock step (seconds)
      */
     animateWater(deltaTime) {
+        this.rippleTime += deltaTime;
+        
         if (this.waterMesh && this.waterMesh.material && this.waterMesh.material.normalMap) {
-            const time = Date.now() * 0.0005;
+            const time = this.rippleTime * 0.5;
             this.waterMesh.material.normalMap.offset.x = time;
             this.waterMesh.material.normalMap.offset.y = time;
         }
@@ -228,59 +563,122 @@ export default class WaterModel {
     }
     
     /**
-     * Create a tsunami wave
-     * @param {THREE.Scene} scene - Scene to add the wave to
-     * @param {THREE.Vector3} position - Starting position
-     * @param {number} waterHeight - Current water level height
-     * @returns {THREE.Mesh} Created wave mesh
+     * Create a deforming water surface for the shallow-water solution
+     * One vertex per solver cell; dry cells are faded out
+     * @param {THREE.Scene} scene - Scene to add the surface to
+     * @param {ShallowWaterModel} solver - Initialised shallow-water solver
+     * @returns {THREE.Mesh} Created surface mesh
      */
-    createTsunamiWave(scene, position, waterHeight) {
-        // Wave geometry (expanding cylinder)
-        const waveGeometry = new THREE.CylinderGeometry(
-            5, // top radius (will be animated)
-            20, // bottom radius
-            30, // height
-            32, // segments
-            1, // height segments
-            true // open ended
+    createWaveSurface(scene, solver) {
+        const domain = CONFIG.tsunami.domain;
+        const geometry = new THREE.PlaneGeometry(
+            domain.maxX - domain.minX,
+            domain.maxZ - domain.minZ,
+            solver.nx - 1,
+            solver.nz - 1
         );
         
-        // Wave material
-        const waveMaterial = new THREE.MeshPhysicalMaterial({
-            color: 0x0D47A1,
+        // Lay flat in world space so vertex y is the water surface
+        // Row 0 of the plane ends up on the minZ side, matching solver row 0
+        geometry.rotateX(-Math.PI / 2);
+        
+        // RGBA colors so dry cells can be hidden
+        const colors = new Float32Array(solver.nx * solver.nz * 4);
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+        
+        const material = new THREE.MeshPhysicalMaterial({
+            color: 0x1565C0,
+            vertexColors: true,
             transparent: true,
-            opacity: 0.7,
-            roughness: 0.2,
+            opacity: 0.85,
+            roughness: 0.15,
             metalness: 0.1,
             side: THREE.DoubleSide
         });
         
-        // Create mesh
-        const waveMesh = new THREE.Mesh(waveGeometry, waveMaterial);
+        const surface = new THREE.Mesh(geometry, material);
+        surface.position.set(
+            (domain.minX + domain.maxX) / 2,
+            0,
+            (domain.minZ + domain.maxZ) / 2
+        );
         
-        // Position at water surface where landslide hits
-        waveMesh.position.copy(position);
-        waveMesh.position.y = waterHeight;
+        // Mark for cleanup
+        surface.userData.isAnimationObject = true;
+        
+        this.waveSurface = surface;
+        this.updateWaveSurface(solver);
         
-        // Scale (will be animated)
-        waveMesh.scale.set(0.1, 1, 0.1);
+        scene.add(surface);
         
-        // Mark for animation
-        waveMesh.userData.isAnimationObject = true;
-        waveMesh.userData.creationTime = Date.now();
+        // The solver surface replaces the flat reservoir while it runs
+        if (this.waterMesh) {
+            this.waterMesh.visible = false;
+        }
+        
+        return surface;
+    }
+    
+    /**
+     * Copy the solver's water surface onto the mesh
+     * @param {ShallowWaterModel} solver - Shallow-water solver
+     */
+    updateWaveSurface(solver) {
+        if (!this.waveSurface) return;
+        
+        const geometry = this.waveSurface.geometry;
+        const positions = geometry.attributes.position.array;
+        const colors = geometry.attributes.color.array;
+        
+        for (let j = 0; j < solver.nz; j++) {
+            for (let i = 0; i < solver.nx; i++) {
+                const vertex = j * solver.nx + i;
+                const surface = solver.getSurfaceElevation(i, j);
+                const wet = surface !== null;
+                
+                // Dry vertices sit on the bed and are fully transparent
+                positions[vertex * 3 + 1] = elevationToHeight(wet ? surface : solver.bed[vertex]);
+                
+                // Whiten the crest of the wave
+                const rise = wet ? Math.min(Math.max((surface - solver.initialElevation) / 60, 0), 1) : 0;
+                colors[vertex * 4] = 0.3 + 0.7 * rise;
+                colors[vertex * 4 + 1] = 0.5 + 0.5 * rise;
+                colors[vertex * 4 + 2] = 1;
+                colors[vertex * 4 + 3] = wet ? 1 : 0;
+            }
+        }
         
-        scene.add(waveMesh);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        geometry.computeVertexNormals();
+    }
+    
+    /**
+     * Remove the solver surface and show the flat reservoir again
+     */
+    removeWaveSurface() {
+        if (this.waveSurface) {
+            if (this.waveSurface.parent) {
+                this.waveSurface.parent.remove(this.waveSurface);
+            }
+            this.waveSurface.geometry.dispose();
+            this.waveSurface.material.dispose();
+            this.waveSurface = null;
+        }
         
-        return waveMesh;
+        if (this.waterMesh) {
+            this.waterMesh.visible = true;
+        }
     }
     
     /**
      * Create splash particles for tsunami effect
      * @param {THREE.Scene} scene - Scene to add particles to
      * @param {THREE.Vector3} position - Start position
+     * @param {Function} random - Uniform random numbers in [0, 1), seeded for a repeatable splash
      * @returns {THREE.Points} Particle system
      */
-    createSplashParticles(scene, position) {
+    createSplashParticles(scene, position, random = Math.random) {
         const particleCount = 300;
         const particleGeo = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
@@ -310,9 +708,9 @@ export default class WaterModel {
         
         // Initialize velocities with spherical distribution
         for (let i = 0; i < particleCount; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const speed = Math.random() * 3 + 1;
+            const theta = random() * Math.PI * 2;
+            const phi = random() * Math.PI;
+            const speed = random() * 3 + 1;
             
             particles.userData.velocities.push({
                 x: Math.sin(phi) * Math.cos(theta) * speed,
@@ -336,9 +734,10 @@ export default class WaterModel {
      * @param {THREE.Vector3} damPosition - Dam position
      * @param {number} damWidth - Width of the dam
      * @param {number} damHeight - Height of the dam
+     * @param {Function} random - Uniform random numbers in [0, 1), seeded for a repeatable flow
      * @returns {THREE.Points} Particle system
      */
-    createWaterOvertopping(scene, damPosition, damWidth, damHeight) {
+    createWaterOvertopping(scene, damPosition, damWidth, damHeight, random = Math.random) {
         // Create particles
         const particleCount = 200;
         const particleGeometry = new THREE.BufferGeometry();
@@ -349,9 +748,9 @@ export default class WaterModel {
             const i3 = i * 3;
             
             // Random position along dam crest
-            particlePositions[i3] = damPosition.x + (Math.random() - 0.5) * damWidth;
-            particlePositions[i3 + 1] = damHeight + Math.random() * 2;
-            particlePositions[i3 + 2] = damPosition.z + (Math.random() - 0.5) * 10;
+            particlePositions[i3] = damPosition.x + (random() - 0.5) * damWidth;
+            particlePositions[i3 + 1] = damHeight + random() * 2;
+            particlePositions[i3 + 2] = damPosition.z + (random() - 0.5) * 10;
         }
         
         particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
@@ -375,9 +774,9 @@ export default class WaterModel {
         for (let i = 0; i < particleCount; i++) {
             // Particles flow downward and outward from dam
             particles.userData.velocities.push({
-                x: (Math.random() - 0.5) * 0.5,
-                y: -Math.random() * 2 - 1,
-                z: Math.random() * 2 + 1 // Away from dam
+                x: (random() - 0.5) * 0.5,
+                y: -random() * 2 - 1,
+                z: random() * 2 + 1 // Away from dam
             });
         }
         
@@ -5,99 +5,6 @@ import * as THREE from 'three';
  * Provides common animation helpers and easing functions
  */
 
-/**
- * Create debris particles for landslide effect
- * @param {THREE.Scene} scene - The scene to add particles to
- * @param {THREE.Vector3} position - Base position for particles
- * @returns {THREE.Points} Particle system
- */
-export function createDebrisParticles(scene, position) {
-    const particleCount = 200;
-    const particleGeo = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    
-    // Initialize particles around the landslide
-    for (let i = 0; i < particleCount; i++) {
-        const i3 = i * 3;
-        
-        // Random positions near the landslide
-        positions[i3] = position.x + (Math.random() - 0.5) * 50;
-        positions[i3 + 1] = position.y + Math.random() * 50;
-        positions[i3 + 2] = position.z + (Math.random() - 0.5) * 50;
-    }
-    
-    particleGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    
-    // Create material
-    const particleMaterial = new THREE.PointsMaterial({
-        color: 0x8B4513,
-        size: 2,
-        opacity: 0.8,
-        transparent: true,
-        sizeAttenuation: true
-    });
-    
-    // Create particles
-    const particles = new THREE.Points(particleGeo, particleMaterial);
-    particles.userData.velocities = [];
-    
-    // Initialize velocities
-    for (let i = 0; i < particleCount; i++) {
-        particles.userData.velocities.push({
-            x: (Math.random() - 0.5) * 2,
-            y: Math.random() * -2,
-            z: (Math.random() - 0.5) * 2
-        });
-    }
-    
-    // Tag for cleanup
-    particles.userData.isAnimationObject = true;
-    
-    scene.add(particles);
-    
-    return particles;
-}
-
-/**
- * Update debris particles
- * @param {THREE.Scene} scene - Scene containing particles
- * @param {number} progress - Animation progress (0-1)
- */
-export function updateDebrisParticles(scene, progress) {
-    // Find all particle systems
-    scene.traverse(function(object) {
-        if (object instanceof THREE.Points && object.userData.isAnimationObject) {
-            const positions = object.geometry.attributes.position.array;
-            const velocities = object.userData.velocities;
-            
-            // Update each particle position
-            for (let i = 0; i < positions.length / 3; i++) {
-                const i3 = i * 3;
-                
-                // Apply velocity
-                positions[i3] += velocities[i].x;
-                positions[i3 + 1] += velocities[i].y;
-                positions[i3 + 2] += velocities[i].z;
-                
-                // Add gravity
-                velocities[i].y -= 0.1;
-                
-                // Bounce off ground
-                if (positions[i3 + 1] < 0) {
-                    positions[i3 + 1] = 0;
-                    velocities[i].y *= -0.4;
-                }
-            }
-            
-            // Fade out particles as animation progresses
-            object.material.opacity = Math.max(0, 0.8 - progress * 0.8);
-            
-            // Update geometry
-            object.geometry.attributes.position.needsUpdate = true;
-        }
-    });
-}
-
 /**
  * Update splash particles for water effects
  * @param {THREE.Scene} scene - Scene containing particles
@@ -155,31 +62,29 @@ export function cleanupAnimationObjects(scene) {
 
 /**
  * Add camera shake effect
+ * The shake runs on the simulation clock and stops if the clock rewinds
+ * @param {ClockModel} clock - Simulation clock
  * @param {THREE.Camera} camera - Camera to shake
  * @param {number} intensity - Shake intensity
  * @param {number} duration - Shake duration in milliseconds
+ * @param {Function} random - Uniform random numbers in [0, 1), seeded for a repeatable shake
  * @returns {Promise} Promise that resolves when shaking completes
  */
-export function addCameraShake(camera, intensity = 1, duration = 1000) {
+export function addCameraShake(clock, camera, intensity = 1, duration = 1000, random = Math.random) {
     if (!camera) return Promise.resolve();
     
     // Store original position
     const originalPosition = camera.position.clone();
-    
-    // Animation parameters
-    const startTime = Date.now();
-    let lastTime = startTime;
+    let elapsed = 0;
     
     return new Promise(resolve => {
-        function shakeStep() {
-            const now = Date.now();
-            const elapsed = now - startTime;
-            const deltaTime = now - lastTime;
-            lastTime = now;
+        const stop = clock.subscribe(step => {
+            elapsed += step * 1000;
             
             if (elapsed >= duration) {
                 // Reset to original position
                 camera.position.copy(originalPosition);
+                stop();
                 resolve();
                 return;
             }
@@ -188,26 +93,29 @@ export function addCameraShake(camera, intensity = 1, duration = 1000) {
             const remainingIntensity = intensity * (1 - elapsed / duration);
             
             // Add random displacement
-            camera.position.x = originalPosition.x + (Math.random() - 0.5) * remainingIntensity;
-            camera.position.y = originalPosition.y + (Math.random() - 0.5) * remainingIntensity;
-            camera.position.z = originalPosition.z + (Math.random() - 0.5) * remainingIntensity;
-            
-            requestAnimationFrame(shakeStep);
-        }
-        
-        shakeStep();
+            camera.position.x = originalPosition.x + (random() - 0.5) * remainingIntensity;
+            camera.position.y = originalPosition.y + (random() - 0.5) * remainingIntensity;
+            camera.position.z = originalPosition.z + (random() - 0.5) * remainingIntensity;
+        }, () => {
+            // Whatever rewinds the clock puts the camera back itself
+            stop();
+            resolve();
+        });
     });
 }
 
 /**
  * Create an explosion effect
+ * The explosion runs on the simulation clock and is removed if the clock rewinds
+ * @param {ClockModel} clock - Simulation clock
  * @param {THREE.Scene} scene - Scene to add explosion to
  * @param {THREE.Vector3} position - Explosion position
  * @param {number} size - Explosion size
  * @param {number} color - Explosion color
+ * @param {Function} random - Uniform random numbers in [0, 1), seeded for a repeatable explosion
  * @returns {THREE.Points} Particle system
  */
-export function createExplosionEffect(scene, position, size = 1, color = 0xff5500) {
+export function createExplosionEffect(clock, scene, position, size = 1, color = 0xff5500, random = Math.random) {
     const particleCount = 100 * size;
     const particleGeo = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
@@ -237,11 +145,11 @@ export function createExplosionEffect(scene, position, size = 1, color = 0xff550
     
     for (let i = 0; i < particleCount; i++) {
         // Random direction
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
+        const theta = random() * Math.PI * 2;
+        const phi = random() * Math.PI;
         
         // Random speed
-        const speed = Math.random() * 2 * size + 0.5;
+        const speed = random() * 2 * size + 0.5;
         
         // Convert to Cartesian coordinates
         particles.userData.velocities.push({
@@ -253,19 +161,23 @@ export function createExplosionEffect(scene, position, size = 1, color = 0xff550
     
     // Mark for cleanup
     particles.userData.isAnimationObject = true;
-    particles.userData.creationTime = Date.now();
+    particles.userData.elapsed = 0;
     particles.userData.duration = 1000; // 1 second
     
     scene.add(particles);
     
     // Animate explosion
-    function animateExplosion() {
-        const elapsed = Date.now() - particles.userData.creationTime;
-        const progress = Math.min(elapsed / particles.userData.duration, 1);
+    const remove = () => {
+        stop();
+        scene.remove(particles);
+    };
+    const stop = clock.subscribe(step => {
+        particles.userData.elapsed += step * 1000;
+        const progress = Math.min(particles.userData.elapsed / particles.userData.duration, 1);
         
         if (progress >= 1) {
             // Remove when complete
-            scene.remove(particles);
+            remove();
             return;
         }
         
@@ -292,13 +204,7 @@ export function createExplosionEffect(scene, position, size = 1, color = 0xff550
         
         // Update geometry
         particles.geometry.attributes.position.needsUpdate = true;
-        
-        // Continue animation
-        requestAnimationFrame(animateExplosion);
-    }
-    
-    // Start animation
-    animateExplosion();
+    }, remove);
     
     return particles;
 }
@@ -0,0 +1,23 @@
+/**
+ * File utilities for the Vajont Dam simulation
+ * Saves text the simulation produces as a download
+ */
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
@@ -57,6 +57,21 @@ export function loadTexture(textureLoader, path) {
     });
 }
 
+/**
+ * Load a JSON data file
+ * @param {string} path - Path to JSON file
+ * @returns {Promise<Object>} Promise resolving to parsed data
+ */
+export async function loadJSON(path) {
+    const response = await fetch(path);
+    
+    if (!response.ok) {
+        throw new Error(`Error loading ${path}: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json();
+}
+
 /**
  * Hide loading screen
  * @param {HTMLElement} loadingScreen - Loading screen element
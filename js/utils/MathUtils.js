@@ -0,0 +1,104 @@
+/**
+ * Math utilities for the Vajont Dam simulation
+ * Grid algorithms shared by the terrain and reservoir models, the seeded
+ * random numbers that make sampled and animated runs repeatable, and spline
+ * interpolation for camera paths
+ */
+
+// Edge pairs crossed by the isoline for each corner configuration
+// Edges: 0 top, 1 right, 2 bottom, 3 left; saddles 5 and 10 are resolved separately
+const MARCHING_SQUARES_EDGES = [
+    [], [[3, 0]], [[0, 1]], [[3, 1]],
+    [[1, 2]], null, [[0, 2]], [[3, 2]],
+    [[3, 2]], [[0, 2]], null, [[1, 2]],
+    [[3, 1]], [[0, 1]], [[3, 0]], []
+];
+
+/**
+ * Trace an isoline through a grid of values with marching squares
+ * Saddle cells are disambiguated by the average of their four corners
+ * @param {ArrayLike<number>} values - Row-major grid values
+ * @param {number} columns - Samples per row
+ * @param {number} rows - Number of rows
+ * @param {number} level - Isoline value
+ * @returns {Array<number>} Segment endpoints in grid coordinates, as [column0, row0, column1, row1, ...]
+ */
+export function marchingSquares(values, columns, rows, level) {
+    const segments = [];
+    
+    for (let row = 0; row < rows - 1; row++) {
+        for (let column = 0; column < columns - 1; column++) {
+            const topLeft = values[row * columns + column];
+            const topRight = values[row * columns + column + 1];
+            const bottomRight = values[(row + 1) * columns + column + 1];
+            const bottomLeft = values[(row + 1) * columns + column];
+            
+            const index = (topLeft >= level ? 1 : 0) |
+                          (topRight >= level ? 2 : 0) |
+                          (bottomRight >= level ? 4 : 0) |
+                          (bottomLeft >= level ? 8 : 0);
+            
+            if (index === 0 || index === 15) continue;
+            
+            let edges = MARCHING_SQUARES_EDGES[index];
+            if (!edges) {
+                const centreAbove = (topLeft + topRight + bottomRight + bottomLeft) / 4 >= level;
+                edges = (index === 5) === centreAbove ? [[0, 1], [3, 2]] : [[3, 0], [1, 2]];
+            }
+            
+            // Point where the isoline crosses an edge of the cell
+            const crossing = edge => {
+                switch (edge) {
+                    case 0: return [column + (level - topLeft) / (topRight - topLeft), row];
+                    case 1: return [column + 1, row + (level - topRight) / (bottomRight - topRight)];
+                    case 2: return [column + (level - bottomLeft) / (bottomRight - bottomLeft), row + 1];
+                    default: return [column, row + (level - topLeft) / (bottomLeft - topLeft)];
+                }
+            };
+            
+            edges.forEach(([from, to]) => {
+                segments.push(...crossing(from), ...crossing(to));
+            });
+        }
+    }
+    
+    return segments;
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns uniform numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Uniform Catmull-Rom spline between two control values
+ * The curve passes through p1 at t = 0 and p2 at t = 1; p0 and p3 shape the
+ * tangents so that neighbouring segments join smoothly
+ * @param {number} p0 - Value before the segment
+ * @param {number} p1 - Value at the start of the segment
+ * @param {number} p2 - Value at the end of the segment
+ * @param {number} p3 - Value after the segment
+ * @param {number} t - Position along the segment (0-1)
+ * @returns {number} Interpolated value
+ */
+export function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    
+    return 0.5 * (2 * p1 +
+                  (p2 - p0) * t +
+                  (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+                  (3 * p1 - p0 - 3 * p2 + p3) * t3);
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Unit utilities for the Vajont Dam simulation
+ * Maps the unitless reservoir slider onto real elevations above sea level
+ * and scene units onto metres, and formats values in metric or imperial units
+ */
+
+import CONFIG from '../config.js';
+
+/**
+ * Convert a slider water level to reservoir elevation
+ * @param {number} level - Water level (0-100)
+ * @returns {number} Elevation in metres above sea level
+ */
+export function levelToElevation(level) {
+    const { minElevation, maxElevation } = CONFIG.water;
+    return minElevation + (level / 100) * (maxElevation - minElevation);
+}
+
+/**
+ * Convert a reservoir elevation to a slider water level
+ * @param {number} elevation - Elevation in metres above sea level
+ * @returns {number} Water level (0-100), clamped to the slider range
+ */
+export function elevationToLevel(elevation) {
+    const { minElevation, maxElevation } = CONFIG.water;
+    const level = (elevation - minElevation) / (maxElevation - minElevation) * 100;
+    
+    return Math.min(Math.max(level, 0), 100);
+}
+
+/**
+ * Metres represented by one scene unit
+ * Derived from the slider's elevation span over its scene height span
+ * @returns {number} Metres per scene unit
+ */
+export function getMetresPerUnit() {
+    const water = CONFIG.water;
+    return (water.maxElevation - water.minElevation) / (water.maxHeight - water.minHeight);
+}
+
+/**
+ * Convert a length in metres to scene units
+ * @param {number} metres - Length in metres
+ * @returns {number} Length in scene units
+ */
+export function metresToScene(metres) {
+    return metres / getMetresPerUnit();
+}
+
+/**
+ * Convert a length in scene units to metres
+ * @param {number} units - Length in scene units
+ * @returns {number} Length in metres
+ */
+export function sceneToMetres(units) {
+    return units * getMetresPerUnit();
+}
+
+/**
+ * Convert an elevation to a scene height on the same scale as the water slider
+ * Unlike the slider, the result is not clamped, so waves can rise above the crest
+ * @param {number} elevation - Elevation in metres above sea level
+ * @returns {number} Scene y coordinate
+ */
+export function elevationToHeight(elevation) {
+    return CONFIG.water.minHeight + metresToScene(elevation - CONFIG.water.minElevation);
+}
+
+/**
+ * Convert a scene height to an elevation, the inverse of elevationToHeight
+ * @param {number} height - Scene y coordinate
+ * @returns {number} Elevation in metres above sea level
+ */
+export function heightToElevation(height) {
+    return CONFIG.water.minElevation + sceneToMetres(height - CONFIG.water.minHeight);
+}
+// Display units for each physical quantity; scale converts from SI
+const UNIT_SYSTEMS = {
+    metric: {
+        length: { scale: 1, symbol: 'm' },
+        speed: { scale: 1, symbol: 'm/s' },
+        rate: { scale: 100, symbol: 'cm/day' },
+        area: { scale: 1e-6, symbol: 'km²' },
+        volume: { scale: 1e-6, symbol: 'million m³' }
+    },
+    imperial: {
+        length: { scale: 3.28084, symbol: 'ft' },
+        speed: { scale: 2.23694, symbol: 'mph' },
+        rate: { scale: 39.3701, symbol: 'in/day' },
+        area: { scale: 3.86102e-7, symbol: 'mi²' },
+        volume: { scale: 35.3147e-6, symbol: 'million ft³' }
+    }
+};
+
+let unitSystem = 'metric';
+const unitListeners = [];
+
+/**
+ * Get the active display unit system
+ * @returns {string} 'metric' or 'imperial'
+ */
+export function getUnitSystem() {
+    return unitSystem;
+}
+
+/**
+ * Switch the display unit system and notify listeners
+ * @param {string} system - 'metric' or 'imperial'
+ */
+export function setUnitSystem(system) {
+    if (!UNIT_SYSTEMS[system] || system === unitSystem) return;
+    
+    unitSystem = system;
+    unitListeners.forEach(listener => listener(system));
+}
+
+/**
+ * Register a callback for unit system changes
+ * @param {Function} listener - Called with the new system name
+ */
+export function onUnitSystemChange(listener) {
+    unitListeners.push(listener);
+}
+
+/**
+ * Convert an SI value to the active display units
+ * @param {string} quantity - 'length', 'speed', 'rate', 'area' or 'volume'
+ * @param {number} value - Value in SI units (m, m/s, m/day, m², m³)
+ * @returns {number} Value in display units
+ */
+export function toDisplayUnits(quantity, value) {
+    return value * UNIT_SYSTEMS[unitSystem][quantity].scale;
+}
+
+/**
+ * Convert a value in the active display units back to SI
+ * @param {string} quantity - 'length', 'speed', 'rate', 'area' or 'volume'
+ * @param {number} value - Value in display units
+ * @returns {number} Value in SI units
+ */
+export function fromDisplayUnits(quantity, value) {
+    return value / UNIT_SYSTEMS[unitSystem][quantity].scale;
+}
+
+/**
+ * Get the display unit symbol for a quantity
+ * @param {string} quantity - 'length', 'speed', 'rate', 'area' or 'volume'
+ * @returns {string} Unit symbol
+ */
+export function getUnitSymbol(quantity) {
+    return UNIT_SYSTEMS[unitSystem][quantity].symbol;
+}
+
+/**
+ * Format an SI value in the active display units
+ * @param {string} quantity - 'length', 'speed', 'rate', 'area' or 'volume'
+ * @param {number} value - Value in SI units
+ * @param {number} digits - Decimal places
+ * @returns {string} Value with its unit symbol
+ */
+export function formatQuantity(quantity, value, digits = 0) {
+    return `${toDisplayUnits(quantity, value).toFixed(digits)} ${getUnitSymbol(quantity)}`;
+}
+
+/**
+ * Format an elevation above sea level in the active display units
+ * @param {number} elevation - Elevation in metres above sea level
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted elevation
+ */
+export function formatElevation(elevation, digits = 1) {
+    return `${formatQuantity('length', elevation, digits)} a.s.l.`;
+}
\ No newline at end of file
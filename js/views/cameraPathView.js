@@ -0,0 +1,223 @@
+// Labels of the easings in the keyframe list
+const EASING_LABELS = {
+    linear: 'Linear',
+    easeInOutQuad: 'Ease in-out',
+    easeInOutCubic: 'Ease in-out (strong)',
+    easeOutQuad: 'Ease out',
+    easeOutCubic: 'Ease out (strong)',
+    easeInOutBack: 'Overshoot'
+};
+
+/**
+ * CameraPathView - Editor for a recorded camera path
+ * Lists the keyframes with the time each is reached, and inputs for how long
+ * each takes to reach and how it is eased into
+ */
+export default class CameraPathView {
+    /**
+     * Initialize the camera path panel
+     * @param {string} panelId - ID of the panel element
+     * @param {string} listId - ID of the element the keyframes are listed in
+     */
+    constructor(panelId, listId) {
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById(listId);
+        this.status = document.getElementById('camera-path-status');
+        this.fileInput = document.getElementById('camera-path-file');
+        this.recordButton = document.getElementById('camera-path-record');
+        this.playButton = document.getElementById('camera-path-play');
+        this.previewButton = document.getElementById('camera-path-preview');
+        this.easings = [];
+        this.handlers = {};
+        
+        this._setupEventListeners();
+    }
+    
+    /**
+     * Register the handlers for the panel's buttons and inputs
+     * @param {Object} handlers - add(), record(), play(), preview(), clear(), save(), load(file),
+     *        duration(index, seconds), easing(index, name), view(index) and remove(index)
+     */
+    registerHandlers(handlers) {
+        this.handlers = handlers;
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('visible', visible);
+        }
+    }
+    
+    /**
+     * Set the easings a keyframe can choose from
+     * @param {Array<string>} easings - Easing names from CameraPathModel
+     */
+    setEasings(easings) {
+        this.easings = easings;
+    }
+    
+    /**
+     * List the keyframes
+     * @param {Array<Object>} keyframes - Keyframes from CameraPathModel
+     */
+    setKeyframes(keyframes) {
+        if (!this.list) return;
+        
+        if (keyframes.length === 0) {
+            this.list.innerHTML = '<p class="section-hint">No keyframes yet: orbit to a view and add it</p>';
+            return;
+        }
+        
+        let time = 0;
+        this.list.innerHTML = keyframes.map((keyframe, index) => {
+            time += keyframe.duration;
+            return `
+                <div class="camera-keyframe" data-index="${index}">
+                    <button class="keyframe-view" data-action="view" title="Move the camera to this keyframe">${index + 1}</button>
+                    <span class="keyframe-time" title="Time the keyframe is reached">${time.toFixed(1)} s</span>
+                    <input type="number" min="0" step="0.5" value="${keyframe.duration}" data-action="duration"
+                           title="${index === 0 ? 'Time to fly to the start of the path' : 'Time to reach this keyframe from the one before'} (s)">
+                    <select data-action="easing" title="Easing into this keyframe"${index === 0 ? ' disabled' : ''}>
+                        ${this.easings.map(easing => `
+                            <option value="${easing}"${easing === keyframe.easing ? ' selected' : ''}>${EASING_LABELS[easing] || easing}</option>
+                        `).join('')}
+                    </select>
+                    <button class="keyframe-remove" data-action="remove" title="Remove this keyframe">×</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Show whether the path is playing
+     * @param {boolean} playing - Whether the camera is flying the path
+     */
+    setPlaying(playing) {
+        if (this.playButton) {
+            this.playButton.textContent = playing ? 'Stop' : 'Play';
+            this.playButton.classList.toggle('on', playing);
+        }
+    }
+    
+    /**
+     * Show whether keyframes are recorded while orbiting
+     * @param {boolean} recording - Whether recording is on
+     */
+    setRecording(recording) {
+        if (this.recordButton) {
+            this.recordButton.textContent = recording ? 'Stop recording' : 'Record';
+            this.recordButton.classList.toggle('on', recording);
+        }
+    }
+    
+    /**
+     * Show whether the path is drawn in the scene
+     * @param {boolean} visible - Whether the preview is shown
+     */
+    setPreviewVisible(visible) {
+        if (this.previewButton) {
+            this.previewButton.classList.toggle('on', visible);
+        }
+    }
+    
+    /**
+     * Mark a keyframe input whose value was not accepted
+     * @param {number} index - Keyframe the input belongs to
+     * @param {string} action - 'duration' or 'easing'
+     * @param {boolean} invalid - Whether the value was rejected
+     */
+    markInvalid(index, action, invalid) {
+        if (!this.list) return;
+        
+        const input = this.list.querySelector(`.camera-keyframe[data-index="${index}"] [data-action="${action}"]`);
+        if (input) input.classList.toggle('invalid', invalid);
+    }
+    
+    /**
+     * Report the result of an action
+     * @param {string} message - Text to show, empty to clear
+     * @param {boolean} error - Whether the message reports a problem
+     */
+    showStatus(message, error = false) {
+        if (!this.status) return;
+        
+        this.status.textContent = message;
+        this.status.classList.toggle('error', error);
+    }
+    
+    /**
+     * Hook up the buttons and the keyframe list
+     * @private
+     */
+    _setupEventListeners() {
+        if (!this.panel) return;
+        
+        const buttons = {
+            'camera-path-add': 'add',
+            'camera-path-record': 'record',
+            'camera-path-play': 'play',
+            'camera-path-preview': 'preview',
+            'camera-path-clear': 'clear',
+            'camera-path-save': 'save'
+        };
+        Object.entries(buttons).forEach(([id, name]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this._call(name));
+        });
+        
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                if (this.fileInput.files.length > 0) {
+                    this._call('load', this.fileInput.files[0]);
+                }
+                this.fileInput.value = ''; // allow the same file to be loaded again
+            });
+        }
+        
+        if (this.list) {
+            // The list is rewritten on every edit, so its events are handled here
+            this.list.addEventListener('click', (event) => {
+                const action = event.target.dataset.action;
+                if (action === 'view' || action === 'remove') {
+                    this._call(action, this._getIndex(event.target));
+                }
+            });
+            
+            this.list.addEventListener('change', (event) => {
+                const action = event.target.dataset.action;
+                if (action === 'duration') {
+                    const value = event.target.value.trim() === '' ? NaN : Number(event.target.value);
+                    this._call('duration', this._getIndex(event.target), value);
+                } else if (action === 'easing') {
+                    this._call('easing', this._getIndex(event.target), event.target.value);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Call a registered handler if there is one
+     * @param {string} name - Handler name
+     * @param {...*} args - Arguments for the handler
+     * @private
+     */
+    _call(name, ...args) {
+        if (this.handlers[name]) {
+            this.handlers[name](...args);
+        }
+    }
+    
+    /**
+     * Index of the keyframe an element of the list belongs to
+     * @param {HTMLElement} element - Element in a keyframe row
+     * @returns {number} Keyframe index
+     * @private
+     */
+    _getIndex(element) {
+        return Number(element.closest('.camera-keyframe').dataset.index);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { toDisplayUnits, getUnitSymbol, formatQuantity } from '../utils/UnitUtils.js';
+
+/**
+ * ChartView - Draws the creep monitoring charts
+ * Plots creep velocity and inverse velocity against simulated time on a
+ * canvas, with the Fukuzono failure forecast extrapolated to zero
+ */
+export default class ChartView {
+    /**
+     * Initialize the chart view
+     * @param {string} canvasId - ID of the chart canvas element
+     * @param {string} readoutId - ID of the text readout element
+     */
+    constructor(canvasId, readoutId) {
+        this.canvas = document.getElementById(canvasId);
+        this.readout = document.getElementById(readoutId);
+        this.context = this.canvas ? this.canvas.getContext('2d') : null;
+    }
+    
+    /**
+     * Redraw the charts and readout
+     * @param {CreepModel} creep - Creep model with velocity samples
+     * @param {Object|null} forecast - Result from CreepModel.forecastFailure
+     */
+    update(creep, forecast) {
+        if (this.context) {
+            this._draw(creep.samples, forecast);
+        }
+        
+        if (this.readout) {
+            this.readout.textContent = this._formatReadout(creep, forecast);
+        }
+    }
+    
+    /**
+     * Draw both plots
+     * @param {Array<Object>} samples - Creep samples
+     * @param {Object|null} forecast - Failure forecast
+     * @private
+     */
+    _draw(samples, forecast) {
+        const context = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        context.clearRect(0, 0, width, height);
+        if (samples.length < 2) return;
+        
+        // Share the time axis, extended to the forecast failure day
+        const startDay = samples[0].day;
+        let endDay = samples[samples.length - 1].day;
+        if (forecast) {
+            endDay = Math.max(endDay, forecast.day);
+        }
+        
+        const plotHeight = (height - 30) / 2;
+        
+        // Velocity in cm/day (or in/day)
+        this._drawPlot(
+            { x: 40, y: 10, width: width - 50, height: plotHeight - 10 },
+            samples.map(sample => ({ x: sample.day, y: toDisplayUnits('rate', sample.velocity) })),
+            { startDay, endDay, color: '#e53935', label: `Velocity (${getUnitSymbol('rate')})` }
+        );
+        
+        // Inverse velocity in day/m (or day/ft) with the fitted trend
+        const perLength = 1 / toDisplayUnits('length', 1);
+        const inverseArea = { x: 40, y: plotHeight + 20, width: width - 50, height: plotHeight - 10 };
+        const inversePoints = samples
+            .filter(sample => forecast ? sample.day >= forecast.fromDay : true)
+            .map(sample => ({ x: sample.day, y: sample.inverseVelocity * perLength }));
+        const yRange = this._drawPlot(
+            inverseArea,
+            inversePoints,
+            { startDay: forecast ? forecast.fromDay : startDay, endDay, color: '#1a237e', label: `1/v (day/${getUnitSymbol('length')})`, fromZero: true }
+        );
+        
+        if (forecast && yRange) {
+            this._drawForecast(inverseArea, forecast, forecast.fromDay, endDay, yRange, perLength);
+        }
+    }
+    
+    /**
+     * Draw one line plot with axes
+     * @param {Object} area - Plot rectangle in canvas pixels
+     * @param {Array<Object>} points - Points with x (day) and y values
+     * @param {Object} options - Time range, color, label and axis options
+     * @returns {Object|null} The y range used, or null if nothing was drawn
+     * @private
+     */
+    _drawPlot(area, points, options) {
+        const context = this.context;
+        if (points.length < 2) return null;
+        
+        let minY = options.fromZero ? 0 : Infinity;
+        let maxY = -Infinity;
+        points.forEach(point => {
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        });
+        if (maxY <= minY) maxY = minY + 1;
+        
+        const toX = day => area.x + (day - options.startDay) / Math.max(options.endDay - options.startDay, 1e-6) * area.width;
+        const toY = value => area.y + area.height - (value - minY) / (maxY - minY) * area.height;
+        
+        // Axes
+        context.strokeStyle = '#999';
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(area.x, area.y);
+        context.lineTo(area.x, area.y + area.height);
+        context.lineTo(area.x + area.width, area.y + area.height);
+        context.stroke();
+        
+        // Labels
+        context.fillStyle = '#333';
+        context.font = '10px sans-serif';
+        context.fillText(options.label, area.x + 4, area.y + 10);
+        context.fillText(this._formatValue(maxY), 2, area.y + 8);
+        context.fillText(this._formatValue(minY), 2, area.y + area.height);
+        
+        // Series
+        context.strokeStyle = options.color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        points.forEach((point, index) => {
+            const x = toX(point.x);
+            const y = toY(point.y);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+        
+        return { minY, maxY };
+    }
+    
+    /**
+     * Draw the fitted inverse-velocity line and the forecast failure marker
+     * @param {Object} area - Plot rectangle in canvas pixels
+     * @param {Object} forecast - Failure forecast with slope and intercept
+     * @param {number} startDay - First day on the axis
+     * @param {number} endDay - Last day on the axis
+     * @param {Object} yRange - Y range of the plot
+     * @param {number} perLength - Scale from day/m to the plotted inverse-velocity units
+     * @private
+     */
+    _drawForecast(area, forecast, startDay, endDay, yRange, perLength) {
+        const context = this.context;
+        const toX = day => area.x + (day - startDay) / Math.max(endDay - startDay, 1e-6) * area.width;
+        const toY = value => area.y + area.height - (value - yRange.minY) / (yRange.maxY - yRange.minY) * area.height;
+        
+        const lineStart = (forecast.slope * startDay + forecast.intercept) * perLength;
+        
+        context.strokeStyle = '#ff9800';
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        context.moveTo(toX(startDay), toY(Math.min(lineStart, yRange.maxY)));
+        context.lineTo(toX(forecast.day), toY(0));
+        context.stroke();
+        context.setLineDash([]);
+        
+        // Forecast failure point on the time axis
+        context.fillStyle = '#e53935';
+        context.beginPath();
+        context.arc(toX(forecast.day), toY(0), 4, 0, Math.PI * 2);
+        context.fill();
+    }
+    
+    /**
+     * Format the text readout
+     * @param {CreepModel} creep - Creep model
+     * @param {Object|null} forecast - Failure forecast
+     * @returns {string} Readout text
+     * @private
+     */
+    _formatReadout(creep, forecast) {
+        const movement = `Displacement: ${formatQuantity('length', creep.displacement, 2)} · ` +
+                         `Velocity: ${formatQuantity('rate', creep.velocity, 2)}`;
+        
+        if (creep.failed) {
+            return `${movement} · Runaway failure`;
+        }
+        
+        if (!forecast) {
+            return `${movement} · Not accelerating`;
+        }
+        
+        const when = forecast.time !== null ?
+                   new Date(forecast.time).toLocaleDateString('en-GB', {
+                       day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+                   }) :
+                   `day ${Math.round(forecast.day)}`;
+        
+        return `${movement} · Forecast failure: ${when}`;
+    }
+    
+    /**
+     * Format an axis value compactly
+     * @param {number} value - Value to format
+     * @returns {string} Formatted value
+     * @private
+     */
+    _formatValue(value) {
+        if (value >= 1000) return `${(value / 1000).toFixed(0)}k`;
+        if (value >= 10) return value.toFixed(0);
+        return value.toFixed(1);
+    }
+}
\ No newline at end of file
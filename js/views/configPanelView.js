@@ -0,0 +1,168 @@
+/**
+ * ConfigPanelView - Editor for the simulation settings
+ * Shows one group of inputs per CONFIG section and marks invalid values;
+ * nothing is applied until the Apply button is pressed
+ */
+export default class ConfigPanelView {
+    /**
+     * Initialize the parameter panel
+     * @param {string} panelId - ID of the panel element
+     * @param {string} listId - ID of the element the inputs are written into
+     */
+    constructor(panelId, listId) {
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById(listId);
+        this.status = document.getElementById('config-status');
+        this.fileInput = document.getElementById('config-file');
+        this.sections = [];
+        this.onApply = null;
+        this.onReset = null;
+        this.onSave = null;
+        this.onLoad = null;
+        
+        this._setupEventListeners();
+    }
+    
+    /**
+     * Register the handlers for the panel's buttons
+     * @param {Object} handlers - apply(values), reset(), save(values) and load(file)
+     */
+    registerHandlers(handlers) {
+        this.onApply = handlers.apply;
+        this.onReset = handlers.reset;
+        this.onSave = handlers.save;
+        this.onLoad = handlers.load;
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('visible', visible);
+        }
+    }
+    
+    /**
+     * Write one group of inputs per section
+     * @param {Array<Object>} sections - Sections from ConfigModel.getSections
+     */
+    setSections(sections) {
+        this.sections = sections;
+        if (!this.list) return;
+        
+        this.list.innerHTML = sections.map((section, index) => `
+            <details class="config-section"${index === 0 ? ' open' : ''}>
+                <summary>${section.label}</summary>
+                ${section.fields.map(field => `
+                    <label class="config-field">
+                        <span>${field.label}${field.unit ? ` <em>(${field.unit})</em>` : ''}</span>
+                        <input type="${field.type === 'color' ? 'color' : 'number'}"
+                               data-section="${section.key}" data-key="${field.key}"
+                               ${field.type === 'color' ? '' : `min="${field.min}" max="${field.max}" step="${field.integer ? 1 : 'any'}"`}>
+                    </label>
+                `).join('')}
+            </details>
+        `).join('');
+        
+        // Edits are only marked until they are applied
+        this.list.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => input.classList.remove('invalid'));
+        });
+    }
+    
+    /**
+     * Fill the inputs
+     * @param {Object} values - Values keyed by section, then by field
+     */
+    setValues(values) {
+        this._getInputs().forEach(input => {
+            const value = values[input.dataset.section][input.dataset.key];
+            input.value = input.type === 'color' ? `#${value.toString(16).padStart(6, '0')}` : value;
+            input.classList.remove('invalid');
+        });
+    }
+    
+    /**
+     * Read the inputs
+     * Empty or unreadable numbers are returned as NaN for validation to report
+     * @returns {Object} Values keyed by section, then by field
+     */
+    getValues() {
+        const values = {};
+        
+        this.sections.forEach(section => {
+            values[section.key] = {};
+        });
+        this._getInputs().forEach(input => {
+            values[input.dataset.section][input.dataset.key] = input.type === 'color' ?
+                parseInt(input.value.slice(1), 16) :
+                (input.value.trim() === '' ? NaN : Number(input.value));
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Mark invalid inputs, open their sections and list the problems
+     * @param {Array<Object>} errors - Problems from ConfigModel.validate
+     */
+    showErrors(errors) {
+        this._getInputs().forEach(input => {
+            const invalid = errors.some(error => error.section === input.dataset.section && error.key === input.dataset.key);
+            input.classList.toggle('invalid', invalid);
+            if (invalid) input.closest('details').open = true;
+        });
+        
+        this.showStatus(errors.map(error => error.message).join('; '), true);
+    }
+    
+    /**
+     * Report the result of an action
+     * @param {string} message - Text to show, empty to clear
+     * @param {boolean} error - Whether the message reports a problem
+     */
+    showStatus(message, error = false) {
+        if (!this.status) return;
+        
+        this.status.textContent = message;
+        this.status.classList.toggle('error', error);
+    }
+    
+    /**
+     * Hook up the buttons
+     * @private
+     */
+    _setupEventListeners() {
+        if (!this.panel) return;
+        
+        const buttons = {
+            'config-apply': () => this.onApply && this.onApply(this.getValues()),
+            'config-reset': () => this.onReset && this.onReset(),
+            'config-save': () => this.onSave && this.onSave(this.getValues())
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
+        
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                if (this.fileInput.files.length > 0 && this.onLoad) {
+                    this.onLoad(this.fileInput.files[0]);
+                }
+                this.fileInput.value = ''; // allow the same file to be loaded again
+            });
+        }
+    }
+    
+    /**
+     * Inputs of every field
+     * @returns {Array<HTMLInputElement>} The inputs
+     * @private
+     */
+    _getInputs() {
+        return this.list ? Array.from(this.list.querySelectorAll('input[data-section]')) : [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { formatQuantity } from '../utils/UnitUtils.js';
+
+/**
+ * LegendView - Lists the stratigraphic layers with their colours and properties
+ * Shares its colours with the cross-section and the clay layer so the
+ * legend can be read against the 3D model
+ */
+export default class LegendView {
+    /**
+     * Initialize the legend view
+     * @param {string} panelId - ID of the legend panel element
+     * @param {string} listId - ID of the element the layer table is written into
+     */
+    constructor(panelId, listId) {
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById(listId);
+    }
+    
+    /**
+     * Redraw the layer table
+     * Names come from stratigraphy files, so they are written as text
+     * @param {StratigraphyModel} stratigraphy - Layers to list
+     */
+    update(stratigraphy) {
+        if (!this.list) return;
+        
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['', 'Layer', 'Thickness', 'Dip', 'γ (kN/m³)', 'φ', 'c (kPa)', 'k (m/s)'].forEach(heading => {
+            const cell = document.createElement('th');
+            cell.textContent = heading;
+            header.appendChild(cell);
+        });
+        
+        stratigraphy.layers.forEach(layer => {
+            const row = table.insertRow();
+            if (layer.failurePlane) row.className = 'failure-plane';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = layer.color;
+            row.insertCell().appendChild(swatch);
+            
+            [
+                layer.name,
+                formatQuantity('length', layer.thickness),
+                `${layer.dip}°`,
+                layer.unitWeight,
+                `${layer.frictionAngle}°`,
+                layer.cohesion,
+                layer.permeability.toExponential(0)
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        
+        this.list.replaceChildren(table);
+    }
+    
+    /**
+     * Show or hide the legend panel
+     * @param {boolean} visible - Whether the legend should be shown
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('visible', visible);
+        }
+    }
+    
+    /**
+     * Show a problem with a stratigraphy file
+     * @param {string|null} message - Error message, or null to clear it
+     */
+    showError(message) {
+        const error = this.panel ? this.panel.querySelector('.legend-error') : null;
+        if (error) {
+            error.textContent = message || '';
+        }
+    }
+}
\ No newline at end of file
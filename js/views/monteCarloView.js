@@ -0,0 +1,510 @@
+import { toDisplayUnits, getUnitSymbol, formatQuantity, onUnitSystemChange } from '../utils/UnitUtils.js';
+
+// Uncertain inputs of the stability analysis, in the units of CONFIG.geology
+const PARAMETERS = [
+    { key: 'frictionAngle', label: 'Clay friction angle', unit: '°' },
+    { key: 'cohesion', label: 'Clay cohesion', unit: 'kPa' },
+    { key: 'clayLayerThickness', label: 'Clay thickness', unit: 'm' },
+    { key: 'clayLayerAngle', label: 'Failure plane dip', unit: '°' },
+    { key: 'poreRatio', label: 'Pore-pressure ratio ru', unit: '' }
+];
+
+// Values each distribution type is described by
+const DISTRIBUTION_FIELDS = {
+    normal: [{ field: 'mean', label: 'mean' }, { field: 'sd', label: 'sd' }],
+    lognormal: [{ field: 'mean', label: 'mean' }, { field: 'sd', label: 'sd' }],
+    uniform: [{ field: 'min', label: 'min' }, { field: 'max', label: 'max' }],
+    triangular: [{ field: 'min', label: 'min' }, { field: 'mode', label: 'mode' }, { field: 'max', label: 'max' }]
+};
+
+/**
+ * MonteCarloView - Panel for the Monte Carlo stability analysis
+ * Edits the parameter distributions, reports progress and draws the
+ * probability of failure against reservoir elevation and a tornado diagram
+ */
+export default class MonteCarloView {
+    /**
+     * Initialize the Monte Carlo panel
+     * @param {string} panelId - ID of the panel element
+     */
+    constructor(panelId) {
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById('mc-parameters');
+        this.samplesInput = document.getElementById('mc-samples');
+        this.runButton = document.getElementById('mc-run');
+        this.status = document.getElementById('mc-status');
+        this.curveCanvas = document.getElementById('mc-probability-chart');
+        this.tornadoCanvas = document.getElementById('mc-tornado-chart');
+        this.exportButtons = Array.from(document.querySelectorAll('#monte-carlo-panel [data-export]'));
+        
+        this.distributions = {};
+        this.base = {};
+        this.result = null;
+        this.currentLevel = null;
+        this.running = false;
+        this.onRun = null;
+        this.onCancel = null;
+        this.onExport = null;
+        
+        this._setupEventListeners();
+        this.setResult(null);
+        onUnitSystemChange(() => this._draw());
+    }
+    
+    /**
+     * Register the handlers for the panel's buttons
+     * @param {Object} handlers - run(settings), cancel() and export(format)
+     */
+    registerHandlers(handlers) {
+        this.onRun = handlers.run;
+        this.onCancel = handlers.cancel;
+        this.onExport = handlers.export;
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('visible', visible);
+        }
+    }
+    
+    /**
+     * Fill the editor with distributions and a sample count
+     * A mean or mode left empty stands for the current value of the parameter
+     * @param {Object} distributions - Distributions keyed by parameter, as in CONFIG.monteCarlo
+     * @param {number} samples - Number of samples
+     */
+    setSettings(distributions, samples) {
+        this.distributions = JSON.parse(JSON.stringify(distributions));
+        if (this.samplesInput) {
+            this.samplesInput.value = samples;
+        }
+        this._createEditors();
+    }
+    
+    /**
+     * Current values of the parameters, shown where a mean or mode is empty
+     * @param {Object} base - Current geology parameters
+     */
+    setBase(base) {
+        this.base = Object.assign({}, base);
+        this._createEditors();
+    }
+    
+    /**
+     * Read the edited settings
+     * @returns {Object} Distributions keyed by parameter and the sample count
+     */
+    getSettings() {
+        return {
+            distributions: JSON.parse(JSON.stringify(this.distributions)),
+            samples: this.samplesInput ? parseInt(this.samplesInput.value, 10) : 0
+        };
+    }
+    
+    /**
+     * Switch the run button between running and cancelling
+     * @param {boolean} running - Whether a run is in progress
+     */
+    setRunning(running) {
+        this.running = running;
+        if (this.runButton) {
+            this.runButton.textContent = running ? 'Cancel' : 'Run';
+            this.runButton.classList.toggle('on', running);
+        }
+    }
+    
+    /**
+     * Report how far the run has got
+     * @param {number} done - Samples evaluated
+     * @param {number} total - Samples requested
+     */
+    showProgress(done, total) {
+        this._setStatus(`Evaluating ${done} of ${total} samples…`);
+    }
+    
+    /**
+     * Report a failed run
+     * @param {string} message - What went wrong
+     */
+    showError(message) {
+        this._setStatus(message, true);
+    }
+    
+    /**
+     * Show a finished run, or clear the charts
+     * @param {Object|null} result - Result from MonteCarloModel.run
+     */
+    setResult(result) {
+        this.result = result;
+        this.exportButtons.forEach(button => {
+            button.disabled = !result;
+        });
+        
+        if (result) {
+            const reference = result.curve.find(point => point.level >= result.tornado.level) || result.curve[result.curve.length - 1];
+            this._setStatus(`${result.samples} samples · P(failure) at ` +
+                            `${formatQuantity('length', reference.elevation, 0)} a.s.l.: ` +
+                            `${(reference.probability * 100).toFixed(1)}%`);
+        } else {
+            this._setStatus('Run the analysis to sample the factor of safety');
+        }
+        
+        this._draw();
+    }
+    
+    /**
+     * Mark the current reservoir level on the probability curve
+     * @param {number} level - Water level (0-100)
+     * @param {number} elevation - Reservoir elevation (m a.s.l.)
+     */
+    setCurrentLevel(level, elevation) {
+        if (this.currentLevel && this.currentLevel.level === level) return;
+        
+        this.currentLevel = { level, elevation };
+        this._draw();
+    }
+    
+    /**
+     * Wire the buttons of the panel
+     * @private
+     */
+    _setupEventListeners() {
+        if (this.runButton) {
+            this.runButton.addEventListener('click', () => {
+                if (this.running) {
+                    if (this.onCancel) this.onCancel();
+                } else if (this.onRun) {
+                    this.onRun(this.getSettings());
+                }
+            });
+        }
+        
+        this.exportButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onExport) this.onExport(button.dataset.export);
+            });
+        });
+    }
+    
+    /**
+     * Write a distribution editor per parameter
+     * @private
+     */
+    _createEditors() {
+        if (!this.list) return;
+        
+        const types = Object.keys(DISTRIBUTION_FIELDS);
+        
+        this.list.innerHTML = PARAMETERS.filter(parameter => this.distributions[parameter.key]).map(parameter => {
+            const distribution = this.distributions[parameter.key];
+            const unit = parameter.unit ? ` (${parameter.unit})` : '';
+            const fields = DISTRIBUTION_FIELDS[distribution.type] || [];
+            
+            return `
+                <div class="mc-parameter" data-key="${parameter.key}">
+                    <div class="mc-parameter-name">${parameter.label}${unit}</div>
+                    <select data-key="${parameter.key}">
+                        ${types.map(type => `<option value="${type}"${type === distribution.type ? ' selected' : ''}>${type}</option>`).join('')}
+                    </select>
+                    ${fields.map(({ field, label }) => `
+                        <label>${label}
+                            <input type="number" step="any" data-key="${parameter.key}" data-field="${field}"
+                                   value="${this._formatInput(distribution[field])}"
+                                   ${field === 'mean' || field === 'mode' ? `placeholder="${this._formatInput(this.base[parameter.key])}"` : ''}>
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+        
+        this.list.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this._changeType(select.dataset.key, select.value));
+        });
+        
+        this.list.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                const field = input.dataset.field;
+                const current = input.value === '' && (field === 'mean' || field === 'mode');
+                this.distributions[input.dataset.key][field] = current ? null : parseFloat(input.value);
+            });
+        });
+    }
+    
+    /**
+     * Switch a parameter to another type of distribution
+     * The new distribution keeps the centre and spread of the old one
+     * @param {string} key - Parameter key
+     * @param {string} type - New distribution type
+     * @private
+     */
+    _changeType(key, type) {
+        const old = this.distributions[key];
+        const range = 'min' in old ?
+                    { centre: 'mode' in old ? old.mode : (old.min + old.max) / 2, spread: (old.max - old.min) / 4 } :
+                    { centre: old.mean, spread: old.sd };
+        
+        // An empty centre stays empty where the new type has a mean or mode
+        const value = range.centre === null ? this.base[key] : range.centre;
+        
+        if (type === 'normal' || type === 'lognormal') {
+            this.distributions[key] = { type, mean: range.centre, sd: range.spread };
+        } else if (type === 'uniform') {
+            this.distributions[key] = { type, min: value - 2 * range.spread, max: value + 2 * range.spread };
+        } else {
+            this.distributions[key] = {
+                type,
+                min: value - 2 * range.spread,
+                mode: range.centre,
+                max: value + 2 * range.spread
+            };
+        }
+        
+        this._createEditors();
+    }
+    
+    /**
+     * Round a value for an input box
+     * @param {number} value - Value to show
+     * @returns {string} Value with at most four significant decimals
+     * @private
+     */
+    _formatInput(value) {
+        return Number.isFinite(value) ? String(parseFloat(value.toPrecision(4))) : '';
+    }
+    
+    /**
+     * Set the status line
+     * @param {string} text - Status text
+     * @param {boolean} error - Whether the text reports an error
+     * @private
+     */
+    _setStatus(text, error = false) {
+        if (this.status) {
+            this.status.textContent = text;
+            this.status.classList.toggle('error', error);
+        }
+    }
+    
+    /**
+     * Redraw both charts
+     * @private
+     */
+    _draw() {
+        this._drawCurve();
+        this._drawTornado();
+    }
+    
+    /**
+     * Draw the probability of failure against reservoir elevation, with the
+     * 5–95% band of the factor of safety on a second axis
+     * @private
+     */
+    _drawCurve() {
+        if (!this.curveCanvas) return;
+        
+        const context = this.curveCanvas.getContext('2d');
+        const width = this.curveCanvas.width;
+        const height = this.curveCanvas.height;
+        context.clearRect(0, 0, width, height);
+        
+        const area = { x: 36, y: 14, width: width - 72, height: height - 40 };
+        this._drawAxes(context, area);
+        
+        if (!this.result) return;
+        
+        const curve = this.result.curve;
+        const minElevation = curve[0].elevation;
+        const maxElevation = curve[curve.length - 1].elevation;
+        const maxFactor = Math.max(1.5, ...curve.map(point => point.p95));
+        
+        const toX = elevation => area.x + (elevation - minElevation) / Math.max(maxElevation - minElevation, 1e-6) * area.width;
+        const toY = probability => area.y + area.height * (1 - probability);
+        const toFactorY = factor => area.y + area.height * (1 - factor / maxFactor);
+        
+        // Spread of the factor of safety
+        context.fillStyle = 'rgba(26, 35, 126, 0.12)';
+        context.beginPath();
+        curve.forEach((point, index) => {
+            const method = index === 0 ? 'moveTo' : 'lineTo';
+            context[method](toX(point.elevation), toFactorY(point.p95));
+        });
+        for (let index = curve.length - 1; index >= 0; index--) {
+            context.lineTo(toX(curve[index].elevation), toFactorY(curve[index].p5));
+        }
+        context.closePath();
+        context.fill();
+        
+        this._drawLine(context, curve.map(point => [toX(point.elevation), toFactorY(point.p50)]), '#1a237e', 1);
+        
+        // Factor of safety of 1
+        context.strokeStyle = '#999';
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        context.moveTo(area.x, toFactorY(1));
+        context.lineTo(area.x + area.width, toFactorY(1));
+        context.stroke();
+        context.setLineDash([]);
+        
+        // Probability of failure
+        this._drawLine(context, curve.map(point => [toX(point.elevation), toY(point.probability)]), '#e53935', 2);
+        
+        // Current reservoir level
+        if (this.currentLevel) {
+            const x = toX(this.currentLevel.elevation);
+            context.strokeStyle = '#2196F3';
+            context.beginPath();
+            context.moveTo(x, area.y);
+            context.lineTo(x, area.y + area.height);
+            context.stroke();
+        }
+        
+        // Labels
+        const perLength = toDisplayUnits('length', 1);
+        context.fillStyle = '#333';
+        context.font = '10px sans-serif';
+        context.textAlign = 'left';
+        context.fillText('100%', 2, area.y + 4);
+        context.fillText('0%', 2, area.y + area.height);
+        context.fillText((minElevation * perLength).toFixed(0), area.x, area.y + area.height + 12);
+        context.textAlign = 'right';
+        context.fillText((maxElevation * perLength).toFixed(0), area.x + area.width, area.y + area.height + 12);
+        context.fillText(maxFactor.toFixed(1), width - 2, area.y + 4);
+        context.fillText('0', width - 2, area.y + area.height);
+        context.textAlign = 'center';
+        context.fillText(`Reservoir elevation (${getUnitSymbol('length')} a.s.l.)`, area.x + area.width / 2, height - 4);
+        context.fillStyle = '#e53935';
+        context.textAlign = 'left';
+        context.fillText('P(failure)', area.x + 4, area.y - 4);
+        context.fillStyle = '#1a237e';
+        context.textAlign = 'right';
+        context.fillText('FoS 5–95%', area.x + area.width - 4, area.y - 4);
+        context.textAlign = 'left';
+    }
+    
+    /**
+     * Draw the tornado diagram: the factor of safety at the reference level
+     * with each parameter at its low and high percentile
+     * @private
+     */
+    _drawTornado() {
+        if (!this.tornadoCanvas) return;
+        
+        const context = this.tornadoCanvas.getContext('2d');
+        const width = this.tornadoCanvas.width;
+        const height = this.tornadoCanvas.height;
+        context.clearRect(0, 0, width, height);
+        
+        if (!this.result) return;
+        
+        const tornado = this.result.tornado;
+        const bars = tornado.bars;
+        const area = { x: 110, y: 16, width: width - 120, height: height - 36 };
+        const rowHeight = area.height / Math.max(bars.length, 1);
+        
+        let minFactor = tornado.factorOfSafety;
+        let maxFactor = tornado.factorOfSafety;
+        bars.forEach(bar => {
+            minFactor = Math.min(minFactor, bar.low.factorOfSafety, bar.high.factorOfSafety);
+            maxFactor = Math.max(maxFactor, bar.low.factorOfSafety, bar.high.factorOfSafety);
+        });
+        const margin = Math.max((maxFactor - minFactor) * 0.05, 0.01);
+        minFactor -= margin;
+        maxFactor += margin;
+        
+        const toX = factor => area.x + (factor - minFactor) / (maxFactor - minFactor) * area.width;
+        const baseX = toX(tornado.factorOfSafety);
+        
+        context.font = '10px sans-serif';
+        bars.forEach((bar, index) => {
+            const y = area.y + index * rowHeight;
+            const parameter = PARAMETERS.find(entry => entry.key === bar.key) || { label: bar.key };
+            
+            [[bar.low, '#2196F3'], [bar.high, '#ff9800']].forEach(([end, color]) => {
+                const x = toX(end.factorOfSafety);
+                context.fillStyle = color;
+                context.fillRect(Math.min(x, baseX), y + rowHeight * 0.2, Math.abs(x - baseX), rowHeight * 0.6);
+            });
+            
+            context.fillStyle = '#333';
+            context.textAlign = 'right';
+            context.fillText(parameter.label, area.x - 4, y + rowHeight / 2 + 3);
+        });
+        
+        // Base case and failure lines
+        context.strokeStyle = '#333';
+        context.beginPath();
+        context.moveTo(baseX, area.y);
+        context.lineTo(baseX, area.y + area.height);
+        context.stroke();
+        
+        if (minFactor < 1 && maxFactor > 1) {
+            context.strokeStyle = '#e53935';
+            context.setLineDash([4, 3]);
+            context.beginPath();
+            context.moveTo(toX(1), area.y);
+            context.lineTo(toX(1), area.y + area.height);
+            context.stroke();
+            context.setLineDash([]);
+        }
+        
+        const [low, high] = tornado.percentiles;
+        context.fillStyle = '#333';
+        context.textAlign = 'left';
+        context.fillText(`FoS at ${formatQuantity('length', tornado.elevation, 0)} a.s.l.`, 2, 10);
+        context.fillText(minFactor.toFixed(2), area.x, height - 8);
+        context.textAlign = 'right';
+        context.fillText(maxFactor.toFixed(2), area.x + area.width, height - 8);
+        context.fillText(`P${low}`, width - 34, 10);
+        context.fillStyle = '#2196F3';
+        context.fillRect(width - 32, 3, 8, 8);
+        context.fillStyle = '#333';
+        context.fillText(`P${high}`, width - 12, 10);
+        context.fillStyle = '#ff9800';
+        context.fillRect(width - 10, 3, 8, 8);
+        context.textAlign = 'left';
+    }
+    
+    /**
+     * Draw the axes of the probability chart
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Object} area - Plot rectangle in canvas pixels
+     * @private
+     */
+    _drawAxes(context, area) {
+        context.strokeStyle = '#999';
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(area.x, area.y);
+        context.lineTo(area.x, area.y + area.height);
+        context.lineTo(area.x + area.width, area.y + area.height);
+        context.lineTo(area.x + area.width, area.y);
+        context.stroke();
+    }
+    
+    /**
+     * Draw a polyline
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Array<Array<number>>} points - Canvas points as [x, y]
+     * @param {string} color - Line color
+     * @param {number} lineWidth - Line width in pixels
+     * @private
+     */
+    _drawLine(context, points, color, lineWidth) {
+        context.strokeStyle = color;
+        context.lineWidth = lineWidth;
+        context.beginPath();
+        points.forEach(([x, y], index) => {
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+        context.lineWidth = 1;
+    }
+}
\ No newline at end of file
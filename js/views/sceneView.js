@@ -35,6 +35,19 @@ export default class SceneView {
         );
     }
     
+    /**
+     * Apply the scene settings to the background and fog
+     * Called after CONFIG.scene is edited
+     */
+    applySceneSettings() {
+        this.scene.background = new THREE.Color(CONFIG.scene.backgroundColor);
+        if (this.scene.fog) {
+            this.scene.fog.color.set(CONFIG.scene.backgroundColor);
+            this.scene.fog.near = CONFIG.scene.fogNear;
+            this.scene.fog.far = CONFIG.scene.fogFar;
+        }
+    }
+    
     /**
      * Setup renderer
      * @private
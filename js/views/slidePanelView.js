@@ -0,0 +1,127 @@
+import { formatQuantity, onUnitSystemChange } from '../utils/UnitUtils.js';
+
+// Editable slide parameters; lengths are in metres and shown in the current units
+const PARAMETERS = [
+    { key: 'width', label: 'Slide width', min: 200, max: 700, step: 10, quantity: 'length' },
+    { key: 'length', label: 'Slide length', min: 200, max: 500, step: 10, quantity: 'length' },
+    { key: 'thickness', label: 'Thickness', min: 100, max: 350, step: 5, quantity: 'length' },
+    { key: 'scarpDistance', label: 'Back scarp from valley axis', min: 300, max: 550, step: 10, quantity: 'length' },
+    { key: 'basalDip', label: 'Basal plane dip', min: 10, max: 45, step: 1, suffix: '°' },
+    { key: 'toeDip', label: 'Toe dip', min: -5, max: 20, step: 1, suffix: '°' },
+    { key: 'rearFraction', label: 'Steep rear of the chair', min: 0.2, max: 0.9, step: 0.05, percent: true }
+];
+
+/**
+ * SlidePanelView - Sliders for the shape of Mount Toc's landslide
+ * Reports every change so the meshes can be regenerated live
+ */
+export default class SlidePanelView {
+    /**
+     * Initialize the slide parameter panel
+     * @param {string} panelId - ID of the panel element
+     * @param {string} listId - ID of the element the sliders are written into
+     */
+    constructor(panelId, listId) {
+        this.panel = document.getElementById(panelId);
+        this.list = document.getElementById(listId);
+        this.values = {};
+        this.onChange = null;
+        
+        this._createSliders();
+        onUnitSystemChange(() => this._updateReadouts());
+    }
+    
+    /**
+     * Register the handler called with the full parameter set on every change
+     * @param {Function} handler - Called with the parameter values
+     */
+    registerChangeHandler(handler) {
+        this.onChange = handler;
+    }
+    
+    /**
+     * Show parameter values without reporting a change
+     * @param {Object} values - Values from GeologyModel.getSlideParameters
+     */
+    update(values) {
+        this.values = Object.assign({}, values);
+        
+        PARAMETERS.forEach(parameter => {
+            const input = this._getInput(parameter.key);
+            if (input && values[parameter.key] !== undefined) {
+                input.value = values[parameter.key];
+            }
+        });
+        
+        this._updateReadouts();
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} visible - Whether the panel should be shown
+     */
+    setVisible(visible) {
+        if (this.panel) {
+            this.panel.classList.toggle('visible', visible);
+        }
+    }
+    
+    /**
+     * Write one slider per parameter into the panel
+     * @private
+     */
+    _createSliders() {
+        if (!this.list) return;
+        
+        this.list.innerHTML = PARAMETERS.map(parameter => `
+            <label for="slide-${parameter.key}">
+                ${parameter.label} <span class="slide-value" data-key="${parameter.key}"></span>
+            </label>
+            <input type="range" id="slide-${parameter.key}" data-key="${parameter.key}"
+                   min="${parameter.min}" max="${parameter.max}" step="${parameter.step}">
+        `).join('');
+        
+        this.list.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.values[input.dataset.key] = parseFloat(input.value);
+                this._updateReadouts();
+                
+                if (this.onChange) {
+                    this.onChange(Object.assign({}, this.values));
+                }
+            });
+        });
+    }
+    
+    /**
+     * Slider for a parameter
+     * @param {string} key - Parameter key
+     * @returns {HTMLInputElement|null} The slider
+     * @private
+     */
+    _getInput(key) {
+        return this.list ? this.list.querySelector(`input[data-key="${key}"]`) : null;
+    }
+    
+    /**
+     * Write the current values next to their labels
+     * @private
+     */
+    _updateReadouts() {
+        if (!this.list) return;
+        
+        PARAMETERS.forEach(parameter => {
+            const readout = this.list.querySelector(`.slide-value[data-key="${parameter.key}"]`);
+            const value = this.values[parameter.key];
+            if (!readout || value === undefined) return;
+            
+            if (parameter.quantity) {
+                readout.textContent = formatQuantity(parameter.quantity, value);
+            } else if (parameter.percent) {
+                readout.textContent = `${Math.round(value * 100)}%`;
+            } else {
+                readout.textContent = `${value}${parameter.suffix}`;
+            }
+        });
+    }
+}
\ No newline at end of file
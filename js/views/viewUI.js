@@ -1,3 +1,13 @@
+import {
+    getUnitSystem,
+    setUnitSystem,
+    onUnitSystemChange,
+    getUnitSymbol,
+    fromDisplayUnits,
+    formatQuantity,
+    formatElevation
+} from '../utils/UnitUtils.js';
+
 /**
  * UIView - Manages the user interface elements
  * Handles UI interactions, controls, and status displays
@@ -12,6 +22,10 @@ export default class UIView {
         this.timeline = null;
         this.timelineProgress = null;
         this.infoBox = null;
+        this.waterLevelLabel = null;
+        this.storageReadout = null;
+        this.targetVolumeInput = null;
+        this.unitsToggle = null;
         
         this._setupUIElements();
         this._setupEventListeners();
@@ -28,6 +42,10 @@ export default class UIView {
         this.timeline = document.getElementById('timeline');
         this.timelineProgress = document.getElementById('timeline-progress');
         this.infoBox = document.getElementById('info-box');
+        this.waterLevelLabel = document.getElementById('water-level-label');
+        this.storageReadout = document.getElementById('storage-readout');
+        this.targetVolumeInput = document.getElementById('target-volume');
+        this.unitsToggle = document.getElementById('units-toggle');
         
         // Hide timeline initially
         if (this.timeline) {
@@ -47,6 +65,26 @@ export default class UIView {
             });
         }
         
+        // Target volume entry
+        const setVolumeButton = document.getElementById('set-volume-button');
+        if (setVolumeButton) {
+            setVolumeButton.addEventListener('click', () => this._onTargetVolume());
+        }
+        
+        if (this.targetVolumeInput) {
+            this.targetVolumeInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') this._onTargetVolume();
+            });
+        }
+        
+        // Metric / imperial switch
+        if (this.unitsToggle) {
+            this.unitsToggle.addEventListener('click', () => {
+                setUnitSystem(getUnitSystem() === 'metric' ? 'imperial' : 'metric');
+            });
+        }
+        onUnitSystemChange(() => this._onUnitSystemChange());
+        
         // Info toggle button
         const infoToggle = document.getElementById('toggle-info');
         if (infoToggle) {
@@ -64,6 +102,69 @@ export default class UIView {
         this.stabilityCallback = stabilityCallback;
     }
     
+    /**
+     * Register handler for setting the level by stored volume
+     * @param {Function} volumeCallback - Called with the target volume (m³)
+     */
+    registerVolumeHandler(volumeCallback) {
+        this.volumeCallback = volumeCallback;
+    }
+    
+    /**
+     * Handle a target volume entry, given in the active display units
+     * @private
+     */
+    _onTargetVolume() {
+        const value = parseFloat(this.targetVolumeInput.value);
+        if (isNaN(value) || value < 0) return;
+        
+        if (this.volumeCallback) {
+            this.volumeCallback(fromDisplayUnits('volume', value));
+        }
+    }
+    
+    /**
+     * Relabel unit-bearing controls after the unit system changes
+     * @private
+     */
+    _onUnitSystemChange() {
+        if (this.unitsToggle) {
+            this.unitsToggle.textContent = getUnitSystem() === 'metric' ? 'ft' : 'm';
+        }
+        
+        const volumeUnit = document.getElementById('target-volume-unit');
+        if (volumeUnit) {
+            volumeUnit.textContent = getUnitSymbol('volume');
+        }
+        
+        // A number typed in the old units no longer means the same volume
+        if (this.targetVolumeInput) {
+            this.targetVolumeInput.value = '';
+        }
+    }
+    
+    /**
+     * Show the reservoir elevation in the slider label
+     * @param {number} elevation - Reservoir elevation (m a.s.l.)
+     */
+    updateWaterLevelLabel(elevation) {
+        if (!this.waterLevelLabel) return;
+        
+        this.waterLevelLabel.textContent = `Reservoir level: ${formatElevation(elevation)}`;
+    }
+    
+    /**
+     * Show the stored volume and surface area of the reservoir
+     * @param {number} volume - Stored volume (m³)
+     * @param {number} area - Surface area (m²)
+     */
+    updateStorageReadout(volume, area) {
+        if (!this.storageReadout) return;
+        
+        this.storageReadout.textContent =
+            `Storage ${formatQuantity('volume', volume, 1)} · surface ${formatQuantity('area', area, 2)}`;
+    }
+    
     /**
      * Handle water level slider change
      * @param {Event} event - Input event
@@ -84,42 +185,25 @@ export default class UIView {
     }
     
     /**
-     * Update stability indicator based on water level
-     * @param {number} value - Water level value (0-100)
+     * Update stability indicator from a factor-of-safety result
+     * @param {Object} stability - Result from StabilityModel.calculate
      * @returns {Object} Stability status info
      */
-    updateStabilityIndicator(value) {
-        if (!this.stabilityIndicator) return null;
-        
-        let stabilityText, stabilityColor;
-        
-        if (value > 80) {
-            stabilityText = "Critical - Imminent Failure";
-            stabilityColor = "#e53935"; // deep red
-        } else if (value > 65) {
-            stabilityText = "Very Low - Dangerously Unstable";
-            stabilityColor = "#ff5252"; // red
-        } else if (value > 50) {
-            stabilityText = "Low - Significant Risk";
-            stabilityColor = "#ff9800"; // orange
-        } else if (value > 35) {
-            stabilityText = "Moderate - Caution";
-            stabilityColor = "#ffc107"; // amber
-        } else if (value > 20) {
-            stabilityText = "Good - Minor Stress";
-            stabilityColor = "#cddc39"; // lime
-        } else {
-            stabilityText = "Excellent - Stable";
-            stabilityColor = "#4caf50"; // green
-        }
+    updateStabilityIndicator(stability) {
+        if (!this.stabilityIndicator || !stability) return null;
+        
+        const status = stability.status;
+        const lightBackground = status.level === 'excellent' || status.level === 'good';
         
-        this.stabilityIndicator.textContent = "Stability: " + stabilityText;
-        this.stabilityIndicator.style.backgroundColor = stabilityColor;
-        this.stabilityIndicator.style.color = value > 35 ? "#fff" : "#333";
+        this.stabilityIndicator.textContent = 
+            `Stability: ${status.text} (FoS ${stability.factorOfSafety.toFixed(2)}, ` +
+            `${formatQuantity('length', stability.waterHead)} head on the failure plane)`;
+        this.stabilityIndicator.style.backgroundColor = status.color;
+        this.stabilityIndicator.style.color = lightBackground ? "#333" : "#fff";
         
         return {
-            text: stabilityText,
-            color: stabilityColor
+            text: status.text,
+            color: status.color
         };
     }
     
@@ -0,0 +1,26 @@
+/**
+ * Web Worker that runs the Monte Carlo stability analysis off the main thread
+ * The page posts the CONFIG sections the stability engine reads, since the
+ * worker has its own copy of the module, together with the run request
+ */
+
+import CONFIG from '../config.js';
+import MonteCarloModel from '../models/MonteCarloModel.js';
+
+const model = new MonteCarloModel();
+
+self.addEventListener('message', event => {
+    const { config, request } = event.data;
+    
+    try {
+        Object.entries(config).forEach(([section, values]) => Object.assign(CONFIG[section], values));
+        
+        const result = model.run(request, (done, total) => {
+            self.postMessage({ type: 'progress', done, total });
+        });
+        
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});